@@ -8,14 +8,32 @@
 
 import { spawn, execFileSync } from 'child_process';
 import { createInterface } from 'readline';
-import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync, renameSync } from 'fs';
-import { join, dirname } from 'path';
+import { Writable } from 'stream';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync, renameSync, statSync, createWriteStream } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { addAccount, removeAccount, getAccounts, ensureDefaultAccount, validateAccountName, setAccountPriority, clearAccountPriority, CONFIG_DIR, DEFAULT_CLAUDE_DIR } from '../lib/config.js';
-import { readCredentials, isTokenExpired, deleteKeychainEntry } from '../lib/keychain.js';
-import { checkAllUsage, checkUsage, fetchProfile } from '../lib/usage.js';
+import { addAccount, removeAccount, getAccounts, loadConfig, ensureDefaultAccount, validateAccountName, setAccountPriority, clearAccountPriority, setAccountCapacity, clearAccountCapacity, setAccountCaps, setAccountCeilings, tagAccount, untagAccount, hasTag, isApiKeyAccount, getRunnerSettings, CONFIG_DIR, DEFAULT_CLAUDE_DIR } from '../lib/config.js';
+import { readCredentials, readAccountCredentials, saveApiKey, isTokenExpired, deleteKeychainEntry } from '../lib/keychain.js';
+import { checkAllUsage, checkUsage, fetchProfile, withCeilings } from '../lib/usage.js';
 import { pickBestAccount, pickByPriority } from '../lib/scorer.js';
-import { run } from '../lib/runner.js';
+import { applyCooldowns } from '../lib/cooldown.js';
+import { leaseAccount, applyLeases } from '../lib/leases.js';
+import { createRunnerId } from '../lib/runner-channel.js';
+import { listRecordings, pruneRecordings, RECORDINGS_DIR } from '../lib/recorder.js';
+import { readEvents, summarizeDetections, EVENTS_FILE, EVENT_TYPES } from '../lib/history.js';
+import { formatSpend } from '../lib/spend.js';
+import { listRunners } from '../lib/control.js';
+import { loadSchedule, cancelScheduled, fireDueResumes, runScheduler } from '../lib/scheduler.js';
+import {
+  planTasks, assignAccounts, findRepoRoot, createWorktree, launchTasks, createRunId, saveRun, loadRun, readTaskStatus,
+} from '../lib/parallel.js';
+import { loadQueue, addJob, cancelJob, clearFinishedJobs, drainQueue, waitForAccount, jobOutputPath, INTERRUPTED_EXIT_CODE } from '../lib/queue.js';
+import { findOption, hasOption, prependOption } from '../lib/claude-args.js';
+import { loadPolicy, filterAllowedAccounts, isRestricted, applyPolicyArgs } from '../lib/policy.js';
+import { getStrategy, listStrategies, applyLastUsed, recordSelection } from '../lib/strategies.js';
+import { recordUsageSamples, applyForecasts, describeForecast } from '../lib/forecast.js';
+import { run, getModelArg, buildResumeArgs, checkAccounts, sleep } from '../lib/runner.js';
+import { runHeadless, isHeadlessInvocation } from '../lib/headless.js';
 import { reauthAccount, reauthExpiredAccounts, silentRefresh } from '../lib/reauth.js';
 import { isMacOS } from '../lib/platform.js';
 import { installService, uninstallService, restartService, getServiceStatus, isServiceInstalled, LOG_PATH } from '../lib/service.js';
@@ -24,6 +42,23 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '..');
 
+/** How often `parallel` re-reads task exit codes while waiting (ms). */
+const PARALLEL_POLL_MS = 5000;
+
+const QUEUE_USAGE = `Usage:
+  claude-nonstop queue add "<prompt>" [--cwd <dir>] [--account <name>] [-- <claude args>]
+  claude-nonstop queue list [--json]
+  claude-nonstop queue cancel <id>
+  claude-nonstop queue clear
+  claude-nonstop queue run`;
+
+const PARALLEL_USAGE = `Usage:
+  claude-nonstop parallel "<prompt>" ["<prompt>" ...] [--dir <dir> ...] [--no-wait] [-- <claude args>]
+  claude-nonstop parallel status [run-id]
+
+Several prompts run in new git worktrees of the current repo, one prompt with
+--dir runs in every directory, and N prompts with N --dir pair up.`;
+
 const args = process.argv.slice(2);
 const command = args[0];
 
@@ -83,6 +118,50 @@ switch (command) {
     await cmdSetPriority(args.slice(1));
     break;
 
+  case 'set-capacity':
+    cmdSetCapacity(args.slice(1));
+    break;
+
+  case 'set-cap':
+    cmdSetCap(args.slice(1));
+    break;
+
+  case 'set-ceiling':
+    cmdSetCeiling(args.slice(1));
+    break;
+
+  case 'tag':
+    cmdTag(args.slice(1));
+    break;
+
+  case 'untag':
+    cmdUntag(args.slice(1));
+    break;
+
+  case 'recordings':
+    cmdRecordings(args.slice(1));
+    break;
+
+  case 'history':
+    cmdHistory(args.slice(1));
+    break;
+
+  case 'ps':
+    await cmdPs(args.slice(1));
+    break;
+
+  case 'scheduler':
+    await cmdScheduler(args.slice(1));
+    break;
+
+  case 'queue':
+    await cmdQueue(args.slice(1));
+    break;
+
+  case 'parallel':
+    await cmdParallel(args.slice(1));
+    break;
+
   case 'init':
     cmdInit(args[1]);
     break;
@@ -107,16 +186,34 @@ switch (command) {
 // ─── Commands ──────────────────────────────────────────────────────────────────
 
 async function cmdAdd(args) {
+  // --tag <tag> (repeatable) — put the new account in groups
+  const tags = [];
+  for (let i = args.indexOf('--tag'); i !== -1; i = args.indexOf('--tag')) {
+    if (!args[i + 1] || args[i + 1].startsWith('-')) {
+      console.error('Error: --tag requires a tag name.');
+      process.exit(1);
+    }
+    tags.push(args[i + 1]);
+    args.splice(i, 2);
+  }
+
+  const apiKeyIdx = args.indexOf('--api-key');
+  if (apiKeyIdx !== -1) {
+    args.splice(apiKeyIdx, 1);
+    return cmdAddApiKey(args[0], tags);
+  }
+
   const name = args[0];
   if (!name) {
-    console.error('Usage: claude-nonstop add <name>');
-    console.error('Example: claude-nonstop add work');
+    console.error('Usage: claude-nonstop add <name> [--tag <tag> ...]');
+    console.error('       claude-nonstop add <name> --api-key');
+    console.error('Example: claude-nonstop add acme-max --tag work --tag client-acme');
     process.exit(1);
   }
 
   try {
-    const configDir = addAccount(name);
-    console.log(`Account "${name}" registered.`);
+    const configDir = addAccount(name, { tags });
+    console.log(`Account "${name}" registered${tags.length > 0 ? ` (tags: ${tags.join(', ')})` : ''}.`);
     console.log(`Config directory: ${configDir}`);
     console.log('');
     console.log('Opening browser for login...');
@@ -182,6 +279,56 @@ async function cmdAdd(args) {
   }
 }
 
+/**
+ * Register an API-key overflow account. The key is read from piped stdin, or
+ * prompted for without echo.
+ */
+async function cmdAddApiKey(name, tags = []) {
+  if (!name) {
+    console.error('Usage: claude-nonstop add <name> --api-key');
+    console.error('Example: claude-nonstop add overflow --api-key');
+    process.exit(1);
+  }
+
+  let apiKey;
+  if (process.stdin.isTTY) {
+    // Echo goes to a discarded stream so the key never shows on screen
+    const muted = new Writable({ write(_chunk, _encoding, callback) { callback(); } });
+    const rl = createInterface({ input: process.stdin, output: muted, terminal: true });
+    process.stdout.write('Anthropic API key (sk-ant-api...): ');
+    apiKey = await new Promise((resolve) => rl.question('', resolve));
+    rl.close();
+    process.stdout.write('\n');
+  } else {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    apiKey = Buffer.concat(chunks).toString('utf8');
+  }
+  apiKey = apiKey.trim();
+
+  if (!apiKey.startsWith('sk-ant-')) {
+    console.error('Error: That does not look like an Anthropic API key (expected sk-ant-...).');
+    process.exit(1);
+  }
+
+  try {
+    const configDir = addAccount(name, { type: 'api-key', tags });
+    const saved = saveApiKey(configDir, apiKey);
+    if (!saved.written) {
+      removeAccount(name);
+      console.error(`Error: could not store the API key: ${saved.error}`);
+      process.exit(1);
+    }
+
+    console.log(`Overflow account "${name}" added.`);
+    console.log('It is only used when every subscription account is exhausted.');
+    console.log(`Set spending caps with: claude-nonstop set-cap ${name} --daily 20 --monthly 200`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 async function cmdRemove(args) {
   const name = args[0];
   if (!name) {
@@ -200,7 +347,8 @@ async function cmdRemove(args) {
 }
 
 async function cmdReauth() {
-  const accounts = getAccounts();
+  // API-key accounts have no login to refresh
+  const accounts = getAccounts().filter(a => !isApiKeyAccount(a));
 
   if (accounts.length === 0) {
     console.log('No accounts registered.');
@@ -360,16 +508,19 @@ async function cmdList() {
 
   // Read credentials and fetch profiles in parallel
   const enriched = await Promise.all(accounts.map(async (account) => {
-    const creds = readCredentials(account.configDir);
-    const profile = creds.token ? await fetchProfile(creds.token) : { name: null, email: null };
+    const creds = readAccountCredentials(account);
+    const profile = creds.token && !isApiKeyAccount(account) ? await fetchProfile(creds.token) : { name: null, email: null };
     return { ...account, creds, profile };
   }));
 
   for (const entry of enriched) {
-    const status = entry.creds.token ? 'authenticated' : 'not authenticated';
+    const status = isApiKeyAccount(entry)
+      ? `overflow API key${entry.creds.token ? '' : ' (no key stored)'}${describeCaps(entry.caps)}`
+      : entry.creds.token ? 'authenticated' : 'not authenticated';
     const userInfo = formatUserInfo(entry.profile);
     const priLabel = entry.priority != null ? ` (priority: ${entry.priority})` : '';
-    console.log(`  ${entry.name}${userInfo}${priLabel}`);
+    const capacityLabel = entry.capacity != null ? ` (capacity: ${entry.capacity})` : '';
+    console.log(`  ${entry.name}${userInfo}${priLabel}${capacityLabel}${describeCeilings(entry.ceilings)}${formatTags(entry.tags)}`);
     console.log(`    Config: ${entry.configDir}`);
     console.log(`    Status: ${status}`);
     console.log('');
@@ -388,7 +539,7 @@ async function cmdStatus() {
 
   // Read credentials for all accounts
   const accountsWithTokens = accounts.map(a => {
-    const creds = readCredentials(a.configDir);
+    const creds = readAccountCredentials(a);
     return { ...a, token: creds.token };
   });
 
@@ -399,8 +550,10 @@ async function cmdStatus() {
     // Fetch usage and profiles in parallel
     let [withUsage, profiles] = await Promise.all([
       checkAllUsage(authenticated),
-      Promise.all(authenticated.map(a => fetchProfile(a.token))),
+      Promise.all(authenticated.map(a => isApiKeyAccount(a) ? {} : fetchProfile(a.token))),
     ]);
+    recordUsageSamples(withUsage);
+    withUsage = applyForecasts(applyLeases(applyCooldowns(withUsage)));
 
     // Silent refresh: retry accounts with auth errors (401 expired, 403 revoked)
     const rejected = withUsage.filter(a =>
@@ -413,7 +566,7 @@ async function cmdStatus() {
           const creds = readCredentials(account.configDir);
           if (creds.token) {
             account.token = creds.token;
-            account.usage = await checkUsage(creds.token);
+            account.usage = withCeilings(await checkUsage(creds.token), account.ceilings);
             // Re-fetch profile with refreshed token
             const profile = await fetchProfile(creds.token);
             const idx = authenticated.findIndex(a => a.name === account.name);
@@ -426,8 +579,9 @@ async function cmdStatus() {
     // Merge profiles into usage results
     const profileMap = Object.fromEntries(authenticated.map((a, i) => [a.name, profiles[i]]));
 
-    // Find best account for display
-    const best = pickBestAccount(withUsage);
+    // Find best account for display, by the configured strategy if there is one
+    const strategy = resolveStrategy(getRunnerSettings().strategy, null);
+    const best = pickBestAccount(applyLastUsed(withUsage), undefined, { strategy });
     const bestName = best?.account?.name;
 
     for (const account of withUsage) {
@@ -435,16 +589,33 @@ async function cmdStatus() {
       const marker = isBest ? ' <-- best' : '';
       const userInfo = formatUserInfo(profileMap[account.name] || {});
       const priLabel = account.priority != null ? ` (priority: ${account.priority})` : '';
+      const capacityLabel = account.capacity != null ? ` (capacity: ${account.capacity})` : '';
 
-      console.log(`  ${account.name}${userInfo}${priLabel}${marker}`);
+      console.log(`  ${account.name}${userInfo}${priLabel}${capacityLabel}${formatTags(account.tags)}${marker}`);
 
-      if (account.usage.error) {
+      if (account.cooldownUntil) {
+        console.log(`    Cooling down: rate limited, resets ${formatResetTime(account.cooldownUntil)}`);
+      }
+      if (account.leaseCount) {
+        console.log(`    In use by ${account.leaseCount} runner${account.leaseCount === 1 ? '' : 's'}`);
+      }
+
+      if (account.usage.spend) {
+        const { spend } = account.usage;
+        console.log(`    Overflow API key — estimated spend: ${formatSpend(spend)}`);
+        if (spend.dailyCap) console.log(`    Daily cap:   ${makeBar(account.usage.sessionPercent)} ${account.usage.sessionPercent}%`);
+        if (spend.monthlyCap) console.log(`    Monthly cap: ${makeBar(account.usage.weeklyPercent)} ${account.usage.weeklyPercent}%`);
+      } else if (account.usage.error) {
         console.log(`    Usage: error (${account.usage.error})`);
       } else {
         const sessionBar = makeBar(account.usage.sessionPercent);
         const weeklyBar = makeBar(account.usage.weeklyPercent);
-        console.log(`    5-hour:  ${sessionBar} ${account.usage.sessionPercent}%`);
-        console.log(`    7-day:   ${weeklyBar} ${account.usage.weeklyPercent}%`);
+        const ceiling = (percent, limit) => (limit ? ` (ceiling ${limit}%${percent >= limit ? ', reached' : ''})` : '');
+        console.log(`    5-hour:  ${sessionBar} ${account.usage.sessionPercent}%${ceiling(account.usage.sessionPercent, account.ceilings?.session)}`);
+        console.log(`    7-day:   ${weeklyBar} ${account.usage.weeklyPercent}%${ceiling(account.usage.weeklyPercent, account.ceilings?.weekly)}`);
+        for (const [family, percent] of Object.entries(account.usage.modelWeeklyPercent ?? {})) {
+          console.log(`    ${`${family}:`.padEnd(8)} ${makeBar(percent)} ${percent}% (7-day)`);
+        }
 
         if (account.usage.sessionResetsAt) {
           console.log(`    Session resets: ${formatResetTime(account.usage.sessionResetsAt)}`);
@@ -452,6 +623,8 @@ async function cmdStatus() {
         if (account.usage.weeklyResetsAt) {
           console.log(`    Weekly resets:  ${formatResetTime(account.usage.weeklyResetsAt)}`);
         }
+        const forecast = describeForecast(account);
+        if (forecast) console.log(`    Forecast:       ${forecast}`);
       }
       console.log('');
     }
@@ -467,15 +640,31 @@ async function cmdStatus() {
 }
 
 async function cmdRun(claudeArgs) {
+  // Project policy (.claude-nonstop.json) merged over the global config,
+  // limited to an account group with --group <tag>
+  const project = loadProjectPolicy(process.cwd(), extractGroupFlag(claudeArgs));
+
   // Extract --remote-access flag (consume it, don't pass to claude)
   const remoteAccessIdx = claudeArgs.indexOf('--remote-access');
-  const remoteAccess = remoteAccessIdx !== -1;
-  if (remoteAccess) {
+  const remoteAccess = remoteAccessIdx !== -1 || project.policy.remoteAccess === true;
+  if (remoteAccessIdx !== -1) {
     claudeArgs.splice(remoteAccessIdx, 1);
   }
 
+  // Extract --record flag (consume it, don't pass to claude)
+  const recordIdx = claudeArgs.indexOf('--record');
+  const record = recordIdx !== -1;
+  if (record) {
+    claudeArgs.splice(recordIdx, 1);
+  }
+
   // Extract --account / -a flag (consume it, don't pass to claude)
   const requestedAccount = extractAccountFlag(claudeArgs);
+  checkAccountAllowed(requestedAccount, project);
+  const strategy = resolveStrategy(project.settings.strategy, extractStrategyFlag(claudeArgs));
+
+  // Project default args, for flags not given on the command line
+  claudeArgs.splice(0, claudeArgs.length, ...applyPolicyArgs(project.policy.claudeArgs, claudeArgs));
 
   // Handle tmux bootstrapping for remote access
   if (remoteAccess) {
@@ -489,20 +678,15 @@ async function cmdRun(claudeArgs) {
     }
 
     // Inside tmux — inject --dangerously-skip-permissions if not already present
-    if (!claudeArgs.includes('--dangerously-skip-permissions')) {
-      claudeArgs.push('--dangerously-skip-permissions');
-    }
+    claudeArgs = prependOption(claudeArgs, '--dangerously-skip-permissions');
 
     // Append formatting instruction for Slack readability
-    if (!claudeArgs.includes('--append-system-prompt')) {
-      claudeArgs.push(
-        '--append-system-prompt',
-        'Your responses are relayed to a Slack channel. Structure output for readability: use short paragraphs, bullet points, and bold headers (## Header). Separate sections with blank lines. Keep summaries concise — prefer a few clear bullets over long prose.'
-      );
-    }
+    claudeArgs = prependOption(claudeArgs, '--append-system-prompt', [
+      'Your responses are relayed to a Slack channel. Structure output for readability: use short paragraphs, bullet points, and bold headers (## Header). Separate sections with blank lines. Keep summaries concise — prefer a few clear bullets over long prose.',
+    ]);
   }
 
-  const accounts = getAccounts();
+  const { accounts } = project;
 
   if (accounts.length === 0) {
     console.error('No accounts registered. Run "claude-nonstop add <name>" first.');
@@ -511,7 +695,7 @@ async function cmdRun(claudeArgs) {
 
   // Read credentials for all accounts
   let accountsWithCreds = accounts.map(a => {
-    const creds = readCredentials(a.configDir);
+    const creds = readAccountCredentials(a);
     return { ...a, token: creds.token, expiresAt: creds.expiresAt };
   });
 
@@ -525,7 +709,7 @@ async function cmdRun(claudeArgs) {
     if (refreshed.length > 0) {
       // Re-read credentials for refreshed accounts
       accountsWithCreds = accounts.map(a => {
-        const creds = readCredentials(a.configDir);
+        const creds = readAccountCredentials(a);
         return { ...a, token: creds.token, expiresAt: creds.expiresAt };
       });
     }
@@ -539,7 +723,9 @@ async function cmdRun(claudeArgs) {
   }
 
   // Check usage and pick best account
+  const runnerId = createRunnerId();
   let selectedAccount;
+  let selectionReason;
 
   if (requestedAccount) {
     // Explicit --account flag — use it directly, skip usage check
@@ -549,15 +735,17 @@ async function cmdRun(claudeArgs) {
       console.error(`Authenticated accounts: ${authenticated.map(a => a.name).join(', ')}`);
       process.exit(1);
     }
+    selectionReason = 'requested';
     console.error(`[claude-nonstop] Using requested account "${selectedAccount.name}"`);
   } else if (authenticated.length === 1) {
     // Only one account — use it directly (skip usage check)
     selectedAccount = authenticated[0];
+    selectionReason = 'only authenticated account';
     console.error(`[claude-nonstop] Using account "${selectedAccount.name}"`);
   } else {
     // Multiple accounts — check usage and pick best
     console.error('[claude-nonstop] Checking usage across accounts...');
-    const withUsage = await checkAllUsage(authenticated);
+    const withUsage = await checkAndRecordUsage(authenticated);
 
     // Check if any authenticated accounts have API auth errors (expired or revoked)
     const apiExpired = withUsage.filter(a =>
@@ -568,10 +756,10 @@ async function cmdRun(claudeArgs) {
       if (refreshed.length > 0) {
         // Re-read credentials and re-check usage for refreshed accounts
         const updatedAccounts = accounts.map(a => {
-          const creds = readCredentials(a.configDir);
-          return { ...a, token: creds.token };
+          const creds = readAccountCredentials(a);
+          return { ...a, token: creds.token, expiresAt: creds.expiresAt };
         }).filter(a => a.token);
-        const updatedUsage = await checkAllUsage(updatedAccounts);
+        const updatedUsage = await checkAndRecordUsage(updatedAccounts);
         // Merge: replace stale entries with refreshed ones
         for (const updated of updatedUsage) {
           const idx = withUsage.findIndex(a => a.name === updated.name);
@@ -583,32 +771,63 @@ async function cmdRun(claudeArgs) {
 
     // Only use priority sorting when at least one account has a priority set
     const hasPriorities = withUsage.some(a => a.priority != null);
-    const best = pickBestAccount(withUsage, undefined, { usePriority: hasPriorities });
+    // Pick and lease in one locked step so runners starting together spread out
+    const best = leaseAccount(runnerId, leases =>
+      pickBestAccount(applyLastUsed(applyLeases(withUsage, leases)), undefined, { usePriority: hasPriorities, strategy, model: getModelArg(claudeArgs), currentAccount: null }));
 
     if (best) {
       selectedAccount = best.account;
+      selectionReason = best.reason;
       console.error(`[claude-nonstop] Selected "${selectedAccount.name}" (${best.reason})`);
     } else {
       // Fallback to first authenticated account
       selectedAccount = authenticated[0];
+      selectionReason = 'no account available, defaulted to first';
       console.error(`[claude-nonstop] Defaulting to "${selectedAccount.name}"`);
     }
   }
 
+  const { maxSwaps, continueMessage } = project.policy;
+
+  // Print mode (-p) runs without a PTY and switches on structured JSON events
+  if (isHeadlessInvocation(claudeArgs)) {
+    const { modelFallback } = project.settings;
+    process.exitCode = await runHeadless(claudeArgs, selectedAccount, accounts, { runnerId, selectionReason, modelFallback, maxSwaps, continueMessage, strategy });
+    return;
+  }
+
   // Run with auto-switching
-  await run(claudeArgs, selectedAccount, accounts, { remoteAccess });
+  const { preemptiveSwapThreshold, modelFallback, hotkeyPrefix, detachedSleep } = project.settings;
+  await run(claudeArgs, selectedAccount, accounts, { remoteAccess, record, preemptThreshold: preemptiveSwapThreshold, runnerId, selectionReason, modelFallback, hotkeyPrefix, detachedSleep, maxSwaps, continueMessage, strategy, group: project.group });
 }
 
 async function cmdResume(resumeArgs) {
+  // Everything after -- is passed to claude (used by scheduled resumes)
+  const separatorIdx = resumeArgs.indexOf('--');
+  const passthroughArgs = separatorIdx === -1 ? [] : resumeArgs.splice(separatorIdx).slice(1);
+
+  // Project policy (.claude-nonstop.json) merged over the global config,
+  // limited to an account group with --group <tag>
+  const project = loadProjectPolicy(process.cwd(), extractGroupFlag(resumeArgs));
+
   // Extract --remote-access flag (consume it, don't pass to claude)
   const remoteAccessIdx = resumeArgs.indexOf('--remote-access');
-  const remoteAccess = remoteAccessIdx !== -1;
-  if (remoteAccess) {
+  const remoteAccess = remoteAccessIdx !== -1 || project.policy.remoteAccess === true;
+  if (remoteAccessIdx !== -1) {
     resumeArgs.splice(remoteAccessIdx, 1);
   }
 
+  // Extract --record flag (consume it, don't pass to claude)
+  const recordIdx = resumeArgs.indexOf('--record');
+  const record = recordIdx !== -1;
+  if (record) {
+    resumeArgs.splice(recordIdx, 1);
+  }
+
   // Extract --account / -a flag (consume it, don't pass to claude)
   const requestedAccount = extractAccountFlag(resumeArgs);
+  checkAccountAllowed(requestedAccount, project);
+  const strategy = resolveStrategy(project.settings.strategy, extractStrategyFlag(resumeArgs));
 
   // Handle tmux bootstrapping for remote access
   if (remoteAccess) {
@@ -622,8 +841,10 @@ async function cmdResume(resumeArgs) {
     }
   }
 
-  const accounts = getAccounts();
-  if (accounts.length === 0) {
+  // Sessions are searched in every profile; only allowed accounts run them
+  const allAccounts = getAccounts();
+  const { accounts } = project;
+  if (allAccounts.length === 0) {
     console.error('No accounts registered. Run "claude-nonstop add <name>" first.');
     process.exit(1);
   }
@@ -636,14 +857,14 @@ async function cmdResume(resumeArgs) {
 
   if (sessionIdArg) {
     console.error(`[claude-nonstop] Searching for session ${sessionIdArg}...`);
-    found = findSessionAcrossProfiles(accounts, sessionIdArg);
+    found = findSessionAcrossProfiles(allAccounts, sessionIdArg);
     if (!found) {
       console.error(`Error: Session "${sessionIdArg}" not found in any account.`);
       process.exit(1);
     }
   } else {
     console.error('[claude-nonstop] Searching for most recent session in this project...');
-    found = findLatestSessionAcrossProfiles(accounts, process.cwd());
+    found = findLatestSessionAcrossProfiles(allAccounts, process.cwd());
     if (!found) {
       console.error('Error: No sessions found for this project in any account.');
       process.exit(1);
@@ -653,15 +874,13 @@ async function cmdResume(resumeArgs) {
   const sessionId = sessionIdArg || found.sessionId;
   console.error(`[claude-nonstop] Found session ${sessionId} in account "${found.account.name}"`);
 
-  // Build claude args
-  const claudeArgs = ['--resume', sessionId];
-  if (remoteAccess && !claudeArgs.includes('--dangerously-skip-permissions')) {
-    claudeArgs.push('--dangerously-skip-permissions');
-  }
+  // Build claude args (project default args for flags not passed)
+  let claudeArgs = buildResumeArgs(applyPolicyArgs(project.policy.claudeArgs, passthroughArgs), sessionId);
+  if (remoteAccess) claudeArgs = prependOption(claudeArgs, '--dangerously-skip-permissions');
 
   // Read credentials and pick best account (same as cmdRun)
   let accountsWithCreds = accounts.map(a => {
-    const creds = readCredentials(a.configDir);
+    const creds = readAccountCredentials(a);
     return { ...a, token: creds.token, expiresAt: creds.expiresAt };
   });
 
@@ -673,7 +892,7 @@ async function cmdResume(resumeArgs) {
     const refreshed = await reauthExpiredAccounts(expiredPreFlight);
     if (refreshed.length > 0) {
       accountsWithCreds = accounts.map(a => {
-        const creds = readCredentials(a.configDir);
+        const creds = readAccountCredentials(a);
         return { ...a, token: creds.token, expiresAt: creds.expiresAt };
       });
     }
@@ -686,7 +905,9 @@ async function cmdResume(resumeArgs) {
   }
 
   // Pick best account
+  const runnerId = createRunnerId();
   let selectedAccount;
+  let selectionReason;
 
   if (requestedAccount) {
     // Explicit --account flag — use it directly, skip usage check
@@ -696,13 +917,15 @@ async function cmdResume(resumeArgs) {
       console.error(`Authenticated accounts: ${authenticated.map(a => a.name).join(', ')}`);
       process.exit(1);
     }
+    selectionReason = 'requested';
     console.error(`[claude-nonstop] Using requested account "${selectedAccount.name}"`);
   } else if (authenticated.length === 1) {
     selectedAccount = authenticated[0];
+    selectionReason = 'only authenticated account';
     console.error(`[claude-nonstop] Using account "${selectedAccount.name}"`);
   } else {
     console.error('[claude-nonstop] Checking usage across accounts...');
-    const withUsage = await checkAllUsage(authenticated);
+    const withUsage = await checkAndRecordUsage(authenticated);
 
     const apiExpired = withUsage.filter(a =>
       a.usage?.error === 'HTTP 401' || a.usage?.error === 'HTTP 403'
@@ -711,10 +934,10 @@ async function cmdResume(resumeArgs) {
       const refreshed = await reauthExpiredAccounts(apiExpired);
       if (refreshed.length > 0) {
         const updatedAccounts = accounts.map(a => {
-          const creds = readCredentials(a.configDir);
-          return { ...a, token: creds.token };
+          const creds = readAccountCredentials(a);
+          return { ...a, token: creds.token, expiresAt: creds.expiresAt };
         }).filter(a => a.token);
-        const updatedUsage = await checkAllUsage(updatedAccounts);
+        const updatedUsage = await checkAndRecordUsage(updatedAccounts);
         for (const updated of updatedUsage) {
           const idx = withUsage.findIndex(a => a.name === updated.name);
           if (idx !== -1) withUsage[idx] = updated;
@@ -724,13 +947,17 @@ async function cmdResume(resumeArgs) {
     }
 
     const hasPriorities = withUsage.some(a => a.priority != null);
-    const best = pickBestAccount(withUsage, undefined, { usePriority: hasPriorities });
+    // Pick and lease in one locked step so runners starting together spread out
+    const best = leaseAccount(runnerId, leases =>
+      pickBestAccount(applyLastUsed(applyLeases(withUsage, leases)), undefined, { usePriority: hasPriorities, strategy, model: getModelArg(claudeArgs), currentAccount: null }));
 
     if (best) {
       selectedAccount = best.account;
+      selectionReason = best.reason;
       console.error(`[claude-nonstop] Selected "${selectedAccount.name}" (${best.reason})`);
     } else {
       selectedAccount = authenticated[0];
+      selectionReason = 'no account available, defaulted to first';
       console.error(`[claude-nonstop] Defaulting to "${selectedAccount.name}"`);
     }
   }
@@ -741,19 +968,32 @@ async function cmdResume(resumeArgs) {
     const result = migrateSessionByHash(found.account.configDir, selectedAccount.configDir, found.cwdHash, sessionId);
     if (!result.success) {
       console.error(`[claude-nonstop] Migration failed: ${result.error}`);
+      if (!accounts.some(a => a.name === found.account.name)) {
+        console.error(`Error: The session's account "${found.account.name}" is not allowed by ${describeRestriction(project)}.`);
+        process.exit(1);
+      }
       console.error(`[claude-nonstop] Falling back to source account "${found.account.name}"`);
       selectedAccount = found.account;
+      selectionReason = 'session migration failed, using source account';
     }
   }
 
-  await run(claudeArgs, selectedAccount, accounts, { remoteAccess });
+  const { preemptiveSwapThreshold, modelFallback, hotkeyPrefix, detachedSleep } = project.settings;
+  const { maxSwaps, continueMessage } = project.policy;
+  await run(claudeArgs, selectedAccount, accounts, { remoteAccess, record, preemptThreshold: preemptiveSwapThreshold, runnerId, selectionReason, modelFallback, hotkeyPrefix, detachedSleep, maxSwaps, continueMessage, strategy, group: project.group });
 }
 
 // ─── Use & Priority Commands ────────────────────────────────────────────────
 
 async function cmdUse(useArgs) {
+  const group = extractGroupFlag(useArgs);
   const flag = useArgs[0];
 
+  if (group && !['--best', '--strategy', '--priority'].includes(flag)) {
+    console.error('Error: --group only applies to use --best, --priority and --strategy.');
+    process.exit(1);
+  }
+
   // No args — show current active profile
   if (!flag) {
     const current = process.env.CLAUDE_CONFIG_DIR;
@@ -778,26 +1018,40 @@ async function cmdUse(useArgs) {
 
   // --best — pick lowest utilization (no priority)
   if (flag === '--best') {
-    const accounts = getAccounts();
-    const accountsWithCreds = accounts.map(a => {
-      const creds = readCredentials(a.configDir);
-      return { ...a, token: creds.token };
-    });
-    const authenticated = accountsWithCreds.filter(a => a.token);
+    const authenticated = usableAccounts(loadProjectPolicy(process.cwd(), group));
+    const withUsage = await checkAndRecordUsage(authenticated);
+    const best = pickBestAccount(withUsage);
 
-    if (authenticated.length === 0) {
-      console.error('Error: No authenticated accounts.');
+    if (!best) {
+      console.error('Error: No suitable accounts found.');
       process.exit(1);
     }
 
-    const withUsage = await checkAllUsage(authenticated);
-    const best = pickBestAccount(withUsage);
+    console.log(`export CLAUDE_CONFIG_DIR='${best.account.configDir}'`);
+    console.error(`Switched to "${best.account.name}" (${best.reason})`);
+    return;
+  }
+
+  // --strategy <name> — pick with a selection strategy (lib/strategies.js)
+  if (flag === '--strategy') {
+    const project = loadProjectPolicy(process.cwd(), group);
+    const strategy = resolveStrategy(project.settings.strategy, extractStrategyFlag(useArgs));
+    if (!strategy.name) {
+      console.error('Usage: claude-nonstop use --strategy <name>');
+      console.error(`Strategies: ${listStrategies().join(', ')}`);
+      process.exit(1);
+    }
+    const authenticated = usableAccounts(project);
+
+    const withUsage = applyLastUsed(applyLeases(await checkAndRecordUsage(authenticated)));
+    const best = pickBestAccount(withUsage, undefined, { strategy });
 
     if (!best) {
       console.error('Error: No suitable accounts found.');
       process.exit(1);
     }
 
+    recordSelection(best.account.name);
     console.log(`export CLAUDE_CONFIG_DIR='${best.account.configDir}'`);
     console.error(`Switched to "${best.account.name}" (${best.reason})`);
     return;
@@ -805,19 +1059,8 @@ async function cmdUse(useArgs) {
 
   // --priority — pick by priority hierarchy (98% threshold)
   if (flag === '--priority') {
-    const accounts = getAccounts();
-    const accountsWithCreds = accounts.map(a => {
-      const creds = readCredentials(a.configDir);
-      return { ...a, token: creds.token };
-    });
-    const authenticated = accountsWithCreds.filter(a => a.token);
-
-    if (authenticated.length === 0) {
-      console.error('Error: No authenticated accounts.');
-      process.exit(1);
-    }
-
-    const withUsage = await checkAllUsage(authenticated);
+    const authenticated = usableAccounts(loadProjectPolicy(process.cwd(), group));
+    const withUsage = await checkAndRecordUsage(authenticated);
     const best = pickByPriority(withUsage);
 
     if (!best) {
@@ -850,6 +1093,28 @@ async function cmdUse(useArgs) {
   console.error(`Switched to "${account.name}" (${account.configDir})`);
 }
 
+/**
+ * The authenticated accounts `use --best`, `--priority` and `--strategy` pick
+ * from: only those the project policy and --group allow, as for `run`. Exits
+ * when there are none.
+ *
+ * @param {{ accounts: Array<object>, restricted: boolean }} project - From loadProjectPolicy()
+ * @returns {Array<object>} Accounts with `token`
+ */
+function usableAccounts(project) {
+  const authenticated = project.accounts
+    .map(a => ({ ...a, token: readCredentials(a.configDir).token }))
+    .filter(a => a.token);
+
+  if (authenticated.length === 0) {
+    console.error(project.restricted
+      ? `Error: None of the accounts allowed by ${describeRestriction(project)} is authenticated.`
+      : 'Error: No authenticated accounts.');
+    process.exit(1);
+  }
+  return authenticated;
+}
+
 async function cmdSetPriority(priorityArgs) {
   const name = priorityArgs[0];
   const priorityStr = priorityArgs[1];
@@ -886,6 +1151,693 @@ async function cmdSetPriority(priorityArgs) {
   }
 }
 
+function cmdSetCapacity(capacityArgs) {
+  const [name, value] = capacityArgs;
+  if (!name || value === undefined) {
+    console.error('Usage: claude-nonstop set-capacity <account> <number>');
+    console.error('       claude-nonstop set-capacity <account> clear');
+    console.error('Example: claude-nonstop set-capacity team-max 20   (Max 20x = 20, Max 5x = 5, Pro = 1)');
+    process.exit(1);
+  }
+
+  try {
+    if (value === 'clear') {
+      clearAccountCapacity(name);
+      console.log(`Capacity cleared for "${name}".`);
+    } else {
+      setAccountCapacity(name, Number(value));
+      console.log(`Capacity for "${name}" set to ${Number(value)}. Used by the "weighted" strategy.`);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdTag(tagArgs) {
+  const [name, ...tags] = tagArgs;
+  if (!name || tags.length === 0) {
+    console.error('Usage: claude-nonstop tag <account> <tag> [<tag> ...]');
+    console.error('Example: claude-nonstop tag acme-max work client-acme');
+    process.exit(1);
+  }
+
+  try {
+    const all = tagAccount(name, tags);
+    console.log(`Tags for "${name}": ${all.join(', ')}.`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdUntag(tagArgs) {
+  const [name, ...tags] = tagArgs;
+  if (!name || tags.length === 0) {
+    console.error('Usage: claude-nonstop untag <account> <tag> [<tag> ...]');
+    process.exit(1);
+  }
+
+  try {
+    const remaining = untagAccount(name, tags);
+    console.log(remaining.length > 0 ? `Tags for "${name}": ${remaining.join(', ')}.` : `"${name}" has no tags.`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdSetCap(capArgs) {
+  const name = capArgs[0];
+  const usage = () => {
+    console.error('Usage: claude-nonstop set-cap <account> [--daily <usd>] [--monthly <usd>]');
+    console.error('       claude-nonstop set-cap <account> clear');
+    console.error('Example: claude-nonstop set-cap overflow --daily 20 --monthly 200');
+    process.exit(1);
+  };
+
+  if (!name || capArgs.length < 2) usage();
+
+  const caps = {};
+  if (capArgs[1] === 'clear') {
+    caps.daily = null;
+    caps.monthly = null;
+  } else {
+    for (let i = 1; i < capArgs.length; i++) {
+      const period = { '--daily': 'daily', '--monthly': 'monthly' }[capArgs[i]];
+      if (!period || i + 1 >= capArgs.length) usage();
+      const raw = capArgs[++i];
+      caps[period] = raw === 'none' ? null : parseFloat(raw.replace(/^\$/, ''));
+      if (Number.isNaN(caps[period])) {
+        console.error(`Error: invalid amount "${raw}" for --${period}.`);
+        process.exit(1);
+      }
+    }
+  }
+
+  try {
+    setAccountCaps(name, caps);
+    const account = getAccounts().find(a => a.name === name);
+    console.log(`Updated "${name}"${describeCaps(account.caps) || " (no caps)"}.`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdSetCeiling(ceilingArgs) {
+  const name = ceilingArgs[0];
+  const usage = () => {
+    console.error('Usage: claude-nonstop set-ceiling <account> [--session <percent>] [--weekly <percent>]');
+    console.error('       claude-nonstop set-ceiling <account> clear');
+    console.error('Example: claude-nonstop set-ceiling personal --weekly 70');
+    process.exit(1);
+  };
+
+  if (!name || ceilingArgs.length < 2) usage();
+
+  const ceilings = {};
+  if (ceilingArgs[1] === 'clear') {
+    ceilings.session = null;
+    ceilings.weekly = null;
+  } else {
+    for (let i = 1; i < ceilingArgs.length; i++) {
+      const window = { '--session': 'session', '--weekly': 'weekly' }[ceilingArgs[i]];
+      if (!window || i + 1 >= ceilingArgs.length) usage();
+      const raw = ceilingArgs[++i];
+      ceilings[window] = raw === 'none' ? null : parseFloat(raw.replace(/%$/, ''));
+      if (Number.isNaN(ceilings[window])) {
+        console.error(`Error: invalid percentage "${raw}" for --${window}.`);
+        process.exit(1);
+      }
+    }
+  }
+
+  try {
+    setAccountCeilings(name, ceilings);
+    const account = getAccounts().find(a => a.name === name);
+    console.log(`Updated "${name}"${describeCeilings(account.ceilings) || ' (no ceilings)'}.`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// ─── Recordings ─────────────────────────────────────────────────────────────
+
+function cmdRecordings(subArgs = []) {
+  const subcommand = subArgs[0];
+
+  switch (subcommand) {
+    case undefined:
+    case 'list': {
+      const recordings = listRecordings();
+      if (recordings.length === 0) {
+        console.log(`No recordings in ${RECORDINGS_DIR}.`);
+        console.log('Record a session with: claude-nonstop --record');
+        return;
+      }
+
+      console.log(`Recordings in ${RECORDINGS_DIR}:\n`);
+      for (const rec of recordings) {
+        const started = rec.startedAt.toLocaleString();
+        console.log(`  ${started}  run ${rec.runnerId}  ${rec.account.padEnd(12)} ${formatBytes(rec.size).padStart(8)}  ${rec.file}`);
+      }
+      console.log('\nPlay with: asciinema play <file>');
+      break;
+    }
+
+    case 'prune': {
+      const criteria = {};
+      for (let i = 1; i < subArgs.length; i++) {
+        if (subArgs[i] === '--older-than' && i + 1 < subArgs.length) {
+          criteria.olderThanMs = parseDurationArg(subArgs[++i]);
+          if (criteria.olderThanMs == null) {
+            console.error(`Error: Invalid duration "${subArgs[i]}". Use e.g. 30m, 12h, 7d, 2w.`);
+            process.exit(1);
+          }
+        } else if (subArgs[i] === '--keep' && i + 1 < subArgs.length) {
+          criteria.keep = parseInt(subArgs[++i], 10);
+          if (isNaN(criteria.keep) || criteria.keep < 0) {
+            console.error('Error: --keep must be a non-negative integer.');
+            process.exit(1);
+          }
+        } else {
+          console.error('Usage: claude-nonstop recordings prune [--older-than <duration>] [--keep <n>]');
+          process.exit(1);
+        }
+      }
+
+      // Default: drop recordings older than a week
+      if (criteria.olderThanMs == null && criteria.keep == null) {
+        criteria.olderThanMs = parseDurationArg('7d');
+      }
+
+      const removed = pruneRecordings(criteria);
+      const freed = removed.reduce((sum, rec) => sum + rec.size, 0);
+      console.log(`Removed ${removed.length} recording${removed.length === 1 ? '' : 's'} (${formatBytes(freed)}).`);
+      break;
+    }
+
+    default:
+      console.error(`Unknown recordings subcommand: ${subcommand}`);
+      console.error('Usage: claude-nonstop recordings [list|prune]');
+      process.exit(1);
+  }
+}
+
+// ─── History ────────────────────────────────────────────────────────────────
+
+function cmdHistory(historyArgs = []) {
+  const usage = 'Usage: claude-nonstop history [--account <name>] [--cwd <path>] [--session <id>] [--type <event>] [--since <when>] [--until <when>] [--limit <n>] [--json]';
+  const filters = {};
+  let json = false;
+  let limit = null;
+
+  for (let i = 0; i < historyArgs.length; i++) {
+    const flag = historyArgs[i];
+    const value = historyArgs[i + 1];
+
+    if (flag === '--json') {
+      json = true;
+      continue;
+    }
+    if (value === undefined) {
+      console.error(usage);
+      process.exit(1);
+    }
+    i++;
+
+    if (flag === '--account' || flag === '-a') {
+      filters.account = value;
+    } else if (flag === '--cwd') {
+      filters.cwd = value;
+    } else if (flag === '--session') {
+      filters.sessionId = value;
+    } else if (flag === '--type') {
+      if (!EVENT_TYPES.includes(value)) {
+        console.error(`Error: Unknown event type "${value}". Valid types: ${EVENT_TYPES.join(', ')}`);
+        process.exit(1);
+      }
+      filters.type = value;
+    } else if (flag === '--since' || flag === '--until') {
+      const date = parseDateArg(value);
+      if (!date) {
+        console.error(`Error: Invalid ${flag} value "${value}". Use a duration (e.g. 12h, 7d) or a date (e.g. 2025-06-01).`);
+        process.exit(1);
+      }
+      filters[flag.slice(2)] = date;
+    } else if (flag === '--limit') {
+      limit = parseInt(value, 10);
+      if (isNaN(limit) || limit < 1) {
+        console.error('Error: --limit must be a positive integer.');
+        process.exit(1);
+      }
+    } else {
+      console.error(usage);
+      process.exit(1);
+    }
+  }
+
+  let events = readEvents(filters);
+  if (limit != null) events = events.slice(-limit);
+
+  if (json) {
+    console.log(JSON.stringify(events, null, 2));
+    return;
+  }
+
+  if (events.length === 0) {
+    console.log(`No matching events in ${EVENTS_FILE}.`);
+    return;
+  }
+
+  for (const event of events) {
+    const time = new Date(event.ts).toLocaleString();
+    const session = event.sessionId ? event.sessionId.slice(0, 8) : '-';
+    console.log(`  ${time}  ${event.type.padEnd(16)} ${String(event.account ?? '-').padEnd(12)} ${session.padEnd(8)}  ${describeEvent(event)}`);
+  }
+
+  const summary = summarizeDetections(events);
+  if (summary.size > 0) {
+    console.log('\nDetections by account:');
+    for (const [account, byCategory] of summary) {
+      const counts = [...byCategory].map(([category, count]) => `${category} ${count}`).join(', ');
+      console.log(`  ${account.padEnd(12)} ${counts}`);
+    }
+  }
+}
+
+/** One-line summary of the type-specific fields of a history event. */
+function describeEvent(event) {
+  switch (event.type) {
+    case 'start':
+      return event.mode ?? '';
+    case 'account-selected':
+      return event.from ? `from "${event.from}" (swap ${event.swap}): ${event.reason ?? ''}` : (event.reason ?? '');
+    case 'detection':
+      return `${event.category} -> ${event.action}${event.resetTime ? `, resets ${event.resetTime}` : ''}`;
+    case 'preempt':
+      return `usage crossed ${event.threshold}%`;
+    case 'manual-swap':
+      return `${event.to ? `to "${event.to}"` : 'to best account'} (${event.via ?? 'hotkey'})`;
+    case 'retry':
+      return `attempt ${event.attempt}, after ${Math.round(event.backoffMs / 1000)}s`;
+    case 'reauth':
+      return event.success ? 'credentials refreshed' : 'refresh failed';
+    case 'model-fallback':
+      return `${event.from ?? 'default'} -> ${event.to}`;
+    case 'migration':
+      return event.success ? `to "${event.to}"` : `to "${event.to}" failed: ${event.error}`;
+    case 'sleep':
+      return `${event.detached ? 'detached, resume scheduled ' : ''}until ${new Date(event.until).toLocaleString()}`;
+    case 'wake':
+      if (event.interrupted) return event.action === 'quit' ? 'quit' : 'interrupted';
+      return `${event.action && event.action !== 'timeout' ? `${event.action}, ` : ''}best: ${event.best ?? 'none'}`;
+    case 'exit':
+      return `code ${event.exitCode}${event.reason ? ` (${event.reason})` : ''}`;
+    default:
+      return '';
+  }
+}
+
+// ─── Ps (live runners) ──────────────────────────────────────────────────────
+
+async function cmdPs(psArgs = []) {
+  const json = psArgs.includes('--json');
+  if (psArgs.some(a => a !== '--json')) {
+    console.error('Usage: claude-nonstop ps [--json]');
+    process.exit(1);
+  }
+
+  const runners = await listRunners();
+
+  if (json) {
+    console.log(JSON.stringify(runners, null, 2));
+    return;
+  }
+
+  if (runners.length === 0) {
+    console.log('No claude-nonstop runs are active.');
+    return;
+  }
+
+  console.log(`  ${'RUNNER'.padEnd(8)}  ${'PID'.padEnd(7)} ${'ACCOUNT'.padEnd(12)} ${'STATUS'.padEnd(18)} ${'SWAPS'.padEnd(6)} ${'SESSION'.padEnd(8)}  CWD`);
+  for (const runner of runners) {
+    const status = runner.status === 'sleeping'
+      ? `sleeping ${new Date(runner.sleepingUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : runner.status + (runner.autoSwap === false ? ' (manual)' : '');
+    const session = runner.sessionId ? runner.sessionId.slice(0, 8) : '-';
+    console.log(`  ${runner.runnerId.slice(0, 8)}  ${String(runner.pid).padEnd(7)} ${String(runner.account).padEnd(12)} ${status.padEnd(18)} ${`${runner.swapCount}/${runner.maxSwaps}`.padEnd(6)} ${session.padEnd(8)}  ${runner.cwd}`);
+  }
+}
+
+// ─── Scheduled Resumes ──────────────────────────────────────────────────────
+
+async function cmdScheduler(subArgs = []) {
+  const subcommand = subArgs[0];
+  const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+  switch (subcommand) {
+    case undefined:
+    case '--once': {
+      if (subcommand === '--once') {
+        fireDueResumes({ log });
+        return;
+      }
+      const started = await runScheduler({ log });
+      if (!started) console.error('A scheduler is already running.');
+      break;
+    }
+
+    case 'list': {
+      const entries = loadSchedule();
+      if (subArgs.includes('--json')) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+      if (entries.length === 0) {
+        console.log('No scheduled resumes.');
+        return;
+      }
+      console.log(`  ${'ID'.padEnd(8)}  ${'RESUME AT'.padEnd(20)} ${'SESSION'.padEnd(8)}  ${'TMUX'.padEnd(24)} CWD`);
+      for (const entry of entries) {
+        const resumeAt = new Date(entry.resumeAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        console.log(`  ${entry.id.slice(0, 8)}  ${resumeAt.padEnd(20)} ${entry.sessionId.slice(0, 8)}  ${String(entry.tmuxSession ?? '-').padEnd(24)} ${entry.cwd}`);
+      }
+      break;
+    }
+
+    case 'cancel': {
+      if (!subArgs[1]) {
+        console.error('Usage: claude-nonstop scheduler cancel <id|session-id>');
+        process.exit(1);
+      }
+      const removed = cancelScheduled(subArgs[1]);
+      if (!removed) {
+        console.error(`Error: No single scheduled resume matches "${subArgs[1]}".`);
+        process.exit(1);
+      }
+      console.log(`Cancelled the resume of session ${removed.sessionId}.`);
+      break;
+    }
+
+    default:
+      console.error('Usage: claude-nonstop scheduler [--once | list [--json] | cancel <id>]');
+      process.exit(1);
+  }
+}
+
+// ─── Prompt Queue ───────────────────────────────────────────────────────────
+
+async function cmdQueue(subArgs = []) {
+  const subcommand = subArgs[0];
+
+  switch (subcommand) {
+    case 'add': {
+      const separatorIdx = subArgs.indexOf('--');
+      const claudeArgs = separatorIdx === -1 ? [] : subArgs.splice(separatorIdx).slice(1);
+      let prompt = null;
+      let cwd = process.cwd();
+      let account = null;
+      for (let i = 1; i < subArgs.length; i++) {
+        if (subArgs[i] === '--cwd' && i + 1 < subArgs.length) {
+          cwd = resolve(subArgs[++i]);
+        } else if ((subArgs[i] === '--account' || subArgs[i] === '-a') && i + 1 < subArgs.length) {
+          account = subArgs[++i];
+        } else if (!subArgs[i].startsWith('-') && prompt === null) {
+          prompt = subArgs[i];
+        } else {
+          console.error(QUEUE_USAGE);
+          process.exit(1);
+        }
+      }
+
+      if (!prompt?.trim()) {
+        console.error(QUEUE_USAGE);
+        process.exit(1);
+      }
+      if (!existsSync(cwd) || !statSync(cwd).isDirectory()) {
+        console.error(`Error: Directory "${cwd}" does not exist.`);
+        process.exit(1);
+      }
+      if (account && !getAccounts().some(a => a.name === account)) {
+        console.error(`Error: Account "${account}" not found.`);
+        process.exit(1);
+      }
+      if (hasOption(claudeArgs, '--print') || hasOption(claudeArgs, '--resume') || hasOption(claudeArgs, '--continue')) {
+        console.error('Error: Queued jobs always run with -p as new sessions; leave out -p, --resume and --continue.');
+        process.exit(1);
+      }
+
+      const job = addJob({ prompt, cwd, account, args: claudeArgs });
+      const position = loadQueue().filter(j => j.status === 'queued').length;
+      console.log(`Queued job ${job.id.slice(0, 8)} (${position} waiting). Run the queue with: claude-nonstop queue run`);
+      break;
+    }
+
+    case undefined:
+    case 'list': {
+      const jobs = loadQueue();
+      if (subArgs.includes('--json')) {
+        console.log(JSON.stringify(jobs, null, 2));
+        return;
+      }
+      if (jobs.length === 0) {
+        console.log('The queue is empty. Add a job with: claude-nonstop queue add "<prompt>"');
+        return;
+      }
+      console.log(`  ${'ID'.padEnd(8)}  ${'STATUS'.padEnd(10)} ${'ACCOUNT'.padEnd(12)} ${'PROMPT'.padEnd(40)} CWD`);
+      for (const job of jobs) {
+        const status = job.status === 'failed' ? `failed (${job.exitCode})` : job.status;
+        const prompt = job.prompt.replace(/\s+/g, ' ');
+        const excerpt = prompt.length > 40 ? `${prompt.slice(0, 37)}...` : prompt;
+        console.log(`  ${job.id.slice(0, 8)}  ${status.padEnd(10)} ${String(job.account ?? 'best').padEnd(12)} ${excerpt.padEnd(40)} ${job.cwd}`);
+      }
+      const finished = jobs.filter(j => j.status === 'done' || j.status === 'failed');
+      if (finished.length > 0) {
+        console.log(`\nOutput of finished jobs: ${dirname(jobOutputPath(finished[0].id))}/<id>.out`);
+      }
+      break;
+    }
+
+    case 'cancel': {
+      if (!subArgs[1]) {
+        console.error('Usage: claude-nonstop queue cancel <id>');
+        process.exit(1);
+      }
+      const { job, error } = cancelJob(subArgs[1]);
+      if (!job) {
+        console.error(`Error: ${error}.`);
+        process.exit(1);
+      }
+      console.log(`Cancelled job ${job.id.slice(0, 8)}.`);
+      break;
+    }
+
+    case 'clear': {
+      const removed = clearFinishedJobs();
+      console.log(`Removed ${removed.length} finished job${removed.length === 1 ? '' : 's'}.`);
+      break;
+    }
+
+    case 'run': {
+      const config = loadConfig();
+      if (config.accounts.length === 0) {
+        console.error('No accounts registered. Run "claude-nonstop add <name>" first.');
+        process.exit(1);
+      }
+      const log = (message) => console.error(`[claude-nonstop] ${message}`);
+
+      const summary = await drainQueue(async (job) => {
+        if (!existsSync(job.cwd)) throw new Error(`Directory ${job.cwd} no longer exists`);
+
+        // Each job follows the project policy of its own directory
+        const { path: policyPath, policy, errors } = loadPolicy(job.cwd, config);
+        for (const err of errors) log(`Warning: ${err}`);
+        const { accounts } = filterAllowedAccounts(config.accounts, policy);
+        if (accounts.length === 0) throw new Error(`None of the accounts allowed by ${policyPath} are registered`);
+        if (job.account && isRestricted(policy) && !accounts.some(a => a.name === job.account)) {
+          throw new Error(`Account "${job.account}" is not allowed by ${policyPath}`);
+        }
+        const { modelFallback, strategy } = getRunnerSettings({ ...config, ...policy.settings });
+        const claudeArgs = ['-p', ...applyPolicyArgs(policy.claudeArgs, job.args)];
+        const runnerId = createRunnerId();
+
+        const selection = await waitForAccount(job, accounts, { runnerId, model: getModelArg(claudeArgs), strategy, log });
+        if (!selection) return INTERRUPTED_EXIT_CODE;
+        if (selection.error) throw new Error(selection.error);
+        log(`Running job ${job.id.slice(0, 8)} on "${selection.account.name}" (${selection.reason})`);
+
+        const outputPath = jobOutputPath(job.id);
+        mkdirSync(dirname(outputPath), { recursive: true, mode: 0o700 });
+        const output = createWriteStream(outputPath, { mode: 0o600 });
+        try {
+          return await runHeadless(claudeArgs, selection.account, accounts, {
+            cwd: job.cwd,
+            output,
+            input: job.prompt,
+            runnerId,
+            selectionReason: selection.reason,
+            modelFallback,
+            maxSwaps: policy.maxSwaps,
+            continueMessage: policy.continueMessage,
+            strategy,
+          });
+        } finally {
+          await new Promise(r => output.end(r));
+        }
+      }, { log });
+
+      log(`${summary.interrupted ? 'Queue stopped' : 'Queue drained'}: ${summary.done} done, ${summary.failed} failed.`);
+      if (summary.interrupted) process.exitCode = INTERRUPTED_EXIT_CODE;
+      else if (summary.failed > 0) process.exitCode = 1;
+      break;
+    }
+
+    default:
+      console.error(QUEUE_USAGE);
+      process.exit(1);
+  }
+}
+
+// ─── Parallel Fan-Out ───────────────────────────────────────────────────────
+
+async function cmdParallel(parallelArgs = []) {
+  if (parallelArgs[0] === 'status') {
+    const runInfo = loadRun(parallelArgs[1] ?? null);
+    if (!runInfo) {
+      console.error(parallelArgs[1] ? `Error: No single parallel run matches "${parallelArgs[1]}".` : 'No parallel runs yet.');
+      process.exit(1);
+    }
+    printParallelStatus(runInfo, readTaskStatus(runInfo));
+    return;
+  }
+
+  const separatorIdx = parallelArgs.indexOf('--');
+  const claudeArgs = separatorIdx === -1 ? [] : parallelArgs.splice(separatorIdx).slice(1);
+  const prompts = [];
+  const dirs = [];
+  let wait = true;
+  for (let i = 0; i < parallelArgs.length; i++) {
+    if (parallelArgs[i] === '--dir' && i + 1 < parallelArgs.length) {
+      dirs.push(parallelArgs[++i]);
+    } else if (parallelArgs[i] === '--no-wait') {
+      wait = false;
+    } else if (!parallelArgs[i].startsWith('-')) {
+      prompts.push(parallelArgs[i]);
+    } else {
+      console.error(PARALLEL_USAGE);
+      process.exit(1);
+    }
+  }
+  if (hasOption(claudeArgs, '--print') || hasOption(claudeArgs, '--resume') || hasOption(claudeArgs, '--continue')) {
+    console.error('Error: Parallel tasks always run with -p as new sessions; leave out -p, --resume and --continue.');
+    process.exit(1);
+  }
+
+  const runId = createRunId();
+  let tasks;
+  try {
+    tasks = planTasks({ prompts, dirs, repo: dirs.length === 0 ? findRepoRoot(process.cwd()) : null, runId });
+  } catch (err) {
+    console.error(`Error: ${err.message}.`);
+    console.error(PARALLEL_USAGE);
+    process.exit(1);
+  }
+  const missing = tasks.find(t => !t.worktree && !existsSync(t.cwd));
+  if (missing) {
+    console.error(`Error: Directory "${missing.cwd}" does not exist.`);
+    process.exit(1);
+  }
+
+  const accounts = getAccounts();
+  if (accounts.length === 0) {
+    console.error('No accounts registered. Run "claude-nonstop add <name>" first.');
+    process.exit(1);
+  }
+
+  // Tasks only get accounts their project policy allows; a worktree carries
+  // the policy file of the repo it was made from when the file is committed
+  const config = loadConfig();
+  const allowed = tasks.map((task) => {
+    const { path: policyPath, policy, errors } = loadPolicy(task.worktree ? task.worktree.repo : task.cwd, config);
+    for (const err of errors) console.error(`[claude-nonstop] Warning: ${err}`);
+    if (!isRestricted(policy)) return null;
+    const allowedAccounts = filterAllowedAccounts(accounts, policy).accounts;
+    if (allowedAccounts.length === 0) {
+      console.error(`Error: None of the accounts allowed by ${policyPath} (task ${task.index}) are registered.`);
+      process.exit(1);
+    }
+    return allowedAccounts.map(a => a.name);
+  });
+
+  // Spread the tasks over the accounts by headroom before any of them starts
+  console.error('[claude-nonstop] Checking usage across accounts...');
+  const picks = assignAccounts(await checkAccounts(accounts), tasks.length, { model: getModelArg(claudeArgs), allowed });
+  tasks = tasks.map((task, i) => ({ ...task, account: picks[i]?.account.name ?? null, reason: picks[i]?.reason ?? null }));
+
+  for (const task of tasks.filter(t => t.worktree)) {
+    try {
+      createWorktree(task);
+      console.error(`[claude-nonstop] Created worktree ${task.cwd} (branch ${task.worktree.branch})`);
+    } catch (err) {
+      console.error(`Error: Could not create a worktree for task ${task.index}: ${err.stderr?.toString().trim() || err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const { isInsideTmux, getCurrentTmuxSession } = await import('../lib/tmux.js');
+  const runInfo = { runId, createdAt: new Date().toISOString(), claudeArgs, tasks, tmuxSession: isInsideTmux() ? getCurrentTmuxSession() : null };
+  try {
+    runInfo.tmuxSession = launchTasks(runInfo);
+  } catch (err) {
+    console.error(`Error: Could not open tmux windows: ${err.stderr?.toString().trim() || err.message}`);
+    process.exit(1);
+  }
+  saveRun(runInfo);
+
+  console.log(`Started ${tasks.length} task${tasks.length === 1 ? '' : 's'} (run ${runId.slice(0, 8)}) in tmux session "${runInfo.tmuxSession}".`);
+  if (!isInsideTmux()) console.log(`Watch them with: tmux attach -t ${runInfo.tmuxSession}`);
+  if (!wait) {
+    console.log(`Check on them with: claude-nonstop parallel status ${runId.slice(0, 8)}`);
+    return;
+  }
+
+  let shown = null;
+  for (;;) {
+    const status = readTaskStatus(runInfo);
+    const key = status.map(t => t.exitCode).join(',');
+    if (key !== shown) {
+      console.log('');
+      printParallelStatus(runInfo, status);
+      shown = key;
+    }
+    if (status.every(t => t.exitCode !== null)) {
+      process.exitCode = status.every(t => t.exitCode === 0) ? 0 : 1;
+      return;
+    }
+    const { interrupted } = await sleep(PARALLEL_POLL_MS);
+    if (interrupted) {
+      console.log(`\nStopped waiting; the tasks keep running. Check on them with: claude-nonstop parallel status ${runId.slice(0, 8)}`);
+      process.exitCode = 130;
+      return;
+    }
+  }
+}
+
+function printParallelStatus(runInfo, tasks) {
+  const done = tasks.filter(t => t.exitCode !== null).length;
+  console.log(`Run ${runInfo.runId.slice(0, 8)} — ${done}/${tasks.length} finished (tmux session "${runInfo.tmuxSession}")`);
+  console.log(`  ${'TASK'.padEnd(5)} ${'ACCOUNT'.padEnd(12)} ${'STATUS'.padEnd(9)} ${'PROMPT'.padEnd(32)} CWD`);
+  for (const task of tasks) {
+    const status = task.exitCode === null ? 'running' : task.exitCode === 0 ? 'done' : `exit ${task.exitCode}`;
+    const prompt = task.prompt.replace(/\s+/g, ' ');
+    const excerpt = prompt.length > 32 ? `${prompt.slice(0, 29)}...` : prompt;
+    console.log(`  ${String(task.index).padEnd(5)} ${String(task.account ?? 'auto').padEnd(12)} ${status.padEnd(9)} ${excerpt.padEnd(32)} ${task.cwd}`);
+  }
+}
+
 // ─── Init (shell integration) ───────────────────────────────────────────────
 
 function cmdInit(shell) {
@@ -1561,23 +2513,182 @@ function parseSetupFlags(args) {
 }
 
 /**
- * Extract --account <name> or -a <name> from args array.
- * Splices the flag and value out of the array in-place.
+ * Load the project policy for cwd (.claude-nonstop.json, see lib/policy.js),
+ * print its warnings, and apply it: only allowed accounts, and runner
+ * settings merged over the global config. A --group limits the accounts
+ * further to those with that tag. Exits if no registered account is left.
+ *
+ * @param {string} [cwd]
+ * @param {string|null} [group] - From --group
+ * @returns {{ path: string|null, policy: object, accounts: Array<object>, group: string|null, restricted: boolean, settings: object }}
+ *   `restricted` is set when the policy or the group limits the accounts
+ */
+function loadProjectPolicy(cwd = process.cwd(), group = null) {
+  const config = loadConfig();
+  const { path, policy, errors } = loadPolicy(cwd, config);
+  for (const err of errors) {
+    console.error(`[claude-nonstop] Warning: ${err}`);
+  }
+
+  let { accounts, unknown } = filterAllowedAccounts(config.accounts, policy);
+  if (unknown.length > 0) {
+    console.error(`[claude-nonstop] Warning: ${path} allows unregistered account${unknown.length === 1 ? '' : 's'} ${unknown.map(n => `"${n}"`).join(', ')}`);
+  }
+  for (const tag of policy.groups ?? []) {
+    if (!config.accounts.some(a => hasTag(a, tag))) {
+      console.error(`[claude-nonstop] Warning: ${path} allows group "${tag}", but no account is tagged "${tag}"`);
+    }
+  }
+  if (isRestricted(policy)) {
+    if (accounts.length === 0) {
+      console.error(`Error: None of the accounts allowed by ${path} are registered.`);
+      process.exit(1);
+    }
+    console.error(`[claude-nonstop] Project policy ${path}: accounts ${accounts.map(a => `"${a.name}"`).join(', ')}`);
+  }
+
+  if (group) {
+    accounts = accounts.filter(a => hasTag(a, group));
+    if (accounts.length === 0) {
+      console.error(`Error: No ${isRestricted(policy) ? `account allowed by ${path}` : 'registered account'} is tagged "${group}".`);
+      console.error(`Tag one with "claude-nonstop tag <account> ${group}".`);
+      process.exit(1);
+    }
+    console.error(`[claude-nonstop] Group "${group}": accounts ${accounts.map(a => `"${a.name}"`).join(', ')}`);
+  }
+
+  return { path, policy, accounts, group, restricted: isRestricted(policy) || !!group, settings: getRunnerSettings({ ...config, ...policy.settings }) };
+}
+
+/** Exit if a requested --account is not allowed by the project policy or --group. */
+function checkAccountAllowed(name, project) {
+  if (!name || !project.restricted || project.accounts.some(a => a.name === name)) return;
+  console.error(`Error: Account "${name}" is not allowed by ${describeRestriction(project)}.`);
+  console.error(`Allowed accounts: ${project.accounts.map(a => a.name).join(', ')}`);
+  process.exit(1);
+}
+
+/** "/repo/.claude-nonstop.json and group "work"" — what limits a project's accounts. */
+function describeRestriction(project) {
+  return [isRestricted(project.policy) && project.path, project.group && `group "${project.group}"`].filter(Boolean).join(' and ');
+}
+
+/**
+ * Extract `--group <tag>` from args (consumed, not passed to claude).
+ *
+ * @returns {string|null}
+ */
+function extractGroupFlag(args) {
+  const option = findOption(args, '--group', [[['--group'], 'required']]);
+  if (!option) return null;
+
+  const tag = option.values[0];
+  if (!tag || tag.startsWith('-')) {
+    console.error('Error: --group requires a tag name.');
+    process.exit(1);
+  }
+  args.splice(option.start, option.end - option.start);
+  return tag;
+}
+
+/**
+ * Extract `--strategy <name>` from args (consumed, not passed to claude).
+ * Exits on an unknown strategy.
+ *
+ * @returns {string|null}
+ */
+function extractStrategyFlag(args) {
+  const option = findOption(args, '--strategy', [[['--strategy'], 'required']]);
+  if (!option) return null;
+
+  const name = option.values[0];
+  if (!getStrategy(name)) {
+    console.error(`Error: ${name ? `Unknown strategy "${name}"` : '--strategy requires a strategy name'}.`);
+    console.error(`Strategies: ${listStrategies().join(', ')}`);
+    process.exit(1);
+  }
+  args.splice(option.start, option.end - option.start);
+  return name;
+}
+
+/**
+ * The selection strategy to run with: the --strategy flag, else the
+ * configured one. An unknown configured name is reported and ignored.
+ *
+ * @param {{ name: string|null, stickyThreshold: number|null }} configured - From getRunnerSettings()
+ * @param {string|null} flagName
+ * @returns {{ name: string|null, stickyThreshold: number|null }}
+ */
+function resolveStrategy(configured, flagName) {
+  if (flagName) return { ...configured, name: flagName };
+  if (configured.name && !getStrategy(configured.name)) {
+    console.error(`[claude-nonstop] Warning: ignoring unknown strategy "${configured.name}" (strategies: ${listStrategies().join(', ')})`);
+    return { ...configured, name: null };
+  }
+  return configured;
+}
+
+/**
+ * Check usage for accounts that already carry their tokens, record it in the
+ * usage history and annotate cooldowns and burn-rate forecasts — what
+ * checkAccounts (lib/runner.js) does for a running session. Leases and last
+ * use are left to the caller, which applies them under the lease lock.
+ *
+ * @param {Array<{ name: string, token: string }>} accounts
+ * @returns {Promise<Array<object>>}
+ */
+async function checkAndRecordUsage(accounts) {
+  const withUsage = await checkAllUsage(accounts);
+  recordUsageSamples(withUsage);
+  return applyForecasts(applyCooldowns(withUsage));
+}
+
+/**
+ * Extract --account <name> (or -a <name>, --account=<name>) from args array.
+ * Splices the flag and value out of the array in-place. Args are read with
+ * Claude's argument model, so a value of a Claude flag or anything after
+ * `--` is never taken for the flag.
  * Returns the account name string, or null if not specified.
  */
 function extractAccountFlag(args) {
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--account' || args[i] === '-a') {
-      if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
-        console.error(`Error: ${args[i]} requires an account name.`);
-        process.exit(1);
-      }
-      const name = args[i + 1];
-      args.splice(i, 2);
-      return name;
-    }
+  const option = findOption(args, '--account', [[['--account', '-a'], 'required']]);
+  if (!option) return null;
+
+  const name = option.values[0];
+  if (!name || name.startsWith('-')) {
+    console.error(`Error: ${args[option.start].split('=')[0]} requires an account name.`);
+    process.exit(1);
   }
-  return null;
+  args.splice(option.start, option.end - option.start);
+  return name;
+}
+
+/**
+ * Parse a duration argument like "30m", "12h", "7d" or "2w" into milliseconds.
+ * Returns null if the value isn't a valid duration.
+ */
+function parseDurationArg(value) {
+  const match = /^(\d+)\s*(s|m|h|d|w)$/i.exec(String(value).trim());
+  if (!match) return null;
+  const unitMs = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+  return Number(match[1]) * unitMs[match[2].toLowerCase()];
+}
+
+/**
+ * Parse a point in time: a duration ago ("7d") or an absolute date
+ * ("2025-06-01", "2025-06-01T12:00"). Returns null if neither.
+ */
+function parseDateArg(value, now = Date.now()) {
+  const durationMs = parseDurationArg(value);
+  if (durationMs != null) return new Date(now - durationMs);
+  const ts = Date.parse(value);
+  return isNaN(ts) ? null : new Date(ts);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 function printHelp() {
@@ -1593,6 +2704,8 @@ Usage:
 Commands:
   status               Show usage with progress bars and reset times
   add <name>           Add a new Claude account
+  add <name> --api-key Add an API-key overflow account (used when all others are exhausted)
+                         --tag <tag>  Put the account in a group (repeatable)
   remove <name>        Remove an account
   list                 List accounts with auth status
   reauth               Re-authenticate expired accounts
@@ -1603,9 +2716,34 @@ Commands:
                          use <name>       Explicit account
                          use --best       Lowest utilization (ignores priority)
                          use --priority   Highest priority under 98% usage
+                         use --strategy <name>  Pick with a selection strategy
                          use --unset      Revert to default ~/.claude
                          use              Show current active account
+                         --best, --priority and --strategy keep to the project
+                         policy's accounts; --group <tag> to a group
   set-priority <name> <n>  Set account priority (1 = highest). Use "clear" to remove.
+  set-capacity <name> <n>  Plan capacity for the weighted strategy (Max 20x = 20, Pro = 1), or "clear"
+  set-cap <name>       Spending caps for an API-key account, in USD
+                         --daily <usd>  --monthly <usd>  (or "clear")
+  set-ceiling <name>   Usage ceilings: treat an account as exhausted at a share of a window
+                         --session <percent>  --weekly <percent>  (or "clear")
+  tag <name> <tag...>  Put an account in groups (e.g. work, personal, client-acme)
+  untag <name> <tag...>  Take an account out of groups
+  recordings [list]    List session recordings (see --record)
+  recordings prune     Delete recordings [--older-than 7d] [--keep <n>]
+  history              Runner event log (swaps, detections, sleeps, exits)
+                         --account <name>  --cwd <path>  --session <id>
+                         --type <event>    --since <7d|date>  --until <date>
+                         --limit <n>       --json
+  ps [--json]          List running claude-nonstop sessions (control sockets)
+  scheduler list       Sessions waiting for a reset (remote mode) [--json]
+  queue add "<prompt>" Queue a print-mode job [--cwd <dir>] [--account <name>] [-- <claude args>]
+  queue run            Run queued jobs, waiting for resets when all accounts are exhausted
+  queue list|cancel|clear  Show, drop or clean up queued jobs
+  parallel "<prompt>" ...  Fan prompts out over git worktrees (or --dir <dir> ...),
+                         one tmux window and account each; waits and reports exit codes
+  parallel status [id] Status table of a parallel run
+  scheduler cancel <id>  Drop a scheduled resume
   setup                Configure Slack remote access
   webhook              Webhook service management
   hooks                Hook management
@@ -1614,13 +2752,39 @@ Commands:
 
 Options:
   -a, --account <name>    Use a specific account
+  --group <tag>           Only use accounts tagged <tag>, swaps included
   --remote-access         Run in tmux with Slack channels
+  --record                Record the terminal session (asciicast v2)
+  --strategy <name>       Account selection strategy: lowest-utilization, priority,
+                          round-robin, least-recently-used, drain-first, weighted, sticky,
+                          reset-aware, longest-runway
 
 All other arguments are passed through to \`claude\`.
 Run \`setup --help\`, \`webhook\`, or \`hooks\` for subcommand details.
 `.trim());
 }
 
+/** " (ceilings: 5-hour 80%, 7-day 70%)" */
+function describeCeilings(ceilings) {
+  const parts = [];
+  if (ceilings?.session) parts.push(`5-hour ${ceilings.session}%`);
+  if (ceilings?.weekly) parts.push(`7-day ${ceilings.weekly}%`);
+  return parts.length > 0 ? ` (ceilings: ${parts.join(', ')})` : '';
+}
+
+/** " [work, client-acme]" */
+function formatTags(tags) {
+  return tags?.length ? ` [${tags.join(', ')}]` : '';
+}
+
+/** " (caps: $20.00/day, $200.00/month)" */
+function describeCaps(caps) {
+  const parts = [];
+  if (caps?.daily) parts.push(`$${caps.daily.toFixed(2)}/day`);
+  if (caps?.monthly) parts.push(`$${caps.monthly.toFixed(2)}/month`);
+  return parts.length > 0 ? ` (caps: ${parts.join(', ')})` : '';
+}
+
 function formatUserInfo({ name, email }) {
   if (name && email) return ` (${name} — ${email})`;
   if (name) return ` (${name})`;
@@ -0,0 +1,249 @@
+/**
+ * Claude CLI argument model — which flags take values, and how many.
+ *
+ * The runner rewrites Claude's arguments on every swap (new `--resume`, the
+ * prompt replaced by a continuation message, a fallback `--model`). Doing
+ * that on raw arrays dropped the values of flags it didn't know about, or
+ * kept them as positional prompts. Args are parsed the way Claude's own
+ * parser (commander) reads them:
+ *
+ *   none       --verbose                  flag only
+ *   required   --model opus               always takes the next arg, even one starting with "-"
+ *   optional   --resume [id]              takes the next arg unless it starts with "-"
+ *   variadic   --add-dir a b              takes every following arg up to the next flag
+ *
+ * `--flag=value` works for all of them. Flags may repeat; the last value of a
+ * single-value flag wins. Everything after `--` is positional.
+ *
+ * Unknown flags are kept as written. A non-flag arg right after one is
+ * treated as its value unless it is the last arg, which is taken as the
+ * prompt — so stripping the prompt never drops an option's value, and a
+ * trailing prompt is never resent.
+ */
+
+/** Known Claude CLI flags: [names, arity]. The first name is canonical. */
+const CLAUDE_FLAGS = [
+  [['--print', '-p'], 'none'],
+  [['--verbose'], 'none'],
+  [['--continue', '-c'], 'none'],
+  [['--fork-session'], 'none'],
+  [['--dangerously-skip-permissions'], 'none'],
+  [['--allow-dangerously-skip-permissions'], 'none'],
+  [['--strict-mcp-config'], 'none'],
+  [['--include-partial-messages'], 'none'],
+  [['--replay-user-messages'], 'none'],
+  [['--mcp-debug'], 'none'],
+  [['--ide'], 'none'],
+  [['--disable-slash-commands'], 'none'],
+  [['--version', '-v'], 'none'],
+  [['--help', '-h'], 'none'],
+  [['--resume', '-r'], 'optional'],
+  [['--debug', '-d'], 'optional'],
+  [['--model', '-m'], 'required'],
+  [['--fallback-model'], 'required'],
+  [['--output-format'], 'required'],
+  [['--input-format'], 'required'],
+  [['--json-schema'], 'required'],
+  [['--max-turns'], 'required'],
+  [['--max-budget-usd'], 'required'],
+  [['--system-prompt'], 'required'],
+  [['--system-prompt-file'], 'required'],
+  [['--append-system-prompt'], 'required'],
+  [['--permission-mode'], 'required'],
+  [['--permission-prompt-tool'], 'required'],
+  [['--settings'], 'required'],
+  [['--setting-sources'], 'required'],
+  [['--session-id'], 'required'],
+  [['--agent'], 'required'],
+  [['--agents'], 'required'],
+  [['--plugin-dir'], 'required'],
+  [['--allowedTools', '--allowed-tools'], 'variadic'],
+  [['--disallowedTools', '--disallowed-tools'], 'variadic'],
+  [['--tools'], 'variadic'],
+  [['--mcp-config'], 'variadic'],
+  [['--add-dir'], 'variadic'],
+  [['--betas'], 'variadic'],
+  [['--file'], 'variadic'],
+];
+
+/** Flags that conflict with resuming a specific session and are dropped on a swap. */
+const RESUME_CONFLICTS = ['--resume', '--continue', '--session-id', '--fork-session'];
+
+/**
+ * Build a flag lookup: name -> { flag (canonical name), arity }.
+ *
+ * @param {Array<[string[], string]>} specs
+ * @returns {Map<string, { flag: string, arity: string }>}
+ */
+function buildSchema(specs) {
+  const schema = new Map();
+  for (const [names, arity] of specs) {
+    for (const name of names) schema.set(name, { flag: names[0], arity });
+  }
+  return schema;
+}
+
+const CLAUDE_SCHEMA = buildSchema(CLAUDE_FLAGS);
+
+function isFlag(arg) {
+  return arg.length > 1 && arg.startsWith('-') && arg !== '--';
+}
+
+/**
+ * Parse claude args into options and positionals.
+ *
+ * Every entry keeps the original tokens (`start`, `end` index into args), so
+ * args can be rebuilt exactly, minus whatever a caller removes.
+ *
+ * @param {string[]} args
+ * @param {Array<[string[], string]>} [extraFlags] - Flags of our own mixed into claude args (e.g. --account)
+ * @returns {Array<{ type: 'option', flag: string, known: boolean, values: string[], start: number, end: number } | { type: 'positional'|'separator', value: string, start: number, end: number }>}
+ */
+export function parseClaudeArgs(args, extraFlags = []) {
+  const schema = extraFlags.length ? new Map([...CLAUDE_SCHEMA, ...buildSchema(extraFlags)]) : CLAUDE_SCHEMA;
+  const entries = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--') {
+      entries.push({ type: 'separator', value: arg, start: i, end: i + 1 });
+      for (let j = i + 1; j < args.length; j++) {
+        entries.push({ type: 'positional', value: args[j], start: j, end: j + 1 });
+      }
+      break;
+    }
+
+    if (!isFlag(arg)) {
+      entries.push({ type: 'positional', value: arg, start: i, end: i + 1 });
+      continue;
+    }
+
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const spec = schema.get(name);
+    const entry = { type: 'option', flag: spec?.flag ?? name, known: Boolean(spec), values: [], start: i, end: i + 1 };
+    entries.push(entry);
+
+    if (eq !== -1) {
+      entry.values.push(arg.slice(eq + 1));
+      continue;
+    }
+
+    const next = args[i + 1];
+    const arity = spec?.arity ?? 'unknown';
+    if (next === undefined || next === '--') continue;
+
+    if (arity === 'required') {
+      entry.values.push(next);
+      entry.end = ++i + 1;
+    } else if (arity === 'optional' && !isFlag(next)) {
+      entry.values.push(next);
+      entry.end = ++i + 1;
+    } else if (arity === 'variadic') {
+      while (i + 1 < args.length && !isFlag(args[i + 1]) && args[i + 1] !== '--') {
+        entry.values.push(args[++i]);
+      }
+      entry.end = i + 1;
+    } else if (arity === 'unknown' && !isFlag(next) && i + 2 < args.length) {
+      entry.values.push(next);
+      entry.end = ++i + 1;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Find an option's entry in claude args (the last occurrence).
+ *
+ * @param {string[]} args
+ * @param {string} flag - Any of the flag's names
+ * @param {Array<[string[], string]>} [extraFlags]
+ * @returns {{ flag: string, values: string[], start: number, end: number }|null}
+ */
+export function findOption(args, flag, extraFlags = []) {
+  const schema = extraFlags.length ? new Map([...CLAUDE_SCHEMA, ...buildSchema(extraFlags)]) : CLAUDE_SCHEMA;
+  const canonical = schema.get(flag)?.flag ?? flag;
+  const matches = parseClaudeArgs(args, extraFlags).filter(e => e.type === 'option' && e.flag === canonical);
+  return matches.at(-1) ?? null;
+}
+
+/**
+ * Whether a flag is present in claude args.
+ *
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {boolean}
+ */
+export function hasOption(args, flag) {
+  return findOption(args, flag) !== null;
+}
+
+/**
+ * The value of a single-value flag (`--flag value` or `--flag=value`).
+ *
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|null} null if absent or given without a value
+ */
+export function getOptionValue(args, flag) {
+  return findOption(args, flag)?.values[0] ?? null;
+}
+
+/**
+ * Rebuild claude args without some flags (all their occurrences and values)
+ * and, optionally, without positional args.
+ *
+ * @param {string[]} args
+ * @param {string[]} flags - Flags to remove, by any of their names
+ * @param {{ stripPositionals?: boolean }} [options]
+ * @returns {string[]}
+ */
+export function removeOptions(args, flags, options = {}) {
+  const remove = new Set(flags.map(flag => CLAUDE_SCHEMA.get(flag)?.flag ?? flag));
+  const result = [];
+  for (const entry of parseClaudeArgs(args)) {
+    if (entry.type === 'option' && remove.has(entry.flag)) continue;
+    if (entry.type !== 'option' && options.stripPositionals) continue;
+    result.push(...args.slice(entry.start, entry.end));
+  }
+  return result;
+}
+
+/**
+ * Put a flag (with its values) in front of claude args unless they already
+ * set it. Flags go first so they can't end up after a `--` or a variadic
+ * flag, where Claude would read them as a prompt or a value.
+ *
+ * @param {string[]} args
+ * @param {string} flag
+ * @param {string[]} [values]
+ * @returns {string[]}
+ */
+export function prependOption(args, flag, values = []) {
+  return hasOption(args, flag) ? args : [flag, ...values, ...args];
+}
+
+/**
+ * Append a positional arg (a prompt) so Claude can't read it as the value
+ * of the last option: after a variadic or unknown flag, `--` goes first.
+ *
+ * @param {string[]} args
+ * @param {string} positional
+ * @returns {string[]}
+ */
+export function appendPositional(args, positional) {
+  const entries = parseClaudeArgs(args);
+  if (entries.some(entry => entry.type === 'separator')) return [...args, positional];
+
+  const last = entries.at(-1);
+  let takesNext = false;
+  if (last?.type === 'option' && !args[last.start].includes('=')) {
+    const arity = last.known ? CLAUDE_SCHEMA.get(last.flag).arity : 'unknown';
+    takesNext = arity === 'variadic' || (arity !== 'none' && !last.values.length);
+  }
+  return takesNext ? [...args, '--', positional] : [...args, positional];
+}
+
+export { CLAUDE_FLAGS, RESUME_CONFLICTS };
@@ -1,6 +1,7 @@
 import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
 import { homedir } from 'os';
 import { join, normalize } from 'path';
+import { parseHotkey, DEFAULT_HOTKEY_PREFIX } from './hotkeys.js';
 
 const CONFIG_DIR = join(homedir(), '.claude-nonstop');
 const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
@@ -80,11 +81,55 @@ export function validateAccountName(name) {
   }
 }
 
+/**
+ * Validate a tag (group) name: the same characters as account names.
+ */
+export function validateTagName(tag) {
+  if (!tag || typeof tag !== 'string') {
+    throw new Error('Tag name is required');
+  }
+  if (tag.length > MAX_NAME_LENGTH) {
+    throw new Error(`Tag name must be ${MAX_NAME_LENGTH} characters or fewer`);
+  }
+  if (!VALID_NAME_PATTERN.test(tag)) {
+    throw new Error('Tag name may only contain letters, numbers, hyphens, and underscores');
+  }
+}
+
+/**
+ * Whether an account is in a group, i.e. carries its tag.
+ *
+ * @param {{ tags?: string[] }} account
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function hasTag(account, tag) {
+  return Array.isArray(account?.tags) && account.tags.includes(tag);
+}
+
+/**
+ * Whether an account runs on an Anthropic API key instead of an OAuth
+ * subscription login. API-key accounts are overflow: selected only when
+ * every subscription account is exhausted (see lib/scorer.js), with optional
+ * spending caps (see lib/spend.js).
+ *
+ * @param {{ type?: string }} account
+ * @returns {boolean}
+ */
+export function isApiKeyAccount(account) {
+  return account?.type === 'api-key';
+}
+
 /**
  * Add a new account. Returns the configDir for the new profile.
+ *
+ * @param {string} name
+ * @param {{ type?: 'api-key', tags?: string[] }} [options] - `type: 'api-key'` registers an overflow account
  */
-export function addAccount(name) {
+export function addAccount(name, options = {}) {
   validateAccountName(name);
+  const tags = [...new Set(options.tags ?? [])];
+  tags.forEach(validateTagName);
   const config = loadConfig();
 
   if (config.accounts.some(a => a.name === name)) {
@@ -94,7 +139,9 @@ export function addAccount(name) {
   const configDir = join(PROFILES_DIR, name);
   if (!existsSync(configDir)) mkdirSync(configDir, { recursive: true });
 
-  config.accounts.push({ name, configDir });
+  const account = options.type === 'api-key' ? { name, configDir, type: 'api-key' } : { name, configDir };
+  if (tags.length > 0) account.tags = tags;
+  config.accounts.push(account);
   saveConfig(config);
 
   return configDir;
@@ -153,6 +200,220 @@ export function clearAccountPriority(name) {
   saveConfig(config);
 }
 
+/**
+ * Set an account's plan capacity, the weight the `weighted` selection
+ * strategy gives its headroom (e.g. 20 for Max 20x, 5 for Max 5x, 1 for Pro).
+ *
+ * @param {string} name - Account name
+ * @param {number} capacity - Positive number
+ */
+export function setAccountCapacity(name, capacity) {
+  validateAccountName(name);
+  if (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity <= 0) {
+    throw new Error('Capacity must be a positive number (e.g. 20 for Max 20x, 1 for Pro)');
+  }
+
+  const config = loadConfig();
+  const account = config.accounts.find(a => a.name === name);
+
+  if (!account) throw new Error(`Account "${name}" not found`);
+
+  account.capacity = capacity;
+  saveConfig(config);
+}
+
+/**
+ * Remove an account's plan capacity (reverts to 1).
+ *
+ * @param {string} name - Account name
+ */
+export function clearAccountCapacity(name) {
+  validateAccountName(name);
+  const config = loadConfig();
+  const account = config.accounts.find(a => a.name === name);
+
+  if (!account) throw new Error(`Account "${name}" not found`);
+
+  delete account.capacity;
+  saveConfig(config);
+}
+
+/**
+ * Add tags to an account, putting it in those groups (e.g. work, personal,
+ * client-acme). Tags it already has are kept once.
+ *
+ * @param {string} name - Account name
+ * @param {string[]} tags
+ * @returns {string[]} The account's tags
+ */
+export function tagAccount(name, tags) {
+  validateAccountName(name);
+  if (tags.length === 0) throw new Error('At least one tag is required');
+  tags.forEach(validateTagName);
+
+  const config = loadConfig();
+  const account = config.accounts.find(a => a.name === name);
+
+  if (!account) throw new Error(`Account "${name}" not found`);
+
+  account.tags = [...new Set([...(account.tags ?? []), ...tags])];
+  saveConfig(config);
+  return account.tags;
+}
+
+/**
+ * Remove tags from an account. Tags it doesn't have are ignored.
+ *
+ * @param {string} name - Account name
+ * @param {string[]} tags
+ * @returns {string[]} The account's remaining tags
+ */
+export function untagAccount(name, tags) {
+  validateAccountName(name);
+  if (tags.length === 0) throw new Error('At least one tag is required');
+
+  const config = loadConfig();
+  const account = config.accounts.find(a => a.name === name);
+
+  if (!account) throw new Error(`Account "${name}" not found`);
+
+  const remaining = (account.tags ?? []).filter(t => !tags.includes(t));
+  if (remaining.length > 0) account.tags = remaining;
+  else delete account.tags;
+  saveConfig(config);
+  return remaining;
+}
+
+/**
+ * Set the spending caps of an API-key account, in USD. A null cap is removed.
+ *
+ * @param {string} name - Account name
+ * @param {{ daily?: number|null, monthly?: number|null }} caps - Omitted caps are left as they are
+ */
+export function setAccountCaps(name, caps) {
+  validateAccountName(name);
+  for (const period of ['daily', 'monthly']) {
+    const value = caps[period];
+    if (value != null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      throw new Error(`${period === 'daily' ? 'Daily' : 'Monthly'} cap must be a positive amount in USD`);
+    }
+  }
+
+  const config = loadConfig();
+  const account = config.accounts.find(a => a.name === name);
+
+  if (!account) throw new Error(`Account "${name}" not found`);
+  if (!isApiKeyAccount(account)) {
+    throw new Error(`Account "${name}" is a subscription account; caps apply to API-key accounts`);
+  }
+
+  const updated = { ...account.caps };
+  for (const period of ['daily', 'monthly']) {
+    if (caps[period] === null) delete updated[period];
+    else if (caps[period] !== undefined) updated[period] = caps[period];
+  }
+
+  if (Object.keys(updated).length > 0) account.caps = updated;
+  else delete account.caps;
+  saveConfig(config);
+}
+
+/**
+ * Set an account's usage ceilings: the share of each window (percent) it may
+ * be pushed to before it counts as exhausted, e.g. `{ weekly: 70 }` to never
+ * use more than 70% of the week, or `{ session: 80 }` to keep 20% of the
+ * 5-hour window for using the account by hand. A null ceiling is removed.
+ *
+ * @param {string} name - Account name
+ * @param {{ session?: number|null, weekly?: number|null }} ceilings - Omitted ceilings are left as they are
+ */
+export function setAccountCeilings(name, ceilings) {
+  validateAccountName(name);
+  for (const window of ['session', 'weekly']) {
+    const value = ceilings[window];
+    if (value != null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > 100)) {
+      throw new Error(`${window === 'session' ? 'Session' : 'Weekly'} ceiling must be a percentage between 1 and 100`);
+    }
+  }
+
+  const config = loadConfig();
+  const account = config.accounts.find(a => a.name === name);
+
+  if (!account) throw new Error(`Account "${name}" not found`);
+  if (isApiKeyAccount(account)) {
+    throw new Error(`Account "${name}" is an API-key account; use set-cap to limit its spending`);
+  }
+
+  const updated = { ...account.ceilings };
+  for (const window of ['session', 'weekly']) {
+    if (ceilings[window] === null) delete updated[window];
+    else if (ceilings[window] !== undefined) updated[window] = ceilings[window];
+  }
+
+  if (Object.keys(updated).length > 0) account.ceilings = updated;
+  else delete account.ceilings;
+  saveConfig(config);
+}
+
+/** Default utilization (%) at which the runner swaps accounts pre-emptively. */
+const DEFAULT_PREEMPTIVE_SWAP_THRESHOLD = 95;
+
+/**
+ * Get runner settings from the global config, with defaults applied.
+ *
+ * Supported config.json keys:
+ *   preemptiveSwapThreshold — utilization (%) of the current account at which
+ *     the runner switches at the next turn boundary. 0 or false disables it.
+ *   modelFallback — ordered list of `--model` values to continue with when
+ *     every account is exhausted for the current model, before sleeping
+ *     (e.g. ["sonnet", "haiku"]). Empty by default.
+ *   hotkeyPrefix — key that opens the in-session hotkey menu (lib/hotkeys.js),
+ *     e.g. "ctrl-g". Default "ctrl-]"; false disables the hotkeys. An invalid
+ *     key falls back to the default.
+ *   detachedSleep — in remote mode, a runner waiting for a reset schedules
+ *     the resume and exits instead of holding its tmux pane (lib/scheduler.js).
+ *     On by default; false disables it.
+ *   strategy — account selection strategy (lib/strategies.js), e.g.
+ *     "round-robin". Unset keeps priority / lowest-utilization selection. The
+ *     name is checked against the registry by the caller.
+ *   stickyThreshold — utilization (%) at which the sticky strategy moves off
+ *     the last selected account. Default 90.
+ *
+ * @param {object} [config] - Parsed config (default: loadConfig())
+ * @returns {{ preemptiveSwapThreshold: number|null, modelFallback: string[], hotkeyPrefix: string|null, detachedSleep: boolean, strategy: { name: string|null, stickyThreshold: number|null } }}
+ */
+export function getRunnerSettings(config = loadConfig()) {
+  let preemptiveSwapThreshold = DEFAULT_PREEMPTIVE_SWAP_THRESHOLD;
+  const raw = config.preemptiveSwapThreshold;
+  if (raw === false || raw === 0) {
+    preemptiveSwapThreshold = null;
+  } else if (typeof raw === 'number' && raw > 0 && raw <= 100) {
+    preemptiveSwapThreshold = raw;
+  }
+
+  const modelFallback = Array.isArray(config.modelFallback)
+    ? config.modelFallback.filter(m => typeof m === 'string' && m.trim()).map(m => m.trim())
+    : [];
+
+  let hotkeyPrefix = DEFAULT_HOTKEY_PREFIX;
+  if (config.hotkeyPrefix === false) {
+    hotkeyPrefix = null;
+  } else if (parseHotkey(config.hotkeyPrefix)) {
+    hotkeyPrefix = config.hotkeyPrefix.trim();
+  }
+
+  const detachedSleep = config.detachedSleep !== false;
+
+  const strategy = {
+    name: typeof config.strategy === 'string' && config.strategy.trim() ? config.strategy.trim() : null,
+    stickyThreshold: typeof config.stickyThreshold === 'number' && config.stickyThreshold > 0 && config.stickyThreshold <= 100
+      ? config.stickyThreshold
+      : null,
+  };
+
+  return { preemptiveSwapThreshold, modelFallback, hotkeyPrefix, detachedSleep, strategy };
+}
+
 /**
  * Get all registered accounts.
  */
@@ -160,4 +421,4 @@ export function getAccounts() {
   return loadConfig().accounts;
 }
 
-export { CONFIG_DIR, PROFILES_DIR, DEFAULT_CLAUDE_DIR };
+export { CONFIG_DIR, PROFILES_DIR, DEFAULT_CLAUDE_DIR, DEFAULT_PREEMPTIVE_SWAP_THRESHOLD };
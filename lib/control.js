@@ -0,0 +1,249 @@
+/**
+ * Control socket — lets other processes query and steer a running runner.
+ *
+ * Every run() listens on a Unix domain socket at
+ * ~/.claude-nonstop/run/<runnerId>.sock (directory 0700, socket 0600). The
+ * protocol is newline-delimited JSON: one request object per line, with a
+ * `cmd` and an optional `id` that is echoed in the reply.
+ *
+ *   { "cmd": "state" }                       -> { "ok": true, "state": { ... } }
+ *   { "cmd": "swap", "account": "home" }     -> { "ok": true }   (account optional: best other)
+ *   { "cmd": "wake" }                        -> { "ok": true }   (ends a sleep early)
+ *   { "cmd": "input", "text": "yes\r" }      -> { "ok": true }   (typed into Claude)
+ *   { "cmd": "subscribe" }                   -> { "ok": true }, then { "event": { ... } }
+ *                                               for every history event of the run
+ *
+ * Failures reply { "ok": false, "error": "..." }. `claude-nonstop ps` lists
+ * live runners by asking each socket for its state; sockets left behind by
+ * crashed runners are removed on the way.
+ */
+
+import { chmodSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { createConnection, createServer } from 'net';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+import { RUNNER_ID_PATTERN } from './runner-channel.js';
+
+const CONTROL_DIR = join(CONFIG_DIR, 'run');
+
+/** Longest request line accepted; longer input closes the connection. */
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+/** How long a client waits for a reply (ms). */
+const CONTROL_TIMEOUT_MS = 2000;
+
+/**
+ * Get the control socket path for a runner ID.
+ *
+ * @param {string} runnerId
+ * @param {string} [dir] - Override for tests (default: CONFIG_DIR/run)
+ * @returns {string}
+ * @throws {Error} if the runner ID is not a UUID (prevents path traversal)
+ */
+export function getControlSocketPath(runnerId, dir = CONTROL_DIR) {
+  if (typeof runnerId !== 'string' || !RUNNER_ID_PATTERN.test(runnerId)) {
+    throw new Error('Invalid runner ID: must be a valid UUID');
+  }
+  return join(dir, `${runnerId}.sock`);
+}
+
+/**
+ * Start a runner's control server.
+ *
+ * Handlers return null on success or an error message. The server and its
+ * connections never keep the process alive.
+ *
+ * @param {string} runnerId
+ * @param {{ state: () => object, swap: (account: string|null) => string|null, wake: () => string|null, input: (text: string) => string|null }} handlers
+ * @param {string} [dir]
+ * @returns {Promise<{ path: string, publish: (event: object) => void, close: () => void }|null>}
+ *   null if the socket could not be created (the run continues without it)
+ */
+export function startControlServer(runnerId, handlers, dir = CONTROL_DIR) {
+  const path = getControlSocketPath(runnerId, dir);
+  const sockets = new Set();
+  const subscribers = new Set();
+
+  function reply(socket, request, body) {
+    if (socket.destroyed) return;
+    socket.write(JSON.stringify(request?.id !== undefined ? { id: request.id, ...body } : body) + '\n');
+  }
+
+  function handle(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch {
+      reply(socket, null, { ok: false, error: 'invalid JSON' });
+      return;
+    }
+    if (!request || typeof request !== 'object') {
+      reply(socket, null, { ok: false, error: 'request must be an object' });
+      return;
+    }
+
+    let error = null;
+    try {
+      switch (request.cmd) {
+        case 'state':
+          reply(socket, request, { ok: true, state: handlers.state() });
+          return;
+        case 'swap':
+          if (request.account != null && typeof request.account !== 'string') {
+            error = '"account" must be a string';
+          } else {
+            error = handlers.swap(request.account ?? null);
+          }
+          break;
+        case 'wake':
+          error = handlers.wake();
+          break;
+        case 'input':
+          error = typeof request.text === 'string' && request.text
+            ? handlers.input(request.text)
+            : '"text" must be a non-empty string';
+          break;
+        case 'subscribe':
+          subscribers.add(socket);
+          break;
+        default:
+          error = `unknown command "${request.cmd}"`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+    reply(socket, request, error ? { ok: false, error } : { ok: true });
+  }
+
+  const server = createServer((socket) => {
+    socket.unref();
+    sockets.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      subscribers.delete(socket);
+    });
+
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (line.trim()) handle(socket, line);
+      }
+      if (buffer.length > MAX_REQUEST_BYTES) socket.destroy();
+    });
+  });
+
+  return new Promise((resolve) => {
+    try {
+      mkdirSync(dir, { recursive: true, mode: 0o700 });
+      // A runner ID is never reused, so an existing socket is left over from a crash
+      if (existsSync(path)) unlinkSync(path);
+    } catch {
+      resolve(null);
+      return;
+    }
+
+    // A listen error means no socket; later errors are ignored — the run must
+    // not depend on it
+    server.on('error', () => resolve(null));
+    server.listen(path, () => {
+      server.unref();
+      try { chmodSync(path, 0o600); } catch {}
+
+      resolve({
+        path,
+        publish(event) {
+          const line = JSON.stringify({ event }) + '\n';
+          for (const socket of subscribers) {
+            if (!socket.destroyed) socket.write(line);
+          }
+        },
+        close() {
+          server.close();
+          for (const socket of sockets) socket.end();
+          try { unlinkSync(path); } catch {}
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Send one request to a control socket and wait for the reply.
+ *
+ * @param {string} path - Socket path
+ * @param {object} request
+ * @param {number} [timeoutMs]
+ * @returns {Promise<object>} The reply
+ * @throws {Error} on connection failure (err.code is set, e.g. ECONNREFUSED) or timeout
+ */
+export function sendControlRequest(path, request, timeoutMs = CONTROL_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const socket = createConnection(path);
+    let buffer = '';
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error('Timed out waiting for the runner'));
+    }, timeoutMs);
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => socket.write(JSON.stringify(request) + '\n'));
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      clearTimeout(timer);
+      socket.end();
+      try {
+        resolve(JSON.parse(buffer.slice(0, newline)));
+      } catch {
+        reject(new Error('Invalid reply from the runner'));
+      }
+    });
+    socket.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Ask every control socket for its runner's state. Sockets nobody listens on
+ * (the runner crashed) are removed.
+ *
+ * @param {string} [dir]
+ * @returns {Promise<Array<object>>} Runner states, oldest first
+ */
+export async function listRunners(dir = CONTROL_DIR) {
+  let entries;
+  try {
+    entries = readdirSync(dir).filter(name => name.endsWith('.sock'));
+  } catch {
+    return [];
+  }
+
+  const states = await Promise.all(entries.map(async (name) => {
+    const path = join(dir, name);
+    try {
+      const reply = await sendControlRequest(path, { cmd: 'state' });
+      return reply.ok ? reply.state : null;
+    } catch (err) {
+      if (err.code === 'ECONNREFUSED') {
+        try { unlinkSync(path); } catch {}
+      }
+      return null;
+    }
+  }));
+
+  return states
+    .filter(Boolean)
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+export { CONTROL_DIR, CONTROL_TIMEOUT_MS };
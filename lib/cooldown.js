@@ -0,0 +1,205 @@
+/**
+ * Per-account cooldowns from rate limit messages.
+ *
+ * When Claude Code prints "Limit reached · resets 8am (America/Los_Angeles)",
+ * the reset text is parsed into an absolute time and recorded for the account
+ * in ~/.claude-nonstop/data/cooldowns.json. Account selection skips accounts
+ * whose cooldown hasn't expired, even if the usage API is lagging or erroring
+ * and still reports them as available.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname, join } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+const COOLDOWNS_FILE = join(CONFIG_DIR, 'data', 'cooldowns.json');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** "in 2h 30m", "in 45m", "in 1d 3h" */
+const RELATIVE_PATTERN = /^in\s+(?:(\d+)\s*d\w*)?\s*(?:(\d+)\s*h\w*)?\s*(?:(\d+)\s*m\w*)?/i;
+
+/** "8am (Zone)", "8:30pm (Zone)", "Dec 17 at 6am (Zone)", "Dec 17, 2025 at 6am (Zone)" */
+const ABSOLUTE_PATTERN = /^(?:([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?\s+at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b\s*(?:\(([^)]+)\))?/i;
+
+/** A month-day reset this far in the past is assumed to mean next year (Dec -> Jan wrap). */
+const YEAR_WRAP_MS = 30 * 24 * 60 * 60 * 1000;
+
+// ─── Time Zone Math ────────────────────────────────────────────────────────
+
+/**
+ * Wall-clock parts of an instant in an IANA time zone.
+ * @throws {RangeError} if the zone is unknown
+ */
+function zonedParts(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(ts));
+
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return {
+    year: get('year'), month: get('month'), day: get('day'),
+    hour: get('hour'), minute: get('minute'), second: get('second'),
+  };
+}
+
+/** Offset of a time zone from UTC at the given instant (ms, east positive). */
+function zoneOffset(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an epoch timestamp.
+ * Re-checks the offset at the result so times next to a DST change land right.
+ */
+function zonedTimeToEpoch(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = zoneOffset(guess, timeZone);
+  const ts = guess - offset;
+  const corrected = zoneOffset(ts, timeZone);
+  return corrected === offset ? ts : guess - corrected;
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse the reset text from a rate limit message into an absolute time.
+ *
+ * Handles the forms Claude Code prints after "resets":
+ *   "in 2h 30m"
+ *   "8am (America/Los_Angeles)"       — next occurrence of 8am in that zone
+ *   "Dec 17 at 6am (Europe/Oslo)"     — that date in the current (or next) year
+ * Without a zone in parentheses, the local time zone is used.
+ *
+ * @param {string} text - Reset text captured by the rate-limit detector
+ * @param {number} [now] - Current time (ms), for tests
+ * @returns {Date|null} null if the text isn't recognized or the zone is unknown
+ */
+export function parseResetTime(text, now = Date.now()) {
+  if (!text || typeof text !== 'string') return null;
+  const input = text.trim().replace(/^resets\s+/i, '');
+
+  const rel = RELATIVE_PATTERN.exec(input);
+  if (rel && (rel[1] || rel[2] || rel[3])) {
+    const [days, hours, minutes] = [rel[1], rel[2], rel[3]].map(n => Number(n || 0));
+    return new Date(now + ((days * 24 + hours) * 60 + minutes) * 60 * 1000);
+  }
+
+  const abs = ABSOLUTE_PATTERN.exec(input);
+  if (!abs) return null;
+
+  const [, monthName, dayStr, yearStr, hourStr, minuteStr, meridiem, zoneStr] = abs;
+  const timeZone = zoneStr?.trim() || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  let hour = Number(hourStr) % 12;
+  if (meridiem.toLowerCase() === 'pm') hour += 12;
+  const minute = Number(minuteStr || 0);
+  if (minute > 59) return null;
+
+  try {
+    const today = zonedParts(now, timeZone);
+
+    if (monthName) {
+      const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+      if (month === 0) return null;
+      const day = Number(dayStr);
+      let year = yearStr ? Number(yearStr) : today.year;
+      let ts = zonedTimeToEpoch(year, month, day, hour, minute, timeZone);
+      if (!yearStr && ts < now - YEAR_WRAP_MS) {
+        year++;
+        ts = zonedTimeToEpoch(year, month, day, hour, minute, timeZone);
+      }
+      return new Date(ts);
+    }
+
+    // Time only: today in that zone, or tomorrow if that has already passed
+    let ts = zonedTimeToEpoch(today.year, today.month, today.day, hour, minute, timeZone);
+    if (ts <= now) {
+      const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+      ts = zonedTimeToEpoch(tomorrow.getUTCFullYear(), tomorrow.getUTCMonth() + 1, tomorrow.getUTCDate(), hour, minute, timeZone);
+    }
+    return new Date(ts);
+  } catch {
+    // Unknown time zone
+    return null;
+  }
+}
+
+// ─── Cooldown State ────────────────────────────────────────────────────────
+
+function readCooldownFile(filePath) {
+  try {
+    if (!existsSync(filePath)) return {};
+    const raw = readFileSync(filePath, 'utf8');
+    if (!raw.trim()) return {};
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Load active cooldowns (expired entries are ignored).
+ *
+ * @param {string} [filePath] - Override for tests (default: CONFIG_DIR/data/cooldowns.json)
+ * @param {number} [now]
+ * @returns {Object<string, { until: string, reason: string, setAt: string }>} Keyed by account name
+ */
+export function loadCooldowns(filePath = COOLDOWNS_FILE, now = Date.now()) {
+  const active = {};
+  for (const [name, entry] of Object.entries(readCooldownFile(filePath))) {
+    if (entry?.until && new Date(entry.until).getTime() > now) {
+      active[name] = entry;
+    }
+  }
+  return active;
+}
+
+/**
+ * Record a cooldown for an account, replacing any existing one.
+ * Expired entries for other accounts are pruned on write. Never throws — the
+ * runner calls this mid-session from the detection path.
+ *
+ * @param {string} accountName
+ * @param {Date} until - When the account becomes usable again
+ * @param {string} [reason] - Detection category (e.g. 'rate-limit')
+ * @param {string} [filePath]
+ */
+export function setCooldown(accountName, until, reason = 'rate-limit', filePath = COOLDOWNS_FILE) {
+  try {
+    const cooldowns = loadCooldowns(filePath);
+    cooldowns[accountName] = {
+      until: until.toISOString(),
+      reason,
+      setAt: new Date().toISOString(),
+    };
+
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmpFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(cooldowns, null, 2) + '\n', { mode: 0o600 });
+    renameSync(tmpFile, filePath);
+  } catch {
+    // Non-fatal — the usage API still reports the limit, just later
+  }
+}
+
+/**
+ * Annotate accounts with `cooldownUntil` (ISO string) where a cooldown is active.
+ *
+ * @param {Array<{ name: string }>} accounts
+ * @param {Object<string, { until: string }>} [cooldowns] - From loadCooldowns()
+ * @returns {Array<object>} New array; accounts without a cooldown are returned as-is
+ */
+export function applyCooldowns(accounts, cooldowns = loadCooldowns()) {
+  return accounts.map(a => cooldowns[a.name]
+    ? { ...a, cooldownUntil: cooldowns[a.name].until }
+    : a);
+}
+
+export { COOLDOWNS_FILE };
@@ -0,0 +1,164 @@
+/**
+ * Output detection rules — what the runner looks for in Claude's PTY output.
+ *
+ * Each rule pairs a regex with a category and an action. The built-in rate
+ * limit pattern ships as a default rule; users can add or override rules in
+ * ~/.claude-nonstop/detectors.json when Claude Code changes its wording:
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "overloaded", "pattern": "API Error: 529", "category": "overloaded", "action": "retry" }
+ *     ]
+ *   }
+ *
+ * User rules are checked before the built-ins, and a user rule with the same
+ * name as a built-in replaces it. For rate-limit rules, the first capture
+ * group is the reset time text (e.g. "8am (America/Los_Angeles)").
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+const DETECTORS_FILE = join(CONFIG_DIR, 'detectors.json');
+
+/**
+ * Rate limit detection pattern.
+ * Claude Code outputs either:
+ *   "Limit reached · resets Dec 17 at 6am (Europe/Oslo)"
+ *   "You've hit your limit · resets 8am (America/Los_Angeles)"
+ */
+const RATE_LIMIT_PATTERN = /(?:Limit reached|You've hit your limit)\s*[·•]\s*resets\s+(.+?)(?:\s*$|\n)/im;
+
+/**
+ * Auth failure detection pattern.
+ * Claude Code outputs these when the OAuth token dies mid-session:
+ *   "API Error: 401 {"type":"error","error":{"type":"authentication_error",...}}"
+ *   "OAuth token revoked · Please run /login"
+ *   "Invalid API key · Please run /login"
+ * Anchored on Claude Code's own prefixes so conversation about logins doesn't match.
+ */
+const AUTH_EXPIRED_PATTERN = /API Error:\s*401\b|(?:OAuth token (?:has expired|revoked)|Invalid API key)\.?\s*[·•]\s*Please run \/login/i;
+
+/** What a rule detected. */
+const CATEGORIES = ['rate-limit', 'overloaded', 'auth-expired', 'credit-exhausted', 'network-error'];
+
+/**
+ * What the runner does about it:
+ *   swap   — migrate the session to the next best account
+ *   retry  — resume on the same account after an exponential backoff
+ *   reauth — refresh the account's credentials and resume on it (swap if
+ *            the refresh fails)
+ *   abort  — stop Claude and exit with an error
+ */
+const ACTIONS = ['swap', 'retry', 'reauth', 'abort'];
+
+const DEFAULT_FLAGS = 'im';
+
+/** Built-in rules, used when detectors.json is absent or does not override them. */
+const DEFAULT_RULES = [
+  { name: 'rate-limit', pattern: RATE_LIMIT_PATTERN, category: 'rate-limit', action: 'swap' },
+  { name: 'auth-expired', pattern: AUTH_EXPIRED_PATTERN, category: 'auth-expired', action: 'reauth' },
+];
+
+/**
+ * Validate and compile a rule from detectors.json.
+ *
+ * @param {object} raw - { name?, pattern, flags?, category, action }
+ * @param {number} index - Position in the rules array (for default names and errors)
+ * @returns {{ name: string, pattern: RegExp, category: string, action: string }}
+ * @throws {Error} if the rule is malformed
+ */
+export function compileRule(raw, index = 0) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`rule ${index + 1} must be an object`);
+  }
+
+  const name = raw.name ?? `rule-${index + 1}`;
+  if (typeof name !== 'string' || !name) {
+    throw new Error(`rule ${index + 1}: name must be a non-empty string`);
+  }
+  if (typeof raw.pattern !== 'string' || !raw.pattern) {
+    throw new Error(`rule "${name}": pattern must be a non-empty string`);
+  }
+  if (!CATEGORIES.includes(raw.category)) {
+    throw new Error(`rule "${name}": category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (!ACTIONS.includes(raw.action)) {
+    throw new Error(`rule "${name}": action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  // Global/sticky flags make exec() stateful across calls — never allow them
+  const flags = (typeof raw.flags === 'string' ? raw.flags : DEFAULT_FLAGS).replace(/[gy]/g, '');
+
+  let pattern;
+  try {
+    pattern = new RegExp(raw.pattern, flags);
+  } catch (err) {
+    throw new Error(`rule "${name}": invalid pattern (${err.message})`);
+  }
+
+  return { name, pattern, category: raw.category, action: raw.action };
+}
+
+/**
+ * Load detection rules: user rules from detectors.json first, then the
+ * built-in rules they don't override. Invalid user rules are skipped and
+ * reported in `errors` so the caller can warn without losing detection.
+ *
+ * @param {string} [filePath] - Override for tests (default: ~/.claude-nonstop/detectors.json)
+ * @returns {{ rules: Array<{ name: string, pattern: RegExp, category: string, action: string }>, errors: string[] }}
+ */
+export function loadDetectors(filePath = DETECTORS_FILE) {
+  const errors = [];
+  const userRules = [];
+
+  if (existsSync(filePath)) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+      errors.push(`could not parse ${filePath}: ${err.message}`);
+    }
+
+    if (parsed && !Array.isArray(parsed.rules)) {
+      errors.push(`${filePath} must contain a "rules" array`);
+    } else if (parsed) {
+      parsed.rules.forEach((raw, i) => {
+        try {
+          userRules.push(compileRule(raw, i));
+        } catch (err) {
+          errors.push(err.message);
+        }
+      });
+    }
+  }
+
+  const overridden = new Set(userRules.map(r => r.name));
+  const rules = [...userRules, ...DEFAULT_RULES.filter(r => !overridden.has(r.name))];
+
+  return { rules, errors };
+}
+
+/**
+ * Match text against rules in order and return the first hit.
+ *
+ * @param {string} text - ANSI-stripped output
+ * @param {Array<{ name: string, pattern: RegExp, category: string, action: string }>} rules
+ * @returns {{ name: string, category: string, action: string, resetTime: string|null } | null}
+ */
+export function matchDetectors(text, rules) {
+  for (const rule of rules) {
+    const match = rule.pattern.exec(text);
+    if (!match) continue;
+
+    const resetTime = rule.category === 'rate-limit' && match[1]
+      ? match[1].trim()
+      : null;
+
+    return { name: rule.name, category: rule.category, action: rule.action, resetTime };
+  }
+  return null;
+}
+
+export { DETECTORS_FILE, RATE_LIMIT_PATTERN, AUTH_EXPIRED_PATTERN, CATEGORIES, ACTIONS, DEFAULT_RULES };
@@ -0,0 +1,251 @@
+/**
+ * Usage history and burn-rate forecasts.
+ *
+ * Every usage check made by a runner or `status` appends one sample per
+ * account to ~/.claude-nonstop/data/usage-history.jsonl:
+ *
+ *   { ts, account, session, weekly, sessionResetsAt, weeklyResetsAt, modelWeekly? }
+ *
+ * forecastAccount() reads an account's recent samples back, estimates how
+ * fast each window (5-hour and 7-day) is filling and predicts when the
+ * account hits 100% — unless the window resets first. Only samples from the
+ * current window count, so a reset doesn't read as negative burn.
+ *
+ * Writes never throw. The store is rotated to usage-history.jsonl.1 when it
+ * passes MAX_USAGE_HISTORY_BYTES, like the event log (lib/history.js).
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, statSync } from 'fs';
+import { dirname, join } from 'path';
+import { CONFIG_DIR, isApiKeyAccount } from './config.js';
+
+const USAGE_HISTORY_FILE = join(CONFIG_DIR, 'data', 'usage-history.jsonl');
+
+/** Size at which the usage history is rotated (bytes). */
+const MAX_USAGE_HISTORY_BYTES = 2 * 1024 * 1024;
+
+/** Samples of one account closer together than this are not recorded again. */
+const MIN_SAMPLE_INTERVAL_MS = 60 * 1000;
+
+/** How far back the burn rate looks — "the current rate". */
+const FORECAST_LOOKBACK_MS = 60 * 60 * 1000;
+
+/** Shortest span of samples a rate is estimated from. */
+const MIN_FORECAST_SPAN_MS = 5 * 60 * 1000;
+
+const WINDOWS = [
+  { name: 'session', resetsAt: 'sessionResetsAt' },
+  { name: 'weekly', resetsAt: 'weeklyResetsAt' },
+];
+
+/** Last sample written per file and account, for MIN_SAMPLE_INTERVAL_MS. */
+const lastRecorded = new Map();
+
+/**
+ * Append a usage sample for each account with usage data. Accounts with a
+ * usage error and API-key accounts (whose usage is spend) are skipped.
+ *
+ * @param {Array<{ name: string, usage?: object }>} accounts - From checkAllUsage()
+ * @param {string} [filePath] - Override for tests (default: ~/.claude-nonstop/data/usage-history.jsonl)
+ * @param {number} [now]
+ */
+export function recordUsageSamples(accounts, filePath = USAGE_HISTORY_FILE, now = Date.now()) {
+  try {
+    const lines = [];
+    for (const account of accounts) {
+      const { usage } = account;
+      if (!usage || usage.error || isApiKeyAccount(account)) continue;
+      const key = `${filePath}\0${account.name}`;
+      if (now - (lastRecorded.get(key) ?? -Infinity) < MIN_SAMPLE_INTERVAL_MS) continue;
+      lastRecorded.set(key, now);
+
+      const sample = {
+        ts: new Date(now).toISOString(),
+        account: account.name,
+        session: usage.sessionPercent,
+        weekly: usage.weeklyPercent,
+        sessionResetsAt: usage.sessionResetsAt ?? null,
+        weeklyResetsAt: usage.weeklyResetsAt ?? null,
+      };
+      if (usage.modelWeeklyPercent && Object.keys(usage.modelWeeklyPercent).length > 0) {
+        sample.modelWeekly = usage.modelWeeklyPercent;
+      }
+      lines.push(JSON.stringify(sample) + '\n');
+    }
+    if (lines.length === 0) return;
+
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    if (existsSync(filePath) && statSync(filePath).size >= MAX_USAGE_HISTORY_BYTES) {
+      renameSync(filePath, `${filePath}.1`);
+    }
+
+    appendFileSync(filePath, lines.join(''), { mode: 0o600 });
+  } catch {
+    // Non-fatal — a missing sample only makes the next forecast less precise
+  }
+}
+
+/**
+ * Read usage samples (including the rotated file), oldest first, grouped by
+ * account. Malformed lines are skipped.
+ *
+ * @param {{ since?: number }} [filters] - `since`: epoch ms of the oldest sample to keep
+ * @param {string} [filePath]
+ * @returns {Map<string, Array<object>>} Account name → samples
+ */
+export function readUsageHistory(filters = {}, filePath = USAGE_HISTORY_FILE) {
+  const byAccount = new Map();
+
+  for (const file of [`${filePath}.1`, filePath]) {
+    let content;
+    try {
+      content = readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let sample;
+      try {
+        sample = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!sample || typeof sample !== 'object' || typeof sample.account !== 'string') continue;
+      const ts = Date.parse(sample.ts);
+      if (isNaN(ts) || (filters.since != null && ts < filters.since)) continue;
+      if (!byAccount.has(sample.account)) byAccount.set(sample.account, []);
+      byAccount.get(sample.account).push(sample);
+    }
+  }
+
+  return byAccount;
+}
+
+/**
+ * Burn rate of one window: percentage points per hour between the first and
+ * last sample of the window the latest sample is in.
+ *
+ * @returns {{ ratePerHour: number, percent: number, at: number, resetsAt: string|null }|null}
+ *   null with fewer than two samples or too short a span to tell
+ */
+function windowRate(samples, window, now) {
+  const latest = samples[samples.length - 1];
+  if (typeof latest?.[window.name] !== 'number') return null;
+
+  let first = latest;
+  for (let i = samples.length - 2; i >= 0; i--) {
+    const sample = samples[i];
+    const ts = Date.parse(sample.ts);
+    if (now - ts > FORECAST_LOOKBACK_MS) break;
+    // A different reset time, or usage going down, means an earlier window
+    if (sample[window.resetsAt] !== latest[window.resetsAt]) break;
+    if (typeof sample[window.name] !== 'number' || sample[window.name] > first[window.name]) break;
+    first = sample;
+  }
+
+  const span = Date.parse(latest.ts) - Date.parse(first.ts);
+  if (span < MIN_FORECAST_SPAN_MS) return null;
+  return {
+    ratePerHour: (latest[window.name] - first[window.name]) / (span / (60 * 60 * 1000)),
+    percent: latest[window.name],
+    at: Date.parse(latest.ts),
+    resetsAt: latest[window.resetsAt] ?? null,
+  };
+}
+
+/**
+ * Forecast when an account hits 100% at its current burn rate.
+ *
+ * @param {Array<object>} samples - The account's samples, oldest first
+ * @param {number} [now]
+ * @returns {{ sessionRatePerHour: number|null, weeklyRatePerHour: number|null, exhaustsAt: string|null, window: 'session'|'weekly'|null }|null}
+ *   null without enough recent samples. `exhaustsAt` is the earlier of the
+ *   windows' predicted exhaustion, or null when neither fills before it resets.
+ */
+export function forecastAccount(samples, now = Date.now()) {
+  const recent = samples.filter(s => now - Date.parse(s.ts) <= FORECAST_LOOKBACK_MS);
+  const forecast = { sessionRatePerHour: null, weeklyRatePerHour: null, exhaustsAt: null, window: null };
+  let known = false;
+  let earliest = Infinity;
+
+  for (const window of WINDOWS) {
+    const rate = windowRate(recent, window, now);
+    if (!rate) continue;
+    known = true;
+    forecast[`${window.name}RatePerHour`] = Math.round(rate.ratePerHour * 10) / 10;
+    if (rate.ratePerHour <= 0) continue;
+
+    const exhaustsAt = rate.at + ((100 - rate.percent) / rate.ratePerHour) * 60 * 60 * 1000;
+    const resetsAt = rate.resetsAt ? Date.parse(rate.resetsAt) : NaN;
+    if (!isNaN(resetsAt) && resetsAt <= exhaustsAt) continue;
+    if (exhaustsAt < earliest) {
+      earliest = exhaustsAt;
+      forecast.window = window.name;
+    }
+  }
+
+  if (!known) return null;
+  if (earliest !== Infinity) forecast.exhaustsAt = new Date(Math.max(earliest, now)).toISOString();
+  return forecast;
+}
+
+/**
+ * Annotate accounts with `forecast` (see forecastAccount).
+ *
+ * @param {Array<{ name: string }>} accounts
+ * @param {Map<string, Array<object>>} [history] - From readUsageHistory()
+ * @param {number} [now]
+ * @returns {Array<object>} New array; accounts without a forecast are returned as-is
+ */
+export function applyForecasts(accounts, history = readUsageHistory({ since: Date.now() - FORECAST_LOOKBACK_MS }), now = Date.now()) {
+  return accounts.map((a) => {
+    const forecast = history.has(a.name) ? forecastAccount(history.get(a.name), now) : null;
+    return forecast ? { ...a, forecast } : a;
+  });
+}
+
+/**
+ * Milliseconds until an account is forecast to be exhausted; Infinity
+ * without a forecast or when it won't be before its windows reset.
+ *
+ * @param {{ forecast?: { exhaustsAt: string|null } }} account
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function runwayMs(account, now = Date.now()) {
+  const at = account.forecast?.exhaustsAt ? Date.parse(account.forecast.exhaustsAt) : NaN;
+  return isNaN(at) ? Infinity : Math.max(0, at - now);
+}
+
+/**
+ * "~1h40m" — a compact, approximate duration.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatRunway(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `~${hours}h${String(minutes % 60).padStart(2, '0')}m` : `~${minutes}m`;
+}
+
+/**
+ * One line describing a forecast, e.g. "exhausts in ~1h40m at current rate
+ * (5-hour window)". Null when the account isn't forecast to be exhausted.
+ *
+ * @param {{ forecast?: object }} account
+ * @param {number} [now]
+ * @returns {string|null}
+ */
+export function describeForecast(account, now = Date.now()) {
+  const ms = runwayMs(account, now);
+  if (ms === Infinity) return null;
+  const window = account.forecast.window === 'session' ? '5-hour' : '7-day';
+  return `exhausts in ${formatRunway(ms)} at current rate (${window} window)`;
+}
+
+export { USAGE_HISTORY_FILE, MAX_USAGE_HISTORY_BYTES, FORECAST_LOOKBACK_MS };
@@ -0,0 +1,517 @@
+/**
+ * Headless runner — print mode (`claude -p`) without a PTY.
+ *
+ * Scripted jobs pipe Claude's output into other programs, so there is no
+ * screen to scrape. Instead Claude runs with structured output and the runner
+ * reads its JSON events:
+ *
+ * 1. Spawn `claude` with CLAUDE_CONFIG_DIR pointing to the selected account,
+ *    stdout/stderr as pipes. Plain-text print mode is run as stream-json
+ *    internally and only the final result text is printed.
+ * 2. Track the session ID from the `system`/`init` event.
+ * 3. Match errored `result` and `assistant` events against the detection
+ *    rules (lib/detectors.js). Events from the failed attempt are held back.
+ * 4. On a swap: migrate the session to the next best account and re-issue the
+ *    request there with `--resume <sessionId> "Continue."`.
+ *
+ * stdout carries a single clean stream: one `init` event, the work from every
+ * attempt, and the final `result`. Swap messages go to stderr. When recovery
+ * is impossible, the held-back output of the last attempt is emitted as-is so
+ * the caller sees Claude's own error.
+ */
+
+import { spawn } from 'node:child_process';
+import { constants as osConstants } from 'node:os';
+import { createInterface } from 'node:readline';
+import { loadDetectors, matchDetectors } from './detectors.js';
+import { migrateSession, findLatestSession } from './session.js';
+import { silentRefresh } from './reauth.js';
+import { createRunnerId } from './runner-channel.js';
+import { createEventLog } from './history.js';
+import { setLease, releaseLease, LEASE_HEARTBEAT_MS } from './leases.js';
+import { recordSelection } from './strategies.js';
+import { isApiKeyAccount } from './config.js';
+import { readApiKey } from './keychain.js';
+import { createSpendTracker } from './spend.js';
+import { getOptionValue, hasOption, removeOptions } from './claude-args.js';
+import {
+  stripAnsi, buildResumeArgs, extractResumeSessionId, sleep, retryBackoffMs,
+  selectNextAccount, recordCooldown, getModelArg, setModelArg,
+  RATE_LIMIT_CONTINUE_MSG, MAX_SWAPS_DEFAULT, MAX_RETRIES, REAUTH_RETRY_WINDOW_MS, KILL_ESCALATION_DELAY,
+} from './runner.js';
+
+/** Grace period for Claude to exit on its own after an error event (ms). */
+const DETECTION_EXIT_GRACE_MS = 5000;
+/** Maximum stderr kept for fallback detection (bytes). */
+const STDERR_BUFFER_MAX = 4000;
+
+// ─── Argument Inspection ───────────────────────────────────────────────────
+
+/**
+ * Whether these claude args should run headless: print mode with plain or
+ * JSON input. Streaming JSON input is interactive by nature and keeps the
+ * PTY runner.
+ *
+ * @param {string[]} args
+ * @returns {boolean}
+ */
+export function isHeadlessInvocation(args) {
+  if (!hasOption(args, '--print')) return false;
+  return getOptionValue(args, '--input-format') !== 'stream-json';
+}
+
+/**
+ * Print-mode output format requested by the caller.
+ *
+ * @param {string[]} args
+ * @returns {'text'|'json'|'stream-json'}
+ */
+export function getOutputFormat(args) {
+  const value = getOptionValue(args, '--output-format');
+  return value === 'json' || value === 'stream-json' ? value : 'text';
+}
+
+/**
+ * Args to actually spawn with. Text mode is run as stream-json so rate limits
+ * arrive as structured events; the result text is printed at the end.
+ */
+function spawnArgsFor(args, format) {
+  if (format !== 'text') return args;
+
+  // Prepended, so they can't land after a `--` or become a variadic flag's values
+  const stripped = removeOptions(args, ['--output-format']);
+  const verbose = hasOption(stripped, '--verbose') ? [] : ['--verbose'];
+  return ['--output-format', 'stream-json', ...verbose, ...stripped];
+}
+
+// ─── Event Detection ───────────────────────────────────────────────────────
+
+/** Concatenate the text blocks of an assistant message. */
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (!Array.isArray(message.content)) return '';
+  return message.content
+    .filter(block => block?.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Detect a rate limit (or other rule match) from a stream-json / json event.
+ *
+ * Only events Claude marks as errors are checked — an errored `result`, or an
+ * `assistant` message carrying an `error` field — so conversation text that
+ * merely mentions limits never matches.
+ *
+ * @param {object} event - Parsed JSON event
+ * @param {Array<object>} rules - From loadDetectors()
+ * @returns {{ name: string, category: string, action: string, resetTime: string|null } | null}
+ */
+export function detectFromEvent(event, rules) {
+  if (!event || typeof event !== 'object') return null;
+
+  if (event.type === 'result' && event.is_error) {
+    const text = typeof event.result === 'string' ? event.result : '';
+    return matchDetectors(text, rules);
+  }
+
+  if (event.type === 'assistant' && event.error) {
+    const detection = matchDetectors(messageText(event.message), rules);
+    if (detection) return detection;
+    if (event.error === 'rate_limit') {
+      return { name: 'rate-limit', category: 'rate-limit', action: 'swap', resetTime: null };
+    }
+    if (event.error === 'authentication_failed') {
+      return { name: 'auth-expired', category: 'auth-expired', action: 'reauth', resetTime: null };
+    }
+  }
+
+  return null;
+}
+
+// ─── Single Attempt ────────────────────────────────────────────────────────
+
+/**
+ * Run Claude once in print mode.
+ *
+ * @param {string[]} args
+ * @param {{ name: string, configDir: string }} account
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {'text'|'json'|'stream-json'} options.format
+ * @param {Array<object>} options.detectorRules
+ * @param {NodeJS.WritableStream} options.output - Where live stream-json events go
+ * @param {boolean} options.forwardInit - Forward the `init` event (first attempt only)
+ * @param {'inherit'|{ live: NodeJS.ReadableStream, record: Buffer[], onEnd: () => void }|string|Buffer|null} options.stdin
+ * @returns {Promise<{ exitCode: number, detection: object|null, sessionId: string|null, held: string[], resultEvent: object|null }>}
+ */
+function runHeadlessOnce(args, account, options) {
+  return new Promise((resolve) => {
+    const { cwd, format, detectorRules, output, forwardInit, stdin } = options;
+
+    const env = { ...process.env, CLAUDE_CONFIG_DIR: account.configDir };
+    delete env.CLAUDECODE;
+    if (isApiKeyAccount(account)) {
+      env.ANTHROPIC_API_KEY = readApiKey(account.configDir) ?? '';
+    }
+    const spend = isApiKeyAccount(account) ? createSpendTracker(account, cwd) : null;
+
+    const child = spawn('claude', spawnArgsFor(args, format), {
+      cwd,
+      env,
+      stdio: [stdin === 'inherit' ? 'inherit' : 'pipe', 'pipe', 'pipe'],
+    });
+
+    let detection = null;
+    let sessionId = null;
+    let resultEvent = null;
+    let stderrBuffer = '';
+    let killTimer = null;
+    /** Output lines not yet written — everything after a detection, or all of a json-mode run. */
+    const held = [];
+
+    // ── stdin ──
+    let detachStdin = () => {};
+    if (child.stdin) {
+      child.stdin.on('error', () => {}); // Claude may exit before reading it all
+      if (stdin && typeof stdin === 'object' && stdin.live) {
+        const onData = (chunk) => {
+          stdin.record.push(chunk);
+          child.stdin.write(chunk);
+        };
+        const onEnd = () => {
+          stdin.onEnd();
+          child.stdin.end();
+        };
+        stdin.live.on('data', onData);
+        stdin.live.once('end', onEnd);
+        detachStdin = () => {
+          stdin.live.removeListener('data', onData);
+          stdin.live.removeListener('end', onEnd);
+          stdin.live.pause();
+        };
+      } else {
+        child.stdin.end(stdin || undefined);
+      }
+    }
+
+    function onDetection(found) {
+      detection = found;
+      // Claude exits by itself after an error result; make sure it does
+      killTimer = setTimeout(() => {
+        try { child.kill('SIGTERM'); } catch {}
+        killTimer = setTimeout(() => {
+          try { child.kill('SIGKILL'); } catch {}
+        }, KILL_ESCALATION_DELAY);
+      }, DETECTION_EXIT_GRACE_MS);
+    }
+
+    // ── stdout: JSON events, one per line ──
+    const lines = createInterface({ input: child.stdout, crlfDelay: Infinity });
+    lines.on('line', (line) => {
+      let event = null;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        // Not JSON — pass through untouched
+      }
+
+      if (event?.type === 'system' && event.subtype === 'init') {
+        sessionId = event.session_id || sessionId;
+        if (!forwardInit) return;
+      }
+      if (event?.type === 'result') {
+        resultEvent = event;
+        sessionId = event.session_id || sessionId;
+      }
+
+      if (!detection) {
+        const found = detectFromEvent(event, detectorRules);
+        if (found) onDetection(found);
+      }
+
+      if (format === 'stream-json' && !detection) {
+        output.write(line + '\n');
+      } else if (format !== 'text') {
+        held.push(line);
+      }
+    });
+
+    // ── stderr: pass through, keep a tail for fallback detection ──
+    child.stderr.on('data', (data) => {
+      process.stderr.write(data);
+      stderrBuffer = (stderrBuffer + data.toString()).slice(-STDERR_BUFFER_MAX);
+    });
+
+    // Forward signals to child
+    const signals = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+    const signalHandlers = {};
+    for (const sig of signals) {
+      signalHandlers[sig] = () => {
+        try { child.kill(sig); } catch {}
+      };
+      process.on(sig, signalHandlers[sig]);
+    }
+
+    function finish(exitCode) {
+      clearTimeout(killTimer);
+      detachStdin();
+      spend?.flush();
+      for (const sig of signals) {
+        process.removeListener(sig, signalHandlers[sig]);
+      }
+
+      // No structured error, but Claude failed — check what it printed to stderr
+      if (!detection && exitCode !== 0) {
+        detection = matchDetectors(stripAnsi(stderrBuffer), detectorRules);
+      }
+
+      resolve({ exitCode, detection, sessionId, held, resultEvent });
+    }
+
+    child.on('error', (err) => {
+      console.error(`[claude-nonstop] Failed to start claude: ${err.message}`);
+      lines.close();
+      finish(127);
+    });
+
+    child.on('close', (code, signal) => {
+      const exitCode = code ?? (signal ? 128 + (osConstants.signals[signal] || 0) : 1);
+      finish(exitCode);
+    });
+  });
+}
+
+// ─── Main Loop ─────────────────────────────────────────────────────────────
+
+/**
+ * Run Claude in print mode with automatic account switching.
+ *
+ * @param {string[]} claudeArgs - Arguments to pass to `claude` (must include -p/--print)
+ * @param {{ name: string, configDir: string }} selectedAccount - Account to use
+ * @param {Array<{ name: string, configDir: string }>} allAccounts - All registered accounts
+ * @param {{ cwd?: string, output?: NodeJS.WritableStream, input?: string|null, maxSwaps?: number, detectorRules?: Array<object>, runnerId?: string, selectionReason?: string, modelFallback?: string[], continueMessage?: string, strategy?: { name: string|null, stickyThreshold?: number|null }|null }} [options]
+ *   `input` replaces stdin as the prompt source (e.g. for queued jobs);
+ *   `continueMessage` replaces "Continue." when the request is re-issued;
+ *   `strategy` orders the accounts at a swap (lib/strategies.js)
+ * @returns {Promise<number>} Exit code
+ */
+export async function runHeadless(claudeArgs, selectedAccount, allAccounts, options = {}) {
+  const cwd = options.cwd ?? process.cwd();
+  const output = options.output ?? process.stdout;
+  const maxSwaps = options.maxSwaps ?? Math.max(MAX_SWAPS_DEFAULT, allAccounts.length * 2);
+  const format = getOutputFormat(claudeArgs);
+
+  let detectorRules = options.detectorRules;
+  if (!detectorRules) {
+    const loaded = loadDetectors();
+    detectorRules = loaded.rules;
+    for (const err of loaded.errors) {
+      console.error(`[claude-nonstop] Warning: ignoring detection rule — ${err}`);
+    }
+  }
+
+  // Prompt input: explicit, the terminal, or piped stdin (recorded so a
+  // fresh re-issue on another account can replay it)
+  const stdinRecord = [];
+  let stdinEnded = false;
+  function stdinForFreshRequest(first) {
+    if (options.input != null) return options.input;
+    if (process.stdin.isTTY) return 'inherit';
+    if (first) return { live: process.stdin, record: stdinRecord, onEnd: () => { stdinEnded = true; } };
+    if (!stdinEnded) console.error('[claude-nonstop] Warning: stdin was not fully read before the swap; replaying what was received.');
+    return Buffer.concat(stdinRecord);
+  }
+
+  /** The original request, with the model replaced after a model fallback. */
+  let requestArgs = claudeArgs;
+  let args = claudeArgs;
+  let model = getModelArg(claudeArgs);
+  let account = selectedAccount;
+  let sessionId = extractResumeSessionId(claudeArgs);
+  let stdin = stdinForFreshRequest(true);
+  let swapCount = 0;
+  let retryCount = 0;
+  let firstAttempt = true;
+  const lastRefreshAt = new Map();
+
+  const runnerId = options.runnerId ?? createRunnerId();
+  const events = createEventLog({ runnerId, cwd });
+  function logEvent(type, fields = {}) {
+    events.log(type, { account: account.name, sessionId, ...fields });
+  }
+
+  setLease(runnerId, account.name);
+  recordSelection(account.name);
+  const leaseHeartbeat = setInterval(() => setLease(runnerId, account.name), LEASE_HEARTBEAT_MS);
+  leaseHeartbeat.unref();
+
+  /** Release the lease, record the end of the run and pass the exit code through. */
+  function finish(exitCode, reason) {
+    clearInterval(leaseHeartbeat);
+    releaseLease(runnerId);
+    logEvent('exit', { exitCode, reason });
+    return exitCode;
+  }
+
+  logEvent('start', { mode: 'headless', format });
+  logEvent('account-selected', { reason: options.selectionReason ?? null });
+
+  function emitFinal(attempt) {
+    if (format === 'text') {
+      if (attempt.resultEvent && typeof attempt.resultEvent.result === 'string') {
+        output.write(attempt.resultEvent.result + '\n');
+      }
+      return;
+    }
+    for (const line of attempt.held) output.write(line + '\n');
+  }
+
+  /** Continue the interrupted session, or re-issue the original request if there is none. */
+  function nextRequest() {
+    if (sessionId) {
+      args = buildResumeArgs(args, sessionId, options.continueMessage ?? RATE_LIMIT_CONTINUE_MSG);
+      stdin = null;
+    } else {
+      args = requestArgs;
+      stdin = stdinForFreshRequest(false);
+    }
+  }
+
+  while (true) {
+    const attempt = await runHeadlessOnce(args, account, {
+      cwd,
+      format,
+      detectorRules,
+      output,
+      forwardInit: firstAttempt,
+      stdin,
+    });
+    firstAttempt = false;
+    if (attempt.sessionId) sessionId = attempt.sessionId;
+
+    const { detection } = attempt;
+
+    const giveUp = (message, reason, exitCode = attempt.exitCode || 1) => {
+      console.error(`[claude-nonstop] ${message}`);
+      emitFinal(attempt);
+      return finish(exitCode, reason);
+    };
+
+    if (!detection) {
+      emitFinal(attempt);
+      return finish(attempt.exitCode, 'claude-exited');
+    }
+
+    logEvent('detection', {
+      rule: detection.name,
+      category: detection.category,
+      action: detection.action,
+      resetTime: detection.resetTime,
+    });
+
+    if (detection.action === 'abort') {
+      return giveUp(`Detected ${detection.category} ("${detection.name}") on "${account.name}". Aborting.`, 'aborted');
+    }
+
+    if (detection.action === 'retry') {
+      retryCount++;
+      if (retryCount > MAX_RETRIES) {
+        return giveUp(`Detected ${detection.category} on "${account.name}" — maximum retries reached.`, 'max-retries');
+      }
+      const backoffMs = retryBackoffMs(retryCount);
+      console.error(`[claude-nonstop] Detected ${detection.category} on "${account.name}". Retrying in ${Math.round(backoffMs / 1000)}s (retry ${retryCount}/${MAX_RETRIES})...`);
+      logEvent('retry', { attempt: retryCount, backoffMs });
+      const { interrupted } = await sleep(backoffMs);
+      if (interrupted) {
+        return giveUp('Retry interrupted by signal.', 'interrupted', 130);
+      }
+      if (!sessionId) sessionId = findLatestSession(account.configDir, cwd)?.sessionId ?? null;
+      nextRequest();
+      continue;
+    }
+
+    if (detection.action === 'reauth') {
+      const recentlyRefreshed = Date.now() - (lastRefreshAt.get(account.name) ?? 0) < REAUTH_RETRY_WINDOW_MS;
+      if (!recentlyRefreshed) {
+        console.error(`[claude-nonstop] Detected ${detection.category} on "${account.name}". Refreshing credentials...`);
+        const refreshed = await silentRefresh(account);
+        logEvent('reauth', { success: refreshed });
+        if (refreshed) {
+          lastRefreshAt.set(account.name, Date.now());
+          if (!sessionId) sessionId = findLatestSession(account.configDir, cwd)?.sessionId ?? null;
+          nextRequest();
+          continue;
+        }
+      }
+      console.error(`[claude-nonstop] Could not refresh credentials for "${account.name}". Switching accounts...`);
+    }
+
+    // Swap
+    recordCooldown(account, detection);
+    swapCount++;
+    console.error(`[claude-nonstop] Detected ${detection.category} on "${account.name}" (swap ${swapCount}/${maxSwaps})`);
+    if (swapCount > maxSwaps) {
+      return giveUp('Maximum swap attempts reached. All accounts may be rate-limited.', 'max-swaps');
+    }
+
+    const selection = await selectNextAccount(account, allAccounts, {
+      interactive: false,
+      sessionId,
+      runnerId,
+      events,
+      model,
+      modelFallback: options.modelFallback ?? [],
+      strategy: options.strategy ?? null,
+    });
+    if (selection.interrupted) {
+      return giveUp('Sleep interrupted by signal.', 'interrupted', 130);
+    }
+    if (selection.slept) swapCount--;
+    if (!selection.best) {
+      return giveUp('No alternative accounts available.', 'no-accounts');
+    }
+
+    if (selection.model) {
+      console.error(`[claude-nonstop] All accounts are exhausted for ${model ? `"${model}"` : 'the current model'}. Continuing with model "${selection.model}".`);
+      logEvent('model-fallback', { from: model, to: selection.model });
+      requestArgs = setModelArg(requestArgs, selection.model);
+      args = setModelArg(args, selection.model);
+      model = selection.model;
+    }
+
+    const nextAccount = selection.best.account;
+    const sameAccount = nextAccount.name === account.name;
+    console.error(sameAccount
+      ? `[claude-nonstop] Staying on "${nextAccount.name}" (${selection.best.reason})`
+      : `[claude-nonstop] Switching to "${nextAccount.name}" (${selection.best.reason})`);
+
+    if (!sessionId) sessionId = findLatestSession(account.configDir, cwd)?.sessionId ?? null;
+    events.log('account-selected', {
+      account: nextAccount.name,
+      from: account.name,
+      sessionId,
+      reason: selection.best.reason,
+      swap: swapCount,
+    });
+    if (sessionId && !sameAccount) {
+      const migration = migrateSession(account.configDir, nextAccount.configDir, cwd, sessionId);
+      logEvent('migration', { to: nextAccount.name, success: migration.success, error: migration.error ?? null });
+      if (migration.success) {
+        console.error(`[claude-nonstop] Session ${sessionId} migrated successfully`);
+      } else {
+        console.error(`[claude-nonstop] Session migration failed: ${migration.error}`);
+        console.error('[claude-nonstop] Re-issuing the request on the new account');
+        sessionId = null;
+      }
+    }
+
+    nextRequest();
+    account = nextAccount;
+    setLease(runnerId, account.name);
+    recordSelection(account.name);
+  }
+}
+
+export { DETECTION_EXIT_GRACE_MS };
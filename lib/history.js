@@ -0,0 +1,167 @@
+/**
+ * Runner event history — an append-only JSONL log of what the runner did.
+ *
+ * Every run appends events to ~/.claude-nonstop/data/events.jsonl: start,
+ * account selection (with the scorer's reason), detections, pre-emptive
+ * swaps, retries, credential refreshes, session migrations, sleeps and the
+ * final exit code. `claude-nonstop history` reads it back with filters.
+ *
+ * Each line is one JSON object:
+ *   { ts, type, runnerId, cwd, account, sessionId, ...type-specific fields }
+ *
+ * Writes never throw — losing a history line must not interrupt a session.
+ * When the log passes MAX_EVENTS_FILE_BYTES it is rotated to events.jsonl.1,
+ * so at most two files' worth of history is kept.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, statSync } from 'fs';
+import { dirname, join, resolve, sep } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+const EVENTS_FILE = join(CONFIG_DIR, 'data', 'events.jsonl');
+
+/** Size at which the event log is rotated (bytes). */
+const MAX_EVENTS_FILE_BYTES = 5 * 1024 * 1024;
+
+const EVENT_TYPES = [
+  'start',             // runner started (mode: interactive | headless)
+  'account-selected',  // account chosen at start or for a swap (reason, from)
+  'detection',         // detection rule matched (rule, category, action, resetTime)
+  'preempt',           // usage crossed the pre-emptive threshold (threshold), or a usage ceiling (ceiling: true)
+  'manual-swap',       // swap requested by the user (to: account name or null for best, via: hotkey | control)
+  'retry',             // same-account retry after backoff (attempt, backoffMs)
+  'reauth',            // mid-session credential refresh (success)
+  'model-fallback',    // continuing on a smaller model (from, to)
+  'migration',         // session copied from `account` to another (to, success, error)
+  'sleep',             // all accounts exhausted, sleeping (sleepMs, until)
+  'wake',              // sleep finished (interrupted, action, best)
+  'exit',              // runner finished (exitCode, reason)
+];
+
+/**
+ * Append one event to the log.
+ *
+ * @param {object} event - Must include `type`; `ts` is added if missing
+ * @param {string} [filePath] - Override for tests (default: ~/.claude-nonstop/data/events.jsonl)
+ */
+export function appendEvent(event, filePath = EVENTS_FILE) {
+  try {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    if (existsSync(filePath) && statSync(filePath).size >= MAX_EVENTS_FILE_BYTES) {
+      renameSync(filePath, `${filePath}.1`);
+    }
+
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...event });
+    appendFileSync(filePath, line + '\n', { mode: 0o600 });
+  } catch {
+    // Non-fatal — history is a record, not part of the run
+  }
+}
+
+/**
+ * Create an event logger bound to one runner. Fields common to every event
+ * of the run are filled in; `fields` may override them.
+ *
+ * @param {{ runnerId: string, cwd?: string, filePath?: string, onEvent?: (event: object) => void }} options
+ *   `onEvent` also receives each event as written (the control socket's subscribers)
+ * @returns {{ log: (type: string, fields?: object) => void }}
+ */
+export function createEventLog({ runnerId, cwd = process.cwd(), filePath = EVENTS_FILE, onEvent = null }) {
+  return {
+    log(type, fields = {}) {
+      const event = { ts: new Date().toISOString(), type, runnerId, cwd, ...fields };
+      appendEvent(event, filePath);
+      onEvent?.(event);
+    },
+  };
+}
+
+/**
+ * Check whether an event passes the history filters.
+ *
+ * `cwd` matches the project directory and anything below it. `since` and
+ * `until` are inclusive.
+ *
+ * @param {object} event
+ * @param {{ account?: string, cwd?: string, sessionId?: string, type?: string, since?: Date, until?: Date }} filters
+ * @returns {boolean}
+ */
+export function matchesFilters(event, filters = {}) {
+  if (filters.account && event.account !== filters.account) return false;
+  if (filters.sessionId && event.sessionId !== filters.sessionId) return false;
+  if (filters.type && event.type !== filters.type) return false;
+
+  if (filters.cwd) {
+    const root = resolve(filters.cwd);
+    if (!event.cwd || (event.cwd !== root && !event.cwd.startsWith(root.endsWith(sep) ? root : root + sep))) {
+      return false;
+    }
+  }
+
+  if (filters.since || filters.until) {
+    const ts = Date.parse(event.ts);
+    if (isNaN(ts)) return false;
+    if (filters.since && ts < filters.since.getTime()) return false;
+    if (filters.until && ts > filters.until.getTime()) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Read events from the log (including the rotated file), oldest first.
+ * Malformed lines are skipped.
+ *
+ * @param {object} [filters] - See matchesFilters()
+ * @param {string} [filePath]
+ * @returns {Array<object>}
+ */
+export function readEvents(filters = {}, filePath = EVENTS_FILE) {
+  const events = [];
+
+  for (const file of [`${filePath}.1`, filePath]) {
+    let content;
+    try {
+      content = readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (event && typeof event === 'object' && matchesFilters(event, filters)) {
+        events.push(event);
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Count detections per account and category.
+ *
+ * @param {Array<object>} events
+ * @returns {Map<string, Map<string, number>>} account -> category -> count
+ */
+export function summarizeDetections(events) {
+  const summary = new Map();
+  for (const event of events) {
+    if (event.type !== 'detection') continue;
+    const account = event.account ?? '(unknown)';
+    if (!summary.has(account)) summary.set(account, new Map());
+    const byCategory = summary.get(account);
+    byCategory.set(event.category, (byCategory.get(event.category) ?? 0) + 1);
+  }
+  return summary;
+}
+
+export { EVENTS_FILE, EVENT_TYPES, MAX_EVENTS_FILE_BYTES };
@@ -0,0 +1,105 @@
+/**
+ * In-session hotkeys — a tmux-style prefix chord read from the terminal
+ * input before it reaches Claude.
+ *
+ * The prefix (Ctrl+] by default, `hotkeyPrefix` in config.json) opens a
+ * one-line menu; the next key picks a command:
+ *
+ *   s       swap to the best other account now
+ *   1-9     swap to that account
+ *   u       show every account's usage
+ *   a       turn automatic swapping off / back on
+ *
+ * Pressing the prefix twice sends it to Claude; any other key closes the menu.
+ * Everything else is forwarded unchanged.
+ */
+
+/** Default prefix key. Claude Code does not bind Ctrl+]. */
+const DEFAULT_HOTKEY_PREFIX = 'ctrl-]';
+
+/** Control characters the terminal or Claude needs: Tab, Enter, Esc, Ctrl+C, Ctrl+D, Ctrl+Z. */
+const RESERVED_KEYS = new Set(['\t', '\r', '\n', '\x1b', '\x03', '\x04', '\x1a']);
+
+/**
+ * Parse a prefix key spec like "ctrl-]" or "ctrl-g".
+ *
+ * @param {string} spec
+ * @returns {string|null} The control character the key sends, or null if the
+ *   spec is invalid or names a key the terminal or Claude needs
+ */
+export function parseHotkey(spec) {
+  const match = typeof spec === 'string' && /^(?:ctrl|c)[-+]([a-z@\\\]^_])$/i.exec(spec.trim());
+  if (!match) return null;
+  const key = String.fromCharCode(match[1].toUpperCase().charCodeAt(0) & 0x1f);
+  return RESERVED_KEYS.has(key) ? null : key;
+}
+
+/**
+ * Human-readable name of a prefix key spec: "ctrl-]" -> "Ctrl+]".
+ *
+ * @param {string} spec
+ * @returns {string}
+ */
+export function formatHotkey(spec) {
+  return `Ctrl+${spec.trim().slice(-1).toUpperCase()}`;
+}
+
+/**
+ * Create a filter for terminal input that intercepts the prefix chord.
+ *
+ * @param {string} prefix - Control character (see parseHotkey)
+ * @param {{ onMenu: () => void, onCommand: (key: string) => void }} handlers
+ *   `onMenu` runs when the prefix is pressed, `onCommand` with the key that
+ *   followed it ('' when the menu was closed with Esc or an escape sequence)
+ * @returns {{ feed: (data: string) => string }} feed returns the input to forward to Claude
+ */
+export function createHotkeyFilter(prefix, handlers) {
+  let armed = false;
+
+  return {
+    feed(data) {
+      let forward = '';
+      for (let i = 0; i < data.length; i++) {
+        const ch = data[i];
+        if (!armed) {
+          if (ch === prefix) {
+            armed = true;
+            handlers.onMenu();
+          } else {
+            forward += ch;
+          }
+          continue;
+        }
+
+        armed = false;
+        if (ch === prefix) {
+          forward += ch;
+        } else if (ch === '\x1b') {
+          // Esc, or the start of an arrow/function key sequence — drop the rest
+          handlers.onCommand('');
+          break;
+        } else {
+          handlers.onCommand(ch);
+        }
+      }
+      return forward;
+    },
+  };
+}
+
+/**
+ * The menu shown when the prefix is pressed.
+ *
+ * @param {string[]} accountNames - Accounts in the order the number keys pick them
+ * @param {string} currentName - Account Claude is running on
+ * @param {boolean} autoSwap - Whether automatic swapping is on
+ * @returns {string}
+ */
+export function formatHotkeyMenu(accountNames, currentName, autoSwap) {
+  const accounts = accountNames.slice(0, 9)
+    .map((name, i) => `${i + 1} ${name}${name === currentName ? '*' : ''}`)
+    .join('  ');
+  return `s swap to best  |  ${accounts}  |  u usage  |  a auto-swap ${autoSwap ? 'off' : 'on'}  |  Esc cancel`;
+}
+
+export { DEFAULT_HOTKEY_PREFIX };
@@ -18,7 +18,7 @@ import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
 import { homedir, userInfo } from 'os';
 import { join, normalize } from 'path';
 import { isMacOS, isLinux } from './platform.js';
-import { DEFAULT_CLAUDE_DIR } from './config.js';
+import { DEFAULT_CLAUDE_DIR, isApiKeyAccount } from './config.js';
 
 const OAUTH_TOKEN_URL = 'https://console.anthropic.com/v1/oauth/token';
 const OAUTH_CLIENT_ID = '9d1c250a-e61b-44d9-88ed-5944d1962f5e';
@@ -395,3 +395,107 @@ export function isTokenExpired(creds) {
   if (!creds.expiresAt) return false;
   return creds.expiresAt < Date.now();
 }
+
+/**
+ * Get the Keychain service name for an API-key account's key.
+ */
+function getApiKeyServiceName(configDir) {
+  return `claude-nonstop-api-key-${calculateConfigDirHash(configDir)}`;
+}
+
+/**
+ * Read the Anthropic API key of an API-key account.
+ *
+ * macOS: Keychain. Linux: `.api-key` in the profile directory (0600), the
+ * same place Claude Code keeps `.credentials.json` when no keyring is available.
+ *
+ * @param {string} configDir - The account's profile directory
+ * @returns {string|null}
+ */
+export function readApiKey(configDir) {
+  if (isMacOS()) {
+    try {
+      const key = execFileSync('security', [
+        'find-generic-password', '-s', getApiKeyServiceName(configDir), '-a', getKeychainAccount(), '-w'
+      ], { encoding: 'utf-8', timeout: 5000 }).trim();
+      return key || null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (isLinux()) {
+    try {
+      return readFileSync(join(expandPath(configDir), '.api-key'), 'utf-8').trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store the API key of an API-key account, and mark it as approved in the
+ * profile's `.claude.json` so Claude doesn't ask whether to use the key from
+ * ANTHROPIC_API_KEY on the first interactive run.
+ *
+ * @param {string} configDir - The account's profile directory
+ * @param {string} apiKey
+ * @returns {{ written: boolean, error: string|null }}
+ */
+export function saveApiKey(configDir, apiKey) {
+  const expanded = expandPath(configDir);
+
+  try {
+    if (isMacOS()) {
+      execFileSync('security', [
+        'add-generic-password', '-s', getApiKeyServiceName(configDir), '-a', getKeychainAccount(), '-w', apiKey, '-U'
+      ], { stdio: 'pipe', timeout: 5000 });
+    } else if (isLinux()) {
+      const keyFile = join(expanded, '.api-key');
+      const tmpFile = `${keyFile}.${process.pid}.tmp`;
+      writeFileSync(tmpFile, apiKey + '\n', { mode: 0o600 });
+      renameSync(tmpFile, keyFile);
+    } else {
+      return { written: false, error: 'unsupported_platform' };
+    }
+  } catch (error) {
+    return { written: false, error: error.message };
+  }
+
+  // Claude remembers approved keys by their last 20 characters
+  try {
+    const stateFile = join(expanded, '.claude.json');
+    const state = existsSync(stateFile) ? JSON.parse(readFileSync(stateFile, 'utf-8')) : {};
+    const responses = state.customApiKeyResponses ?? { approved: [], rejected: [] };
+    const suffix = apiKey.slice(-20);
+    if (!responses.approved?.includes(suffix)) {
+      responses.approved = [...(responses.approved ?? []), suffix];
+      responses.rejected = (responses.rejected ?? []).filter(k => k !== suffix);
+    }
+    state.customApiKeyResponses = responses;
+    const tmpFile = `${stateFile}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+    renameSync(tmpFile, stateFile);
+  } catch {
+    // Non-fatal — Claude asks once on the first interactive run
+  }
+
+  return { written: true, error: null };
+}
+
+/**
+ * Read the credentials an account runs with: the OAuth token for
+ * subscription accounts, the API key (as `token`) for API-key accounts.
+ *
+ * @param {{ configDir: string, type?: string }} account
+ * @returns {{ token: string|null, email: string|null, name: string|null, expiresAt: number|null, error: string|null }}
+ */
+export function readAccountCredentials(account) {
+  if (isApiKeyAccount(account)) {
+    const token = readApiKey(account.configDir);
+    return { token, email: null, name: null, expiresAt: null, error: token ? null : 'not_found' };
+  }
+  return readCredentials(account.configDir);
+}
@@ -0,0 +1,239 @@
+/**
+ * Account leases — which live runners are using which account.
+ *
+ * Runners started at the same moment would otherwise all see the same usage
+ * numbers and pick the same account. Each runner holds a lease in
+ * ~/.claude-nonstop/data/leases.json:
+ *
+ *   { "<runnerId>": { account, pid, cwd, startedAt, heartbeatAt } }
+ *
+ * The scorer penalizes accounts leased by other runners (see LEASE_PENALTY in
+ * lib/scorer.js). A lease is live while its PID exists and its heartbeat is
+ * younger than LEASE_TTL_MS; anything else is reaped on the next write, so a
+ * crashed runner never blocks an account for long.
+ *
+ * Read-modify-write cycles are serialized with an O_EXCL lock file. Leases are
+ * advisory: if the lock can't be taken within LOCK_TIMEOUT_MS the write goes
+ * ahead anyway rather than stalling a run.
+ */
+
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+const LEASES_FILE = join(CONFIG_DIR, 'data', 'leases.json');
+
+/** How often a runner refreshes its lease (ms). */
+const LEASE_HEARTBEAT_MS = 30_000;
+/** A lease without a heartbeat for this long is stale, even if its PID is alive (ms). */
+const LEASE_TTL_MS = 2 * 60_000;
+/** Maximum time to wait for the lock file (ms). */
+const LOCK_TIMEOUT_MS = 2000;
+/** A lock file older than this was left by a crashed process and is removed (ms). */
+const LOCK_STALE_MS = 10_000;
+/** Delay between lock attempts (ms). */
+const LOCK_RETRY_MS = 25;
+
+// ─── Locking ───────────────────────────────────────────────────────────────
+
+/** Block the thread for `ms` — lease updates are synchronous and very short. */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run fn while holding the lock file for filePath. Also used for the
+ * schedule file (lib/scheduler.js).
+ */
+export function withLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let locked = false;
+  while (!locked) {
+    try {
+      closeSync(openSync(lockPath, 'wx', 0o600));
+      locked = true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') break;
+      try {
+        if (Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          unlinkSync(lockPath);
+          continue;
+        }
+      } catch {
+        continue; // Lock released between open and stat
+      }
+      if (Date.now() >= deadline) break;
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    if (locked) {
+      try { unlinkSync(lockPath); } catch {}
+    }
+  }
+}
+
+// ─── Lease File ────────────────────────────────────────────────────────────
+
+/**
+ * Whether a process with this PID exists. EPERM means it exists but belongs
+ * to another user.
+ */
+export function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function readLeaseFile(filePath) {
+  try {
+    const data = JSON.parse(readFileSync(filePath, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeLeaseFile(filePath, leases) {
+  const tmpFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(leases, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpFile, filePath);
+}
+
+/** A lease entry for this process, keeping the original start time. */
+function leaseEntry(accountName, existing) {
+  const now = new Date().toISOString();
+  return {
+    account: accountName,
+    pid: process.pid,
+    cwd: process.cwd(),
+    startedAt: existing?.startedAt ?? now,
+    heartbeatAt: now,
+  };
+}
+
+function isLive(lease, now) {
+  if (!lease?.account) return false;
+  const heartbeat = Date.parse(lease.heartbeatAt);
+  if (isNaN(heartbeat) || now - heartbeat > LEASE_TTL_MS) return false;
+  return isProcessAlive(lease.pid);
+}
+
+/**
+ * Load the live leases. Dead and stale entries are left out (and removed on
+ * the next write).
+ *
+ * @param {string} [filePath] - Override for tests (default: ~/.claude-nonstop/data/leases.json)
+ * @param {number} [now]
+ * @returns {Object<string, { account: string, pid: number, cwd: string, startedAt: string, heartbeatAt: string }>} Keyed by runner ID
+ */
+export function loadLeases(filePath = LEASES_FILE, now = Date.now()) {
+  const live = {};
+  for (const [runnerId, lease] of Object.entries(readLeaseFile(filePath))) {
+    if (isLive(lease, now)) live[runnerId] = lease;
+  }
+  return live;
+}
+
+/**
+ * Create or refresh this process's lease for a runner. Also used as the
+ * heartbeat, and to move the lease when the runner swaps accounts.
+ * Never throws.
+ *
+ * @param {string} runnerId
+ * @param {string} accountName
+ * @param {string} [filePath]
+ */
+export function setLease(runnerId, accountName, filePath = LEASES_FILE) {
+  try {
+    withLock(filePath, () => {
+      const leases = loadLeases(filePath);
+      leases[runnerId] = leaseEntry(accountName, leases[runnerId]);
+      writeLeaseFile(filePath, leases);
+    });
+  } catch {
+    // Non-fatal — leases only spread load, they don't guard anything
+  }
+}
+
+/**
+ * Drop a runner's lease. Never throws.
+ *
+ * @param {string} runnerId
+ * @param {string} [filePath]
+ */
+export function releaseLease(runnerId, filePath = LEASES_FILE) {
+  try {
+    withLock(filePath, () => {
+      const leases = loadLeases(filePath);
+      delete leases[runnerId];
+      writeLeaseFile(filePath, leases);
+    });
+  } catch {
+    // Non-fatal — the lease goes stale once this process exits
+  }
+}
+
+/**
+ * Pick an account and lease it in one locked step, so runners starting at
+ * the same moment see each other's choices.
+ *
+ * @template {{ account: { name: string } }} T
+ * @param {string} runnerId
+ * @param {(leases: object) => T|null} pick - Receives the live leases of other runners
+ * @param {string} [filePath]
+ * @returns {T|null} The pick result
+ */
+export function leaseAccount(runnerId, pick, filePath = LEASES_FILE) {
+  let result = null;
+  try {
+    withLock(filePath, () => {
+      const leases = loadLeases(filePath);
+      const others = { ...leases };
+      delete others[runnerId];
+
+      result = pick(others);
+      if (!result) return;
+
+      leases[runnerId] = leaseEntry(result.account.name, leases[runnerId]);
+      writeLeaseFile(filePath, leases);
+    });
+  } catch {
+    // Lease file unusable — pick without leases
+    if (!result) result = pick({});
+  }
+  return result;
+}
+
+/**
+ * Annotate accounts with `leaseCount`: the number of live runners, other than
+ * excludeRunnerId, using each account.
+ *
+ * @param {Array<{ name: string }>} accounts
+ * @param {Object<string, { account: string }>} [leases] - From loadLeases()
+ * @param {string} [excludeRunnerId] - The caller's own runner
+ * @returns {Array<object>} New array; accounts without leases are returned as-is
+ */
+export function applyLeases(accounts, leases = loadLeases(), excludeRunnerId = null) {
+  const counts = new Map();
+  for (const [runnerId, lease] of Object.entries(leases)) {
+    if (runnerId === excludeRunnerId) continue;
+    counts.set(lease.account, (counts.get(lease.account) ?? 0) + 1);
+  }
+  return accounts.map(a => counts.has(a.name)
+    ? { ...a, leaseCount: counts.get(a.name) }
+    : a);
+}
+
+export { LEASES_FILE, LEASE_HEARTBEAT_MS, LEASE_TTL_MS };
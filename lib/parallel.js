@@ -0,0 +1,277 @@
+/**
+ * Parallel fan-out — one task per directory, each in its own tmux window.
+ *
+ * `claude-nonstop parallel` takes N prompts (each in a new git worktree of the
+ * current repo, or in a given directory) or one prompt × N directories, and
+ * starts a print-mode run per task in its own tmux window:
+ *
+ * 1. Plan the tasks (planTasks) and create the worktrees
+ *    (~/.claude-nonstop/worktrees/<repo>-<run>-<n>, branch claude-nonstop/<run>-<n>).
+ * 2. Assign accounts up front (assignAccounts): pickBestAccount for each task
+ *    in turn, counting every earlier assignment as a lease on that account,
+ *    so tasks spread out instead of all landing on the emptiest one. A task
+ *    whose directory has a project policy (lib/policy.js) only gets one of
+ *    the accounts it allows.
+ * 3. Open a window per task running `claude-nonstop --account <name> -p ...`.
+ *    The window records the exit code in data/parallel/<run>/<n>.exit and
+ *    stays open until Enter is pressed, so the output can be read.
+ *
+ * The run is saved to data/parallel/<run>.json; `parallel status` rebuilds the
+ * combined table from it and the exit files.
+ */
+
+import { execFileSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_DIR } from './config.js';
+import { pickBestAccount } from './scorer.js';
+import { tmuxSessionExists } from './tmux.js';
+
+const PARALLEL_DIR = join(CONFIG_DIR, 'data', 'parallel');
+const WORKTREES_DIR = join(CONFIG_DIR, 'worktrees');
+const CLI_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'claude-nonstop.js');
+
+/**
+ * Shell snippet each task window runs: the command, then its exit code
+ * written to the exit file ($1), then a pause so the window stays readable.
+ */
+const TASK_WRAPPER = 'f=$1; shift; "$@"; code=$?; echo $code > "$f"; '
+  + 'printf "\\n[claude-nonstop] Task exited with status %s. Press Enter to close.\\n" "$code"; read _';
+
+// ─── Planning ──────────────────────────────────────────────────────────────
+
+/**
+ * Turn prompts and directories into tasks.
+ *
+ * - one prompt, N dirs: the prompt runs in every dir
+ * - N prompts, N dirs: prompt i runs in dir i
+ * - N prompts, no dirs: each prompt runs in a new worktree of `repo`
+ *
+ * @param {{ prompts: string[], dirs?: string[], repo?: string|null, runId: string, worktreesDir?: string }} options
+ * @returns {Array<{ index: number, prompt: string, cwd: string, worktree: { repo: string, branch: string }|null }>}
+ * @throws {Error} if the counts don't line up or there is nowhere to run
+ */
+export function planTasks(options) {
+  const { prompts, runId } = options;
+  const dirs = options.dirs ?? [];
+  const worktreesDir = options.worktreesDir ?? WORKTREES_DIR;
+
+  if (prompts.length === 0) throw new Error('No prompt given');
+
+  if (dirs.length > 0) {
+    if (prompts.length !== 1 && prompts.length !== dirs.length) {
+      throw new Error(`${prompts.length} prompts for ${dirs.length} directories — give one prompt, or one per directory`);
+    }
+    return dirs.map((dir, i) => ({
+      index: i + 1,
+      prompt: prompts.length === 1 ? prompts[0] : prompts[i],
+      cwd: resolve(dir),
+      worktree: null,
+    }));
+  }
+
+  if (!options.repo) throw new Error('Not in a git repository — pass directories with --dir');
+  const short = runId.slice(0, 8);
+  return prompts.map((prompt, i) => ({
+    index: i + 1,
+    prompt,
+    cwd: join(worktreesDir, `${basename(options.repo)}-${short}-${i + 1}`),
+    worktree: { repo: options.repo, branch: `claude-nonstop/${short}-${i + 1}` },
+  }));
+}
+
+/**
+ * Pick an account for each of `count` tasks. Each assignment counts as one
+ * more lease on that account for the picks after it, so tasks spread across
+ * accounts by headroom. Priorities are not used here; they would put every
+ * task on the same account.
+ *
+ * @param {Array<object>} accounts - Accounts with usage (and leases), as from checkAccounts()
+ * @param {number} count
+ * @param {{ model?: string|null, allowed?: Array<string[]|null> }} [options]
+ *   `allowed[i]` limits task i to those account names (null: any account)
+ * @returns {Array<{ account: object, reason: string }|null>} null where no account is available
+ */
+export function assignAccounts(accounts, count, options = {}) {
+  const pool = accounts.map(a => ({ ...a }));
+  const picks = [];
+  for (let i = 0; i < count; i++) {
+    const allowed = options.allowed?.[i];
+    const candidates = allowed ? pool.filter(a => allowed.includes(a.name)) : pool;
+    const best = pickBestAccount(candidates, undefined, { model: options.model ?? null });
+    picks.push(best);
+    if (best) {
+      const chosen = pool.find(a => a.name === best.account.name);
+      chosen.leaseCount = (chosen.leaseCount ?? 0) + 1;
+    }
+  }
+  return picks;
+}
+
+/**
+ * The top-level directory of the git repository containing dir.
+ *
+ * @param {string} dir
+ * @param {{ exec?: typeof execFileSync }} [deps]
+ * @returns {string|null}
+ */
+export function findRepoRoot(dir, deps = {}) {
+  const exec = deps.exec ?? execFileSync;
+  try {
+    return String(exec('git', ['-C', dir, 'rev-parse', '--show-toplevel'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a task's worktree on a new branch from the repo's HEAD.
+ *
+ * @param {{ cwd: string, worktree: { repo: string, branch: string } }} task
+ * @param {{ exec?: typeof execFileSync }} [deps]
+ * @throws {Error} if git fails
+ */
+export function createWorktree(task, deps = {}) {
+  const exec = deps.exec ?? execFileSync;
+  mkdirSync(dirname(task.cwd), { recursive: true });
+  exec('git', ['-C', task.worktree.repo, 'worktree', 'add', '-b', task.worktree.branch, task.cwd, 'HEAD'], {
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+}
+
+// ─── Launching ─────────────────────────────────────────────────────────────
+
+/**
+ * Where a task's exit code is written.
+ *
+ * @param {string} runId
+ * @param {number} index
+ * @param {string} [dir]
+ * @returns {string}
+ */
+export function exitFilePath(runId, index, dir = PARALLEL_DIR) {
+  return join(dir, runId, `${index}.exit`);
+}
+
+/**
+ * The command a task window runs.
+ *
+ * @param {{ index: number, prompt: string, account: string|null }} task
+ * @param {string[]} claudeArgs - Extra claude flags shared by every task
+ * @param {string} exitFile
+ * @returns {string[]} argv
+ */
+export function buildTaskCommand(task, claudeArgs, exitFile) {
+  return [
+    'sh', '-c', TASK_WRAPPER, 'sh', exitFile,
+    process.execPath, CLI_PATH,
+    ...(task.account ? ['--account', task.account] : []),
+    '-p', ...claudeArgs, '--', task.prompt,
+  ];
+}
+
+/**
+ * Open a tmux window per task: in `tmuxSession` when given (e.g. the current
+ * session), otherwise in a new detached session named after the run.
+ *
+ * @param {{ runId: string, tasks: Array<object>, claudeArgs: string[], tmuxSession: string|null }} run
+ * @param {{ exec?: typeof execFileSync, sessionExists?: (name: string) => boolean, dir?: string }} [deps]
+ * @returns {string} The tmux session the windows are in
+ */
+export function launchTasks(run, deps = {}) {
+  const exec = deps.exec ?? execFileSync;
+  const sessionExists = deps.sessionExists ?? tmuxSessionExists;
+  const session = run.tmuxSession ?? `claude-nonstop-parallel-${run.runId.slice(0, 8)}`;
+  mkdirSync(join(deps.dir ?? PARALLEL_DIR, run.runId), { recursive: true, mode: 0o700 });
+
+  let created = sessionExists(session);
+  for (const task of run.tasks) {
+    const command = buildTaskCommand(task, run.claudeArgs, exitFilePath(run.runId, task.index, deps.dir));
+    const name = `task-${task.index}`;
+    const tmuxArgs = created
+      ? ['new-window', '-d', '-t', `${session}:`, '-n', name, '-c', task.cwd, ...command]
+      : ['new-session', '-d', '-s', session, '-n', name, '-c', task.cwd, ...command];
+    exec('tmux', tmuxArgs, { stdio: ['ignore', 'ignore', 'pipe'] });
+    created = true;
+  }
+  return session;
+}
+
+// ─── Run State ─────────────────────────────────────────────────────────────
+
+/**
+ * A new run ID.
+ *
+ * @returns {string}
+ */
+export function createRunId() {
+  return randomUUID();
+}
+
+/**
+ * Save a run's tasks and settings.
+ *
+ * @param {{ runId: string }} run
+ * @param {string} [dir]
+ */
+export function saveRun(run, dir = PARALLEL_DIR) {
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const file = join(dir, `${run.runId}.json`);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(run, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpFile, file);
+}
+
+/**
+ * Load a run by ID or unique ID prefix, or the most recent run.
+ *
+ * @param {string|null} [idPrefix]
+ * @param {string} [dir]
+ * @returns {object|null}
+ */
+export function loadRun(idPrefix = null, dir = PARALLEL_DIR) {
+  let runs;
+  try {
+    runs = readdirSync(dir).filter(f => f.endsWith('.json')).map((f) => {
+      try {
+        return JSON.parse(readFileSync(join(dir, f), 'utf8'));
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  } catch {
+    return null;
+  }
+
+  if (idPrefix) {
+    const matches = runs.filter(r => String(r.runId).startsWith(idPrefix));
+    return matches.length === 1 ? matches[0] : null;
+  }
+  return runs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0] ?? null;
+}
+
+/**
+ * Each task of a run with its exit code (null while it runs).
+ *
+ * @param {{ runId: string, tasks: Array<object> }} run
+ * @param {string} [dir]
+ * @returns {Array<object>} Tasks with `exitCode`
+ */
+export function readTaskStatus(run, dir = PARALLEL_DIR) {
+  return run.tasks.map((task) => {
+    const file = exitFilePath(run.runId, task.index, dir);
+    let exitCode = null;
+    if (existsSync(file)) {
+      const parsed = parseInt(readFileSync(file, 'utf8').trim(), 10);
+      exitCode = Number.isNaN(parsed) ? 1 : parsed;
+    }
+    return { ...task, exitCode };
+  });
+}
+
+export { PARALLEL_DIR, WORKTREES_DIR };
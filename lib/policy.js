@@ -0,0 +1,237 @@
+/**
+ * Project policy — per-repository settings in `.claude-nonstop.json`.
+ *
+ * The file is found by walking up from the cwd to the filesystem root; the
+ * nearest one wins. Its settings are merged over the global config for
+ * `run`, `resume`, queued jobs and parallel tasks in that directory:
+ *
+ *   {
+ *     "accounts": ["client-acme"],          only these accounts are used, swaps included
+ *     "groups": ["work"],                   ...and accounts tagged with these (`tag`)
+ *     "claudeArgs": ["--model", "sonnet"],  used unless the command line sets the flag
+ *     "continueMessage": "Continue the task.",
+ *     "remoteAccess": true,                 as if --remote-access were passed
+ *     "maxSwaps": 4,
+ *     "preemptiveSwapThreshold": 90, "modelFallback": [...], "hotkeyPrefix": "...", "detachedSleep": false,
+ *     "strategy": "drain-first", "stickyThreshold": 80
+ *   }
+ *
+ * A repository can be cloned from anywhere, and many Claude flags run code
+ * from it — `--settings` can define hooks, `--mcp-config` starts servers,
+ * `--plugin-dir` and `--agents` load more of both. So `remoteAccess` (which
+ * implies --dangerously-skip-permissions) and any `claudeArgs` other than
+ * UNTRUSTED_CLAUDE_FLAGS only apply when the project is listed in
+ * `trustedProjects` in ~/.claude-nonstop/config.json. So does
+ * `continueMessage`, which is typed into Claude after every swap — in remote
+ * mode, into a session that skips permission prompts — and so do the runner
+ * settings outside UNTRUSTED_RUNNER_SETTING_KEYS. Restrictions always apply.
+ *
+ * Invalid or untrusted settings are dropped and reported in `errors`, the
+ * same way as detection rules (lib/detectors.js).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve, sep } from 'path';
+import { parseClaudeArgs, removeOptions } from './claude-args.js';
+import { hasTag } from './config.js';
+
+const POLICY_FILENAME = '.claude-nonstop.json';
+
+/** Global runner settings a policy may override (see getRunnerSettings). */
+const RUNNER_SETTING_KEYS = ['preemptiveSwapThreshold', 'modelFallback', 'hotkeyPrefix', 'detachedSleep', 'strategy', 'stickyThreshold'];
+
+/**
+ * The runner settings an untrusted policy may set: they only change which
+ * account or model is used and when. `hotkeyPrefix` (which keys reach Claude)
+ * and `detachedSleep` (whether a remote session is relaunched later) need trust.
+ */
+const UNTRUSTED_RUNNER_SETTING_KEYS = ['preemptiveSwapThreshold', 'modelFallback', 'strategy', 'stickyThreshold'];
+
+/**
+ * The only claude args an untrusted policy may set. Everything else —
+ * including prompts and flags claude-nonstop doesn't know — is dropped.
+ */
+const UNTRUSTED_CLAUDE_FLAGS = ['--model', '--fallback-model', '--verbose'];
+
+const POLICY_KEYS = ['accounts', 'groups', 'claudeArgs', 'continueMessage', 'remoteAccess', 'maxSwaps', ...RUNNER_SETTING_KEYS];
+
+/**
+ * Find the nearest policy file at or above dir.
+ *
+ * @param {string} dir
+ * @returns {string|null}
+ */
+export function findPolicyFile(dir) {
+  let current = resolve(dir);
+  for (;;) {
+    const candidate = join(current, POLICY_FILENAME);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Whether dir is one of the trusted project directories (or inside one).
+ *
+ * @param {string} dir
+ * @param {string[]} trusted
+ * @returns {boolean}
+ */
+function isTrusted(dir, trusted) {
+  return trusted.some((t) => {
+    const root = resolve(String(t));
+    return dir === root || dir.startsWith(root.endsWith(sep) ? root : root + sep);
+  });
+}
+
+/**
+ * Load the project policy for cwd.
+ *
+ * @param {string} cwd
+ * @param {{ trustedProjects?: string[] }} [globalConfig] - For `trustedProjects`
+ * @returns {{ path: string|null, trusted: boolean, policy: { accounts?: string[], groups?: string[], claudeArgs?: string[], continueMessage?: string, remoteAccess?: boolean, maxSwaps?: number, settings: object }, errors: string[] }}
+ *   `settings` holds the runner settings to merge over the global config
+ */
+export function loadPolicy(cwd, globalConfig = {}) {
+  const errors = [];
+  const policy = { settings: {} };
+  const path = findPolicyFile(cwd);
+  if (!path) return { path: null, trusted: false, policy, errors };
+
+  const trusted = isTrusted(dirname(path), Array.isArray(globalConfig.trustedProjects) ? globalConfig.trustedProjects : []);
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    errors.push(`could not parse ${path}: ${err.message}`);
+    return { path, trusted, policy, errors };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${path} must contain a JSON object`);
+    return { path, trusted, policy, errors };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!POLICY_KEYS.includes(key)) errors.push(`${path}: unknown setting "${key}"`);
+  }
+
+  if (raw.accounts !== undefined) {
+    if (Array.isArray(raw.accounts) && raw.accounts.length > 0 && raw.accounts.every(a => typeof a === 'string' && a.trim())) {
+      policy.accounts = raw.accounts.map(a => a.trim());
+    } else {
+      errors.push(`${path}: "accounts" must be a non-empty list of account names`);
+    }
+  }
+
+  if (raw.groups !== undefined) {
+    if (Array.isArray(raw.groups) && raw.groups.length > 0 && raw.groups.every(g => typeof g === 'string' && g.trim())) {
+      policy.groups = raw.groups.map(g => g.trim());
+    } else {
+      errors.push(`${path}: "groups" must be a non-empty list of tag names`);
+    }
+  }
+
+  if (raw.claudeArgs !== undefined) {
+    if (Array.isArray(raw.claudeArgs) && raw.claudeArgs.every(a => typeof a === 'string')) {
+      policy.claudeArgs = raw.claudeArgs;
+      if (!trusted) {
+        const entries = parseClaudeArgs(raw.claudeArgs);
+        const dropped = entries.filter(e => e.type === 'option' && !UNTRUSTED_CLAUDE_FLAGS.includes(e.flag)).map(e => e.flag);
+        if (dropped.length > 0 || entries.some(e => e.type !== 'option')) {
+          policy.claudeArgs = removeOptions(raw.claudeArgs, dropped, { stripPositionals: true });
+          errors.push(`${path}: "claudeArgs" other than ${UNTRUSTED_CLAUDE_FLAGS.join(', ')} ignored — add the project to "trustedProjects" in the global config to allow them`);
+        }
+      }
+    } else {
+      errors.push(`${path}: "claudeArgs" must be a list of strings`);
+    }
+  }
+
+  if (raw.continueMessage !== undefined) {
+    if (typeof raw.continueMessage !== 'string' || !raw.continueMessage.trim()) {
+      errors.push(`${path}: "continueMessage" must be a non-empty string`);
+    } else if (!trusted) {
+      errors.push(`${path}: "continueMessage" ignored — it is sent to Claude as a prompt, so add the project to "trustedProjects" in the global config to allow it`);
+    } else {
+      policy.continueMessage = raw.continueMessage.trim();
+    }
+  }
+
+  if (raw.remoteAccess !== undefined) {
+    if (typeof raw.remoteAccess !== 'boolean') {
+      errors.push(`${path}: "remoteAccess" must be true or false`);
+    } else if (raw.remoteAccess && !trusted) {
+      errors.push(`${path}: "remoteAccess" ignored — it skips permission prompts, so add the project to "trustedProjects" in the global config to allow it`);
+    } else {
+      policy.remoteAccess = raw.remoteAccess;
+    }
+  }
+
+  if (raw.maxSwaps !== undefined) {
+    if (Number.isInteger(raw.maxSwaps) && raw.maxSwaps >= 0) {
+      policy.maxSwaps = raw.maxSwaps;
+    } else {
+      errors.push(`${path}: "maxSwaps" must be a whole number`);
+    }
+  }
+
+  for (const key of RUNNER_SETTING_KEYS) {
+    if (raw[key] === undefined) continue;
+    if (trusted || UNTRUSTED_RUNNER_SETTING_KEYS.includes(key)) {
+      policy.settings[key] = raw[key];
+    } else {
+      errors.push(`${path}: "${key}" ignored — add the project to "trustedProjects" in the global config to allow it`);
+    }
+  }
+
+  return { path, trusted, policy, errors };
+}
+
+/**
+ * Whether a policy limits the accounts at all.
+ *
+ * @param {{ accounts?: string[], groups?: string[] }} policy
+ * @returns {boolean}
+ */
+export function isRestricted(policy) {
+  return Boolean(policy.accounts || policy.groups);
+}
+
+/**
+ * Limit accounts to the ones a policy allows: those it names and those
+ * tagged with one of its groups.
+ *
+ * @param {Array<{ name: string, tags?: string[] }>} accounts
+ * @param {{ accounts?: string[], groups?: string[] }} policy
+ * @returns {{ accounts: Array<{ name: string }>, unknown: string[] }}
+ *   `unknown` lists allowed names that are not registered
+ */
+export function filterAllowedAccounts(accounts, policy) {
+  if (!isRestricted(policy)) return { accounts, unknown: [] };
+  const allowed = new Set(policy.accounts ?? []);
+  const groups = policy.groups ?? [];
+  return {
+    accounts: accounts.filter(a => allowed.has(a.name) || groups.some(g => hasTag(a, g))),
+    unknown: (policy.accounts ?? []).filter(name => !accounts.some(a => a.name === name)),
+  };
+}
+
+/**
+ * Put a policy's claude args in front of the given ones. Flags the given args
+ * already set are left out, so the command line wins, and args that already
+ * carry the policy (a scheduled resume) are not doubled.
+ *
+ * @param {string[]|undefined} policyArgs
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+export function applyPolicyArgs(policyArgs, args) {
+  if (!policyArgs?.length) return args;
+  const given = parseClaudeArgs(args).filter(e => e.type === 'option').map(e => e.flag);
+  return [...removeOptions(policyArgs, given), ...args];
+}
+
+export { POLICY_FILENAME, UNTRUSTED_CLAUDE_FLAGS, UNTRUSTED_RUNNER_SETTING_KEYS };
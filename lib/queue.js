@@ -0,0 +1,295 @@
+/**
+ * Prompt queue — print-mode jobs that run when an account has room.
+ *
+ * `claude-nonstop queue add "<prompt>"` records a job in
+ * ~/.claude-nonstop/data/queue.json:
+ *
+ *   { "<id>": { prompt, cwd, account, args, status, createdAt, startedAt?, finishedAt?, exitCode?, pid? } }
+ *
+ * `claude-nonstop queue run` claims the oldest queued job, waits until an
+ * account has room (sleeping until the earliest reset when all are
+ * exhausted), and runs it headless (lib/headless.js) in the job's cwd, so
+ * swaps, session migration and retries work as for `claude-nonstop -p`. The
+ * result goes to ~/.claude-nonstop/queue/<id>.out. It drains the queue and
+ * exits.
+ *
+ * Jobs are claimed under the lease lock (lib/leases.js), so several queue
+ * runners can drain one queue side by side. A job left `running` by a runner
+ * that died is queued again.
+ */
+
+import { randomUUID } from 'crypto';
+import { readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+import { withLock, isProcessAlive } from './leases.js';
+import { pickBestAccount, effectiveUtilization } from './scorer.js';
+import {
+  checkAccounts, findEarliestReset, formatDuration, sleep, EXHAUSTION_THRESHOLD, MAX_SLEEP_MS,
+} from './runner.js';
+
+const QUEUE_FILE = join(CONFIG_DIR, 'data', 'queue.json');
+const QUEUE_OUTPUT_DIR = join(CONFIG_DIR, 'queue');
+
+/** How long to wait before re-checking when no reset time is known (ms). */
+const QUEUE_RECHECK_MS = 15 * 60_000;
+/** Exit code of a job whose run was interrupted by a signal; it is queued again. */
+const INTERRUPTED_EXIT_CODE = 130;
+
+// ─── Queue File ────────────────────────────────────────────────────────────
+
+function readQueue(file) {
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeQueue(file, queue) {
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(queue, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpFile, file);
+}
+
+/**
+ * Load every job, oldest first.
+ *
+ * @param {string} [file] - Override for tests (default: ~/.claude-nonstop/data/queue.json)
+ * @returns {Array<{ id: string, prompt: string, cwd: string, account: string|null, args: string[], status: string, createdAt: string, startedAt?: string, finishedAt?: string, exitCode?: number, pid?: number }>}
+ */
+export function loadQueue(file = QUEUE_FILE) {
+  return Object.entries(readQueue(file))
+    .map(([id, job]) => ({ id, ...job }))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Add a job to the queue.
+ *
+ * @param {{ prompt: string, cwd: string, account?: string|null, args?: string[] }} fields
+ * @param {string} [file]
+ * @returns {object} The job with its id
+ */
+export function addJob(fields, file = QUEUE_FILE) {
+  const id = randomUUID();
+  const job = {
+    prompt: fields.prompt,
+    cwd: fields.cwd,
+    account: fields.account ?? null,
+    args: fields.args ?? [],
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+  };
+  withLock(file, () => {
+    const queue = readQueue(file);
+    queue[id] = job;
+    writeQueue(file, queue);
+  });
+  return { id, ...job };
+}
+
+/**
+ * Find the one job an id (or unique id prefix) refers to.
+ *
+ * @returns {string|null}
+ */
+function resolveId(queue, idPrefix) {
+  const matches = Object.keys(queue).filter(id => id.startsWith(idPrefix));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Remove a queued job.
+ *
+ * @param {string} idPrefix - Job id or a unique prefix of it
+ * @param {string} [file]
+ * @returns {{ job: object|null, error?: string }}
+ */
+export function cancelJob(idPrefix, file = QUEUE_FILE) {
+  let result = { job: null, error: `No single job matches "${idPrefix}"` };
+  withLock(file, () => {
+    const queue = readQueue(file);
+    const id = resolveId(queue, idPrefix);
+    if (!id) return;
+    if (queue[id].status !== 'queued') {
+      result = { job: null, error: `Job ${id.slice(0, 8)} is ${queue[id].status}` };
+      return;
+    }
+    result = { job: { id, ...queue[id] } };
+    delete queue[id];
+    writeQueue(file, queue);
+  });
+  return result;
+}
+
+/**
+ * Remove finished (done or failed) jobs.
+ *
+ * @param {string} [file]
+ * @returns {Array<object>} The removed jobs
+ */
+export function clearFinishedJobs(file = QUEUE_FILE) {
+  let removed = [];
+  withLock(file, () => {
+    const queue = readQueue(file);
+    removed = Object.entries(queue)
+      .filter(([, job]) => job.status === 'done' || job.status === 'failed')
+      .map(([id, job]) => ({ id, ...job }));
+    if (removed.length === 0) return;
+    for (const { id } of removed) delete queue[id];
+    writeQueue(file, queue);
+  });
+  return removed;
+}
+
+/**
+ * Claim the oldest queued job for this process. Jobs left running by a
+ * process that is gone are queued again first.
+ *
+ * @param {string} [file]
+ * @param {number} [pid]
+ * @returns {object|null} The claimed job, or null if none is queued
+ */
+export function claimNextJob(file = QUEUE_FILE, pid = process.pid) {
+  let claimed = null;
+  withLock(file, () => {
+    const queue = readQueue(file);
+    let changed = false;
+    for (const job of Object.values(queue)) {
+      if (job.status === 'running' && !isProcessAlive(job.pid)) {
+        job.status = 'queued';
+        delete job.pid;
+        delete job.startedAt;
+        changed = true;
+      }
+    }
+
+    const next = Object.entries(queue)
+      .filter(([, job]) => job.status === 'queued')
+      .sort(([, a], [, b]) => String(a.createdAt).localeCompare(String(b.createdAt)))[0];
+    if (next) {
+      const [id, job] = next;
+      Object.assign(job, { status: 'running', pid, startedAt: new Date().toISOString() });
+      claimed = { id, ...job };
+      changed = true;
+    }
+    if (changed) writeQueue(file, queue);
+  });
+  return claimed;
+}
+
+/**
+ * Record the end of a job. An interrupted job goes back to the queue.
+ *
+ * @param {string} id
+ * @param {number} exitCode
+ * @param {string} [file]
+ */
+export function finishJob(id, exitCode, file = QUEUE_FILE) {
+  withLock(file, () => {
+    const queue = readQueue(file);
+    const job = queue[id];
+    if (!job) return;
+    delete job.pid;
+    if (exitCode === INTERRUPTED_EXIT_CODE) {
+      job.status = 'queued';
+      delete job.startedAt;
+    } else {
+      Object.assign(job, { status: exitCode === 0 ? 'done' : 'failed', exitCode, finishedAt: new Date().toISOString() });
+    }
+    writeQueue(file, queue);
+  });
+}
+
+/**
+ * Where a job's output is written.
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+export function jobOutputPath(id) {
+  return join(QUEUE_OUTPUT_DIR, `${id}.out`);
+}
+
+// ─── Running ───────────────────────────────────────────────────────────────
+
+/**
+ * Wait until an account has room for a job: the job's requested account, or
+ * the best one. Sleeps until the earliest reset while every candidate is
+ * exhausted or cooling down.
+ *
+ * @param {object} job
+ * @param {Array<{ name: string, configDir: string }>} allAccounts
+ * @param {{ runnerId?: string|null, model?: string|null, strategy?: object|null, check?: typeof checkAccounts, wait?: (ms: number) => Promise<{ interrupted: boolean }>, log?: (message: string) => void }} [options]
+ *   `strategy` is the selection strategy (lib/strategies.js);
+ *   `check` and `wait` are overrides for tests
+ * @returns {Promise<{ account: object, reason: string }|{ error: string }|null>}
+ *   null if the wait was interrupted by a signal
+ */
+export async function waitForAccount(job, allAccounts, options = {}) {
+  const check = options.check ?? checkAccounts;
+  const wait = options.wait ?? sleep;
+  const log = options.log ?? (() => {});
+  const model = options.model ?? null;
+
+  if (job.account && !allAccounts.some(a => a.name === job.account)) {
+    return { error: `Account "${job.account}" is not registered` };
+  }
+
+  for (;;) {
+    const accounts = await check(allAccounts, options.runnerId ?? null);
+    const candidates = job.account ? accounts.filter(a => a.name === job.account) : accounts;
+    const hasPriorities = candidates.some(a => a.priority != null);
+    const best = pickBestAccount(candidates, undefined, { usePriority: hasPriorities, strategy: options.strategy ?? null, model, currentAccount: null });
+
+    if (best && effectiveUtilization(best.account.usage, model) < EXHAUSTION_THRESHOLD) {
+      return job.account ? { account: best.account, reason: 'requested' } : best;
+    }
+
+    const waitMs = Math.min(findEarliestReset(candidates) || QUEUE_RECHECK_MS, MAX_SLEEP_MS);
+    log(`${job.account ? `Account "${job.account}" is` : 'All accounts are'} near limit. Waiting ${formatDuration(waitMs)} for job ${job.id.slice(0, 8)}...`);
+    const { interrupted } = await wait(waitMs);
+    if (interrupted) return null;
+  }
+}
+
+/**
+ * Run queued jobs one after another until none are left.
+ *
+ * @param {(job: object) => Promise<number>} runJob - Runs a claimed job, resolves with its exit code
+ * @param {{ file?: string, log?: (message: string) => void }} [options]
+ * @returns {Promise<{ done: number, failed: number, interrupted: boolean }>}
+ */
+export async function drainQueue(runJob, options = {}) {
+  const file = options.file ?? QUEUE_FILE;
+  const log = options.log ?? (() => {});
+  const summary = { done: 0, failed: 0, interrupted: false };
+
+  for (;;) {
+    const job = claimNextJob(file);
+    if (!job) return summary;
+
+    log(`Starting job ${job.id.slice(0, 8)} in ${job.cwd}`);
+    let exitCode;
+    try {
+      exitCode = await runJob(job);
+    } catch (err) {
+      log(`Job ${job.id.slice(0, 8)} could not run: ${err.message}`);
+      exitCode = 1;
+    }
+    finishJob(job.id, exitCode, file);
+
+    if (exitCode === INTERRUPTED_EXIT_CODE) {
+      log(`Interrupted; job ${job.id.slice(0, 8)} is queued again.`);
+      summary.interrupted = true;
+      return summary;
+    }
+    if (exitCode === 0) summary.done++;
+    else summary.failed++;
+    log(`Job ${job.id.slice(0, 8)} ${exitCode === 0 ? 'done' : `failed (exit ${exitCode})`}`);
+  }
+}
+
+export { QUEUE_FILE, QUEUE_OUTPUT_DIR, QUEUE_RECHECK_MS, INTERRUPTED_EXIT_CODE };
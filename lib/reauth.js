@@ -10,7 +10,7 @@
 
 import { spawn } from 'child_process';
 import { readCredentials, isTokenExpired, refreshAccessToken } from './keychain.js';
-import { DEFAULT_CLAUDE_DIR } from './config.js';
+import { DEFAULT_CLAUDE_DIR, isApiKeyAccount } from './config.js';
 
 /**
  * Attempt silent token refresh using the OAuth refresh endpoint.
@@ -92,6 +92,8 @@ export async function reauthAccount(account) {
  */
 export async function reauthExpiredAccounts(accounts) {
   const needsReauth = accounts.filter(a => {
+    // API keys don't expire and can't be refreshed
+    if (isApiKeyAccount(a)) return false;
     // No token at all
     if (!a.token) return true;
     // Token expired per keychain expiresAt
@@ -0,0 +1,152 @@
+/**
+ * Terminal session recording in asciicast v2 format.
+ *
+ * With `--record`, every runOnce() writes Claude's PTY output to its own
+ * .cast file under ~/.claude-nonstop/recordings/, playable with
+ * `asciinema play`. Account swaps, detections and resumes are written as
+ * marker ("m") events so the exact moment of each swap can be found.
+ *
+ * Files are named <startedAt>_<runnerId prefix>_<account>.cast, so all
+ * recordings from one run sort together. Recordings contain the full
+ * conversation and are written with 0600 permissions.
+ *
+ * Format: https://docs.asciinema.org/manual/asciicast/v2/
+ */
+
+import { closeSync, existsSync, mkdirSync, openSync, readdirSync, statSync, unlinkSync, writeSync } from 'fs';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+const RECORDINGS_DIR = join(CONFIG_DIR, 'recordings');
+
+const RECORDING_NAME_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)_([0-9a-f]{8})_([a-zA-Z0-9_-]+)\.cast$/;
+
+/**
+ * Start a recording. Returns a handle whose methods never throw — a full
+ * disk must not take the Claude session down with it.
+ *
+ * @param {object} options
+ * @param {string} options.account - Account name (part of the file name)
+ * @param {string} options.runnerId - Runner ID; the first 8 chars go in the file name
+ * @param {number} options.cols
+ * @param {number} options.rows
+ * @param {string} [options.dir] - Override for tests (default: ~/.claude-nonstop/recordings)
+ * @param {number} [options.now] - Start time (ms), for tests
+ * @returns {{ path: string, output: (data: string) => void, resize: (cols: number, rows: number) => void, marker: (label: string) => void, close: () => void }}
+ */
+export function createRecorder({ account, runnerId, cols, rows, dir = RECORDINGS_DIR, now = Date.now() }) {
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const startedAt = new Date(now);
+  const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+  const filePath = join(dir, `${stamp}_${runnerId.slice(0, 8)}_${account}.cast`);
+  let fd = openSync(filePath, 'w', 0o600);
+
+  function writeLine(value) {
+    if (fd === null) return;
+    try {
+      writeSync(fd, JSON.stringify(value) + '\n');
+    } catch {
+      // Stop recording rather than interrupt the session
+      close();
+    }
+  }
+
+  function event(type, data) {
+    const elapsed = Math.max(0, (Date.now() - now) / 1000);
+    writeLine([Number(elapsed.toFixed(6)), type, data]);
+  }
+
+  function close() {
+    if (fd === null) return;
+    try { closeSync(fd); } catch {}
+    fd = null;
+  }
+
+  writeLine({
+    version: 2,
+    width: cols,
+    height: rows,
+    timestamp: Math.floor(now / 1000),
+    title: `claude-nonstop: ${account} (run ${runnerId.slice(0, 8)})`,
+    env: { TERM: 'xterm-256color' },
+  });
+
+  return {
+    path: filePath,
+    output: (data) => event('o', data),
+    resize: (newCols, newRows) => event('r', `${newCols}x${newRows}`),
+    marker: (label) => event('m', label),
+    close,
+  };
+}
+
+/**
+ * List recordings, newest first.
+ *
+ * @param {string} [dir]
+ * @returns {Array<{ file: string, path: string, startedAt: Date, runnerId: string, account: string, size: number, modifiedAt: Date }>}
+ */
+export function listRecordings(dir = RECORDINGS_DIR) {
+  if (!existsSync(dir)) return [];
+
+  const recordings = [];
+  for (const file of readdirSync(dir)) {
+    const match = RECORDING_NAME_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, stamp, runnerId, account] = match;
+    const path = join(dir, file);
+    let stat;
+    try {
+      stat = statSync(path);
+    } catch {
+      continue;
+    }
+
+    // 2025-06-15T12-00-00-123Z -> 2025-06-15T12:00:00.123Z
+    const iso = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+    recordings.push({
+      file,
+      path,
+      startedAt: new Date(iso),
+      runnerId,
+      account,
+      size: stat.size,
+      modifiedAt: stat.mtime,
+    });
+  }
+
+  return recordings.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Delete old recordings.
+ *
+ * @param {{ olderThanMs?: number, keep?: number }} criteria - Delete recordings
+ *   that started more than olderThanMs ago, and/or all but the newest `keep`
+ * @param {string} [dir]
+ * @param {number} [now]
+ * @returns {Array<object>} The recordings that were deleted
+ */
+export function pruneRecordings({ olderThanMs, keep } = {}, dir = RECORDINGS_DIR, now = Date.now()) {
+  const recordings = listRecordings(dir);
+  const removed = [];
+
+  recordings.forEach((rec, i) => {
+    const tooOld = olderThanMs != null && now - rec.startedAt.getTime() > olderThanMs;
+    const overKeep = keep != null && i >= keep;
+    if (!tooOld && !overKeep) return;
+
+    try {
+      unlinkSync(rec.path);
+      removed.push(rec);
+    } catch {
+      // Already gone
+    }
+  });
+
+  return removed;
+}
+
+export { RECORDINGS_DIR };
@@ -0,0 +1,87 @@
+/**
+ * Runner channel — file-based IPC from Claude Code hooks back to the runner.
+ *
+ * Each run() invocation gets a unique runner ID, passed to Claude via the
+ * CLAUDE_NONSTOP_RUNNER_ID environment variable. Hooks spawned by Claude
+ * inherit that environment, so remote/hook-notify.cjs can record lifecycle
+ * events in ~/.claude-nonstop/data/runners/<runnerId>.json. The runner polls
+ * the file to learn about turn boundaries (Stop hook) and reads the session
+ * Claude is in from it (SessionStart hook, also fired after /clear).
+ *
+ * The file lives for one Claude process: runOnce() removes it on exit, so a
+ * reported session always belongs to the process that just ran.
+ *
+ * The writer side lives in remote/hook-notify.cjs (CJS) — keep the file
+ * format in sync with reportToRunner() there.
+ */
+
+import { randomUUID } from 'crypto';
+import { existsSync, readFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+const RUNNERS_DIR = join(CONFIG_DIR, 'data', 'runners');
+const RUNNER_ID_ENV = 'CLAUDE_NONSTOP_RUNNER_ID';
+
+const RUNNER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Generate a new runner ID.
+ *
+ * @returns {string} UUID v4
+ */
+export function createRunnerId() {
+  return randomUUID();
+}
+
+/**
+ * Get the channel file path for a runner ID.
+ *
+ * @param {string} runnerId
+ * @param {string} [runnersDir] - Override for tests (default: CONFIG_DIR/data/runners)
+ * @returns {string}
+ * @throws {Error} if the runner ID is not a UUID (prevents path traversal)
+ */
+export function getRunnerChannelPath(runnerId, runnersDir = RUNNERS_DIR) {
+  if (typeof runnerId !== 'string' || !RUNNER_ID_PATTERN.test(runnerId)) {
+    throw new Error('Invalid runner ID: must be a valid UUID');
+  }
+  return join(runnersDir, `${runnerId}.json`);
+}
+
+/**
+ * Read the current channel state for a runner.
+ *
+ * @param {string} runnerId
+ * @param {string} [runnersDir]
+ * @returns {{ lastStopAt?: number, stopSessionId?: string|null, sessionId?: string, sessionSource?: string|null, sessionStartedAt?: number }}
+ *   Empty object if nothing reported yet. `sessionSource` is the SessionStart
+ *   source: startup, resume, clear or compact
+ */
+export function readRunnerChannel(runnerId, runnersDir) {
+  try {
+    const channelPath = getRunnerChannelPath(runnerId, runnersDir);
+    if (!existsSync(channelPath)) return {};
+    const raw = readFileSync(channelPath, 'utf8');
+    if (!raw.trim()) return {};
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Delete a runner's channel file. Called when run() exits.
+ *
+ * @param {string} runnerId
+ * @param {string} [runnersDir]
+ */
+export function removeRunnerChannel(runnerId, runnersDir) {
+  try {
+    unlinkSync(getRunnerChannelPath(runnerId, runnersDir));
+  } catch {
+    // Already gone or never created
+  }
+}
+
+export { RUNNERS_DIR, RUNNER_ID_ENV, RUNNER_ID_PATTERN };
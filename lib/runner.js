@@ -5,12 +5,17 @@
  * Flow:
  * 1. Spawn `claude` with CLAUDE_CONFIG_DIR pointing to selected account
  * 2. Pipe stdout/stderr through to the user's terminal (real-time pass-through)
- * 3. Simultaneously scan output for rate limit patterns
- * 4. On rate limit detection:
- *    a. Kill the paused Claude process
- *    b. Find the active session file
- *    c. Migrate session to the next best account's config dir
- *    d. Resume with `claude --resume <sessionId>` using the new account
+ * 3. Simultaneously scan output against the detection rules (lib/detectors.js)
+ * 4. On a match, kill the paused Claude process and act on the rule:
+ *    - swap:   migrate the session to the next best account's config dir and
+ *              resume with `claude --resume <sessionId>` using the new account
+ *    - retry:  resume on the same account after an exponential backoff
+ *    - reauth: refresh the account's credentials and resume on it, or swap
+ *              if the refresh fails
+ *    - abort:  exit with an error
+ * 5. Meanwhile, poll the current account's usage. Once it crosses the
+ *    pre-emptive threshold, wait for the next turn boundary (reported by the
+ *    Stop hook through the runner channel) and swap before the limit hits.
  */
 
 import * as pty from 'node-pty';
@@ -18,29 +23,32 @@ import { execFile } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import fs from 'node:fs';
 import path from 'node:path';
-import { readCredentials } from './keychain.js';
+import { readAccountCredentials, readApiKey } from './keychain.js';
 import { checkAllUsage } from './usage.js';
-import { pickBestAccount, effectiveUtilization } from './scorer.js';
+import { pickBestAccount, effectiveUtilization, isCoolingDown, modelFamily } from './scorer.js';
 import { findLatestSession, migrateSession } from './session.js';
-import { reauthExpiredAccounts } from './reauth.js';
-import { CONFIG_DIR } from './config.js';
+import { reauthExpiredAccounts, silentRefresh } from './reauth.js';
+import { CONFIG_DIR, isApiKeyAccount } from './config.js';
 import { getCurrentTmuxSession } from './tmux.js';
+import { scheduleResume, ensureScheduler } from './scheduler.js';
+import { createRunnerId, readRunnerChannel, removeRunnerChannel, RUNNER_ID_ENV } from './runner-channel.js';
+import { loadDetectors, matchDetectors, RATE_LIMIT_PATTERN } from './detectors.js';
+import { parseResetTime, setCooldown, applyCooldowns } from './cooldown.js';
+import { createRecorder } from './recorder.js';
+import { createEventLog } from './history.js';
+import { createSpendTracker } from './spend.js';
+import { showSleepScreen, describeAccountUsage } from './sleep-screen.js';
+import { startControlServer } from './control.js';
+import { parseHotkey, formatHotkey, formatHotkeyMenu, createHotkeyFilter } from './hotkeys.js';
+import { createScreen } from './screen.js';
+import { getOptionValue, removeOptions, appendPositional, RESUME_CONFLICTS } from './claude-args.js';
+import { loadLeases, setLease, releaseLease, applyLeases, LEASE_HEARTBEAT_MS } from './leases.js';
+import { recordUsageSamples, applyForecasts } from './forecast.js';
+import { applyLastUsed, recordSelection } from './strategies.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const HOOK_NOTIFY_PATH = path.resolve(__dirname, '..', 'remote', 'hook-notify.cjs');
 
-/**
- * Rate limit detection pattern.
- * Claude Code outputs either:
- *   "Limit reached · resets Dec 17 at 6am (Europe/Oslo)"
- *   "You've hit your limit · resets 8am (America/Los_Angeles)"
- */
-const RATE_LIMIT_PATTERN = /(?:Limit reached|You've hit your limit)\s*[·•]\s*resets\s+(.+?)(?:\s*$|\n)/im;
-
-/** Maximum output buffer size before trimming (bytes). */
-const OUTPUT_BUFFER_MAX = 4000;
-/** Buffer trim target (bytes). */
-const OUTPUT_BUFFER_TRIM = 2000;
 /** Maximum number of account swaps before giving up. */
 const MAX_SWAPS_DEFAULT = 5;
 /** Message sent to auto-continue after rate-limit account switch. */
@@ -51,6 +59,23 @@ const KILL_ESCALATION_DELAY = 3000;
 const EXHAUSTION_THRESHOLD = 99;
 /** Maximum sleep duration when waiting for a rate limit reset (6 hours). */
 const MAX_SLEEP_MS = 6 * 60 * 60 * 1000;
+/** Shorter sleeps are waited out in place even when detached sleep is on (ms). */
+const DETACH_MIN_SLEEP_MS = 15 * 60_000;
+/** How often to poll the current account's usage for pre-emptive swaps (ms). */
+const PREEMPT_POLL_INTERVAL_MS = 60_000;
+/** How often to check the runner channel for a turn boundary (ms). */
+const TURN_POLL_INTERVAL_MS = 1000;
+/** Maximum number of same-account retries (detection action "retry") before giving up. */
+const MAX_RETRIES = 5;
+/** First retry backoff (ms); doubles on each subsequent retry. */
+const RETRY_BACKOFF_BASE_MS = 30_000;
+/** Upper bound on a single retry backoff (ms). */
+const RETRY_BACKOFF_MAX_MS = 10 * 60 * 1000;
+/**
+ * An auth failure this soon after refreshing the same account means the fresh
+ * token was rejected too — swap instead of refreshing in a loop (ms).
+ */
+const REAUTH_RETRY_WINDOW_MS = 5 * 60 * 1000;
 
 // ─── ANSI Stripping ────────────────────────────────────────────────────────
 
@@ -72,10 +97,58 @@ function spawnHookNotify(type, data) {
   child.unref();
 }
 
+/**
+ * Whether a profile's settings.json has our Stop hook, which reports the
+ * turn boundaries pre-emptive swaps wait for.
+ *
+ * @param {string} configDir
+ * @returns {boolean}
+ */
+function hasStopHook(configDir) {
+  try {
+    const settings = JSON.parse(fs.readFileSync(path.join(configDir, 'settings.json'), 'utf8'));
+    return (settings.hooks?.Stop ?? []).some(m => m.hooks?.some(h => h.command?.includes('hook-notify.cjs')));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Attach fresh OAuth tokens (API keys for API-key accounts) to accounts,
+ * dropping those without credentials.
+ *
+ * @param {Array<{ name: string, configDir: string }>} accounts
+ * @returns {Array<{ name: string, configDir: string, token: string }>}
+ */
+function withTokens(accounts) {
+  return accounts.map(a => ({
+    ...a,
+    token: readAccountCredentials(a).token,
+  })).filter(a => a.token);
+}
+
+/**
+ * Check usage for all accounts that have credentials, annotated with any
+ * active rate-limit cooldowns, the leases of other live runners, when each
+ * was last selected and its burn-rate forecast. The usage is recorded in the
+ * usage history (lib/forecast.js) first.
+ *
+ * @param {Array<{ name: string, configDir: string }>} accounts
+ * @param {string|null} [runnerId] - The caller's runner, whose own lease is ignored
+ * @returns {Promise<Array<object>>}
+ */
+async function checkAccounts(accounts, runnerId = null) {
+  const withUsage = await checkAllUsage(withTokens(accounts));
+  recordUsageSamples(withUsage);
+  return applyForecasts(applyLastUsed(applyLeases(applyCooldowns(withUsage), loadLeases(), runnerId)));
+}
+
 /**
  * Find the earliest reset time across all non-excluded accounts.
+ * An account in cooldown resets when its cooldown ends, whatever its usage
+ * data says.
  *
- * @param {Array<{name: string, usage: object}>} accounts
+ * @param {Array<{name: string, usage: object, cooldownUntil?: string}>} accounts
  * @param {string} [excludeName] - Account name to skip
  * @returns {number} Milliseconds until earliest reset (0 if no reset info available)
  */
@@ -85,9 +158,12 @@ function findEarliestReset(accounts, excludeName) {
 
   for (const a of accounts) {
     if (a.name === excludeName) continue;
-    if (!a.usage) continue;
 
-    for (const ts of [a.usage.sessionResetsAt, a.usage.weeklyResetsAt]) {
+    const resets = isCoolingDown(a, now)
+      ? [a.cooldownUntil]
+      : [a.usage?.sessionResetsAt, a.usage?.weeklyResetsAt];
+
+    for (const ts of resets) {
       if (!ts) continue;
       const resetMs = new Date(ts).getTime();
       if (isNaN(resetMs)) continue;
@@ -111,14 +187,27 @@ function formatDuration(ms) {
   return `${minutes}m`;
 }
 
+/**
+ * Backoff before the given retry attempt (1-based): base, 2x base, 4x base, ...
+ * capped at RETRY_BACKOFF_MAX_MS.
+ *
+ * @param {number} attempt
+ * @returns {number} Milliseconds to wait
+ */
+function retryBackoffMs(attempt) {
+  return Math.min(RETRY_BACKOFF_BASE_MS * 2 ** (attempt - 1), RETRY_BACKOFF_MAX_MS);
+}
+
 /**
  * Sleep for the given number of milliseconds.
- * Interruptible: SIGINT or SIGTERM will resolve the sleep early.
+ * Interruptible: SIGINT or SIGTERM will resolve the sleep early, and so will
+ * aborting options.signal (a wake request) — then `woken` is set.
  *
  * @param {number} ms
- * @returns {Promise<{ interrupted: boolean }>}
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ interrupted: boolean, woken?: boolean }>}
  */
-function sleep(ms) {
+function sleep(ms, options = {}) {
   return new Promise(resolve => {
     const timer = setTimeout(() => {
       cleanup();
@@ -130,14 +219,22 @@ function sleep(ms) {
       resolve({ interrupted: true });
     }
 
+    function onWake() {
+      cleanup();
+      resolve({ interrupted: false, woken: true });
+    }
+
     function cleanup() {
       clearTimeout(timer);
       process.removeListener('SIGINT', onSignal);
       process.removeListener('SIGTERM', onSignal);
+      options.signal?.removeEventListener('abort', onWake);
     }
 
     process.on('SIGINT', onSignal);
     process.on('SIGTERM', onSignal);
+    if (options.signal?.aborted) onWake();
+    else options.signal?.addEventListener('abort', onWake);
   });
 }
 
@@ -179,13 +276,275 @@ function deactivateStaleChannels(tmuxSessionName, channelMapPath) {
   }
 }
 
+/**
+ * Record a cooldown for an account from a rate-limit detection's reset text.
+ * No-op for other detections or unparseable reset times.
+ *
+ * @param {{ name: string }} account
+ * @param {{ category: string, resetTime: string|null }|null} detection
+ */
+function recordCooldown(account, detection) {
+  if (detection?.category !== 'rate-limit') return;
+  const resetAt = parseResetTime(detection.resetTime);
+  if (resetAt && resetAt.getTime() > Date.now()) {
+    setCooldown(account.name, resetAt, detection.category);
+  }
+}
+
+/**
+ * Find the first model in the fallback chain that some account still has
+ * room for. Chain entries up to and including the current model are skipped,
+ * as are models of the current model's family. Any account may be chosen,
+ * including the current one — a model-specific weekly limit leaves the others
+ * usable.
+ *
+ * @param {Array<object>} accountsWithUsage
+ * @param {string|null} currentModel - Current `--model` value
+ * @param {string[]} chain - Fallback models, in order of preference
+ * @param {{ usePriority?: boolean, strategy?: object|null, currentAccount?: string|null }} [options]
+ * @returns {{ model: string, best: { account: object, reason: string } }|null}
+ */
+function pickFallbackModel(accountsWithUsage, currentModel, chain, options = {}) {
+  const currentFamily = modelFamily(currentModel);
+  for (const model of chain.slice(chain.indexOf(currentModel) + 1)) {
+    if (model === currentModel || (currentFamily && modelFamily(model) === currentFamily)) continue;
+    const best = pickBestAccount(accountsWithUsage, undefined, { usePriority: options.usePriority, strategy: options.strategy, model, currentAccount: options.currentAccount ?? null });
+    if (best && effectiveUtilization(best.account.usage, model) < EXHAUSTION_THRESHOLD) {
+      return { model, best };
+    }
+  }
+  return null;
+}
+
+/**
+ * Choose the account to continue on after the current one was stopped.
+ *
+ * When every candidate is near exhaustion or cooling down, first tries the
+ * model fallback chain (see pickFallbackModel), then sleeps until the earliest
+ * reset instead of thrashing (interruptible by SIGINT/SIGTERM). When
+ * interactive at a terminal the sleep is the sleep screen (lib/sleep-screen.js),
+ * where the user can wake early, pick an account or quit. With
+ * `options.detach`, a sleep of DETACH_MIN_SLEEP_MS or more is scheduled as a
+ * resume (lib/scheduler.js) instead and the caller exits. When interactive and
+ * the only candidates have expired tokens, offers re-auth.
+ *
+ * @param {{ name: string, configDir: string }} currentAccount
+ * @param {Array<{ name: string, configDir: string }>} allAccounts
+ * @param {{ remoteAccess?: boolean, interactive?: boolean, sessionId?: string|null, runnerId?: string|null, events?: { log: Function }|null, model?: string|null, modelFallback?: string[], controls?: object|null, detach?: { args: string[], continueMessage?: string, group?: string|null }|null, strategy?: { name: string|null, stickyThreshold?: number|null }|null }} [options]
+ *   `runnerId` keeps the caller's own lease from counting against its accounts;
+ *   `strategy` is the selection strategy (lib/strategies.js);
+ *   `events` receives sleep/wake history events (lib/history.js);
+ *   `model` is the session's current `--model` value;
+ *   `controls` (see run()) gets `sleepingUntil` and a `wake()` function while sleeping;
+ *   `detach.args` are the claude args to relaunch the session with,
+ *   `detach.continueMessage` the message it continues with and `detach.group`
+ *   the account group (`--group`) it is limited to
+ * @returns {Promise<{ best: { account: object, reason: string }|null, model: string|null, slept: boolean, interrupted: boolean, quit?: boolean, detached?: boolean }>}
+ *   `model` is set when the session should continue on a fallback model;
+ *   `quit` is set when the user quit from the sleep screen (with `interrupted`);
+ *   `detached` is set when the resume was scheduled and the runner should exit
+ */
+async function selectNextAccount(currentAccount, allAccounts, options = {}) {
+  const { remoteAccess = false, interactive = false, sessionId = null, runnerId = null, events = null, controls = null, strategy = null } = options;
+  const model = options.model ?? null;
+  const modelFallback = options.modelFallback ?? [];
+  let slept = false;
+
+  let accountsWithUsage = await checkAccounts(allAccounts, runnerId);
+  const hasPriorities = accountsWithUsage.some(a => a.priority != null);
+  let best = pickBestAccount(accountsWithUsage, currentAccount.name, { usePriority: hasPriorities, strategy, model, currentAccount: currentAccount.name });
+
+  // If best candidate is near-exhausted (or every other account is cooling
+  // down), sleep until earliest reset instead of thrashing.
+  // Include all accounts (even current) when finding reset times — after sleeping,
+  // any account may have recovered, including the one that just hit the limit.
+  //
+  // With options.detach (remote mode), the runner doesn't hold its tmux pane
+  // for hours: the resume is handed to the scheduler (lib/scheduler.js) and
+  // the runner exits.
+  const allCoolingDown = !best && accountsWithUsage.some(a => a.name !== currentAccount.name && isCoolingDown(a));
+  const exhausted = allCoolingDown || (best && effectiveUtilization(best.account.usage, model) >= EXHAUSTION_THRESHOLD);
+
+  // Continuing on a smaller model beats stalling until a reset
+  if (exhausted && modelFallback.length > 0) {
+    const fallback = pickFallbackModel(accountsWithUsage, model, modelFallback, { usePriority: hasPriorities, strategy, currentAccount: currentAccount.name });
+    if (fallback) {
+      return { best: fallback.best, model: fallback.model, slept: false, interrupted: false };
+    }
+  }
+
+  if (exhausted) {
+    const sleepMs = findEarliestReset(accountsWithUsage);
+    if (sleepMs > 0) {
+      const clampedMs = Math.min(sleepMs, MAX_SLEEP_MS);
+      const resetDate = new Date(Date.now() + clampedMs);
+
+      const scheduled = options.detach && sessionId && clampedMs >= DETACH_MIN_SLEEP_MS
+        ? scheduleResume({
+          sessionId,
+          cwd: process.cwd(),
+          tmuxSession: getCurrentTmuxSession(),
+          account: currentAccount.name,
+          args: buildResumeArgs(options.detach.args, sessionId, options.detach.continueMessage ?? RATE_LIMIT_CONTINUE_MSG),
+          remoteAccess,
+          ...(options.detach.group ? { group: options.detach.group } : {}),
+          resumeAt: resetDate.toISOString(),
+        })
+        : null;
+      if (scheduled) {
+        ensureScheduler();
+        console.error(`[claude-nonstop] All accounts near limit. Session ${sessionId} will be resumed at ${resetDate.toLocaleTimeString()} (${formatDuration(clampedMs)}); freeing this terminal.`);
+        events?.log('sleep', { account: currentAccount.name, sessionId, sleepMs: clampedMs, until: resetDate.toISOString(), detached: true });
+        if (remoteAccess) {
+          spawnHookNotify('sleep-until-reset', {
+            session_id: sessionId,
+            cwd: process.cwd(),
+            current_account: currentAccount.name,
+            sleep_ms: clampedMs,
+            reset_at: resetDate.toISOString(),
+            detached: true,
+          });
+        }
+        return { best: null, model: null, slept: false, interrupted: false, detached: true };
+      }
+
+      console.error(`[claude-nonstop] All accounts near limit. Sleeping until ${resetDate.toLocaleTimeString()} (${formatDuration(clampedMs)})...`);
+      events?.log('sleep', { account: currentAccount.name, sessionId, sleepMs: clampedMs, until: resetDate.toISOString() });
+
+      if (remoteAccess) {
+        spawnHookNotify('sleep-until-reset', {
+          session_id: sessionId || null,
+          cwd: process.cwd(),
+          current_account: currentAccount.name,
+          sleep_ms: clampedMs,
+          reset_at: resetDate.toISOString(),
+        });
+      }
+
+      // A wake request on the control socket ends the sleep early
+      const waker = new AbortController();
+      if (controls) {
+        controls.sleepingUntil = resetDate.toISOString();
+        controls.wake = () => waker.abort();
+      }
+
+      // At a terminal, show a live countdown that can be cut short instead
+      const wait = interactive && process.stdin.isTTY && process.stderr.isTTY
+        ? await showSleepScreen({
+          sleepMs: clampedMs,
+          accounts: accountsWithUsage,
+          currentAccount: currentAccount.name,
+          sessionId,
+          refresh: async () => {
+            const accounts = await checkAccounts(allAccounts, runnerId);
+            const next = pickBestAccount(accounts, undefined, { usePriority: hasPriorities, strategy, model, currentAccount: currentAccount.name });
+            return { accounts, ready: !!next && effectiveUtilization(next.account.usage, model) < EXHAUSTION_THRESHOLD };
+          },
+          signal: waker.signal,
+        })
+        : await sleep(clampedMs, { signal: waker.signal })
+          .then(({ interrupted, woken }) => ({ action: interrupted ? 'signal' : woken ? 'wake' : 'timeout' }));
+
+      if (controls) {
+        controls.sleepingUntil = null;
+        controls.wake = null;
+      }
+
+      if (wait.action === 'signal' || wait.action === 'quit') {
+        events?.log('wake', { account: currentAccount.name, sessionId, interrupted: true, action: wait.action });
+        return { best: null, model: null, slept: true, interrupted: true, quit: wait.action === 'quit' };
+      }
+      slept = true;
+
+      if (wait.action === 'pick') {
+        accountsWithUsage = wait.accounts;
+        best = { account: wait.account, reason: 'chosen during sleep' };
+        console.error(`[claude-nonstop] Woken early to continue on "${wait.account.name}".`);
+      } else {
+        console.error(wait.action === 'timeout'
+          ? '[claude-nonstop] Sleep complete. Re-checking account usage...'
+          : '[claude-nonstop] Woken early. Re-checking account usage...');
+
+        // Re-fetch usage after sleeping — any account may have recovered,
+        // including the current one, so don't exclude it from the pick.
+        accountsWithUsage = await checkAccounts(allAccounts, runnerId);
+        best = pickBestAccount(accountsWithUsage, undefined, { usePriority: hasPriorities, strategy, model, currentAccount: currentAccount.name });
+      }
+      events?.log('wake', { account: currentAccount.name, sessionId, interrupted: false, action: wait.action, best: best?.account?.name || null });
+
+      if (remoteAccess) {
+        spawnHookNotify('sleep-wake', {
+          session_id: sessionId || null,
+          cwd: process.cwd(),
+          current_account: currentAccount.name,
+          best_account: best?.account?.name || null,
+        });
+      }
+    }
+  }
+
+  // If no accounts available, check if auth errors are the cause and attempt re-auth
+  if (!best && interactive) {
+    const authErrors = accountsWithUsage.filter(a =>
+      a.name !== currentAccount.name && a.usage?.error === 'HTTP 401'
+    );
+    if (authErrors.length > 0) {
+      console.error('[claude-nonstop] Some accounts have expired tokens. Attempting re-auth...');
+      const refreshed = await reauthExpiredAccounts(authErrors);
+      if (refreshed.length > 0) {
+        // Re-read credentials and re-check usage
+        accountsWithUsage = await checkAccounts(allAccounts, runnerId);
+        best = pickBestAccount(accountsWithUsage, currentAccount.name, { usePriority: hasPriorities, strategy, model, currentAccount: currentAccount.name });
+      }
+    }
+  }
+
+  return { best, model: null, slept, interrupted: false };
+}
+
+/**
+ * Choose the account for a requested swap (hotkey menu or control socket):
+ * the named account, or the best other account. With nowhere else to go the
+ * session stays on the current account rather than ending.
+ *
+ * @param {{ name: string, configDir: string }} currentAccount
+ * @param {Array<{ name: string, configDir: string }>} allAccounts
+ * @param {{ account: string|null, via: string }} request - runOnce's `manualSwap`
+ * @param {{ runnerId?: string|null, model?: string|null, strategy?: object|null }} [options]
+ * @returns {Promise<{ best: { account: object, reason: string }, model: null, slept: false, interrupted: false }>}
+ */
+async function selectRequestedAccount(currentAccount, allAccounts, request, options = {}) {
+  const target = request.account && allAccounts.find(a => a.name === request.account);
+  if (target) {
+    const reason = request.via === 'control' ? 'requested through the control socket' : 'requested from the hotkey menu';
+    return { best: { account: target, reason }, model: null, slept: false, interrupted: false };
+  }
+
+  const accountsWithUsage = await checkAccounts(allAccounts, options.runnerId ?? null);
+  const hasPriorities = accountsWithUsage.some(a => a.priority != null);
+  const best = pickBestAccount(accountsWithUsage, currentAccount.name, { usePriority: hasPriorities, strategy: options.strategy ?? null, model: options.model ?? null, currentAccount: currentAccount.name });
+  return {
+    best: best ?? { account: currentAccount, reason: 'no other account available' },
+    model: null,
+    slept: false,
+    interrupted: false,
+  };
+}
+
 /**
  * Run Claude Code with automatic account switching.
  *
  * @param {string[]} claudeArgs - Arguments to pass to `claude`
  * @param {{ name: string, configDir: string }} selectedAccount - Account to use
  * @param {Array<{ name: string, configDir: string }>} allAccounts - All registered accounts
- * @param {{ maxSwaps?: number, remoteAccess?: boolean }} options - Runner options
+ * @param {{ maxSwaps?: number, remoteAccess?: boolean, preemptThreshold?: number|null, runnerId?: string, record?: boolean, selectionReason?: string, modelFallback?: string[], hotkeyPrefix?: string|null, detachedSleep?: boolean, continueMessage?: string, strategy?: { name: string|null, stickyThreshold?: number|null }|null, group?: string|null }} options - Runner options
+ *   (`selectionReason` explains why selectedAccount was chosen, for the history log;
+ *   `modelFallback` lists models to continue with when every account is exhausted;
+ *   `hotkeyPrefix` is the key that opens the hotkey menu, null to disable it;
+ *   `detachedSleep: false` keeps a remote-mode runner waiting in place for a reset;
+ *   `continueMessage` replaces "Continue." when a session resumes after a limit;
+ *   `strategy` orders the accounts at every swap, see lib/strategies.js;
+ *   `group` is the `--group` allAccounts were limited to, kept for scheduled resumes)
  */
 export async function run(claudeArgs, selectedAccount, allAccounts, options = {}) {
   // Scale swap budget with account count — with N accounts, you may need
@@ -193,198 +552,448 @@ export async function run(claudeArgs, selectedAccount, allAccounts, options = {}
   // The * 2 multiplier allows for accounts recovering mid-session (5-hour resets).
   const maxSwaps = options.maxSwaps ?? Math.max(MAX_SWAPS_DEFAULT, allAccounts.length * 2);
   const remoteAccess = options.remoteAccess ?? false;
+  const record = options.record ?? false;
+  const runnerId = options.runnerId ?? createRunnerId();
+  // Pre-emptive swaps only make sense when there is somewhere to swap to
+  const preemptThreshold = allAccounts.length > 1 ? (options.preemptThreshold ?? null) : null;
+  const modelFallback = options.modelFallback ?? [];
+  const detachedSleep = remoteAccess && options.detachedSleep !== false;
+  const continueMessage = options.continueMessage ?? RATE_LIMIT_CONTINUE_MSG;
+  /**
+   * Live state shared with runOnce and selectNextAccount. The hotkey menu can
+   * turn `autoSwap` off; `swap`/`input` are set while Claude runs and
+   * `wake`/`sleepingUntil` while sleeping, for the control socket.
+   */
+  const controls = { autoSwap: true, swap: null, input: null, wake: null, sleepingUntil: null };
+  const startedAt = new Date().toISOString();
   let currentAccount = selectedAccount;
+  let currentModel = getModelArg(claudeArgs);
   let swapCount = 0;
+  let retryCount = 0;
+  /** Marker written at the start of the next recording (why Claude was restarted). */
+  let recordMarker = null;
+  /** Account name -> time of its last successful mid-session refresh. */
+  const lastRefreshAt = new Map();
   let sessionId = extractResumeSessionId(claudeArgs);
 
-  // Deactivate stale channel entries from previous invocations so that
-  // reuseChannelForTmuxSession only matches entries from this run
-  // (i.e., /clear or rate-limit restarts within the same tmux session).
-  if (remoteAccess) {
-    deactivateStaleChannels(getCurrentTmuxSession());
+  const { rules: detectorRules, errors: detectorErrors } = loadDetectors();
+  for (const err of detectorErrors) {
+    console.error(`[claude-nonstop] Warning: ignoring detection rule — ${err}`);
   }
 
-  while (swapCount <= maxSwaps) {
-    const result = await runOnce(claudeArgs, currentAccount, sessionId, { remoteAccess });
+  /** Control socket (lib/control.js); subscribers receive every history event. */
+  let control = null;
+  const events = createEventLog({ runnerId, onEvent: (event) => control?.publish(event) });
+  /** Append a history event for the current account and session. */
+  function logEvent(type, fields = {}) {
+    events.log(type, { account: currentAccount.name, sessionId, ...fields });
+  }
 
-    if (result.exitCode !== null && !result.rateLimitDetected) {
-      // Normal exit — propagate the exit code
-      process.exitCode = result.exitCode;
-      return;
-    }
+  // Hold a lease on the current account so other runners steer clear of it
+  setLease(runnerId, currentAccount.name);
+  recordSelection(currentAccount.name);
+  const leaseHeartbeat = setInterval(() => setLease(runnerId, currentAccount.name), LEASE_HEARTBEAT_MS);
+  leaseHeartbeat.unref();
+
+  /**
+   * Set the exit code and record the end of the run. The lease and control
+   * socket are released when the swap loop exits (see the finally below).
+   */
+  function finish(exitCode, reason) {
+    process.exitCode = exitCode;
+    logEvent('exit', { exitCode, reason });
+  }
 
-    if (!result.rateLimitDetected) {
-      // Process ended without rate limit (e.g., signal)
-      process.exitCode = result.exitCode ?? 1;
-      return;
-    }
+  control = await startControlServer(runnerId, {
+    state: () => ({
+      runnerId,
+      pid: process.pid,
+      cwd: process.cwd(),
+      startedAt,
+      account: currentAccount.name,
+      sessionId: reportedSessionId(readRunnerChannel(runnerId)) ?? sessionId ?? null,
+      model: currentModel,
+      swapCount,
+      maxSwaps,
+      autoSwap: controls.autoSwap,
+      status: controls.sleepingUntil ? 'sleeping' : controls.input ? 'running' : 'switching',
+      sleepingUntil: controls.sleepingUntil,
+      remoteAccess,
+    }),
+    swap: (account) => {
+      if (account && !allAccounts.some(a => a.name === account)) return `Unknown account "${account}".`;
+      return controls.swap ? controls.swap(account, 'control') : 'Claude is not running.';
+    },
+    wake: () => {
+      if (!controls.wake) return 'The runner is not sleeping.';
+      controls.wake();
+      return null;
+    },
+    input: (text) => controls.input ? controls.input(text) : 'Claude is not running.',
+  });
 
-    // Rate limit detected — attempt swap
-    swapCount++;
-    console.error(`\n[claude-nonstop] Rate limit detected on "${currentAccount.name}" (swap ${swapCount}/${maxSwaps})`);
+  logEvent('start', { mode: 'interactive', remoteAccess });
+  logEvent('account-selected', { reason: options.selectionReason ?? null });
 
-    if (swapCount > maxSwaps) {
-      console.error('[claude-nonstop] Maximum swap attempts reached. All accounts may be rate-limited.');
-      process.exitCode = 1;
-      return;
-    }
-
-    // Find the session to migrate
-    const cwd = process.cwd();
+  /**
+   * Point claudeArgs at the interrupted session so the next runOnce resumes it
+   * on the current account (retry and reauth actions — no migration needed).
+   */
+  function resumeInPlace(result) {
     const session = result.sessionId
       ? { sessionId: result.sessionId }
-      : findLatestSession(currentAccount.configDir, cwd);
+      : findLatestSession(currentAccount.configDir, process.cwd());
+    if (session) {
+      sessionId = session.sessionId;
+      claudeArgs = buildResumeArgs(claudeArgs, sessionId, continueMessage);
+    }
+  }
+
+  /**
+   * Decide whether the current account should be swapped out pre-emptively:
+   * it has crossed the threshold and some other account is still below it.
+   * An API-key overflow account is also left once it reaches its spending
+   * cap, even with nowhere to go, and as soon as a subscription account has
+   * room again. An account that reaches one of its usage ceilings is left
+   * the same way, since effectiveUtilization counts it as exhausted.
+   */
+  let ceilingReached = false;
+  async function shouldPreempt() {
+    const [current] = await checkAllUsage(withTokens([currentAccount]));
+    if (!current || current.usage.error) return false;
+    recordUsageSamples([current]);
+
+    const utilization = effectiveUtilization(current.usage, currentModel);
+    const overflow = isApiKeyAccount(currentAccount);
+    // Spending caps and usage ceilings are enforced even while automatic swapping is off
+    ceilingReached = !overflow && !!currentAccount.ceilings && utilization >= 100;
+    if ((overflow && utilization >= 100) || ceilingReached) return true;
+    if (!controls.autoSwap) return false;
+    if (!overflow && (!preemptThreshold || utilization < preemptThreshold)) return false;
+
+    const othersWithUsage = await checkAccounts(allAccounts.filter(a => a.name !== currentAccount.name), runnerId);
+    const hasPriorities = othersWithUsage.some(a => a.priority != null);
+    const best = pickBestAccount(othersWithUsage, currentAccount.name, { usePriority: hasPriorities, strategy: options.strategy ?? null, model: currentModel, currentAccount: currentAccount.name });
+    if (!best) return false;
+
+    const threshold = preemptThreshold ?? EXHAUSTION_THRESHOLD;
+    if (overflow) return !isApiKeyAccount(best.account) && effectiveUtilization(best.account.usage, currentModel) < threshold;
+    return effectiveUtilization(best.account.usage, currentModel) < threshold;
+  }
+
+  // Overflow accounts are watched for their caps, and accounts with usage
+  // ceilings for those, even without pre-emptive swaps
+  const watchUsage = !!preemptThreshold || allAccounts.some(a => isApiKeyAccount(a) || a.ceilings);
 
-    if (!session) {
-      console.error('[claude-nonstop] Could not find session to migrate. Starting fresh on new account.');
+  // Without the Stop hook no turn boundary is ever reported, so a pre-emptive
+  // swap would wait forever (profiles added after `hooks install` lack it)
+  if (watchUsage) {
+    const missing = allAccounts.filter(a => !hasStopHook(a.configDir)).map(a => `"${a.name}"`);
+    if (missing.length > 0) {
+      console.error(`[claude-nonstop] Warning: hooks are not installed for ${missing.join(', ')} — pre-emptive swaps can't happen there. Run "claude-nonstop hooks install".`);
     }
+  }
 
-    // Pick the next best account
-    const accountsWithTokens = allAccounts.map(a => ({
-      ...a,
-      token: readCredentials(a.configDir).token,
-    })).filter(a => a.token);
-
-    let accountsWithUsage = await checkAllUsage(accountsWithTokens);
-    const hasPriorities = accountsWithUsage.some(a => a.priority != null);
-    let best = pickBestAccount(accountsWithUsage, currentAccount.name, { usePriority: hasPriorities });
-
-    // If best candidate is near-exhausted, sleep until earliest reset instead of thrashing.
-    // Include all accounts (even current) when finding reset times — after sleeping,
-    // any account may have recovered, including the one that just hit the limit.
-    //
-    // TODO: For remote mode, consider an event-driven approach instead of blocking sleep:
-    //   1. Notify Slack and save session state to disk
-    //   2. Exit the runner cleanly
-    //   3. Slack bot schedules a re-launch at the reset time (or user sends !resume)
-    // This would free the tmux pane instead of holding it for hours.
-    if (best && effectiveUtilization(best.account.usage) >= EXHAUSTION_THRESHOLD) {
-      const sleepMs = findEarliestReset(accountsWithUsage);
-      if (sleepMs > 0) {
-        const clampedMs = Math.min(sleepMs, MAX_SLEEP_MS);
-        const resetDate = new Date(Date.now() + clampedMs);
-        console.error(`[claude-nonstop] All accounts near limit. Sleeping until ${resetDate.toLocaleTimeString()} (${formatDuration(clampedMs)})...`);
+  // The hotkey menu needs a terminal and somewhere to swap to
+  const hotkeys = options.hotkeyPrefix && process.stdin.isTTY && allAccounts.length > 1
+    ? {
+      prefix: options.hotkeyPrefix,
+      accounts: allAccounts.map(a => a.name),
+      usage: async () => (await checkAccounts(allAccounts, runnerId))
+        .map(a => `${a.name}${a.name === currentAccount.name ? '*' : ''}: ${describeAccountUsage(a)}`),
+    }
+    : null;
 
-        if (remoteAccess) {
-          spawnHookNotify('sleep-until-reset', {
-            session_id: sessionId || null,
-            cwd: process.cwd(),
-            current_account: currentAccount.name,
-            sleep_ms: clampedMs,
-            reset_at: resetDate.toISOString(),
-          });
+  // Deactivate stale channel entries from previous invocations so that
+  // reuseChannelForTmuxSession only matches entries from this run
+  // (i.e., /clear or rate-limit restarts within the same tmux session).
+  if (remoteAccess) {
+    deactivateStaleChannels(getCurrentTmuxSession());
+  }
+
+  // Cleanup runs however the loop ends, including a throw from runOnce
+  // (e.g. pty.spawn failing on a bad binary or cwd)
+  try {
+    while (swapCount <= maxSwaps) {
+      const result = await runOnce(claudeArgs, currentAccount, sessionId, {
+        remoteAccess,
+        runnerId,
+        detectorRules,
+        preempt: watchUsage ? { check: shouldPreempt } : null,
+        record: record ? { marker: recordMarker } : null,
+        hotkeys,
+        controls,
+      });
+      recordMarker = null;
+      // Follow the session Claude is actually in — /clear starts a new one
+      if (result.sessionId) sessionId = result.sessionId;
+
+      const { detection } = result;
+
+      if (!detection && !result.preempted && !result.manualSwap) {
+        // Normal exit propagates the exit code; a null code means the process
+        // ended without a detection (e.g., signal)
+        finish(result.exitCode ?? 1, 'claude-exited');
+        return;
+      }
+
+      if (detection) {
+        logEvent('detection', {
+          sessionId: result.sessionId ?? sessionId,
+          rule: detection.name,
+          category: detection.category,
+          action: detection.action,
+          resetTime: detection.resetTime,
+        });
+      } else if (result.manualSwap) {
+        logEvent('manual-swap', { sessionId: result.sessionId ?? sessionId, to: result.manualSwap.account, via: result.manualSwap.via });
+      } else {
+        logEvent('preempt', { sessionId: result.sessionId ?? sessionId, threshold: preemptThreshold, ...(ceilingReached ? { ceiling: true } : {}) });
+      }
+
+      if (detection?.action === 'abort') {
+        console.error(`\n[claude-nonstop] Detected ${detection.category} ("${detection.name}") on "${currentAccount.name}". Aborting.`);
+        finish(1, 'aborted');
+        return;
+      }
+
+      if (detection?.action === 'retry') {
+        retryCount++;
+        if (retryCount > MAX_RETRIES) {
+          console.error(`\n[claude-nonstop] Detected ${detection.category} on "${currentAccount.name}" — maximum retries reached.`);
+          finish(1, 'max-retries');
+          return;
         }
 
-        const { interrupted } = await sleep(clampedMs);
+        const backoffMs = retryBackoffMs(retryCount);
+        console.error(`\n[claude-nonstop] Detected ${detection.category} on "${currentAccount.name}". Retrying in ${Math.round(backoffMs / 1000)}s (retry ${retryCount}/${MAX_RETRIES})...`);
+        logEvent('retry', { attempt: retryCount, backoffMs });
+        const { interrupted } = await sleep(backoffMs);
         if (interrupted) {
-          console.error('\n[claude-nonstop] Sleep interrupted by signal. Exiting.');
-          process.exitCode = 130;
+          console.error('\n[claude-nonstop] Retry interrupted by signal. Exiting.');
+          finish(130, 'interrupted');
           return;
         }
 
-        console.error('[claude-nonstop] Sleep complete. Re-checking account usage...');
-
-        // Re-fetch usage after sleeping — any account may have recovered,
-        // including the current one, so don't exclude it from the pick.
-        const refreshedTokens = allAccounts.map(a => ({
-          ...a,
-          token: readCredentials(a.configDir).token,
-        })).filter(a => a.token);
-        accountsWithUsage = await checkAllUsage(refreshedTokens);
-        best = pickBestAccount(accountsWithUsage, undefined, { usePriority: hasPriorities });
+        resumeInPlace(result);
+        recordMarker = `retry ${retryCount}/${MAX_RETRIES} on "${currentAccount.name}" after ${detection.category}`;
+        continue;
+      }
 
-        if (remoteAccess) {
-          spawnHookNotify('sleep-wake', {
-            session_id: sessionId || null,
-            cwd: process.cwd(),
-            current_account: currentAccount.name,
-            best_account: best?.account?.name || null,
-          });
+      if (detection?.action === 'reauth') {
+        const recentlyRefreshed = Date.now() - (lastRefreshAt.get(currentAccount.name) ?? 0) < REAUTH_RETRY_WINDOW_MS;
+        if (recentlyRefreshed) {
+          console.error(`\n[claude-nonstop] Refreshed credentials for "${currentAccount.name}" were rejected. Switching accounts...`);
+        } else {
+          console.error(`\n[claude-nonstop] Detected ${detection.category} on "${currentAccount.name}". Refreshing credentials...`);
+          const refreshed = await silentRefresh(currentAccount);
+          logEvent('reauth', { success: refreshed });
+          if (refreshed) {
+            lastRefreshAt.set(currentAccount.name, Date.now());
+            console.error('[claude-nonstop] Credentials refreshed. Resuming...');
+            resumeInPlace(result);
+            recordMarker = `resumed on "${currentAccount.name}" after credential refresh`;
+            continue;
+          }
+          console.error(`[claude-nonstop] Could not refresh credentials for "${currentAccount.name}". Switching accounts...`);
         }
+        // Fall through to a swap
+      }
 
-        // Sleep-then-swap doesn't count against the swap budget — the sleep
-        // itself is the mechanism to avoid thrashing, so this is a "free" swap.
-        swapCount--;
+      // Remember when the account comes back, so selection skips it even if
+      // the usage API hasn't caught up with the limit yet
+      recordCooldown(currentAccount, detection);
+
+      // Swap rule matched (or pre-emptive threshold crossed, or reauth failed,
+      // or a swap was requested) — attempt swap. Requested swaps are free.
+      if (!result.manualSwap) swapCount++;
+      if (result.manualSwap) {
+        console.error(`\n[claude-nonstop] Swap requested on "${currentAccount.name}"`);
+      } else if (result.preempted && ceilingReached) {
+        console.error(`\n[claude-nonstop] "${currentAccount.name}" reached its usage ceiling — switching at turn boundary (swap ${swapCount}/${maxSwaps})`);
+      } else if (result.preempted) {
+        console.error(`\n[claude-nonstop] "${currentAccount.name}" crossed ${preemptThreshold}% usage — switching at turn boundary (swap ${swapCount}/${maxSwaps})`);
+      } else if (detection.category === 'rate-limit') {
+        console.error(`\n[claude-nonstop] Rate limit detected on "${currentAccount.name}" (swap ${swapCount}/${maxSwaps})`);
+      } else {
+        console.error(`\n[claude-nonstop] Detected ${detection.category} on "${currentAccount.name}" (swap ${swapCount}/${maxSwaps})`);
       }
-    }
 
-    // If no accounts available, check if auth errors are the cause and attempt re-auth
-    if (!best && !remoteAccess) {
-      const authErrors = accountsWithUsage.filter(a =>
-        a.name !== currentAccount.name && a.usage?.error === 'HTTP 401'
-      );
-      if (authErrors.length > 0) {
-        console.error('[claude-nonstop] Some accounts have expired tokens. Attempting re-auth...');
-        const refreshed = await reauthExpiredAccounts(authErrors);
-        if (refreshed.length > 0) {
-          // Re-read credentials and re-check usage
-          const updatedAccounts = allAccounts.map(a => ({
-            ...a,
-            token: readCredentials(a.configDir).token,
-          })).filter(a => a.token);
-          accountsWithUsage = await checkAllUsage(updatedAccounts);
-          best = pickBestAccount(accountsWithUsage, currentAccount.name, { usePriority: hasPriorities });
+      if (swapCount > maxSwaps) {
+        console.error('[claude-nonstop] Maximum swap attempts reached. All accounts may be rate-limited.');
+        finish(1, 'max-swaps');
+        return;
+      }
+
+      // Find the session to migrate
+      const cwd = process.cwd();
+      const session = result.sessionId
+        ? { sessionId: result.sessionId }
+        : findLatestSession(currentAccount.configDir, cwd);
+
+      if (!session) {
+        console.error('[claude-nonstop] Could not find session to migrate. Starting fresh on new account.');
+      }
+
+      // Pick the next best account (may sleep until a reset)
+      const selection = result.manualSwap
+        ? await selectRequestedAccount(currentAccount, allAccounts, result.manualSwap, { runnerId, model: currentModel, strategy: options.strategy ?? null })
+        : await selectNextAccount(currentAccount, allAccounts, {
+          remoteAccess,
+          interactive: !remoteAccess,
+          sessionId: session?.sessionId ?? sessionId,
+          runnerId,
+          events,
+          model: currentModel,
+          modelFallback,
+          controls,
+          detach: detachedSleep ? { args: claudeArgs, continueMessage, group: options.group ?? null } : null,
+          strategy: options.strategy ?? null,
+        });
+      if (selection.detached) {
+        finish(0, 'detached');
+        return;
+      }
+      if (selection.interrupted) {
+        console.error(selection.quit
+          ? '\n[claude-nonstop] Quit while sleeping.'
+          : '\n[claude-nonstop] Sleep interrupted by signal. Exiting.');
+        if (session) {
+          sessionId = session.sessionId;
+          console.error(`[claude-nonstop] Continue later with: claude-nonstop resume ${sessionId}`);
         }
+        finish(selection.quit ? 0 : 130, selection.quit ? 'quit' : 'interrupted');
+        return;
       }
-    }
 
-    if (!best) {
-      console.error('[claude-nonstop] No alternative accounts available.');
-      process.exitCode = 1;
-      return;
-    }
+      // Sleep-then-swap doesn't count against the swap budget — the sleep
+      // itself is the mechanism to avoid thrashing, so this is a "free" swap.
+      if (selection.slept) swapCount--;
+      const { best } = selection;
 
-    const nextAccount = best.account;
-    console.error(`[claude-nonstop] Switching to "${nextAccount.name}" (${best.reason})`);
+      if (!best) {
+        console.error('[claude-nonstop] No alternative accounts available.');
+        finish(1, 'no-accounts');
+        return;
+      }
+
+      if (selection.model) {
+        console.error(`[claude-nonstop] All accounts are exhausted for ${currentModel ? `"${currentModel}"` : 'the current model'}. Continuing with model "${selection.model}".`);
+        logEvent('model-fallback', { from: currentModel, to: selection.model });
+        claudeArgs = setModelArg(claudeArgs, selection.model);
+        currentModel = selection.model;
+      }
 
-    // Notify Slack about account switch (fire-and-forget)
-    if (remoteAccess) {
-      spawnHookNotify('account-switch', {
-        session_id: sessionId || null,
-        cwd: process.cwd(),
-        from_account: currentAccount.name,
-        to_account: nextAccount.name,
+      const nextAccount = best.account;
+      // A model fallback can continue on the same account
+      const sameAccount = nextAccount.name === currentAccount.name;
+      console.error(sameAccount
+        ? `[claude-nonstop] Staying on "${nextAccount.name}" (${best.reason})`
+        : `[claude-nonstop] Switching to "${nextAccount.name}" (${best.reason})`);
+      events.log('account-selected', {
+        account: nextAccount.name,
+        from: currentAccount.name,
+        sessionId: session?.sessionId ?? null,
         reason: best.reason,
-        swap_count: swapCount,
-        max_swaps: maxSwaps,
+        swap: swapCount,
       });
-    }
 
-    // Migrate session if we have one
-    if (session) {
-      const migration = migrateSession(
-        currentAccount.configDir,
-        nextAccount.configDir,
-        cwd,
-        session.sessionId
-      );
-
-      if (migration.success) {
+      // Notify Slack about account switch (fire-and-forget)
+      if (remoteAccess) {
+        spawnHookNotify('account-switch', {
+          session_id: sessionId || null,
+          cwd: process.cwd(),
+          from_account: currentAccount.name,
+          to_account: nextAccount.name,
+          reason: best.reason,
+          swap_count: swapCount,
+          max_swaps: maxSwaps,
+          preemptive: !!result.preempted,
+          category: detection?.category || null,
+        });
+      }
+
+      // Migrate session if we have one
+      if (session && sameAccount) {
         sessionId = session.sessionId;
-        console.error(`[claude-nonstop] Session ${sessionId} migrated successfully`);
+      } else if (session) {
+        const migration = migrateSession(
+          currentAccount.configDir,
+          nextAccount.configDir,
+          cwd,
+          session.sessionId
+        );
+        logEvent('migration', {
+          sessionId: session.sessionId,
+          to: nextAccount.name,
+          success: migration.success,
+          error: migration.error ?? null,
+        });
+
+        if (migration.success) {
+          sessionId = session.sessionId;
+          console.error(`[claude-nonstop] Session ${sessionId} migrated successfully`);
+        } else {
+          console.error(`[claude-nonstop] Session migration failed: ${migration.error}`);
+          console.error('[claude-nonstop] Starting fresh session on new account');
+          sessionId = null;
+        }
       } else {
-        console.error(`[claude-nonstop] Session migration failed: ${migration.error}`);
-        console.error('[claude-nonstop] Starting fresh session on new account');
         sessionId = null;
       }
-    } else {
-      sessionId = null;
-    }
 
-    // Update args for resume if we have a session — include continuation
-    // message so Claude picks up immediately instead of waiting for input
-    if (sessionId) {
-      claudeArgs = buildResumeArgs(claudeArgs, sessionId, RATE_LIMIT_CONTINUE_MSG);
-    }
+      // Update args for resume if we have a session — after a rate limit, include
+      // a continuation message so Claude picks up immediately instead of waiting
+      // for input. A pre-emptive swap happens between turns, so there is nothing
+      // to continue; just drop the original prompt so it isn't re-sent. The same
+      // goes for a requested swap: the user is at the keyboard.
+      if (sessionId) {
+        claudeArgs = result.preempted || result.manualSwap
+          ? buildResumeArgs(claudeArgs, sessionId, null, { stripPrompt: true })
+          : buildResumeArgs(claudeArgs, sessionId, continueMessage);
+      }
 
-    currentAccount = nextAccount;
+      recordMarker = `swap ${swapCount}/${maxSwaps}: "${currentAccount.name}" -> "${nextAccount.name}" (${best.reason})`
+        + (selection.model ? `, model "${selection.model}"` : '');
+      currentAccount = nextAccount;
+      setLease(runnerId, currentAccount.name);
+      recordSelection(currentAccount.name);
+    }
+  } finally {
+    clearInterval(leaseHeartbeat);
+    releaseLease(runnerId);
+    control?.close();
   }
 }
 
 /**
- * Run Claude once, monitoring for rate limits.
+ * Run Claude once, matching its output against the detection rules.
+ *
+ * The first rule that matches stops Claude and is returned as `detection`;
+ * run() decides what to do based on its action.
+ *
+ * When options.preempt is set, options.preempt.check() is polled every
+ * PREEMPT_POLL_INTERVAL_MS. Once it resolves true, Claude is stopped at the
+ * next turn boundary — a Stop hook report with no terminal input since — and
+ * the result has `preempted: true`.
  *
- * @returns {Promise<{ exitCode: number|null, rateLimitDetected: boolean, resetTime: string|null, sessionId: string|null }>}
+ * When options.record is set, the output is also written to an asciicast
+ * file (lib/recorder.js), starting with options.record.marker if given.
+ *
+ * When options.hotkeys is set, the prefix chord (lib/hotkeys.js) is read from
+ * the terminal input instead of being forwarded. A swap requested from the
+ * menu stops Claude at once and the result has `manualSwap` set.
+ * options.controls is shared with run(): while `autoSwap` is off, `swap` rule
+ * matches are reported but do not stop Claude, and the menu can flip it.
+ * While Claude runs, `controls.swap(account, via)` requests a swap the same
+ * way and `controls.input(text)` types into Claude (control socket).
+ *
+ * @param {string[]} claudeArgs
+ * @param {{ name: string, configDir: string }} account
+ * @param {string|null} existingSessionId
+ * @param {{ remoteAccess?: boolean, runnerId?: string, detectorRules?: Array<object>, preempt?: { check: () => Promise<boolean> }|null, record?: { marker?: string|null }|null, hotkeys?: { prefix: string, accounts: string[], usage: () => Promise<string[]> }|null, controls?: object }} [options]
+ * @returns {Promise<{ exitCode: number|null, detection: { name: string, category: string, action: string, resetTime: string|null }|null, preempted: boolean, manualSwap: { account: string|null, via: string }|null, sessionId: string|null }>}
+ *   `manualSwap.account` is the account picked from the menu, or null for "best"
  */
 function runOnce(claudeArgs, account, existingSessionId, options = {}) {
   return new Promise((resolve) => {
@@ -394,6 +1003,11 @@ function runOnce(claudeArgs, account, existingSessionId, options = {}) {
       FORCE_COLOR: '1',
     };
 
+    // API-key accounts authenticate with the key instead of an OAuth login
+    if (isApiKeyAccount(account)) {
+      env.ANTHROPIC_API_KEY = readApiKey(account.configDir) ?? '';
+    }
+
     // Strip CLAUDECODE so spawned claude works from inside a Claude Code session
     delete env.CLAUDECODE;
 
@@ -401,53 +1015,183 @@ function runOnce(claudeArgs, account, existingSessionId, options = {}) {
       env.CLAUDE_REMOTE_ACCESS = 'true';
     }
 
+    // Hooks inherit this and report back through the runner channel
+    if (options.runnerId) {
+      env[RUNNER_ID_ENV] = options.runnerId;
+    }
+
+    const cols = process.stdout.columns || 80;
+    const rows = process.stdout.rows || 24;
     const child = pty.spawn('claude', claudeArgs, {
       name: 'xterm-256color',
-      cols: process.stdout.columns || 80,
-      rows: process.stdout.rows || 24,
+      cols,
+      rows,
       cwd: process.cwd(),
       env,
     });
 
+    // Spend on API-key accounts is estimated from what this process appends
+    // to the transcripts, recorded every poll interval and on exit
+    const spend = isApiKeyAccount(account) ? createSpendTracker(account, process.cwd()) : null;
+    const spendTimer = spend ? setInterval(() => spend.flush(), PREEMPT_POLL_INTERVAL_MS) : null;
+
+    let recorder = null;
+    if (options.record && options.runnerId) {
+      try {
+        recorder = createRecorder({ account: account.name, runnerId: options.runnerId, cols, rows });
+        if (options.record.marker) recorder.marker(options.record.marker);
+      } catch (err) {
+        console.error(`[claude-nonstop] Warning: could not start recording: ${err.message}`);
+      }
+    }
+
+    // Rules match what Claude shows in its status area, not every byte it prints
+    const screen = createScreen(cols, rows);
+
     // Resize PTY when the real terminal resizes
     const onResize = () => {
       try { child.resize(process.stdout.columns, process.stdout.rows); } catch {}
+      recorder?.resize(process.stdout.columns, process.stdout.rows);
+      screen.resize(process.stdout.columns, process.stdout.rows);
     };
     process.stdout.on('resize', onResize);
 
-    // Forward stdin to the PTY (resume in case it was paused by a previous runOnce)
+    const detectorRules = options.detectorRules ?? loadDetectors().rules;
+    const controls = options.controls ?? { autoSwap: true };
+    let detection = null;
+    let preempted = false;
+    let manualSwap = null;
+    let ignoredMatch = null;
+    let lastInputAt = 0;
+
+    /** Print a runner message on its own line, over Claude's screen. */
+    function notify(message) {
+      process.stderr.write(`\r\n[claude-nonstop] ${message.replace(/\n/g, '\r\n')}\r\n`);
+    }
+
+    /**
+     * Stop Claude for a swap requested from the hotkey menu or the control
+     * socket. `target` null means the best other account.
+     *
+     * @returns {string|null} Why the swap can't be done, or null
+     */
+    function requestSwap(target, via) {
+      if (detection || preempted || manualSwap) return 'A swap is already in progress.';
+      if (target === account.name) return `Already on "${target}".`;
+      manualSwap = { account: target, via };
+      recorder?.marker(`swap requested on "${account.name}"${target ? ` to "${target}"` : ''} (${via})`);
+      stopChild();
+      return null;
+    }
+
+    controls.swap = requestSwap;
+    controls.input = (text) => {
+      lastInputAt = Date.now();
+      child.write(text);
+      return null;
+    };
+
+    const hotkeys = options.hotkeys ?? null;
+    const hotkeyFilter = hotkeys && createHotkeyFilter(parseHotkey(hotkeys.prefix), {
+      onMenu: () => notify(formatHotkeyMenu(hotkeys.accounts, account.name, controls.autoSwap)),
+      onCommand: (key) => {
+        if (detection || preempted || manualSwap) return;
+        if (key === 's' || /^[1-9]$/.test(key)) {
+          const target = key === 's' ? null : hotkeys.accounts[Number(key) - 1];
+          const error = target === undefined ? `There is no account ${key}.` : requestSwap(target, 'hotkey');
+          if (error) notify(error);
+        } else if (key === 'u') {
+          hotkeys.usage()
+            .then(lines => notify(lines.join('\n')))
+            .catch(() => notify('Could not check usage.'));
+        } else if (key === 'a') {
+          controls.autoSwap = !controls.autoSwap;
+          notify(controls.autoSwap
+            ? 'Automatic swapping is on.'
+            : `Automatic swapping is off — rate limits will not switch accounts (${formatHotkey(hotkeys.prefix)} s swaps by hand).`);
+        } else {
+          notify('Cancelled.');
+        }
+      },
+    });
+
+    // Forward stdin to the PTY (resume in case it was paused by a previous runOnce).
+    // Input is read as latin1 so the hotkey filter passes every byte through as is.
     if (process.stdin.isTTY) process.stdin.setRawMode(true);
     process.stdin.resume();
-    const onStdinData = (data) => child.write(data);
+    const onStdinData = (data) => {
+      lastInputAt = Date.now();
+      if (!hotkeyFilter) {
+        child.write(data);
+        return;
+      }
+      const forward = hotkeyFilter.feed(data.toString('latin1'));
+      if (forward) child.write(Buffer.from(forward, 'latin1'));
+    };
     process.stdin.on('data', onStdinData);
     process.stdin.on('error', () => {});
 
-    let rateLimitDetected = false;
-    let resetTime = null;
-    let outputBuffer = '';
+    function stopChild() {
+      child.kill('SIGTERM');
+      setTimeout(() => {
+        try { child.kill('SIGKILL'); } catch {}
+      }, KILL_ESCALATION_DELAY);
+    }
+
+    // Pre-emptive swap: poll usage, then wait for an idle turn boundary.
+    // Claude is idle when the Stop hook fired after the last terminal input —
+    // anything typed since then means the user is composing the next prompt.
+    let preemptPending = false;
+    let preemptChecking = false;
+    let preemptTimer = null;
+    let turnTimer = null;
+
+    if (options.preempt && options.runnerId) {
+      preemptTimer = setInterval(async () => {
+        if (preemptPending || preemptChecking || detection || manualSwap) return;
+        preemptChecking = true;
+        try {
+          spend?.flush();
+          preemptPending = await options.preempt.check();
+        } catch {
+          // Usage API hiccup — try again next interval
+        } finally {
+          preemptChecking = false;
+        }
+      }, PREEMPT_POLL_INTERVAL_MS);
+
+      turnTimer = setInterval(() => {
+        if (!preemptPending || detection || preempted || manualSwap) return;
+        const { lastStopAt } = readRunnerChannel(options.runnerId);
+        if (lastStopAt && lastStopAt > lastInputAt) {
+          preempted = true;
+          recorder?.marker(`"${account.name}" crossed the pre-emptive threshold — stopping at turn boundary`);
+          stopChild();
+        }
+      }, TURN_POLL_INTERVAL_MS);
+    }
 
     child.onData((data) => {
       process.stdout.write(data);
-
-      // Scan for rate limit patterns in rolling buffer
-      outputBuffer += data;
-      if (outputBuffer.length > OUTPUT_BUFFER_MAX) {
-        outputBuffer = outputBuffer.slice(-OUTPUT_BUFFER_TRIM);
+      recorder?.output(data);
+
+      screen.write(data);
+      if (detection || preempted || manualSwap) return;
+
+      detection = matchDetectors(screen.statusArea(), detectorRules);
+      if (detection?.action === 'swap' && !controls.autoSwap) {
+        // Leave Claude running; the user swaps from the hotkey menu when ready.
+        // The message stays on screen, so only notify about it once.
+        const key = `${detection.name}:${detection.resetTime}`;
+        if (key !== ignoredMatch) {
+          notify(`Detected ${detection.category} on "${account.name}" — automatic swapping is off.`);
+          ignoredMatch = key;
+        }
+        detection = null;
       }
-
-      if (rateLimitDetected) return;
-
-      // Primary pattern: "Limit reached · resets ..."
-      // Strip ANSI codes before matching — FORCE_COLOR=1 means output has styling
-      const match = RATE_LIMIT_PATTERN.exec(stripAnsi(outputBuffer));
-      if (match) {
-        rateLimitDetected = true;
-        resetTime = match[1].trim();
-        child.kill('SIGTERM');
-        setTimeout(() => {
-          try { child.kill('SIGKILL'); } catch {}
-        }, KILL_ESCALATION_DELAY);
-        return;
+      if (detection) {
+        recorder?.marker(`${detection.category} detected on "${account.name}" (rule "${detection.name}", action ${detection.action})`);
+        stopChild();
       }
     });
 
@@ -460,6 +1204,14 @@ function runOnce(claudeArgs, account, existingSessionId, options = {}) {
       if (cleaned) return;
       cleaned = true;
 
+      clearInterval(preemptTimer);
+      clearInterval(turnTimer);
+      clearInterval(spendTimer);
+      spend?.flush();
+      recorder?.close();
+      controls.swap = null;
+      controls.input = null;
+
       for (const sig of signals) {
         process.removeListener(sig, signalHandlers[sig]);
       }
@@ -474,7 +1226,7 @@ function runOnce(claudeArgs, account, existingSessionId, options = {}) {
 
     for (const sig of signals) {
       const handler = () => {
-        if (!rateLimitDetected) {
+        if (!detection && !preempted && !manualSwap) {
           try { child.kill(sig); } catch {}
         }
       };
@@ -486,81 +1238,94 @@ function runOnce(claudeArgs, account, existingSessionId, options = {}) {
     child.onExit(({ exitCode }) => {
       cleanup();
 
+      // The hooks report the exact session this Claude process was in, so
+      // run() only falls back to the newest transcript without them
+      let sessionId = existingSessionId;
+      if (options.runnerId) {
+        sessionId = reportedSessionId(readRunnerChannel(options.runnerId)) ?? sessionId;
+        removeRunnerChannel(options.runnerId);
+      }
+
       resolve({
         exitCode: exitCode ?? null,
-        rateLimitDetected,
-        resetTime,
-        sessionId: existingSessionId,
+        detection,
+        preempted,
+        manualSwap,
+        sessionId,
       });
     });
   });
 }
 
 /**
- * Extract --resume session ID from claude args if present.
+ * The session a runner's Claude process reported through its hooks: the one
+ * from SessionStart (which follows /clear), else the one from the last Stop.
+ *
+ * @param {{ sessionId?: string, stopSessionId?: string|null }} channel - readRunnerChannel() state
+ * @returns {string|null}
  */
-function extractResumeSessionId(args) {
-  const idx = args.indexOf('--resume');
-  if (idx !== -1 && idx + 1 < args.length) {
-    return args[idx + 1];
-  }
-  // Also check -r shorthand
-  const idxR = args.indexOf('-r');
-  if (idxR !== -1 && idxR + 1 < args.length) {
-    return args[idxR + 1];
-  }
-  return null;
+function reportedSessionId(channel) {
+  return channel.sessionId ?? channel.stopSessionId ?? null;
 }
 
-/** Known Claude CLI flags that take a value argument. */
-const FLAGS_WITH_VALUES = new Set([
-  '--append-system-prompt', '--model', '-m',
-  '--allowedTools', '--disallowedTools',
-]);
+/**
+ * Extract the --resume session ID from claude args if present.
+ */
+function extractResumeSessionId(args) {
+  return getOptionValue(args, '--resume');
+}
 
 /**
  * Build new claude args with --resume flag.
- * Replaces existing --resume if present, otherwise prepends it.
+ * Replaces existing --resume if present, otherwise prepends it. Flags that
+ * conflict with resuming a given session (--continue, --session-id,
+ * --fork-session) are dropped.
  *
  * When continueMessage is provided (rate-limit swap), strips positional args
  * (the original user prompt and any previous continue message) so Claude
  * receives only the continuation prompt and picks up where it left off.
+ * options.stripPrompt strips positional args without adding a message
+ * (pre-emptive swap between turns). Every other flag keeps its values
+ * (see lib/claude-args.js).
+ *
+ * @param {string[]} originalArgs
+ * @param {string} sessionId
+ * @param {string|null} [continueMessage]
+ * @param {{ stripPrompt?: boolean }} [options]
  */
-function buildResumeArgs(originalArgs, sessionId, continueMessage) {
-  const args = [...originalArgs];
-
-  // Remove existing --resume or -r flags
-  for (const flag of ['--resume', '-r']) {
-    const idx = args.indexOf(flag);
-    if (idx !== -1) {
-      args.splice(idx, 2); // Remove flag and its value
-    }
-  }
+function buildResumeArgs(originalArgs, sessionId, continueMessage, options = {}) {
+  const stripPositionals = Boolean(continueMessage || options.stripPrompt);
+  const args = ['--resume', sessionId, ...removeOptions(originalArgs, RESUME_CONFLICTS, { stripPositionals })];
+  return continueMessage ? appendPositional(args, continueMessage) : args;
+}
 
-  if (continueMessage) {
-    // Strip positional args — keep only flags and their values
-    const flagsOnly = [];
-    for (let i = 0; i < args.length; i++) {
-      if (args[i].startsWith('-')) {
-        flagsOnly.push(args[i]);
-        if (FLAGS_WITH_VALUES.has(args[i]) && i + 1 < args.length) {
-          flagsOnly.push(args[++i]);
-        }
-      }
-    }
-    flagsOnly.unshift('--resume', sessionId);
-    flagsOnly.push(continueMessage);
-    return flagsOnly;
-  }
+/**
+ * The `--model` value in claude args, or null when Claude's default is used.
+ *
+ * @param {string[]} args
+ * @returns {string|null}
+ */
+function getModelArg(args) {
+  return getOptionValue(args, '--model');
+}
 
-  // Prepend --resume
-  args.unshift('--resume', sessionId);
-  return args;
+/**
+ * Build new claude args with `--model` set to model, replacing any existing
+ * model flag.
+ *
+ * @param {string[]} args
+ * @param {string} model
+ * @returns {string[]}
+ */
+function setModelArg(args, model) {
+  return ['--model', model, ...removeOptions(args, ['--model'])];
 }
 
 export {
-  stripAnsi, extractResumeSessionId, buildResumeArgs, RATE_LIMIT_PATTERN,
-  RATE_LIMIT_CONTINUE_MSG, FLAGS_WITH_VALUES,
-  findEarliestReset, formatDuration, sleep, deactivateStaleChannels,
-  EXHAUSTION_THRESHOLD, MAX_SLEEP_MS,
+  stripAnsi, hasStopHook, extractResumeSessionId, reportedSessionId, buildResumeArgs, getModelArg, setModelArg, RATE_LIMIT_PATTERN,
+  RATE_LIMIT_CONTINUE_MSG,
+  checkAccounts, findEarliestReset, formatDuration, sleep, deactivateStaleChannels,
+  EXHAUSTION_THRESHOLD, MAX_SLEEP_MS, PREEMPT_POLL_INTERVAL_MS,
+  retryBackoffMs, MAX_RETRIES, RETRY_BACKOFF_BASE_MS, RETRY_BACKOFF_MAX_MS, REAUTH_RETRY_WINDOW_MS,
+  selectNextAccount, pickFallbackModel, recordCooldown, MAX_SWAPS_DEFAULT, KILL_ESCALATION_DELAY,
 };
@@ -0,0 +1,295 @@
+/**
+ * Scheduler — relaunches sessions whose runner exited to wait for a reset.
+ *
+ * In remote mode a runner with every account exhausted doesn't hold its tmux
+ * pane for hours. It records a pending resume in
+ * ~/.claude-nonstop/data/scheduled.json and exits:
+ *
+ *   { "<id>": { sessionId, cwd, tmuxSession, account, args, remoteAccess, group?, resumeAt, createdAt } }
+ *
+ * `claude-nonstop scheduler` checks the file every SCHEDULER_POLL_MS and, once
+ * `resumeAt` has passed, starts `claude-nonstop resume <sessionId>` with the
+ * saved args (and `--group`, so it stays on the same accounts) in the
+ * original tmux session (a new window) and cwd — or in a
+ * new detached session of the same name if it is gone. The runner starts a
+ * scheduler when it schedules a resume; the Slack webhook daemon also fires
+ * due resumes, so they survive a reboot. Times are compared against the wall
+ * clock on every check, so a resume that fell due while the machine slept
+ * fires on wake.
+ *
+ * Writes are serialized with the lease lock (lib/leases.js) and due entries
+ * are removed before they are launched, so each resume fires once.
+ */
+
+import { spawn, execFileSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_DIR } from './config.js';
+import { withLock, isProcessAlive } from './leases.js';
+import { tmuxSessionExists } from './tmux.js';
+
+const SCHEDULE_FILE = join(CONFIG_DIR, 'data', 'scheduled.json');
+const SCHEDULER_PID_FILE = join(CONFIG_DIR, 'data', 'scheduler.pid');
+const SCHEDULER_LOG_PATH = join(CONFIG_DIR, 'logs', 'scheduler.log');
+const CLI_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'claude-nonstop.js');
+
+/** How often the scheduler checks for due resumes (ms). */
+const SCHEDULER_POLL_MS = 60_000;
+/** Delay before retrying a resume that failed to launch (ms). */
+const LAUNCH_RETRY_MS = 5 * 60_000;
+/** Launch attempts before a resume is dropped. */
+const MAX_LAUNCH_ATTEMPTS = 3;
+
+// ─── Schedule File ─────────────────────────────────────────────────────────
+
+function readSchedule(file) {
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeSchedule(file, schedule) {
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(schedule, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpFile, file);
+}
+
+/**
+ * Load the pending resumes.
+ *
+ * @param {string} [file] - Override for tests (default: ~/.claude-nonstop/data/scheduled.json)
+ * @returns {Array<{ id: string, sessionId: string, cwd: string, tmuxSession: string|null, account: string, args: string[], remoteAccess: boolean, resumeAt: string, createdAt: string, attempts?: number }>}
+ *   Soonest first
+ */
+export function loadSchedule(file = SCHEDULE_FILE) {
+  return Object.entries(readSchedule(file))
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => String(a.resumeAt).localeCompare(String(b.resumeAt)));
+}
+
+/**
+ * Record a pending resume. A session has at most one: scheduling it again
+ * replaces the earlier entry.
+ *
+ * @param {{ sessionId: string, cwd: string, tmuxSession: string|null, account: string, args: string[], remoteAccess: boolean, group?: string, resumeAt: string }} fields
+ * @param {string} [file]
+ * @returns {object|null} The entry with its id, or null if it could not be saved
+ */
+export function scheduleResume(fields, file = SCHEDULE_FILE) {
+  const id = randomUUID();
+  const entry = { ...fields, createdAt: new Date().toISOString() };
+  try {
+    withLock(file, () => {
+      const schedule = readSchedule(file);
+      for (const [otherId, other] of Object.entries(schedule)) {
+        if (other.sessionId === fields.sessionId) delete schedule[otherId];
+      }
+      schedule[id] = entry;
+      writeSchedule(file, schedule);
+    });
+    return { id, ...entry };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a pending resume by id (or a unique id prefix) or session ID.
+ *
+ * @param {string} idOrSession
+ * @param {string} [file]
+ * @returns {object|null} The removed entry, or null if none matched
+ */
+export function cancelScheduled(idOrSession, file = SCHEDULE_FILE) {
+  let removed = null;
+  withLock(file, () => {
+    const schedule = readSchedule(file);
+    const matches = Object.keys(schedule).filter(id =>
+      id.startsWith(idOrSession) || schedule[id].sessionId === idOrSession);
+    if (matches.length !== 1) return;
+    removed = { id: matches[0], ...schedule[matches[0]] };
+    delete schedule[matches[0]];
+    writeSchedule(file, schedule);
+  });
+  return removed;
+}
+
+/**
+ * Remove and return the resumes that are due.
+ *
+ * @param {number} [now]
+ * @param {string} [file]
+ * @returns {Array<object>}
+ */
+export function takeDueResumes(now = Date.now(), file = SCHEDULE_FILE) {
+  let due = [];
+  withLock(file, () => {
+    const schedule = readSchedule(file);
+    due = Object.entries(schedule)
+      .filter(([, entry]) => !(Date.parse(entry.resumeAt) > now))
+      .map(([id, entry]) => ({ id, ...entry }));
+    if (due.length === 0) return;
+    for (const { id } of due) delete schedule[id];
+    writeSchedule(file, schedule);
+  });
+  return due;
+}
+
+// ─── Launching ─────────────────────────────────────────────────────────────
+
+/**
+ * The command that resumes a scheduled session.
+ *
+ * @param {object} entry
+ * @returns {string[]} argv
+ */
+export function buildResumeCommand(entry) {
+  return [
+    process.execPath, CLI_PATH, 'resume', entry.sessionId,
+    ...(entry.remoteAccess ? ['--remote-access'] : []),
+    ...(entry.group ? ['--group', entry.group] : []),
+    '--', ...(entry.args ?? []),
+  ];
+}
+
+/**
+ * Start a scheduled resume in its tmux session and cwd: a new window if the
+ * session still exists, otherwise a new detached session with the same name.
+ *
+ * @param {object} entry
+ * @param {{ exec?: typeof execFileSync, sessionExists?: (name: string) => boolean }} [deps] - Overrides for tests
+ * @returns {string} The tmux session it was started in
+ * @throws {Error} if the cwd is gone or tmux fails
+ */
+export function launchResume(entry, deps = {}) {
+  const exec = deps.exec ?? execFileSync;
+  const sessionExists = deps.sessionExists ?? tmuxSessionExists;
+  if (!existsSync(entry.cwd)) throw new Error(`Directory ${entry.cwd} no longer exists`);
+
+  const name = entry.tmuxSession || `claude-nonstop-${entry.sessionId.slice(0, 8)}`;
+  const command = buildResumeCommand(entry);
+  const tmuxArgs = sessionExists(name)
+    ? ['new-window', '-t', `${name}:`, '-c', entry.cwd, ...command]
+    : ['new-session', '-d', '-s', name, '-c', entry.cwd, ...command];
+  exec('tmux', tmuxArgs, { stdio: ['ignore', 'ignore', 'pipe'] });
+  return name;
+}
+
+/**
+ * Launch every due resume once. A failed launch is retried after
+ * LAUNCH_RETRY_MS, up to MAX_LAUNCH_ATTEMPTS times.
+ *
+ * @param {{ file?: string, now?: number, launch?: (entry: object) => string, log?: (message: string) => void }} [options]
+ * @returns {Array<{ entry: object, tmuxSession?: string, error?: string }>}
+ */
+export function fireDueResumes(options = {}) {
+  const file = options.file ?? SCHEDULE_FILE;
+  const launch = options.launch ?? launchResume;
+  const log = options.log ?? (() => {});
+  const now = options.now ?? Date.now();
+
+  return takeDueResumes(now, file).map((entry) => {
+    try {
+      const tmuxSession = launch(entry);
+      log(`Resumed session ${entry.sessionId} in tmux session "${tmuxSession}" (${entry.cwd})`);
+      return { entry, tmuxSession };
+    } catch (err) {
+      const attempts = (entry.attempts ?? 0) + 1;
+      if (attempts < MAX_LAUNCH_ATTEMPTS) {
+        const { id, ...fields } = entry;
+        scheduleResume({ ...fields, attempts, resumeAt: new Date(now + LAUNCH_RETRY_MS).toISOString() }, file);
+        log(`Could not resume session ${entry.sessionId}: ${err.message} — retrying in ${LAUNCH_RETRY_MS / 60_000}m`);
+      } else {
+        log(`Could not resume session ${entry.sessionId}: ${err.message} — giving up after ${attempts} attempts`);
+      }
+      return { entry, error: err.message };
+    }
+  });
+}
+
+// ─── Scheduler Process ─────────────────────────────────────────────────────
+
+/**
+ * Whether a scheduler process is running.
+ *
+ * @param {string} [pidFile]
+ * @returns {boolean}
+ */
+export function isSchedulerRunning(pidFile = SCHEDULER_PID_FILE) {
+  try {
+    return isProcessAlive(Number(readFileSync(pidFile, 'utf8').trim()));
+  } catch {
+    return false;
+  }
+}
+
+/** Take the PID file; false if another live scheduler holds it. */
+function claimPidFile(pidFile) {
+  mkdirSync(dirname(pidFile), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = openSync(pidFile, 'wx', 0o600);
+      writeFileSync(fd, String(process.pid));
+      closeSync(fd);
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST' || isSchedulerRunning(pidFile)) return false;
+      try { unlinkSync(pidFile); } catch {}
+    }
+  }
+  return false;
+}
+
+/**
+ * Run the scheduler: fire due resumes every `pollMs` until none are pending.
+ *
+ * @param {{ file?: string, pidFile?: string, pollMs?: number, launch?: (entry: object) => string, log?: (message: string) => void }} [options]
+ * @returns {Promise<boolean>} false if another scheduler is already running
+ */
+export async function runScheduler(options = {}) {
+  const file = options.file ?? SCHEDULE_FILE;
+  const pidFile = options.pidFile ?? SCHEDULER_PID_FILE;
+  const pollMs = options.pollMs ?? SCHEDULER_POLL_MS;
+  if (!claimPidFile(pidFile)) return false;
+
+  try {
+    for (;;) {
+      fireDueResumes({ file, launch: options.launch, log: options.log });
+      if (loadSchedule(file).length === 0) return true;
+      await new Promise(r => setTimeout(r, pollMs));
+    }
+  } finally {
+    try { unlinkSync(pidFile); } catch {}
+  }
+}
+
+/**
+ * Start a background scheduler unless one is running. Its output goes to
+ * ~/.claude-nonstop/logs/scheduler.log.
+ *
+ * @returns {boolean} true if a scheduler was started
+ */
+export function ensureScheduler() {
+  if (isSchedulerRunning()) return false;
+  try {
+    mkdirSync(dirname(SCHEDULER_LOG_PATH), { recursive: true, mode: 0o700 });
+    const logFd = openSync(SCHEDULER_LOG_PATH, 'a', 0o600);
+    const child = spawn(process.execPath, [CLI_PATH, 'scheduler'], {
+      detached: true,
+      stdio: ['ignore', logFd, logFd],
+      cwd: CONFIG_DIR,
+    });
+    closeSync(logFd);
+    child.unref();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export { SCHEDULE_FILE, SCHEDULER_PID_FILE, SCHEDULER_LOG_PATH, SCHEDULER_POLL_MS, LAUNCH_RETRY_MS, MAX_LAUNCH_ATTEMPTS };
@@ -8,76 +8,175 @@
  * When usePriority is true, accounts with lower priority numbers are preferred
  * over accounts with lower utilization. Accounts at or above 98% utilization
  * are considered "near-exhausted" and skipped in favor of the next priority.
+ *
+ * options.strategy replaces both orderings with one from the strategy registry
+ * (lib/strategies.js): round-robin, least-recently-used, drain-first, weighted,
+ * sticky, reset-aware or longest-runway. The filtering below applies whatever
+ * the strategy.
+ *
+ * reset-aware ranks by expiringCapacityScore: headroom that resets soon is
+ * worth more than the same headroom days from its reset, because it is lost
+ * if it goes unused. An account at 60% weekly that resets in 20 minutes beats
+ * one at 40% that resets in four days. longest-runway ranks by the burn-rate
+ * forecast (`forecast`, see lib/forecast.js): the account predicted to run
+ * out last at its current rate.
+ *
+ * Accounts with an active `cooldownUntil` (see lib/cooldown.js) are skipped
+ * regardless of what the usage API reports — it can lag behind a rate limit.
+ *
+ * Accounts in use by other live runners (`leaseCount`, see lib/leases.js)
+ * rank as if their utilization were LEASE_PENALTY points higher per runner,
+ * so concurrent runners spread across accounts. Priority still comes first.
+ *
+ * When options.model is given, that model family's weekly bucket (e.g. the
+ * Opus weekly limit) also counts towards utilization — an account can be out
+ * of Opus while it still has room for Sonnet.
+ *
+ * Usage ceilings (`usage.ceilings`, set with `set-ceiling`) shrink a window:
+ * utilization is measured against the ceiling instead of 100%, so an account
+ * at its 70% weekly ceiling counts as exhausted, and one at 35% as half used.
+ *
+ * API-key accounts (`type: 'api-key'`) are overflow: they cost money per
+ * token, so they are only considered once every subscription candidate is
+ * near-exhausted, and only while under their spending caps (their usage is
+ * spend against the caps, see lib/spend.js).
  */
 
+import { getStrategy, DEFAULT_STICKY_THRESHOLD } from './strategies.js';
+import { runwayMs } from './forecast.js';
+
 const PRIORITY_THRESHOLD = 98;
+/** Utilization points added per other runner using an account. */
+const LEASE_PENALTY = 20;
+
+const SESSION_WINDOW_MS = 5 * 60 * 60 * 1000;
+const WEEKLY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+/** Shortest time-to-reset expiringCapacityScore divides by, so a reset due now doesn't score infinity. */
+const MIN_RESET_MS = 5 * 60 * 1000;
 
 /**
  * Pick the best account from a list of accounts with usage data.
  *
- * @param {Array<{name: string, configDir: string, token: string, usage: object, priority?: number}>} accounts
+ * @param {Array<{name: string, configDir: string, token: string, usage: object, priority?: number, capacity?: number, cooldownUntil?: string, leaseCount?: number, lastUsedAt?: string, forecast?: object}>} accounts
+ *   In registration order (round-robin follows it)
  * @param {string} [excludeName] - Account name to exclude (e.g., the one that just hit a limit)
  * @param {object} [options]
  * @param {boolean} [options.usePriority=false] - When true, prefer accounts by priority number
+ * @param {{ name: string|null, stickyThreshold?: number }|null} [options.strategy] - Selection strategy;
+ *   overrides usePriority when it names one
+ * @param {string|null} [options.model] - Model the session will run (`--model` value)
+ * @param {string|null} [options.currentAccount] - The account the runner is on, which the
+ *   sticky strategy stays on (null for a new session). Without it, sticky stays on the
+ *   account selected last by any runner — what `use --strategy` wants
  * @returns {{ account: object, reason: string } | null}
  */
 export function pickBestAccount(accounts, excludeName, options = {}) {
-  const candidates = accounts.filter(a => {
+  const model = options.model ?? null;
+  let candidates = accounts.filter(a => {
     if (a.name === excludeName) return false;
     if (!a.token) return false;
     if (a.usage?.error) return false;
+    if (isCoolingDown(a)) return false;
     return true;
   });
 
   if (candidates.length === 0) return null;
+  candidates = withoutIdleOverflow(candidates, model);
 
-  if (options.usePriority) {
-    // Priority-aware sorting:
-    // 1. Non-exhausted (< 98%) before exhausted (>= 98%)
-    // 2. Within each group: lower priority number first (nulls last)
-    // 3. Tiebreaker: lower utilization first
-    candidates.sort((a, b) => {
-      const aUtil = effectiveUtilization(a.usage);
-      const bUtil = effectiveUtilization(b.usage);
-      const aExhausted = aUtil >= PRIORITY_THRESHOLD;
-      const bExhausted = bUtil >= PRIORITY_THRESHOLD;
-
-      // Non-exhausted accounts always come first
-      if (aExhausted !== bExhausted) return aExhausted ? 1 : -1;
-
-      // Within same exhaustion group: sort by priority (lower = better, null = last)
-      const aPri = a.priority ?? Infinity;
-      const bPri = b.priority ?? Infinity;
-      if (aPri !== bPri) return aPri - bPri;
-
-      // Same priority: sort by utilization
-      return aUtil - bUtil;
-    });
-
-    const best = candidates[0];
-    const pri = best.priority != null ? `, priority: ${best.priority}` : '';
-
-    return {
-      account: best,
-      reason: `priority selection (session: ${best.usage.sessionPercent}%, weekly: ${best.usage.weeklyPercent}%${pri})`,
-    };
-  }
-
-  // Default: sort by effective utilization (ascending — lowest usage first)
-  candidates.sort((a, b) => {
-    const aUtil = effectiveUtilization(a.usage);
-    const bUtil = effectiveUtilization(b.usage);
-    return aUtil - bUtil;
-  });
+  const strategy = getStrategy(options.strategy?.name)
+    ?? getStrategy(options.usePriority ? 'priority' : 'lowest-utilization');
+  const ctx = selectionContext(accounts, model, options.strategy?.stickyThreshold ?? DEFAULT_STICKY_THRESHOLD, options.currentAccount);
+  candidates.sort((a, b) => strategy.compare(a, b, ctx));
 
   const best = candidates[0];
+  if (isOverflow(best)) return { account: best, reason: describeOverflow(best) };
 
   return {
     account: best,
-    reason: `lowest utilization (session: ${best.usage.sessionPercent}%, weekly: ${best.usage.weeklyPercent}%)`,
+    reason: `${strategy.label} (session: ${best.usage.sessionPercent}%, weekly: ${best.usage.weeklyPercent}%${describeModelWeekly(best, model)}${describeCeilings(best)}${strategy.details?.(best, ctx) ?? ''}${describeLeases(best)})`,
   };
 }
 
+/**
+ * What the strategies sort by (see lib/strategies.js). Positions and the
+ * last selected account come from the full list, including the excluded
+ * account, so round-robin moves on from the account being left. Sticky stays
+ * on currentAccount when it is given (null: on none), so runners on
+ * different accounts each keep their own.
+ */
+function selectionContext(accounts, model, stickyThreshold, currentAccount) {
+  const now = Date.now();
+  const names = accounts.map(a => a.name);
+  const lastSelected = accounts
+    .filter(a => a.lastUsedAt)
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))[0]?.name ?? null;
+  const last = names.indexOf(lastSelected);
+  const stickTo = currentAccount === undefined ? lastSelected : currentAccount;
+
+  const ctx = {
+    adjusted: a => leaseAdjustedUtilization(a, model),
+    exhausted: a => effectiveUtilization(a.usage, model) >= PRIORITY_THRESHOLD,
+    position: a => names.indexOf(a.name),
+    // 1 for the account after the last selected one, n for that account itself
+    turnsAway: a => (last === -1 ? ctx.position(a) + 1 : ((ctx.position(a) - last + names.length - 1) % names.length) + 1),
+    sticks: a => a.name === stickTo && effectiveUtilization(a.usage, model) < stickyThreshold,
+    expiring: a => expiringCapacityScore(a, model, now),
+    runway: a => runwayMs(a, now),
+    lastSelected,
+    stickyThreshold,
+  };
+  return ctx;
+}
+
+function isOverflow(account) {
+  return account.type === 'api-key';
+}
+
+/**
+ * Keep overflow accounts out while a subscription account has room. Once
+ * none has, prefer overflow accounts under their caps; if there are none
+ * either, leave the list as it is and let the caller see it's exhausted.
+ */
+function withoutIdleOverflow(candidates, model) {
+  const subscriptions = candidates.filter(a => !isOverflow(a));
+  if (subscriptions.some(a => effectiveUtilization(a.usage, model) < PRIORITY_THRESHOLD)) {
+    return subscriptions;
+  }
+  const overflow = candidates.filter(a => isOverflow(a) && effectiveUtilization(a.usage, model) < 100);
+  return overflow.length > 0 ? overflow : candidates;
+}
+
+function describeOverflow(account) {
+  const spend = account.usage.spend;
+  const usd = (n, cap) => `$${n.toFixed(2)}${cap ? ` of $${cap.toFixed(2)}` : ''}`;
+  const details = spend ? [`today: ${usd(spend.today, spend.dailyCap)}`, `month: ${usd(spend.month, spend.monthlyCap)}`] : [];
+  if (account.leaseCount) details.push(describeLeases(account).slice(2));
+  return details.length > 0 ? `overflow API key (${details.join(', ')})` : 'overflow API key';
+}
+
+/**
+ * Effective utilization plus LEASE_PENALTY per other runner on the account.
+ */
+export function leaseAdjustedUtilization(account, model = null) {
+  return effectiveUtilization(account.usage, model) + (account.leaseCount || 0) * LEASE_PENALTY;
+}
+
+function describeModelWeekly(account, model) {
+  const family = modelFamily(model);
+  const percent = family ? account.usage.modelWeeklyPercent?.[family] : undefined;
+  return percent != null ? `, ${family} weekly: ${percent}%` : '';
+}
+
+function describeCeilings(account) {
+  const { session, weekly } = account.usage.ceilings ?? {};
+  return `${session ? `, session ceiling: ${session}%` : ''}${weekly ? `, weekly ceiling: ${weekly}%` : ''}`;
+}
+
+function describeLeases(account) {
+  if (!account.leaseCount) return '';
+  return `, shared with ${account.leaseCount} other runner${account.leaseCount === 1 ? '' : 's'}`;
+}
+
 /**
  * Pick the best account using priority hierarchy.
  * Convenience wrapper for `use --priority`.
@@ -90,11 +189,82 @@ export function pickByPriority(accounts) {
 }
 
 /**
- * Calculate effective utilization — the higher of session or weekly.
+ * Whether an account is in a rate-limit cooldown.
+ *
+ * @param {{ cooldownUntil?: string }} account
+ * @param {number} [now]
+ * @returns {boolean}
  */
-export function effectiveUtilization(usage) {
+export function isCoolingDown(account, now = Date.now()) {
+  if (!account.cooldownUntil) return false;
+  return new Date(account.cooldownUntil).getTime() > now;
+}
+
+/**
+ * Model family of a `--model` value: 'opus', 'sonnet', 'haiku' or null
+ * (unknown, or Claude's default model).
+ *
+ * @param {string|null} model - Alias ("sonnet") or full name ("claude-sonnet-4-5")
+ */
+export function modelFamily(model) {
+  const match = /\b(opus|sonnet|haiku)\b/i.exec(String(model ?? '').replace(/[-_.]/g, ' '));
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * How much of an account's remaining capacity expires unused unless it is
+ * used now: usable headroom (after the lease penalty) divided by the
+ * fraction of the tighter window left before its reset.
+ *
+ * 1 means the headroom lasts exactly until the reset at an even pace; higher
+ * means it resets sooner than it could be used up at that pace. A window
+ * without a (future) reset time counts as a whole window away.
+ *
+ * @param {{ usage: object, leaseCount?: number }} account
+ * @param {string|null} [model]
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function expiringCapacityScore(account, model = null, now = Date.now()) {
+  const headroom = Math.max(0, 100 - leaseAdjustedUtilization(account, model));
+  const remaining = Math.min(
+    windowRemaining(account.usage?.sessionResetsAt, SESSION_WINDOW_MS, now),
+    windowRemaining(account.usage?.weeklyResetsAt, WEEKLY_WINDOW_MS, now),
+  );
+  return headroom / 100 / remaining;
+}
+
+/** Fraction of a usage window left before resetsAt, between MIN_RESET_MS's share and 1. */
+function windowRemaining(resetsAt, windowMs, now) {
+  const ms = resetsAt ? new Date(resetsAt).getTime() - now : NaN;
+  if (Number.isNaN(ms) || ms <= 0) return 1;
+  return Math.min(Math.max(ms, MIN_RESET_MS), windowMs) / windowMs;
+}
+
+/**
+ * Calculate effective utilization — the higher of session or weekly, and of
+ * the model's own weekly bucket when a model is given and the plan has one.
+ * With `usage.ceilings`, each window counts as a share of its ceiling (the
+ * weekly ceiling also applies to the model bucket), reaching 100 at it.
+ *
+ * @param {object} usage
+ * @param {string|null} [model]
+ */
+export function effectiveUtilization(usage, model = null) {
   if (!usage) return 100;
-  return Math.max(usage.sessionPercent || 0, usage.weeklyPercent || 0);
+  const family = modelFamily(model);
+  const modelPercent = family ? (usage.modelWeeklyPercent?.[family] || 0) : 0;
+  const ceilings = usage.ceilings ?? {};
+  return Math.max(
+    ofCeiling(usage.sessionPercent || 0, ceilings.session),
+    ofCeiling(usage.weeklyPercent || 0, ceilings.weekly),
+    ofCeiling(modelPercent, ceilings.weekly),
+  );
+}
+
+/** A window's utilization as a share of its ceiling (percent), capped at 100. */
+function ofCeiling(percent, ceiling) {
+  return ceiling ? Math.min(100, Math.round((percent * 100) / ceiling)) : percent;
 }
 
-export { PRIORITY_THRESHOLD };
+export { PRIORITY_THRESHOLD, LEASE_PENALTY };
@@ -0,0 +1,440 @@
+/**
+ * Screen model — a minimal headless terminal emulator for Claude's PTY output.
+ *
+ * Detection rules used to run on a rolling buffer of ANSI-stripped output, so
+ * text Claude merely displayed (a file that quotes the limit message) could
+ * match, and text split up by cursor movement could be missed. The runner
+ * feeds the output through this model instead and matches the rules against
+ * the status area, anchored to Claude Code's input box: the last
+ * PROMPT_CONTEXT_LINES lines above the box, where a limit or auth error is
+ * shown, and the footer below it. Tool output and file contents further up
+ * are left out even while they are still on screen, and so is the text typed
+ * into the box. Without an input box on screen (print mode, or Claude has
+ * exited) the status area is the last STATUS_AREA_ROWS rows with content.
+ *
+ * Supported: printable text with autowrap and wide characters, CR/LF/BS/TAB,
+ * cursor movement and positioning, erase in line/display, insert/delete of
+ * lines and characters, scroll regions, saved cursors and the alternate
+ * screen buffer. Everything else (colors, titles, mouse and keypad modes) is
+ * parsed and ignored. No scrollback is kept.
+ */
+
+/** Rows at the bottom of the screen that rules are matched against without an input box. */
+const STATUS_AREA_ROWS = 10;
+
+/** Lines with content above the input box that belong to the status area. */
+const PROMPT_CONTEXT_LINES = 2;
+
+/** The input line of Claude Code's input box: `> ` at the left edge, or `│ > ` inside a drawn box. */
+const PROMPT_PATTERN = /^(?:│ ?)?>(?: |$)/;
+
+/** Top and bottom borders of the input box — box corners or a horizontal rule. */
+const BOX_TOP_PATTERN = /^\s*(?:╭|─{3})/;
+const BOX_BOTTOM_PATTERN = /^\s*(?:╰|─{3})/;
+
+const TAB_WIDTH = 8;
+
+/** Double-width ranges (CJK, Hangul, fullwidth forms, most emoji). */
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f], [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1f300, 0x1f64f],
+  [0x1f900, 0x1f9ff], [0x20000, 0x3fffd],
+];
+
+/** Zero-width code points (combining marks, joiners, variation selectors). */
+const ZERO_WIDTH_PATTERN = /^[\u0300-\u036f\u200b-\u200f\u20d0-\u20ff\ufe00-\ufe0f]$/;
+
+function charWidth(ch) {
+  if (ZERO_WIDTH_PATTERN.test(ch)) return 0;
+  const code = ch.codePointAt(0);
+  return WIDE_RANGES.some(([lo, hi]) => code >= lo && code <= hi) ? 2 : 1;
+}
+
+function blankRow(cols) {
+  return { cells: new Array(cols).fill(' '), wrapped: false };
+}
+
+function createBuffer(cols, rows) {
+  return {
+    rows: Array.from({ length: rows }, () => blankRow(cols)),
+    x: 0,
+    y: 0,
+    wrapPending: false,
+    scrollTop: 0,
+    scrollBottom: rows - 1,
+    saved: null,
+  };
+}
+
+function rowText(row) {
+  return row.cells.join('');
+}
+
+/**
+ * Join rows into text, rows that wrapped onto the next one without a line
+ * break.
+ *
+ * @param {Array<{ cells: string[], wrapped: boolean }>} rows
+ * @returns {string}
+ */
+function joinRows(rows) {
+  let text = '';
+  rows.forEach((row, i) => {
+    text += row.wrapped && i < rows.length - 1 ? rowText(row) : rowText(row).trimEnd() + '\n';
+  });
+  return text;
+}
+
+/**
+ * Locate the last input box on screen.
+ *
+ * @param {Array<{ cells: string[] }>} rows
+ * @returns {{ top: number, bottom: number }|null} Row indexes of its borders
+ *   (the prompt row itself when a border isn't drawn), null without a prompt
+ */
+function findInputBox(rows) {
+  let prompt = rows.length - 1;
+  while (prompt >= 0 && !PROMPT_PATTERN.test(rowText(rows[prompt]))) prompt--;
+  if (prompt < 0) return null;
+
+  const top = prompt > 0 && BOX_TOP_PATTERN.test(rowText(rows[prompt - 1])) ? prompt - 1 : prompt;
+  let bottom = prompt;
+  for (let y = prompt + 1; y < rows.length; y++) {
+    if (BOX_BOTTOM_PATTERN.test(rowText(rows[y]))) {
+      bottom = y;
+      break;
+    }
+  }
+  return { top, bottom };
+}
+
+/**
+ * Create a screen model.
+ *
+ * @param {number} [cols]
+ * @param {number} [rows]
+ * @returns {{ write: (data: string) => void, resize: (cols: number, rows: number) => void, lines: () => string[], statusArea: (rowCount?: number) => string }}
+ */
+export function createScreen(cols = 80, rows = 24) {
+  let main = createBuffer(cols, rows);
+  let alt = null;
+  let buf = main;
+
+  // Parser state, kept across writes so sequences may be split between chunks
+  let state = 'ground';
+  let params = '';
+  let intermediates = '';
+  let stringEsc = false;
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function moveTo(x, y) {
+    buf.x = clamp(x, 0, cols - 1);
+    buf.y = clamp(y, 0, rows - 1);
+    buf.wrapPending = false;
+  }
+
+  function scrollUp(n, top = buf.scrollTop, bottom = buf.scrollBottom) {
+    for (let i = 0; i < n; i++) {
+      buf.rows.splice(top, 1);
+      buf.rows.splice(bottom, 0, blankRow(cols));
+    }
+  }
+
+  function scrollDown(n, top = buf.scrollTop, bottom = buf.scrollBottom) {
+    for (let i = 0; i < n; i++) {
+      buf.rows.splice(bottom, 1);
+      buf.rows.splice(top, 0, blankRow(cols));
+    }
+  }
+
+  function lineFeed() {
+    if (buf.y === buf.scrollBottom) scrollUp(1);
+    else if (buf.y < rows - 1) buf.y++;
+    buf.wrapPending = false;
+  }
+
+  function eraseCells(row, from, to) {
+    for (let x = Math.max(0, from); x < Math.min(cols, to); x++) row.cells[x] = ' ';
+  }
+
+  function print(ch) {
+    const width = charWidth(ch);
+    if (width === 0) {
+      // Attach combining marks to the previous cell
+      const x = buf.wrapPending ? buf.x : buf.x - 1;
+      if (x >= 0) buf.rows[buf.y].cells[x] += ch;
+      return;
+    }
+
+    if (buf.wrapPending || buf.x + width > cols) {
+      buf.rows[buf.y].wrapped = true;
+      buf.x = 0;
+      lineFeed();
+    }
+
+    const row = buf.rows[buf.y];
+    row.cells[buf.x] = ch;
+    if (width === 2 && buf.x + 1 < cols) row.cells[buf.x + 1] = '';
+    buf.x += width;
+    if (buf.x >= cols) {
+      buf.x = cols - 1;
+      buf.wrapPending = true;
+    }
+  }
+
+  function setAltScreen(on, saveCursor) {
+    if (on && buf === main) {
+      if (saveCursor) main.saved = { x: main.x, y: main.y };
+      alt = createBuffer(cols, rows);
+      buf = alt;
+    } else if (!on && buf === alt) {
+      buf = main;
+      alt = null;
+      if (saveCursor && main.saved) moveTo(main.saved.x, main.saved.y);
+    }
+  }
+
+  function csi(final) {
+    const isPrivate = params.startsWith('?');
+    const args = (isPrivate ? params.slice(1) : params).split(';').map(p => parseInt(p, 10));
+    const arg = (i, fallback) => (Number.isFinite(args[i]) && args[i] > 0 ? args[i] : fallback);
+    const row = buf.rows[buf.y];
+    if (intermediates) return;
+
+    switch (final) {
+      case 'A': moveTo(buf.x, Math.max(buf.y - arg(0, 1), buf.y >= buf.scrollTop ? buf.scrollTop : 0)); break;
+      case 'B': moveTo(buf.x, Math.min(buf.y + arg(0, 1), buf.y <= buf.scrollBottom ? buf.scrollBottom : rows - 1)); break;
+      case 'C': moveTo(buf.x + arg(0, 1), buf.y); break;
+      case 'D': moveTo(buf.x - arg(0, 1), buf.y); break;
+      case 'E': moveTo(0, buf.y + arg(0, 1)); break;
+      case 'F': moveTo(0, buf.y - arg(0, 1)); break;
+      case 'G':
+      case '`': moveTo(arg(0, 1) - 1, buf.y); break;
+      case 'd': moveTo(buf.x, arg(0, 1) - 1); break;
+      case 'H':
+      case 'f': moveTo(arg(1, 1) - 1, arg(0, 1) - 1); break;
+      case 'J': {
+        const mode = args[0] || 0;
+        if (mode === 0) {
+          eraseCells(row, buf.x, cols);
+          for (let y = buf.y + 1; y < rows; y++) buf.rows[y] = blankRow(cols);
+        } else if (mode === 1) {
+          eraseCells(row, 0, buf.x + 1);
+          for (let y = 0; y < buf.y; y++) buf.rows[y] = blankRow(cols);
+        } else {
+          buf.rows = buf.rows.map(() => blankRow(cols));
+        }
+        break;
+      }
+      case 'K': {
+        const mode = args[0] || 0;
+        if (mode === 0) eraseCells(row, buf.x, cols);
+        else if (mode === 1) eraseCells(row, 0, buf.x + 1);
+        else eraseCells(row, 0, cols);
+        if (mode !== 1) row.wrapped = false;
+        break;
+      }
+      case 'X': eraseCells(row, buf.x, buf.x + arg(0, 1)); break;
+      case '@': {
+        const n = Math.min(arg(0, 1), cols - buf.x);
+        row.cells.splice(buf.x, 0, ...new Array(n).fill(' '));
+        row.cells.length = cols;
+        break;
+      }
+      case 'P': {
+        const n = Math.min(arg(0, 1), cols - buf.x);
+        row.cells.splice(buf.x, n);
+        row.cells.push(...new Array(n).fill(' '));
+        break;
+      }
+      case 'L':
+        if (buf.y >= buf.scrollTop && buf.y <= buf.scrollBottom) scrollDown(arg(0, 1), buf.y);
+        break;
+      case 'M':
+        if (buf.y >= buf.scrollTop && buf.y <= buf.scrollBottom) scrollUp(arg(0, 1), buf.y);
+        break;
+      case 'S': scrollUp(arg(0, 1)); break;
+      case 'T': if (!isPrivate) scrollDown(arg(0, 1)); break;
+      case 'r': {
+        const top = arg(0, 1) - 1;
+        const bottom = arg(1, rows) - 1;
+        if (top < bottom && bottom < rows) {
+          buf.scrollTop = top;
+          buf.scrollBottom = bottom;
+          moveTo(0, 0);
+        }
+        break;
+      }
+      case 's': if (!isPrivate) buf.saved = { x: buf.x, y: buf.y }; break;
+      case 'u': if (buf.saved) moveTo(buf.saved.x, buf.saved.y); break;
+      case 'h':
+      case 'l':
+        if (isPrivate) {
+          for (const mode of args) {
+            if (mode === 1049) setAltScreen(final === 'h', true);
+            else if (mode === 47 || mode === 1047) setAltScreen(final === 'h', false);
+          }
+        }
+        break;
+      default:
+        // SGR and other modes don't change the text on screen
+        break;
+    }
+  }
+
+  function esc(ch) {
+    switch (ch) {
+      case '[': state = 'csi'; params = ''; intermediates = ''; return;
+      case ']': state = 'osc'; stringEsc = false; return;
+      case 'P':
+      case 'X':
+      case '^':
+      case '_': state = 'string'; stringEsc = false; return;
+      case '(':
+      case ')':
+      case '*':
+      case '+': state = 'charset'; return;
+      case '7': buf.saved = { x: buf.x, y: buf.y }; break;
+      case '8': if (buf.saved) moveTo(buf.saved.x, buf.saved.y); break;
+      case 'D': lineFeed(); break;
+      case 'E': buf.x = 0; lineFeed(); break;
+      case 'M':
+        if (buf.y === buf.scrollTop) scrollDown(1);
+        else moveTo(buf.x, buf.y - 1);
+        break;
+      case 'c':
+        main = createBuffer(cols, rows);
+        alt = null;
+        buf = main;
+        break;
+      default:
+        break;
+    }
+    state = 'ground';
+  }
+
+  function feed(ch) {
+    switch (state) {
+      case 'escape':
+        esc(ch);
+        return;
+      case 'charset':
+        state = 'ground';
+        return;
+      case 'csi': {
+        const code = ch.charCodeAt(0);
+        if (code >= 0x30 && code <= 0x3f) params += ch;
+        else if (code >= 0x20 && code <= 0x2f) intermediates += ch;
+        else if (code >= 0x40 && code <= 0x7e) {
+          state = 'ground';
+          csi(ch);
+        } else if (ch === '\x1b') {
+          state = 'escape';
+        } else {
+          state = 'ground';
+        }
+        return;
+      }
+      case 'osc':
+      case 'string':
+        // Terminated by ST (ESC \), or BEL for OSC
+        if (stringEsc) {
+          state = ch === '\\' ? 'ground' : state;
+          stringEsc = false;
+        } else if (ch === '\x1b') {
+          stringEsc = true;
+        } else if (ch === '\x07' && state === 'osc') {
+          state = 'ground';
+        }
+        return;
+      default:
+        break;
+    }
+
+    switch (ch) {
+      case '\x1b': state = 'escape'; break;
+      case '\r': buf.x = 0; buf.wrapPending = false; break;
+      case '\n':
+      case '\x0b':
+      case '\x0c': lineFeed(); break;
+      case '\b': moveTo(buf.x - 1, buf.y); break;
+      case '\t': moveTo(Math.min(cols - 1, (Math.floor(buf.x / TAB_WIDTH) + 1) * TAB_WIDTH), buf.y); break;
+      default:
+        if (ch >= ' ' && ch !== '\x7f') print(ch);
+        break;
+    }
+  }
+
+  function resizeBuffer(b, newCols, newRows) {
+    // Keep the cursor row on screen by dropping rows from the top
+    const drop = Math.max(0, b.y - (newRows - 1));
+    b.rows.splice(0, drop);
+    b.y -= drop;
+    while (b.rows.length < newRows) b.rows.push(blankRow(newCols));
+    b.rows.length = newRows;
+    for (const row of b.rows) {
+      row.cells.length = Math.min(row.cells.length, newCols);
+      while (row.cells.length < newCols) row.cells.push(' ');
+    }
+    b.x = Math.min(b.x, newCols - 1);
+    b.y = Math.min(b.y, newRows - 1);
+    b.wrapPending = false;
+    b.scrollTop = 0;
+    b.scrollBottom = newRows - 1;
+  }
+
+  return {
+    write(data) {
+      for (const ch of data) feed(ch);
+    },
+
+    resize(newCols, newRows) {
+      if (!(newCols > 0 && newRows > 0)) return;
+      resizeBuffer(main, newCols, newRows);
+      if (alt) resizeBuffer(alt, newCols, newRows);
+      cols = newCols;
+      rows = newRows;
+    },
+
+    /** Rendered rows of the active buffer, trailing spaces removed. */
+    lines() {
+      return buf.rows.map(row => rowText(row).trimEnd());
+    },
+
+    /**
+     * Text of the status area: the last PROMPT_CONTEXT_LINES lines with
+     * content above the input box and the rows below it, or, without an
+     * input box, the last `rowCount` rows with content. Rows that wrapped
+     * onto the next one are joined without a line break.
+     */
+    statusArea(rowCount = STATUS_AREA_ROWS) {
+      let last = buf.rows.length - 1;
+      while (last > 0 && !rowText(buf.rows[last]).trim()) last--;
+
+      const box = findInputBox(buf.rows.slice(0, last + 1));
+      if (!box) return joinRows(buf.rows.slice(Math.max(0, last - rowCount + 1), last + 1));
+
+      // Walk up from the box, a wrapped row belonging to the line below it
+      let first = box.top;
+      let lines = 0;
+      for (let y = box.top - 1; y >= 0; y--) {
+        const row = buf.rows[y];
+        if (row.wrapped) {
+          first = y;
+          continue;
+        }
+        if (!rowText(row).trim()) continue;
+        if (lines === PROMPT_CONTEXT_LINES) break;
+        lines++;
+        first = y;
+      }
+      return joinRows(buf.rows.slice(first, box.top)) + joinRows(buf.rows.slice(box.bottom + 1, last + 1));
+    },
+  };
+}
+
+export { STATUS_AREA_ROWS, PROMPT_CONTEXT_LINES };
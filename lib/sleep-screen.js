@@ -0,0 +1,228 @@
+/**
+ * Sleep screen — the interactive wait when every account is exhausted.
+ *
+ * Instead of one line and hours of silence, the runner shows a live countdown
+ * on the terminal's alternate screen with each account's usage, refreshed
+ * every SLEEP_REFRESH_MS. Keys:
+ *
+ *   w / Enter   wake now and re-score the accounts
+ *   1-9         continue on that account, even if it is near its limit
+ *   + / -       push the wake-up time back / bring it forward by SLEEP_STEP_MS
+ *   q / Ctrl+C  quit; the runner prints the session ID to resume later
+ *
+ * The screen also wakes by itself when a refresh shows an account has room
+ * again. Non-interactive runs (remote access, no TTY) keep the plain sleep().
+ */
+
+import { isCoolingDown } from './scorer.js';
+
+/** How often account usage is re-checked while sleeping (ms). */
+const SLEEP_REFRESH_MS = 5 * 60_000;
+/** How much + and - move the wake-up time (ms). */
+const SLEEP_STEP_MS = 15 * 60_000;
+/** Countdown redraw interval (ms). */
+const TICK_MS = 1000;
+
+const ENTER_ALT_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_ALT_SCREEN = '\x1b[?25h\x1b[?1049l';
+const CLEAR_SCREEN = '\x1b[H\x1b[2J';
+
+/** "2h 13m 05s", "4m 10s" */
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m ${seconds}s`;
+  return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * One-line usage summary of an account: "5-hour 97%, 7-day 40%, resets in 1h 02m 00s".
+ *
+ * @param {object} account - Account with usage (and cooldownUntil, if cooling down)
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function describeAccountUsage(account, now = Date.now()) {
+  const usage = account.usage ?? {};
+  if (usage.error) return `usage unavailable (${usage.error})`;
+
+  const parts = usage.spend
+    ? [`API key, $${usage.spend.today.toFixed(2)} today`]
+    : [`5-hour ${usage.sessionPercent ?? 0}%`, `7-day ${usage.weeklyPercent ?? 0}%`];
+
+  if (isCoolingDown(account, now)) {
+    parts.push(`cooling down ${formatCountdown(new Date(account.cooldownUntil).getTime() - now)}`);
+  } else if (usage.sessionResetsAt) {
+    const resetMs = new Date(usage.sessionResetsAt).getTime() - now;
+    if (resetMs > 0) parts.push(`resets in ${formatCountdown(resetMs)}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Render the sleep screen.
+ *
+ * @param {{ wakeAt: number, accounts: Array<object>, currentAccount: string, sessionId: string|null, refreshedAt: number, refreshMs?: number, refreshing?: boolean, message?: string|null }} state
+ * @param {number} [now]
+ * @returns {string[]} Lines
+ */
+export function renderSleepScreen(state, now = Date.now()) {
+  const refreshMs = state.refreshMs ?? SLEEP_REFRESH_MS;
+  const lines = [
+    '',
+    '  claude-nonstop — all accounts are near their limits',
+    '',
+    `  Waking at ${new Date(state.wakeAt).toLocaleTimeString()} (in ${formatCountdown(state.wakeAt - now)})`,
+    `  Session: ${state.sessionId ?? '(none yet)'} on "${state.currentAccount}"`,
+    '',
+  ];
+
+  const width = Math.max(...state.accounts.map(a => a.name.length), 7);
+  state.accounts.slice(0, 9).forEach((account, i) => {
+    const marker = account.name === state.currentAccount ? '*' : ' ';
+    lines.push(`  ${i + 1}${marker} ${account.name.padEnd(width)}  ${describeAccountUsage(account, now)}`);
+  });
+
+  const refreshed = state.refreshing
+    ? 'Refreshing usage...'
+    : `Usage checked ${new Date(state.refreshedAt).toLocaleTimeString()}, next in ${formatCountdown(state.refreshedAt + refreshMs - now)}`;
+  lines.push('', `  ${refreshed}`);
+  if (state.message) lines.push(`  ${state.message}`);
+  lines.push('', '  [w] wake now   [1-9] use account   [+/-] wake 15m later/earlier   [q] quit');
+  return lines;
+}
+
+/**
+ * Show the sleep screen until it is time to wake or the user acts.
+ *
+ * @param {object} options
+ * @param {number} options.sleepMs - Time until the scheduled wake-up
+ * @param {Array<object>} options.accounts - Accounts with usage, as last checked
+ * @param {string} options.currentAccount - Name of the account that hit its limit
+ * @param {string|null} [options.sessionId]
+ * @param {() => Promise<{ accounts: Array<object>, ready: boolean }>} options.refresh
+ *   Re-check usage; `ready` means some account has room again
+ * @param {number} [options.refreshMs] - Interval between refreshes (default SLEEP_REFRESH_MS)
+ * @param {AbortSignal} [options.signal] - Aborting it wakes the runner, like pressing w
+ * @param {NodeJS.ReadStream} [options.input]
+ * @param {NodeJS.WriteStream} [options.output]
+ * @returns {Promise<{ action: 'timeout'|'wake'|'recovered'|'pick'|'quit'|'signal', account?: object, accounts: Array<object> }>}
+ *   `account` is set for 'pick'; `accounts` is the latest usage
+ */
+export function showSleepScreen(options) {
+  const input = options.input ?? process.stdin;
+  const output = options.output ?? process.stderr;
+
+  return new Promise((resolve) => {
+    const state = {
+      wakeAt: Date.now() + options.sleepMs,
+      accounts: options.accounts,
+      currentAccount: options.currentAccount,
+      sessionId: options.sessionId ?? null,
+      refreshedAt: Date.now(),
+      refreshMs: options.refreshMs ?? SLEEP_REFRESH_MS,
+      refreshing: false,
+      message: null,
+    };
+    let done = false;
+
+    function draw() {
+      output.write(CLEAR_SCREEN + renderSleepScreen(state).join('\r\n') + '\r\n');
+    }
+
+    function finish(action, account) {
+      if (done) return;
+      done = true;
+      clearInterval(tickTimer);
+      input.removeListener('data', onKey);
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
+      options.signal?.removeEventListener('abort', onWake);
+      if (input.isTTY) {
+        try { input.setRawMode(false); } catch {}
+      }
+      input.pause();
+      output.write(LEAVE_ALT_SCREEN);
+      resolve({ action, account, accounts: state.accounts });
+    }
+
+    async function refresh() {
+      state.refreshing = true;
+      draw();
+      try {
+        const { accounts, ready } = await options.refresh();
+        if (done) return;
+        state.accounts = accounts;
+        if (ready) {
+          finish('recovered');
+          return;
+        }
+      } catch {
+        state.message = 'Usage check failed — will try again.';
+      }
+      state.refreshing = false;
+      state.refreshedAt = Date.now();
+      if (!done) draw();
+    }
+
+    function onKey(data) {
+      const key = data.toString();
+      if (key === 'q' || key === 'Q' || key === '\x03') {
+        finish('quit');
+      } else if (key === 'w' || key === 'W' || key === '\r' || key === '\n') {
+        finish('wake');
+      } else if (key === '+' || key === '=') {
+        state.wakeAt += SLEEP_STEP_MS;
+        state.message = null;
+        draw();
+      } else if (key === '-' || key === '_') {
+        state.wakeAt = Math.max(Date.now(), state.wakeAt - SLEEP_STEP_MS);
+        state.message = null;
+        draw();
+      } else if (/^[1-9]$/.test(key)) {
+        const account = state.accounts[Number(key) - 1];
+        if (!account) return;
+        if (account.usage?.error) {
+          state.message = `"${account.name}" can't be used right now (${account.usage.error}).`;
+          draw();
+          return;
+        }
+        finish('pick', account);
+      }
+    }
+
+    function onSignal() {
+      finish('signal');
+    }
+
+    function onWake() {
+      finish('wake');
+    }
+
+    const tickTimer = setInterval(() => {
+      if (Date.now() >= state.wakeAt) {
+        finish('timeout');
+      } else if (!state.refreshing && Date.now() - state.refreshedAt >= state.refreshMs) {
+        refresh();
+      } else {
+        draw();
+      }
+    }, TICK_MS);
+
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    if (input.isTTY) input.setRawMode(true);
+    input.on('data', onKey);
+    input.resume();
+
+    output.write(ENTER_ALT_SCREEN);
+    draw();
+
+    if (options.signal?.aborted) onWake();
+    else options.signal?.addEventListener('abort', onWake);
+  });
+}
+
+export { SLEEP_REFRESH_MS, SLEEP_STEP_MS };
@@ -0,0 +1,291 @@
+/**
+ * Spend tracking for API-key overflow accounts.
+ *
+ * Subscription accounts are metered by the usage API. API-key accounts are
+ * billed per token, so their "utilization" is spend against optional caps
+ * in the account's config entry (`caps: { daily, monthly }`, in USD).
+ *
+ * Spend is estimated from the token counts Claude writes to its session
+ * transcripts. While Claude runs on an API-key account, a tracker reads what
+ * was appended to the project's transcripts since it started — history that
+ * was migrated in from another account is already there and is not counted —
+ * and appends the estimated cost to ~/.claude-nonstop/data/spend.jsonl:
+ *
+ *   { ts, account, model, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd }
+ *
+ * Prices are list prices per model family. Where a family has several price
+ * points the highest is used, so a cap is reached early rather than late.
+ */
+
+import { appendFileSync, closeSync, existsSync, mkdirSync, openSync, readdirSync, readFileSync, readSync, renameSync, statSync } from 'fs';
+import { dirname, join } from 'path';
+import { CONFIG_DIR } from './config.js';
+import { modelFamily } from './scorer.js';
+import { getProjectDir } from './session.js';
+
+const SPEND_FILE = join(CONFIG_DIR, 'data', 'spend.jsonl');
+
+/** Size at which the spend ledger is rotated (bytes). */
+const MAX_SPEND_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * USD per million tokens. Cache writes cost 1.25x input, cache reads 0.1x.
+ * Unknown models are priced as Opus.
+ */
+const MODEL_PRICES = {
+  opus: { input: 15, output: 75 },
+  sonnet: { input: 3, output: 15 },
+  haiku: { input: 1, output: 5 },
+};
+
+// ─── Cost Estimation ───────────────────────────────────────────────────────
+
+function priceFor(model) {
+  return MODEL_PRICES[modelFamily(model) ?? 'opus'];
+}
+
+/**
+ * Estimate the cost of one API response from its `usage` block.
+ *
+ * @param {{ input_tokens?: number, output_tokens?: number, cache_creation_input_tokens?: number, cache_read_input_tokens?: number }} usage
+ * @param {string|null} model - Model name from the transcript (e.g. "claude-sonnet-4-5-20250929")
+ * @returns {number} USD
+ */
+export function estimateCost(usage, model) {
+  const price = priceFor(model);
+  const input = usage?.input_tokens || 0;
+  const output = usage?.output_tokens || 0;
+  const cacheWrite = usage?.cache_creation_input_tokens || 0;
+  const cacheRead = usage?.cache_read_input_tokens || 0;
+  return (input * price.input
+    + cacheWrite * price.input * 1.25
+    + cacheRead * price.input * 0.1
+    + output * price.output) / 1_000_000;
+}
+
+/**
+ * Sum the token usage of assistant messages in transcript lines, per model.
+ * Claude writes one line per content block, each repeating the message's
+ * usage, so messages are counted once by ID.
+ *
+ * @param {string[]} lines - Raw JSONL lines
+ * @param {Set<string>} [seen] - Message IDs already counted; updated in place
+ * @returns {Map<string, { inputTokens: number, outputTokens: number, cacheReadTokens: number, cacheWriteTokens: number, costUsd: number }>}
+ */
+export function sumTranscriptUsage(lines, seen = new Set()) {
+  const byModel = new Map();
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    const message = entry?.type === 'assistant' ? entry.message : null;
+    if (!message?.usage) continue;
+    if (message.id) {
+      if (seen.has(message.id)) continue;
+      seen.add(message.id);
+    }
+
+    const model = message.model ?? 'unknown';
+    const totals = byModel.get(model) ?? { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0 };
+    totals.inputTokens += message.usage.input_tokens || 0;
+    totals.outputTokens += message.usage.output_tokens || 0;
+    totals.cacheReadTokens += message.usage.cache_read_input_tokens || 0;
+    totals.cacheWriteTokens += message.usage.cache_creation_input_tokens || 0;
+    totals.costUsd += estimateCost(message.usage, model);
+    byModel.set(model, totals);
+  }
+
+  return byModel;
+}
+
+// ─── Ledger ────────────────────────────────────────────────────────────────
+
+/**
+ * Append a spend entry to the ledger. Never throws.
+ *
+ * @param {object} entry - Must include `account` and `costUsd`; `ts` is added if missing
+ * @param {string} [filePath] - Override for tests (default: ~/.claude-nonstop/data/spend.jsonl)
+ */
+export function recordSpend(entry, filePath = SPEND_FILE) {
+  try {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    if (existsSync(filePath) && statSync(filePath).size >= MAX_SPEND_FILE_BYTES) {
+      renameSync(filePath, `${filePath}.1`);
+    }
+
+    appendFileSync(filePath, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n', { mode: 0o600 });
+  } catch {
+    // Non-fatal — a lost entry under-counts one interval, it must not end a session
+  }
+}
+
+/**
+ * Total estimated spend of an account for the current local day and month.
+ *
+ * @param {string} accountName
+ * @param {string} [filePath]
+ * @param {Date} [now]
+ * @returns {{ today: number, month: number }} USD
+ */
+export function getSpend(accountName, filePath = SPEND_FILE, now = new Date()) {
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  let today = 0;
+  let month = 0;
+
+  for (const file of [`${filePath}.1`, filePath]) {
+    let content;
+    try {
+      content = readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (entry?.account !== accountName || typeof entry.costUsd !== 'number') continue;
+
+      const ts = Date.parse(entry.ts);
+      if (isNaN(ts) || ts < monthStart) continue;
+      month += entry.costUsd;
+      if (ts >= dayStart) today += entry.costUsd;
+    }
+  }
+
+  return { today, month };
+}
+
+/**
+ * Usage record for an API-key account, in the shape checkUsage() returns
+ * for subscription accounts: sessionPercent is today's spend against the
+ * daily cap and weeklyPercent this month's spend against the monthly cap
+ * (0 without a cap). The reset times are the next local midnight and the
+ * first of next month, set only for the caps that exist, so a capped account
+ * wakes a sleeping runner when its cap resets.
+ *
+ * @param {{ name: string, caps?: { daily?: number, monthly?: number } }} account
+ * @param {string} [filePath]
+ * @param {Date} [now]
+ * @returns {{ sessionPercent: number, weeklyPercent: number, sessionResetsAt: string|null, weeklyResetsAt: string|null, spend: { today: number, month: number, dailyCap: number|null, monthlyCap: number|null }, error: null }}
+ */
+export function spendUsage(account, filePath = SPEND_FILE, now = new Date()) {
+  const { today, month } = getSpend(account.name, filePath, now);
+  const dailyCap = account.caps?.daily ?? null;
+  const monthlyCap = account.caps?.monthly ?? null;
+  const percent = (spent, cap) => cap ? Math.min(100, Math.floor((spent / cap) * 100)) : 0;
+
+  return {
+    sessionPercent: percent(today, dailyCap),
+    weeklyPercent: percent(month, monthlyCap),
+    sessionResetsAt: dailyCap ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).toISOString() : null,
+    weeklyResetsAt: monthlyCap ? new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString() : null,
+    spend: { today, month, dailyCap, monthlyCap },
+    error: null,
+  };
+}
+
+/**
+ * "$3.20 of $20.00 today, $41.50 of $200.00 this month"
+ *
+ * @param {{ today: number, month: number, dailyCap: number|null, monthlyCap: number|null }} spend
+ * @returns {string}
+ */
+export function formatSpend(spend) {
+  const usd = (n) => `$${n.toFixed(2)}`;
+  const today = spend.dailyCap ? `${usd(spend.today)} of ${usd(spend.dailyCap)}` : usd(spend.today);
+  const month = spend.monthlyCap ? `${usd(spend.month)} of ${usd(spend.monthlyCap)}` : usd(spend.month);
+  return `${today} today, ${month} this month`;
+}
+
+// ─── Transcript Tracker ────────────────────────────────────────────────────
+
+function listTranscripts(projectDir) {
+  try {
+    return readdirSync(projectDir, { recursive: true })
+      .filter(entry => entry.endsWith('.jsonl'))
+      .map(entry => join(projectDir, entry));
+  } catch {
+    return [];
+  }
+}
+
+/** Read complete lines appended to a file since `offset`. */
+function readAppendedLines(file, offset) {
+  const size = statSync(file).size;
+  if (size <= offset) return { lines: [], offset };
+
+  const buffer = Buffer.alloc(size - offset);
+  const fd = openSync(file, 'r');
+  try {
+    readSync(fd, buffer, 0, buffer.length, offset);
+  } finally {
+    closeSync(fd);
+  }
+
+  // Leave a partially written last line for the next read
+  const end = buffer.lastIndexOf(0x0a) + 1;
+  return { lines: buffer.subarray(0, end).toString('utf8').split('\n'), offset: offset + end };
+}
+
+/**
+ * Track what Claude spends on an API-key account while it runs in cwd.
+ * Transcript sizes are captured now; each flush() records the cost of what
+ * was appended since the previous flush. Never throws.
+ *
+ * @param {{ name: string, configDir: string }} account
+ * @param {string} cwd
+ * @param {string} [filePath] - Spend ledger
+ * @returns {{ flush: () => number }} flush returns the USD recorded
+ */
+export function createSpendTracker(account, cwd, filePath = SPEND_FILE) {
+  const projectDir = getProjectDir(account.configDir, cwd);
+  const offsets = new Map();
+  const seen = new Set();
+
+  for (const file of listTranscripts(projectDir)) {
+    try {
+      offsets.set(file, statSync(file).size);
+    } catch {
+      // Removed between listing and stat
+    }
+  }
+
+  return {
+    flush() {
+      const lines = [];
+      for (const file of listTranscripts(projectDir)) {
+        try {
+          const appended = readAppendedLines(file, offsets.get(file) ?? 0);
+          offsets.set(file, appended.offset);
+          lines.push(...appended.lines);
+        } catch {
+          // Unreadable transcript — skip it this time
+        }
+      }
+
+      let total = 0;
+      for (const [model, totals] of sumTranscriptUsage(lines, seen)) {
+        if (totals.costUsd <= 0) continue;
+        recordSpend({ account: account.name, model, ...totals }, filePath);
+        total += totals.costUsd;
+      }
+      return total;
+    },
+  };
+}
+
+export { SPEND_FILE, MAX_SPEND_FILE_BYTES, MODEL_PRICES };
@@ -0,0 +1,230 @@
+/**
+ * Account selection strategies — how pickBestAccount (lib/scorer.js) orders
+ * the accounts it may choose from.
+ *
+ * Chosen with `"strategy"` in config.json (or a project policy) or with
+ * `--strategy` on run, resume and use:
+ *
+ *   lowest-utilization   most headroom first, counting leases of other runners
+ *   priority             lowest priority number under 98%, then headroom
+ *   round-robin          the next account in registration order after the last one selected
+ *   least-recently-used  the account selected longest ago (never selected first)
+ *   drain-first          the account whose 5-hour window resets soonest, so quota that
+ *                        is about to reset gets used instead of wasted
+ *   weighted             headroom times plan capacity (`set-capacity`), so a Max 20x
+ *                        account takes more work than a Pro one
+ *   sticky               the account the runner is on (for `use`, the last selected
+ *                        one) until it reaches stickyThreshold, then headroom
+ *   reset-aware          the account whose headroom is most at risk of expiring
+ *                        unused, by time-to-reset (expiringCapacityScore in lib/scorer.js)
+ *   longest-runway       the account forecast to run out last at its current burn
+ *                        rate (lib/forecast.js), then headroom
+ *
+ * Without a strategy the scorer keeps its old behaviour: priority when any
+ * account has a priority, otherwise lowest-utilization. Every strategy puts
+ * accounts under 98% ahead of the rest, so an ordering never prefers an
+ * account that is about to hit its limit — not even when the lease penalty
+ * makes a shared account look fuller than an exhausted one.
+ *
+ * Round-robin, least-recently-used and sticky need to know when each account
+ * was last selected. Runners record that in ~/.claude-nonstop/data/last-used.json
+ * (`{ "<name>": "<ISO time>" }`) when they start on an account or swap to one,
+ * and checkAccounts (lib/runner.js) annotates accounts with `lastUsedAt`.
+ */
+
+import { readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+import { withLock } from './leases.js';
+import { formatRunway } from './forecast.js';
+
+const LAST_USED_FILE = join(CONFIG_DIR, 'data', 'last-used.json');
+
+/** Utilization (%) at which the sticky strategy lets go of the last account. */
+const DEFAULT_STICKY_THRESHOLD = 90;
+
+/**
+ * Sort key helpers shared by the strategies. `ctx` is built by the scorer:
+ *   adjusted(a)    — utilization plus the lease penalty
+ *   exhausted(a)   — utilization at or above the near-exhaustion threshold
+ *   turnsAway(a)   — how many places after the last selected account a is,
+ *                    in registration order
+ *   sticks(a)      — a is the runner's current account (the last selected one
+ *                    for `use`) and under stickyThreshold
+ *   expiring(a)    — expiringCapacityScore of a
+ *   runway(a)      — ms until a is forecast to be exhausted (Infinity if never)
+ */
+function byHeadroom(a, b, ctx) {
+  return ctx.adjusted(a) - ctx.adjusted(b);
+}
+
+function exhaustedLast(compare) {
+  return (a, b, ctx) => {
+    const aExhausted = ctx.exhausted(a);
+    if (aExhausted !== ctx.exhausted(b)) return aExhausted ? 1 : -1;
+    return compare(a, b, ctx);
+  };
+}
+
+function lastUsedMs(account) {
+  const ms = account.lastUsedAt ? new Date(account.lastUsedAt).getTime() : NaN;
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+function sessionResetMs(account) {
+  const ms = account.usage?.sessionResetsAt ? new Date(account.usage.sessionResetsAt).getTime() : NaN;
+  return Number.isNaN(ms) ? Infinity : ms;
+}
+
+function capacity(account) {
+  return typeof account.capacity === 'number' && account.capacity > 0 ? account.capacity : 1;
+}
+
+/**
+ * The strategy registry. Each entry has a `description` (for help text), a
+ * `compare(a, b, ctx)` sort function (best first), a `label` for the
+ * selection reason, and optionally `details(account, ctx)` appended to it.
+ */
+const STRATEGIES = {
+  'lowest-utilization': {
+    description: 'Most headroom first',
+    label: 'lowest utilization',
+    // The lease penalty alone must not rank a shared account behind an exhausted one
+    compare: exhaustedLast(byHeadroom),
+  },
+  priority: {
+    description: 'Lowest priority number under 98% usage, then most headroom',
+    label: 'priority selection',
+    compare: exhaustedLast((a, b, ctx) => {
+      const aPri = a.priority ?? Infinity;
+      const bPri = b.priority ?? Infinity;
+      if (aPri !== bPri) return aPri - bPri;
+      return byHeadroom(a, b, ctx);
+    }),
+    details: account => (account.priority != null ? `, priority: ${account.priority}` : ''),
+  },
+  'round-robin': {
+    description: 'Next account in registration order after the last one selected',
+    label: 'round robin',
+    compare: exhaustedLast((a, b, ctx) => ctx.turnsAway(a) - ctx.turnsAway(b)),
+  },
+  'least-recently-used': {
+    description: 'Account selected longest ago',
+    label: 'least recently used',
+    compare: exhaustedLast((a, b, ctx) => (lastUsedMs(a) - lastUsedMs(b)) || byHeadroom(a, b, ctx)),
+  },
+  'drain-first': {
+    description: 'Account whose 5-hour window resets soonest',
+    label: 'drain first',
+    compare: exhaustedLast((a, b, ctx) => {
+      const aReset = sessionResetMs(a);
+      const bReset = sessionResetMs(b);
+      if (aReset !== bReset) return aReset < bReset ? -1 : 1;
+      return byHeadroom(a, b, ctx);
+    }),
+    details: account => (account.usage?.sessionResetsAt ? `, resets ${new Date(account.usage.sessionResetsAt).toLocaleTimeString()}` : ''),
+  },
+  weighted: {
+    description: 'Headroom times plan capacity (set-capacity)',
+    label: 'weighted by capacity',
+    compare: exhaustedLast((a, b, ctx) =>
+      Math.max(0, 100 - ctx.adjusted(b)) * capacity(b) - Math.max(0, 100 - ctx.adjusted(a)) * capacity(a)
+      || byHeadroom(a, b, ctx)),
+    details: account => `, capacity: ${capacity(account)}`,
+  },
+  sticky: {
+    description: 'Current account until stickyThreshold, then most headroom',
+    label: 'sticky',
+    compare: (a, b, ctx) => {
+      const aSticks = ctx.sticks(a);
+      if (aSticks !== ctx.sticks(b)) return aSticks ? -1 : 1;
+      return STRATEGIES['lowest-utilization'].compare(a, b, ctx);
+    },
+  },
+  'reset-aware': {
+    description: 'Headroom weighted by time-to-reset, so capacity about to expire is used first',
+    label: 'use it or lose it',
+    compare: exhaustedLast((a, b, ctx) => (ctx.expiring(b) - ctx.expiring(a)) || byHeadroom(a, b, ctx)),
+    details: (account, ctx) => `, score: ${Number(ctx.expiring(account).toPrecision(3))}`,
+  },
+  'longest-runway': {
+    description: 'Account forecast to run out last at its current burn rate',
+    label: 'longest runway',
+    compare: exhaustedLast((a, b, ctx) => {
+      const aRunway = ctx.runway(a);
+      const bRunway = ctx.runway(b);
+      if (aRunway !== bRunway) return aRunway > bRunway ? -1 : 1;
+      return byHeadroom(a, b, ctx);
+    }),
+    details: (account, ctx) => (ctx.runway(account) !== Infinity ? `, exhausts in ${formatRunway(ctx.runway(account))}` : ''),
+  },
+};
+
+/**
+ * Look up a strategy by name.
+ *
+ * @param {string|null|undefined} name
+ * @returns {{ description: string, label: string, compare: Function, details?: Function }|null}
+ */
+export function getStrategy(name) {
+  return Object.hasOwn(STRATEGIES, name ?? '') ? STRATEGIES[name] : null;
+}
+
+/**
+ * Names of all strategies, in the order they are documented.
+ *
+ * @returns {string[]}
+ */
+export function listStrategies() {
+  return Object.keys(STRATEGIES);
+}
+
+// ─── Last Used ─────────────────────────────────────────────────────────────
+
+/**
+ * When each account was last selected.
+ *
+ * @param {string} [file] - Override for tests (default: ~/.claude-nonstop/data/last-used.json)
+ * @returns {Object<string, string>} Account name → ISO timestamp
+ */
+export function loadLastUsed(file = LAST_USED_FILE) {
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record that an account was just selected. Never throws.
+ *
+ * @param {string} accountName
+ * @param {string} [file]
+ */
+export function recordSelection(accountName, file = LAST_USED_FILE) {
+  try {
+    withLock(file, () => {
+      const lastUsed = loadLastUsed(file);
+      lastUsed[accountName] = new Date().toISOString();
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      writeFileSync(tmpFile, JSON.stringify(lastUsed, null, 2) + '\n', { mode: 0o600 });
+      renameSync(tmpFile, file);
+    });
+  } catch {
+    // Non-fatal — only round-robin, least-recently-used and sticky read it
+  }
+}
+
+/**
+ * Annotate accounts with `lastUsedAt`.
+ *
+ * @param {Array<{ name: string }>} accounts
+ * @param {Object<string, string>} [lastUsed] - From loadLastUsed()
+ * @returns {Array<object>} New array; accounts never selected are returned as-is
+ */
+export function applyLastUsed(accounts, lastUsed = loadLastUsed()) {
+  return accounts.map(a => (lastUsed[a.name] ? { ...a, lastUsedAt: lastUsed[a.name] } : a));
+}
+
+export { LAST_USED_FILE, DEFAULT_STICKY_THRESHOLD };
@@ -2,11 +2,19 @@
  * Query the Anthropic OAuth usage API.
  *
  * Endpoint: GET https://api.anthropic.com/api/oauth/usage
- * Returns five_hour and seven_day utilization percentages (0-100).
+ * Returns five_hour and seven_day utilization percentages (0-100), plus
+ * model-specific weekly buckets (seven_day_opus, seven_day_sonnet) on plans
+ * that have them.
  */
 
+import { isApiKeyAccount } from './config.js';
+import { spendUsage } from './spend.js';
+
 const FETCH_TIMEOUT_MS = 10_000;
 
+/** Model-specific weekly buckets in the usage response, by model family. */
+const MODEL_WEEKLY_FIELDS = { opus: 'seven_day_opus', sonnet: 'seven_day_sonnet' };
+
 /**
  * Normalize a utilization value to a 0-100 percentage.
  * Handles both 0.0-1.0 (fraction) and 0-100 (percentage) formats.
@@ -19,11 +27,26 @@ export function normalizePercent(value) {
   return Math.round(value);
 }
 
+/**
+ * Extract the model-specific weekly percentages that are present.
+ *
+ * @param {object} data - Usage API response (nested format)
+ * @returns {Object<string, number>} e.g. { opus: 100, sonnet: 12 }
+ */
+export function parseModelWeekly(data) {
+  const result = {};
+  for (const [family, field] of Object.entries(MODEL_WEEKLY_FIELDS)) {
+    const utilization = data?.[field]?.utilization;
+    if (typeof utilization === 'number') result[family] = normalizePercent(utilization);
+  }
+  return result;
+}
+
 /**
  * Check usage for a single account token.
  *
  * @param {string} token - OAuth access token
- * @returns {Promise<{sessionPercent: number, weeklyPercent: number, sessionResetsAt: string|null, weeklyResetsAt: string|null, error: string|null}>}
+ * @returns {Promise<{sessionPercent: number, weeklyPercent: number, sessionResetsAt: string|null, weeklyResetsAt: string|null, modelWeeklyPercent?: Object<string, number>, error: string|null}>}
  */
 export async function checkUsage(token) {
   try {
@@ -62,6 +85,7 @@ export async function checkUsage(token) {
         weeklyPercent: normalizePercent(data.seven_day?.utilization ?? 0),
         sessionResetsAt: data.five_hour?.resets_at ?? null,
         weeklyResetsAt: data.seven_day?.resets_at ?? null,
+        modelWeeklyPercent: parseModelWeekly(data),
         error: null,
       };
     }
@@ -121,16 +145,31 @@ export async function fetchProfile(token) {
 }
 
 /**
- * Check usage for all accounts in parallel.
+ * Attach an account's usage ceilings (see setAccountCeilings in
+ * lib/config.js) to its usage, where effectiveUtilization (lib/scorer.js)
+ * measures each window against them.
+ *
+ * @param {object} usage - From checkUsage()
+ * @param {{ session?: number, weekly?: number }|undefined} ceilings
+ * @returns {object}
+ */
+export function withCeilings(usage, ceilings) {
+  return ceilings && !usage.error ? { ...usage, ceilings } : usage;
+}
+
+/**
+ * Check usage for all accounts in parallel. API-key accounts have no usage
+ * API; their usage is estimated spend against their caps (lib/spend.js).
+ * Usage carries the account's ceilings, if it has any.
  *
- * @param {Array<{name: string, configDir: string, token: string}>} accounts
+ * @param {Array<{name: string, configDir: string, token: string, ceilings?: object}>} accounts
  * @returns {Promise<Array<{name: string, configDir: string, token: string, usage: object}>>}
  */
 export async function checkAllUsage(accounts) {
   const results = await Promise.all(
     accounts.map(async (account) => {
-      const usage = await checkUsage(account.token);
-      return { ...account, usage };
+      const usage = isApiKeyAccount(account) ? spendUsage(account) : await checkUsage(account.token);
+      return { ...account, usage: withCeilings(usage, account.ceilings) };
     })
   );
   return results;
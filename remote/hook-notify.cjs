@@ -6,16 +6,18 @@
  * Called by Claude Code hooks (Stop, SessionStart, PostToolUse) and runner.js (account-switch).
  *
  * Notification types:
- *   session-start      — Create per-session Slack channel (Claude Code hook)
+ *   session-start      — Report the session to the runner, create per-session Slack channel (Claude Code hook)
  *   completed          — Post structured completion message (Claude Code hook)
  *   tool-use           — Buffer tool activity, flush to Slack every 10s (Claude Code PostToolUse hook)
  *   waiting-for-input  — Notify when Claude is waiting for user input (Claude Code PreToolUse hook)
  *   account-switch     — Notify about rate limit account switch (runner.js)
- *   sleep-until-reset  — Notify that all accounts are near-exhausted, sleeping until reset (runner.js)
+ *   sleep-until-reset  — Notify that all accounts are near-exhausted, sleeping until reset
+ *                        or, with `detached`, that a resume is scheduled (runner.js)
  *   sleep-wake         — Notify that sleep is complete and resuming (runner.js)
  *
  * Environment:
  *   CLAUDE_REMOTE_ACCESS=true  — enables per-session Slack channels
+ *   CLAUDE_NONSTOP_RUNNER_ID   — runner to report lifecycle events to (set by runner.js)
  *   SLACK_BOT_TOKEN            — Slack bot token (xoxb-...)
  *   SLACK_CHANNEL_PREFIX       — channel name prefix (default: 'cn')
  *   SLACK_INVITE_USER_ID       — user to auto-invite to channels
@@ -29,7 +31,7 @@ require('./load-env.cjs');
 
 const SlackChannelManager = require('./channel-manager.cjs');
 const { markdownToMrkdwn } = SlackChannelManager;
-const { PROGRESS_DIR } = require('./paths.cjs');
+const { PROGRESS_DIR, RUNNERS_DIR } = require('./paths.cjs');
 
 // ─── Progress Buffer Constants ──────────────────────────────────────────────
 
@@ -195,6 +197,63 @@ function createChannelManager() {
     });
 }
 
+// ─── Runner Channel ─────────────────────────────────────────────────────────
+
+// Must match lib/runner-channel.js
+const RUNNER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Merge fields into the channel file of the runner that spawned this Claude
+ * session (lib/runner-channel.js reads it). No-op outside claude-nonstop.
+ * @param {object} fields
+ * @param {string} [runnersDir]
+ * @returns {boolean} true if the channel file was written
+ */
+function reportToRunner(fields, runnersDir = RUNNERS_DIR) {
+    const runnerId = process.env.CLAUDE_NONSTOP_RUNNER_ID;
+    if (!runnerId || !RUNNER_ID_PATTERN.test(runnerId)) return false;
+
+    try {
+        const channelPath = path.join(runnersDir, `${runnerId}.json`);
+        let state = {};
+        try {
+            state = JSON.parse(fs.readFileSync(channelPath, 'utf8'));
+        } catch { /* first report */ }
+
+        Object.assign(state, fields);
+        if (!fs.existsSync(runnersDir)) fs.mkdirSync(runnersDir, { recursive: true });
+        const tmpFile = path.join(runnersDir, `.runner-${process.pid}.${Date.now()}.tmp`);
+        fs.writeFileSync(tmpFile, JSON.stringify(state), { mode: 0o600 });
+        fs.renameSync(tmpFile, channelPath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Fields a hook reports to its runner, or null if it has nothing to report.
+ *
+ * Stop marks a turn boundary (pre-emptive swaps wait for it). SessionStart
+ * reports the exact session the runner's Claude is in — on startup, resume,
+ * `/clear` and compaction — so a swap migrates that transcript rather than
+ * the newest one in the project.
+ * @param {string} notificationType
+ * @param {object|null} hookContext - Hook stdin JSON
+ * @param {number} [now]
+ * @returns {object|null}
+ */
+function runnerReportFor(notificationType, hookContext, now = Date.now()) {
+    const sessionId = hookContext?.session_id || null;
+    if (notificationType === 'completed') {
+        return { lastStopAt: now, stopSessionId: sessionId };
+    }
+    if (notificationType === 'session-start' && sessionId) {
+        return { sessionId, sessionSource: hookContext?.source || null, sessionStartedAt: now };
+    }
+    return null;
+}
+
 // ─── Progress Buffer Helpers ────────────────────────────────────────────────
 
 /**
@@ -314,6 +373,11 @@ async function main() {
     const projectName = path.basename(currentDir);
     const sessionId = hookContext?.session_id;
 
+    // Let the runner know a turn finished (it waits for this boundary before
+    // a pre-emptive account swap) or which session Claude is in
+    const report = runnerReportFor(notificationType, hookContext);
+    if (report) reportToRunner(report);
+
     // Handle session-start: reuse existing channel or create new one
     if (notificationType === 'session-start') {
         if (isPerSessionMode() && sessionId) {
@@ -396,11 +460,13 @@ async function main() {
         const resolvedId = sessionId || manager.getSessionByCwd(currentDir)?.sessionId;
         if (!resolvedId) return;
 
-        const { current_account, sleep_ms, reset_at } = hookContext || {};
+        const { current_account, sleep_ms, detached } = hookContext || {};
         const hours = Math.floor((sleep_ms || 0) / (1000 * 60 * 60));
         const minutes = Math.floor(((sleep_ms || 0) % (1000 * 60 * 60)) / (1000 * 60));
         const duration = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
-        const text = `:zzz: All accounts near rate limit. Sleeping for ${duration} (until reset).\nCurrent account: "${current_account}"`;
+        const text = detached
+            ? `:zzz: All accounts near rate limit. The session will be relaunched in ${duration} (at reset); its terminal has been freed.\nCurrent account: "${current_account}"`
+            : `:zzz: All accounts near rate limit. Sleeping for ${duration} (until reset).\nCurrent account: "${current_account}"`;
         await manager.postToSessionChannel(resolvedId, text);
         return;
     }
@@ -430,8 +496,11 @@ async function main() {
         const resolvedId = sessionId || manager.getSessionByCwd(currentDir)?.sessionId;
         if (!resolvedId) return;
 
-        const { from_account, to_account, reason, swap_count, max_swaps } = hookContext || {};
-        const text = `:arrows_counterclockwise: Rate limited on "${from_account}", switching to "${to_account}" (swap ${swap_count}/${max_swaps})${reason ? ` \u2014 ${reason}` : ''}`;
+        const { from_account, to_account, reason, swap_count, max_swaps, preemptive, category } = hookContext || {};
+        let cause = `Rate limited on "${from_account}"`;
+        if (preemptive) cause = `"${from_account}" is near its limit`;
+        else if (category && category !== 'rate-limit') cause = `Detected ${category} on "${from_account}"`;
+        const text = `:arrows_counterclockwise: ${cause}, switching to "${to_account}" (swap ${swap_count}/${max_swaps})${reason ? ` \u2014 ${reason}` : ''}`;
         await manager.postToSessionChannel(resolvedId, text);
         return;
     }
@@ -500,5 +569,6 @@ module.exports = {
     extractToolDetail, formatProgressMessage, formatWaitingMessage, findTranscriptPath,
     // Buffer helpers exported for testing
     readProgressBuffer, writeProgressBuffer, appendToProgressBuffer, progressBufferPath,
+    reportToRunner, runnerReportFor,
     FLUSH_INTERVAL_MS, WAITING_FOR_INPUT_TOOLS,
 };
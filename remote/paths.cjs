@@ -11,7 +11,9 @@ const ENV_PATH = path.join(CONFIG_DIR, '.env');
 const DATA_DIR = path.join(CONFIG_DIR, 'data');
 const CHANNEL_MAP_PATH = path.join(DATA_DIR, 'channel-map.json');
 const PROGRESS_DIR = path.join(DATA_DIR, 'progress');
+const RUNNERS_DIR = path.join(DATA_DIR, 'runners');
+const SCHEDULE_PATH = path.join(DATA_DIR, 'scheduled.json');
 const LOG_DIR = path.join(CONFIG_DIR, 'logs');
 const LOG_PATH = path.join(LOG_DIR, 'webhook.log');
 
-module.exports = { CONFIG_DIR, ENV_PATH, DATA_DIR, CHANNEL_MAP_PATH, PROGRESS_DIR, LOG_DIR, LOG_PATH };
+module.exports = { CONFIG_DIR, ENV_PATH, DATA_DIR, CHANNEL_MAP_PATH, PROGRESS_DIR, RUNNERS_DIR, SCHEDULE_PATH, LOG_DIR, LOG_PATH };
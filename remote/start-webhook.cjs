@@ -6,10 +6,14 @@
  */
 
 const fs = require('fs');
-const { LOG_DIR, LOG_PATH } = require('./paths.cjs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { LOG_DIR, LOG_PATH, SCHEDULE_PATH } = require('./paths.cjs');
 
 const MAX_LOG_SIZE = 5 * 1024 * 1024; // 5 MB
 const LOG_CHECK_INTERVAL = 60_000;     // 60 s
+const SCHEDULE_CHECK_INTERVAL = 60_000; // 60 s
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'claude-nonstop.js');
 
 /**
  * Redirect stdout/stderr to a rotating log file (daemon mode only).
@@ -56,6 +60,26 @@ function setupLogging() {
 
 setupLogging();
 
+/**
+ * Fire resumes scheduled by runners that exited to wait for a reset
+ * (lib/scheduler.js). The daemon starts at login, so pending resumes
+ * survive a reboot even though the runner's own scheduler does not.
+ */
+function watchSchedule() {
+    const interval = setInterval(() => {
+        let pending = false;
+        try {
+            pending = Object.keys(JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf8'))).length > 0;
+        } catch {}
+        if (!pending) return;
+        execFile(process.execPath, [CLI_PATH, 'scheduler', '--once'], { timeout: 30_000 }, (err, stdout) => {
+            if (stdout) process.stdout.write(stdout);
+            if (err) console.error('Scheduled resume check failed:', err.message);
+        });
+    }, SCHEDULE_CHECK_INTERVAL);
+    interval.unref();
+}
+
 require('./load-env.cjs');
 
 const SlackWebhook = require('./webhook.cjs');
@@ -89,6 +113,7 @@ async function main() {
     });
 
     await webhook.start();
+    watchSchedule();
 }
 
 main().catch(error => {
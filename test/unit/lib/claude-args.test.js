@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseClaudeArgs, findOption, hasOption, getOptionValue, removeOptions, appendPositional, prependOption,
+} from '../../../lib/claude-args.js';
+
+/** Compact view of parsed entries: ['--flag', ...values] or the positional. */
+function shape(args) {
+  return parseClaudeArgs(args).map(e => (e.type === 'option' ? [e.flag, ...e.values] : e.value));
+}
+
+describe('parseClaudeArgs', () => {
+  it('reads required, optional and boolean flags', () => {
+    assert.deepEqual(shape(['--model', 'opus', '-p', '--resume', 'abc', 'fix it']), [
+      ['--model', 'opus'], ['--print'], ['--resume', 'abc'], 'fix it',
+    ]);
+  });
+
+  it('takes a required value even when it starts with a dash', () => {
+    assert.deepEqual(shape(['--append-system-prompt', '-be terse', 'hi']), [
+      ['--append-system-prompt', '-be terse'], 'hi',
+    ]);
+  });
+
+  it('leaves an optional value out when a flag follows', () => {
+    assert.deepEqual(shape(['--resume', '--verbose']), [['--resume'], ['--verbose']]);
+  });
+
+  it('collects variadic values up to the next flag', () => {
+    assert.deepEqual(shape(['--add-dir', '../a', '../b', '--mcp-config', 'mcp.json', '-p']), [
+      ['--add-dir', '../a', '../b'], ['--mcp-config', 'mcp.json'], ['--print'],
+    ]);
+  });
+
+  it('reads --flag=value', () => {
+    assert.deepEqual(shape(['--settings=s.json', '--add-dir=x', 'y']), [['--settings', 's.json'], ['--add-dir', 'x'], 'y']);
+  });
+
+  it('canonicalises aliases', () => {
+    assert.deepEqual(shape(['--allowed-tools', 'Bash', '-c']), [['--allowedTools', 'Bash'], ['--continue']]);
+  });
+
+  it('treats everything after -- as positional', () => {
+    assert.deepEqual(shape(['-p', '--', '--model', 'x']), [['--print'], '--', '--model', 'x']);
+  });
+
+  it('keeps an unknown flag\'s value unless it is the last arg', () => {
+    assert.deepEqual(shape(['--future', 'val', 'prompt']), [['--future', 'val'], 'prompt']);
+    assert.deepEqual(shape(['--future', 'prompt']), [['--future'], 'prompt']);
+  });
+
+  it('accepts extra flags of our own', () => {
+    const entries = parseClaudeArgs(['-a', 'work', 'hi'], [[['--account', '-a'], 'required']]);
+    assert.deepEqual(entries[0], { type: 'option', flag: '--account', known: true, values: ['work'], start: 0, end: 2 });
+  });
+});
+
+describe('findOption / getOptionValue / hasOption', () => {
+  it('returns the last occurrence', () => {
+    assert.equal(getOptionValue(['--model', 'opus', '--model=haiku'], '--model'), 'haiku');
+  });
+
+  it('finds flags by any name', () => {
+    assert.equal(getOptionValue(['-r', 'abc'], '--resume'), 'abc');
+    assert.ok(hasOption(['-p'], '--print'));
+    assert.equal(findOption(['hi'], '--print'), null);
+  });
+
+  it('does not read a flag-like prompt as a flag', () => {
+    assert.equal(hasOption(['--', '-p'], '--print'), false);
+    assert.equal(getOptionValue(['--append-system-prompt', '--model'], '--model'), null);
+  });
+});
+
+describe('removeOptions', () => {
+  it('removes every occurrence with its values', () => {
+    assert.deepEqual(removeOptions(['--add-dir', 'a', 'b', '-p', '--add-dir=c', 'hi'], ['--add-dir']), ['-p', 'hi']);
+  });
+
+  it('strips positionals and the separator when asked', () => {
+    assert.deepEqual(
+      removeOptions(['--mcp-config', 'mcp.json', '--settings', 's.json', '--', 'fix it'], [], { stripPositionals: true }),
+      ['--mcp-config', 'mcp.json', '--settings', 's.json'],
+    );
+  });
+});
+
+describe('appendPositional', () => {
+  it('appends directly after a flag with its value', () => {
+    assert.deepEqual(appendPositional(['--model', 'opus'], 'Continue.'), ['--model', 'opus', 'Continue.']);
+  });
+
+  it('inserts -- after a variadic flag', () => {
+    assert.deepEqual(appendPositional(['--add-dir', 'a'], 'Continue.'), ['--add-dir', 'a', '--', 'Continue.']);
+  });
+
+  it('inserts -- after an optional or unknown flag without a value', () => {
+    assert.deepEqual(appendPositional(['--debug'], 'Go'), ['--debug', '--', 'Go']);
+    assert.deepEqual(appendPositional(['--future'], 'Go'), ['--future', '--', 'Go']);
+  });
+
+  it('does not add a second separator', () => {
+    assert.deepEqual(appendPositional(['--', 'a'], 'b'), ['--', 'a', 'b']);
+  });
+});
+
+describe('prependOption', () => {
+  it('puts the flag before a separator so it is not read as a prompt', () => {
+    const args = prependOption(['--resume', 'abc', '--', 'Continue.'], '--dangerously-skip-permissions');
+    assert.deepEqual(args, ['--dangerously-skip-permissions', '--resume', 'abc', '--', 'Continue.']);
+    assert.deepEqual(shape(args), [['--dangerously-skip-permissions'], ['--resume', 'abc'], '--', 'Continue.']);
+  });
+
+  it('adds values and leaves args that already set the flag alone', () => {
+    assert.deepEqual(prependOption(['--add-dir', 'a'], '--append-system-prompt', ['Be brief.']), ['--append-system-prompt', 'Be brief.', '--add-dir', 'a']);
+    const args = ['--dangerously-skip-permissions', 'hi'];
+    assert.equal(prependOption(args, '--dangerously-skip-permissions'), args);
+  });
+});
@@ -13,8 +13,19 @@ import {
   getAccounts,
   setAccountPriority,
   clearAccountPriority,
+  setAccountCapacity,
+  clearAccountCapacity,
+  tagAccount,
+  untagAccount,
+  hasTag,
+  validateTagName,
+  isApiKeyAccount,
+  setAccountCaps,
+  setAccountCeilings,
+  getRunnerSettings,
   DEFAULT_CLAUDE_DIR,
   CONFIG_DIR,
+  DEFAULT_PREEMPTIVE_SWAP_THRESHOLD,
 } from '../../../lib/config.js';
 
 describe('validateAccountName', () => {
@@ -246,6 +257,64 @@ describe('getAccounts', () => {
   });
 });
 
+describe('setAccountCapacity / clearAccountCapacity', () => {
+  const testName = `test-cap-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+  beforeEach(() => addAccount(testName));
+  afterEach(() => {
+    try { removeAccount(testName); } catch { /* already removed */ }
+  });
+
+  it('sets and clears an account\'s capacity', () => {
+    setAccountCapacity(testName, 20);
+    assert.equal(loadConfig().accounts.find(a => a.name === testName).capacity, 20);
+    clearAccountCapacity(testName);
+    assert.equal(loadConfig().accounts.find(a => a.name === testName).capacity, undefined);
+  });
+
+  it('rejects capacities that are not positive numbers', () => {
+    assert.throws(() => setAccountCapacity(testName, 0), /positive number/);
+    assert.throws(() => setAccountCapacity(testName, '5'), /positive number/);
+  });
+
+  it('throws for an unknown account', () => {
+    assert.throws(() => setAccountCapacity('no-such-account-xyz', 5), /not found/);
+  });
+});
+
+describe('account tags', () => {
+  const testName = `test-tag-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const tagsOf = () => loadConfig().accounts.find(a => a.name === testName).tags;
+
+  afterEach(() => {
+    try { removeAccount(testName); } catch { /* already removed */ }
+  });
+
+  it('adds an account with tags', () => {
+    addAccount(testName, { tags: ['work', 'work', 'client-acme'] });
+    assert.deepEqual(tagsOf(), ['work', 'client-acme']);
+    assert.ok(hasTag({ tags: tagsOf() }, 'work'));
+    assert.ok(!hasTag({}, 'work'));
+  });
+
+  it('tags and untags an account', () => {
+    addAccount(testName);
+    assert.deepEqual(tagAccount(testName, ['work']), ['work']);
+    assert.deepEqual(tagAccount(testName, ['personal', 'work']), ['work', 'personal']);
+    assert.deepEqual(untagAccount(testName, ['work', 'nope']), ['personal']);
+    assert.deepEqual(untagAccount(testName, ['personal']), []);
+    assert.equal(tagsOf(), undefined);
+  });
+
+  it('rejects invalid tags and unknown accounts', () => {
+    assert.throws(() => validateTagName('client acme'), /letters, numbers/);
+    assert.throws(() => addAccount(testName, { tags: ['../x'] }), /letters, numbers/);
+    assert.ok(!loadConfig().accounts.some(a => a.name === testName));
+    assert.throws(() => tagAccount('no-such-account-xyz', ['work']), /not found/);
+    assert.throws(() => tagAccount(testName, []), /At least one tag/);
+  });
+});
+
 describe('setAccountPriority / clearAccountPriority', () => {
   const testName = `test-pri-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
   let added = false;
@@ -317,3 +386,151 @@ describe('setAccountPriority / clearAccountPriority', () => {
     assert.equal(account.priority, undefined);
   });
 });
+
+describe('API-key accounts and caps', () => {
+  const testName = `test-api-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  let added = false;
+
+  beforeEach(() => {
+    addAccount(testName, { type: 'api-key' });
+    added = true;
+  });
+
+  afterEach(() => {
+    if (added) {
+      try { removeAccount(testName); } catch { /* already removed */ }
+      added = false;
+    }
+  });
+
+  const find = () => loadConfig().accounts.find(a => a.name === testName);
+
+  it('registers an API-key account', () => {
+    assert.equal(find().type, 'api-key');
+    assert.equal(isApiKeyAccount(find()), true);
+    assert.equal(isApiKeyAccount({ name: 'sub' }), false);
+  });
+
+  it('sets, updates and clears caps', () => {
+    setAccountCaps(testName, { daily: 20, monthly: 200 });
+    assert.deepEqual(find().caps, { daily: 20, monthly: 200 });
+
+    setAccountCaps(testName, { daily: 25 });
+    assert.deepEqual(find().caps, { daily: 25, monthly: 200 });
+
+    setAccountCaps(testName, { daily: null, monthly: null });
+    assert.equal(find().caps, undefined);
+  });
+
+  it('rejects non-positive caps', () => {
+    assert.throws(() => setAccountCaps(testName, { daily: 0 }), /positive amount/);
+    assert.throws(() => setAccountCaps(testName, { monthly: -5 }), /positive amount/);
+  });
+
+  it('rejects caps on subscription accounts', () => {
+    removeAccount(testName);
+    addAccount(testName);
+    assert.throws(() => setAccountCaps(testName, { daily: 20 }), /subscription account/);
+  });
+
+  it('throws for nonexistent account', () => {
+    assert.throws(() => setAccountCaps('nonexistent-xyz-999', { daily: 20 }), /not found/);
+  });
+});
+
+describe('setAccountCeilings', () => {
+  const testName = `test-ceil-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const ceilingsOf = () => loadConfig().accounts.find(a => a.name === testName).ceilings;
+
+  beforeEach(() => addAccount(testName));
+  afterEach(() => {
+    try { removeAccount(testName); } catch { /* already removed */ }
+  });
+
+  it('sets, updates and clears ceilings', () => {
+    setAccountCeilings(testName, { weekly: 70 });
+    setAccountCeilings(testName, { session: 80 });
+    assert.deepEqual(ceilingsOf(), { weekly: 70, session: 80 });
+    setAccountCeilings(testName, { weekly: null });
+    assert.deepEqual(ceilingsOf(), { session: 80 });
+    setAccountCeilings(testName, { session: null, weekly: null });
+    assert.equal(ceilingsOf(), undefined);
+  });
+
+  it('rejects percentages outside 1-100', () => {
+    assert.throws(() => setAccountCeilings(testName, { weekly: 0 }), /Weekly ceiling must be a percentage/);
+    assert.throws(() => setAccountCeilings(testName, { session: 120 }), /Session ceiling must be a percentage/);
+    assert.throws(() => setAccountCeilings(testName, { session: '80' }), /Session ceiling/);
+  });
+
+  it('rejects API-key and unknown accounts', () => {
+    const apiName = `${testName}-api`;
+    addAccount(apiName, { type: 'api-key' });
+    try {
+      assert.throws(() => setAccountCeilings(apiName, { weekly: 50 }), /set-cap/);
+    } finally {
+      removeAccount(apiName);
+    }
+    assert.throws(() => setAccountCeilings('no-such-account-xyz', { weekly: 50 }), /not found/);
+  });
+});
+
+describe('getRunnerSettings', () => {
+  it('applies the default pre-emptive swap threshold', () => {
+    const settings = getRunnerSettings({ accounts: [] });
+    assert.equal(settings.preemptiveSwapThreshold, DEFAULT_PREEMPTIVE_SWAP_THRESHOLD);
+  });
+
+  it('uses a configured threshold', () => {
+    const settings = getRunnerSettings({ accounts: [], preemptiveSwapThreshold: 90 });
+    assert.equal(settings.preemptiveSwapThreshold, 90);
+  });
+
+  it('disables pre-emptive swaps with false or 0', () => {
+    assert.equal(getRunnerSettings({ accounts: [], preemptiveSwapThreshold: false }).preemptiveSwapThreshold, null);
+    assert.equal(getRunnerSettings({ accounts: [], preemptiveSwapThreshold: 0 }).preemptiveSwapThreshold, null);
+  });
+
+  it('ignores out-of-range or non-numeric thresholds', () => {
+    assert.equal(getRunnerSettings({ accounts: [], preemptiveSwapThreshold: 150 }).preemptiveSwapThreshold, DEFAULT_PREEMPTIVE_SWAP_THRESHOLD);
+    assert.equal(getRunnerSettings({ accounts: [], preemptiveSwapThreshold: '90' }).preemptiveSwapThreshold, DEFAULT_PREEMPTIVE_SWAP_THRESHOLD);
+  });
+
+  it('has no model fallback by default', () => {
+    assert.deepEqual(getRunnerSettings({ accounts: [] }).modelFallback, []);
+  });
+
+  it('reads the model fallback chain, dropping invalid entries', () => {
+    const settings = getRunnerSettings({ accounts: [], modelFallback: ['sonnet', ' haiku ', '', 42] });
+    assert.deepEqual(settings.modelFallback, ['sonnet', 'haiku']);
+    assert.deepEqual(getRunnerSettings({ accounts: [], modelFallback: 'sonnet' }).modelFallback, []);
+  });
+
+  it('defaults the hotkey prefix to Ctrl+]', () => {
+    assert.equal(getRunnerSettings({ accounts: [] }).hotkeyPrefix, 'ctrl-]');
+  });
+
+  it('reads a configured hotkey prefix, or disables it with false', () => {
+    assert.equal(getRunnerSettings({ accounts: [], hotkeyPrefix: 'ctrl-g' }).hotkeyPrefix, 'ctrl-g');
+    assert.equal(getRunnerSettings({ accounts: [], hotkeyPrefix: false }).hotkeyPrefix, null);
+  });
+
+  it('ignores an invalid hotkey prefix', () => {
+    assert.equal(getRunnerSettings({ accounts: [], hotkeyPrefix: 'ctrl-c' }).hotkeyPrefix, 'ctrl-]');
+    assert.equal(getRunnerSettings({ accounts: [], hotkeyPrefix: 'F12' }).hotkeyPrefix, 'ctrl-]');
+  });
+
+  it('turns detached sleep on unless set to false', () => {
+    assert.equal(getRunnerSettings({ accounts: [] }).detachedSleep, true);
+    assert.equal(getRunnerSettings({ accounts: [], detachedSleep: false }).detachedSleep, false);
+  });
+
+  it('reads the selection strategy and sticky threshold', () => {
+    assert.deepEqual(getRunnerSettings({ accounts: [] }).strategy, { name: null, stickyThreshold: null });
+    assert.deepEqual(
+      getRunnerSettings({ accounts: [], strategy: ' sticky ', stickyThreshold: 80 }).strategy,
+      { name: 'sticky', stickyThreshold: 80 },
+    );
+    assert.deepEqual(getRunnerSettings({ accounts: [], strategy: 3, stickyThreshold: 120 }).strategy, { name: null, stickyThreshold: null });
+  });
+});
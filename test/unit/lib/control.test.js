@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { existsSync, statSync, writeFileSync } from 'fs';
+import { createConnection } from 'net';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  getControlSocketPath,
+  startControlServer,
+  sendControlRequest,
+  listRunners,
+  CONTROL_DIR,
+} from '../../../lib/control.js';
+import { CONFIG_DIR } from '../../../lib/config.js';
+
+function makeHandlers(overrides = {}) {
+  const calls = [];
+  return {
+    calls,
+    handlers: {
+      state: () => ({ runnerId: 'r', account: 'work', startedAt: '2026-10-19T10:00:00.000Z' }),
+      swap: (account) => { calls.push(['swap', account]); return null; },
+      wake: () => 'The runner is not sleeping.',
+      input: (text) => { calls.push(['input', text]); return null; },
+      ...overrides,
+    },
+  };
+}
+
+describe('getControlSocketPath', () => {
+  it('places sockets in CONFIG_DIR/run', () => {
+    const id = randomUUID();
+    assert.equal(CONTROL_DIR, join(CONFIG_DIR, 'run'));
+    assert.equal(getControlSocketPath(id), join(CONFIG_DIR, 'run', `${id}.sock`));
+  });
+
+  it('rejects runner IDs that are not UUIDs', () => {
+    assert.throws(() => getControlSocketPath('../../etc/passwd'), /Invalid runner ID/);
+  });
+});
+
+describe('control server', () => {
+  let tempDir;
+  let server;
+  let calls;
+
+  beforeEach(async () => {
+    tempDir = createTempDir();
+    const made = makeHandlers();
+    calls = made.calls;
+    server = await startControlServer(randomUUID(), made.handlers, join(tempDir, 'run'));
+  });
+
+  afterEach(() => {
+    server?.close();
+    removeTempDir(tempDir);
+  });
+
+  it('creates the socket with 0600 permissions', () => {
+    assert.ok(server);
+    assert.equal(statSync(server.path).mode & 0o777, 0o600);
+    assert.equal(statSync(join(tempDir, 'run')).mode & 0o777, 0o700);
+  });
+
+  it('replies with the runner state and echoes the request ID', async () => {
+    const reply = await sendControlRequest(server.path, { id: 7, cmd: 'state' });
+    assert.deepEqual(reply, { id: 7, ok: true, state: { runnerId: 'r', account: 'work', startedAt: '2026-10-19T10:00:00.000Z' } });
+  });
+
+  it('passes swap and input requests to the handlers', async () => {
+    assert.deepEqual(await sendControlRequest(server.path, { cmd: 'swap', account: 'home' }), { ok: true });
+    assert.deepEqual(await sendControlRequest(server.path, { cmd: 'swap' }), { ok: true });
+    assert.deepEqual(await sendControlRequest(server.path, { cmd: 'input', text: 'yes\r' }), { ok: true });
+    assert.deepEqual(calls, [['swap', 'home'], ['swap', null], ['input', 'yes\r']]);
+  });
+
+  it('reports handler errors', async () => {
+    assert.deepEqual(await sendControlRequest(server.path, { cmd: 'wake' }), { ok: false, error: 'The runner is not sleeping.' });
+  });
+
+  it('rejects malformed requests', async () => {
+    assert.match((await sendControlRequest(server.path, { cmd: 'input' })).error, /"text"/);
+    assert.match((await sendControlRequest(server.path, { cmd: 'swap', account: 5 })).error, /"account"/);
+    assert.match((await sendControlRequest(server.path, { cmd: 'reboot' })).error, /unknown command "reboot"/);
+    assert.match((await sendControlRequest(server.path, [])).error, /unknown command/);
+  });
+
+  it('answers invalid JSON with an error', async () => {
+    const reply = await new Promise((resolve, reject) => {
+      const socket = createConnection(server.path);
+      socket.setEncoding('utf8');
+      socket.on('connect', () => socket.write('{ not json\n'));
+      socket.on('data', (chunk) => { socket.end(); resolve(JSON.parse(chunk)); });
+      socket.on('error', reject);
+    });
+    assert.deepEqual(reply, { ok: false, error: 'invalid JSON' });
+  });
+
+  it('sends published events to subscribers', async () => {
+    const lines = await new Promise((resolve, reject) => {
+      const received = [];
+      let buffer = '';
+      const socket = createConnection(server.path);
+      socket.setEncoding('utf8');
+      socket.on('connect', () => socket.write('{"cmd":"subscribe"}\n'));
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        const parts = buffer.split('\n');
+        buffer = parts.pop();
+        for (const part of parts) {
+          received.push(JSON.parse(part));
+          if (received.length === 1) server.publish({ type: 'preempt', account: 'work' });
+          if (received.length === 2) {
+            socket.end();
+            resolve(received);
+          }
+        }
+      });
+      socket.on('error', reject);
+    });
+    assert.deepEqual(lines, [{ ok: true }, { event: { type: 'preempt', account: 'work' } }]);
+  });
+
+  it('removes the socket on close', () => {
+    server.close();
+    assert.ok(!existsSync(server.path));
+    server = null;
+  });
+});
+
+describe('listRunners', () => {
+  let tempDir;
+  let dir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    dir = join(tempDir, 'run');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('returns nothing when no runner has started', async () => {
+    assert.deepEqual(await listRunners(dir), []);
+  });
+
+  it('collects the state of live runners, oldest first', async () => {
+    const later = await startControlServer(randomUUID(), makeHandlers({ state: () => ({ account: 'b', startedAt: '2026-10-19T11:00:00.000Z' }) }).handlers, dir);
+    const earlier = await startControlServer(randomUUID(), makeHandlers({ state: () => ({ account: 'a', startedAt: '2026-10-19T10:00:00.000Z' }) }).handlers, dir);
+    try {
+      assert.deepEqual((await listRunners(dir)).map(r => r.account), ['a', 'b']);
+    } finally {
+      later.close();
+      earlier.close();
+    }
+  });
+
+  it('removes sockets nobody listens on', async () => {
+    const server = await startControlServer(randomUUID(), makeHandlers().handlers, dir);
+    const stale = join(dir, `${randomUUID()}.sock`);
+    writeFileSync(stale, '');
+    try {
+      assert.equal((await listRunners(dir)).length, 1);
+      assert.ok(!existsSync(stale));
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  parseResetTime,
+  loadCooldowns,
+  setCooldown,
+  applyCooldowns,
+  COOLDOWNS_FILE,
+} from '../../../lib/cooldown.js';
+import { CONFIG_DIR } from '../../../lib/config.js';
+
+// 2025-06-15 12:00 UTC — 5am in Los Angeles (PDT), 2pm in Oslo (CEST)
+const NOW = Date.UTC(2025, 5, 15, 12, 0);
+
+describe('parseResetTime', () => {
+  it('parses relative "in 2h 30m"', () => {
+    assert.equal(parseResetTime('in 2h 30m', NOW).getTime(), NOW + 150 * 60_000);
+  });
+
+  it('parses relative "in 45m"', () => {
+    assert.equal(parseResetTime('in 45m', NOW).getTime(), NOW + 45 * 60_000);
+  });
+
+  it('parses a time later today in the embedded zone', () => {
+    assert.equal(
+      parseResetTime('8am (America/Los_Angeles)', NOW).toISOString(),
+      '2025-06-15T15:00:00.000Z'
+    );
+  });
+
+  it('rolls a time that already passed to tomorrow', () => {
+    assert.equal(
+      parseResetTime('3am (America/Los_Angeles)', NOW).toISOString(),
+      '2025-06-16T10:00:00.000Z'
+    );
+  });
+
+  it('parses minutes and pm', () => {
+    assert.equal(parseResetTime('8:30pm (UTC)', NOW).toISOString(), '2025-06-15T20:30:00.000Z');
+  });
+
+  it('treats 12am as midnight and 12pm as noon', () => {
+    assert.equal(parseResetTime('12am (UTC)', NOW).toISOString(), '2025-06-16T00:00:00.000Z');
+    assert.equal(parseResetTime('12pm (UTC)', NOW - 60_000).toISOString(), '2025-06-15T12:00:00.000Z');
+  });
+
+  it('parses a date with the zone\'s standard offset', () => {
+    assert.equal(
+      parseResetTime('Dec 17 at 6am (Europe/Oslo)', NOW).toISOString(),
+      '2025-12-17T05:00:00.000Z'
+    );
+  });
+
+  it('wraps a date well in the past to next year', () => {
+    assert.equal(
+      parseResetTime('Feb 16 at 5pm (US/Eastern)', NOW).toISOString(),
+      '2026-02-16T22:00:00.000Z'
+    );
+  });
+
+  it('keeps a date just past in the current year', () => {
+    assert.equal(
+      parseResetTime('Jun 15 at 6am (UTC)', NOW).toISOString(),
+      '2025-06-15T06:00:00.000Z'
+    );
+  });
+
+  it('handles the DST transition day', () => {
+    // US clocks jump 2am -> 3am on 2025-03-09; 3am is EDT (UTC-4)
+    const before = Date.UTC(2025, 2, 9, 0, 0);
+    assert.equal(
+      parseResetTime('3am (America/New_York)', before).toISOString(),
+      '2025-03-09T07:00:00.000Z'
+    );
+  });
+
+  it('accepts a leading "resets"', () => {
+    assert.equal(
+      parseResetTime('resets 8am (America/Los_Angeles)', NOW).toISOString(),
+      '2025-06-15T15:00:00.000Z'
+    );
+  });
+
+  it('returns null for an unknown zone', () => {
+    assert.equal(parseResetTime('8am (Mars/Olympus_Mons)', NOW), null);
+  });
+
+  it('returns null for unrecognized text', () => {
+    assert.equal(parseResetTime('soon', NOW), null);
+    assert.equal(parseResetTime('', NOW), null);
+    assert.equal(parseResetTime(null, NOW), null);
+  });
+});
+
+describe('cooldown state', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'data', 'cooldowns.json');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('defaults to data/cooldowns.json in CONFIG_DIR', () => {
+    assert.equal(COOLDOWNS_FILE, join(CONFIG_DIR, 'data', 'cooldowns.json'));
+  });
+
+  it('returns no cooldowns when the file is missing', () => {
+    assert.deepEqual(loadCooldowns(filePath), {});
+  });
+
+  it('round-trips a cooldown', () => {
+    const until = new Date(Date.now() + 3_600_000);
+    setCooldown('work', until, 'rate-limit', filePath);
+
+    const cooldowns = loadCooldowns(filePath);
+    assert.equal(cooldowns.work.until, until.toISOString());
+    assert.equal(cooldowns.work.reason, 'rate-limit');
+    assert.ok(cooldowns.work.setAt);
+  });
+
+  it('writes the file with 0600 permissions', () => {
+    setCooldown('work', new Date(Date.now() + 3_600_000), 'rate-limit', filePath);
+    assert.equal(statSync(filePath).mode & 0o777, 0o600);
+  });
+
+  it('ignores expired entries and prunes them on write', () => {
+    setCooldown('old', new Date(Date.now() + 3_600_000), 'rate-limit', filePath);
+    const raw = JSON.parse(readFileSync(filePath, 'utf8'));
+    raw.old.until = new Date(Date.now() - 1000).toISOString();
+    writeFileSync(filePath, JSON.stringify(raw));
+
+    assert.deepEqual(loadCooldowns(filePath), {});
+
+    setCooldown('new', new Date(Date.now() + 3_600_000), 'rate-limit', filePath);
+    const written = JSON.parse(readFileSync(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(written), ['new']);
+  });
+
+  it('tolerates a corrupt file', () => {
+    setCooldown('work', new Date(Date.now() + 3_600_000), 'rate-limit', filePath);
+    writeFileSync(filePath, '{ not json');
+    assert.deepEqual(loadCooldowns(filePath), {});
+    assert.ok(existsSync(filePath));
+  });
+
+  it('does not throw when the file cannot be written', () => {
+    writeFileSync(join(tempDir, 'data'), 'not a directory');
+    assert.doesNotThrow(() => setCooldown('work', new Date(Date.now() + 3_600_000), 'rate-limit', filePath));
+    assert.deepEqual(loadCooldowns(filePath), {});
+  });
+});
+
+describe('applyCooldowns', () => {
+  it('annotates only accounts with a cooldown', () => {
+    const accounts = [{ name: 'a' }, { name: 'b' }];
+    const until = new Date(Date.now() + 3_600_000).toISOString();
+    const result = applyCooldowns(accounts, { b: { until } });
+
+    assert.equal(result[0], accounts[0]);
+    assert.equal(result[1].cooldownUntil, until);
+    assert.equal(accounts[1].cooldownUntil, undefined, 'input is not mutated');
+  });
+});
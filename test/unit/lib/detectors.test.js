@@ -0,0 +1,217 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  compileRule,
+  loadDetectors,
+  matchDetectors,
+  DEFAULT_RULES,
+  RATE_LIMIT_PATTERN,
+  AUTH_EXPIRED_PATTERN,
+} from '../../../lib/detectors.js';
+import { RATE_LIMIT_PATTERN as RUNNER_RATE_LIMIT_PATTERN, retryBackoffMs, RETRY_BACKOFF_BASE_MS, RETRY_BACKOFF_MAX_MS } from '../../../lib/runner.js';
+
+describe('DEFAULT_RULES', () => {
+  it('ships the rate limit pattern as a swap rule', () => {
+    const rule = DEFAULT_RULES.find(r => r.name === 'rate-limit');
+    assert.equal(rule.pattern, RATE_LIMIT_PATTERN);
+    assert.equal(rule.category, 'rate-limit');
+    assert.equal(rule.action, 'swap');
+  });
+
+  it('ships the auth failure pattern as a reauth rule', () => {
+    const rule = DEFAULT_RULES.find(r => r.name === 'auth-expired');
+    assert.equal(rule.pattern, AUTH_EXPIRED_PATTERN);
+    assert.equal(rule.category, 'auth-expired');
+    assert.equal(rule.action, 'reauth');
+  });
+
+  it('is the same pattern runner.js re-exports', () => {
+    assert.equal(RUNNER_RATE_LIMIT_PATTERN, RATE_LIMIT_PATTERN);
+  });
+});
+
+describe('compileRule', () => {
+  it('compiles a valid rule with default flags', () => {
+    const rule = compileRule({ name: 'overloaded', pattern: 'API Error: 529', category: 'overloaded', action: 'retry' });
+    assert.equal(rule.name, 'overloaded');
+    assert.ok(rule.pattern instanceof RegExp);
+    assert.equal(rule.pattern.flags, 'im');
+    assert.ok(rule.pattern.test('api error: 529'));
+  });
+
+  it('names unnamed rules by position', () => {
+    const rule = compileRule({ pattern: 'x', category: 'network-error', action: 'retry' }, 2);
+    assert.equal(rule.name, 'rule-3');
+  });
+
+  it('strips global and sticky flags', () => {
+    const rule = compileRule({ pattern: 'x', flags: 'gyi', category: 'overloaded', action: 'retry' });
+    assert.equal(rule.pattern.flags, 'i');
+  });
+
+  it('rejects unknown categories', () => {
+    assert.throws(
+      () => compileRule({ pattern: 'x', category: 'bogus', action: 'swap' }),
+      /category must be one of/
+    );
+  });
+
+  it('rejects unknown actions', () => {
+    assert.throws(
+      () => compileRule({ pattern: 'x', category: 'overloaded', action: 'explode' }),
+      /action must be one of/
+    );
+  });
+
+  it('rejects invalid regex', () => {
+    assert.throws(
+      () => compileRule({ name: 'bad', pattern: '(', category: 'overloaded', action: 'retry' }),
+      /rule "bad": invalid pattern/
+    );
+  });
+
+  it('rejects a missing pattern', () => {
+    assert.throws(
+      () => compileRule({ category: 'overloaded', action: 'retry' }),
+      /pattern must be a non-empty string/
+    );
+  });
+});
+
+describe('loadDetectors', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'detectors.json');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('returns the built-in rules when the file is missing', () => {
+    const { rules, errors } = loadDetectors(filePath);
+    assert.deepEqual(rules, DEFAULT_RULES);
+    assert.deepEqual(errors, []);
+  });
+
+  it('puts user rules before the built-ins', () => {
+    writeFileSync(filePath, JSON.stringify({
+      rules: [{ name: 'overloaded', pattern: 'overloaded_error', category: 'overloaded', action: 'retry' }],
+    }));
+    const { rules, errors } = loadDetectors(filePath);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rules.map(r => r.name), ['overloaded', 'rate-limit', 'auth-expired']);
+  });
+
+  it('lets a user rule replace a built-in by name', () => {
+    writeFileSync(filePath, JSON.stringify({
+      rules: [{ name: 'rate-limit', pattern: 'Usage limit hit, back at (.+)', category: 'rate-limit', action: 'swap' }],
+    }));
+    const { rules } = loadDetectors(filePath);
+    assert.deepEqual(rules.map(r => r.name), ['rate-limit', 'auth-expired']);
+    assert.notEqual(rules[0].pattern, RATE_LIMIT_PATTERN);
+  });
+
+  it('skips invalid rules and reports them', () => {
+    writeFileSync(filePath, JSON.stringify({
+      rules: [
+        { name: 'bad', pattern: 'x', category: 'overloaded', action: 'nope' },
+        { name: 'good', pattern: 'y', category: 'overloaded', action: 'retry' },
+      ],
+    }));
+    const { rules, errors } = loadDetectors(filePath);
+    assert.deepEqual(rules.map(r => r.name), ['good', 'rate-limit', 'auth-expired']);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /rule "bad"/);
+  });
+
+  it('falls back to built-ins on malformed JSON', () => {
+    writeFileSync(filePath, '{ not json');
+    const { rules, errors } = loadDetectors(filePath);
+    assert.deepEqual(rules, DEFAULT_RULES);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /could not parse/);
+  });
+
+  it('reports a missing rules array', () => {
+    writeFileSync(filePath, JSON.stringify({ patterns: [] }));
+    const { rules, errors } = loadDetectors(filePath);
+    assert.deepEqual(rules, DEFAULT_RULES);
+    assert.match(errors[0], /must contain a "rules" array/);
+  });
+});
+
+describe('AUTH_EXPIRED_PATTERN', () => {
+  it('matches an API 401 error', () => {
+    const input = 'API Error: 401 {"type":"error","error":{"type":"authentication_error","message":"OAuth token has expired."}}';
+    assert.ok(AUTH_EXPIRED_PATTERN.test(input));
+  });
+
+  it('matches "OAuth token revoked · Please run /login"', () => {
+    assert.ok(AUTH_EXPIRED_PATTERN.test('OAuth token revoked · Please run /login'));
+  });
+
+  it('matches "Invalid API key · Please run /login"', () => {
+    assert.ok(AUTH_EXPIRED_PATTERN.test('Invalid API key · Please run /login'));
+  });
+
+  it('does not match conversation about logging in', () => {
+    assert.ok(!AUTH_EXPIRED_PATTERN.test('If the OAuth token has expired, please run /login again.'));
+    assert.ok(!AUTH_EXPIRED_PATTERN.test('The server returned 401 Unauthorized'));
+  });
+});
+
+describe('matchDetectors', () => {
+  const overloaded = compileRule({ name: 'overloaded', pattern: 'API Error: 529', category: 'overloaded', action: 'retry' });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(matchDetectors('Working on it...', [overloaded, ...DEFAULT_RULES]), null);
+  });
+
+  it('extracts the reset time for rate-limit rules', () => {
+    const hit = matchDetectors('Limit reached · resets 8am (America/Los_Angeles)\n', DEFAULT_RULES);
+    assert.deepEqual(hit, {
+      name: 'rate-limit',
+      category: 'rate-limit',
+      action: 'swap',
+      resetTime: '8am (America/Los_Angeles)',
+    });
+  });
+
+  it('returns a null reset time for other categories', () => {
+    const hit = matchDetectors('API Error: 529 {"type":"overloaded_error"}', [overloaded]);
+    assert.equal(hit.category, 'overloaded');
+    assert.equal(hit.action, 'retry');
+    assert.equal(hit.resetTime, null);
+  });
+
+  it('maps auth failures to the reauth action', () => {
+    const hit = matchDetectors('OAuth token revoked · Please run /login', DEFAULT_RULES);
+    assert.equal(hit.category, 'auth-expired');
+    assert.equal(hit.action, 'reauth');
+  });
+
+  it('returns the first matching rule in order', () => {
+    const text = 'API Error: 529\nLimit reached · resets in 2h';
+    assert.equal(matchDetectors(text, [overloaded, ...DEFAULT_RULES]).name, 'overloaded');
+    assert.equal(matchDetectors(text, [...DEFAULT_RULES, overloaded]).name, 'rate-limit');
+  });
+});
+
+describe('retryBackoffMs', () => {
+  it('doubles from the base on each attempt', () => {
+    assert.equal(retryBackoffMs(1), RETRY_BACKOFF_BASE_MS);
+    assert.equal(retryBackoffMs(2), RETRY_BACKOFF_BASE_MS * 2);
+    assert.equal(retryBackoffMs(3), RETRY_BACKOFF_BASE_MS * 4);
+  });
+
+  it('is capped at the maximum', () => {
+    assert.equal(retryBackoffMs(50), RETRY_BACKOFF_MAX_MS);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  recordUsageSamples,
+  readUsageHistory,
+  forecastAccount,
+  applyForecasts,
+  runwayMs,
+  formatRunway,
+  describeForecast,
+} from '../../../lib/forecast.js';
+
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function at(ms) {
+  return new Date(NOW + ms).toISOString();
+}
+
+function sample(minutesAgo, session, weekly, extra = {}) {
+  return { ts: at(-minutesAgo * MINUTE), account: 'a', session, weekly, sessionResetsAt: at(3 * HOUR), weeklyResetsAt: at(72 * HOUR), ...extra };
+}
+
+describe('usage history', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'data', 'usage-history.jsonl');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('records one sample per account with usage', () => {
+    recordUsageSamples([
+      { name: 'a', usage: { sessionPercent: 10, weeklyPercent: 20, sessionResetsAt: at(HOUR), weeklyResetsAt: null, modelWeeklyPercent: { opus: 5 } } },
+      { name: 'b', usage: { error: 'HTTP 401' } },
+      { name: 'c', type: 'api-key', usage: { sessionPercent: 50, weeklyPercent: 10 } },
+    ], file, NOW);
+    const history = readUsageHistory({}, file);
+    assert.deepEqual([...history.keys()], ['a']);
+    assert.deepEqual(history.get('a'), [{
+      ts: at(0), account: 'a', session: 10, weekly: 20, sessionResetsAt: at(HOUR), weeklyResetsAt: null, modelWeekly: { opus: 5 },
+    }]);
+  });
+
+  it('does not record an account again within a minute', () => {
+    const accounts = [{ name: 'a', usage: { sessionPercent: 10, weeklyPercent: 20 } }];
+    recordUsageSamples(accounts, file, NOW);
+    recordUsageSamples(accounts, file, NOW + 30 * 1000);
+    recordUsageSamples(accounts, file, NOW + MINUTE);
+    assert.equal(readFileSync(file, 'utf8').trim().split('\n').length, 2);
+  });
+
+  it('skips malformed lines and samples before since', () => {
+    recordUsageSamples([{ name: 'a', usage: { sessionPercent: 10, weeklyPercent: 20 } }], file, NOW - HOUR);
+    recordUsageSamples([{ name: 'a', usage: { sessionPercent: 12, weeklyPercent: 20 } }], file, NOW);
+    appendFileSync(file, 'garbage\n{"ts":"x","account":"a"}\n');
+    assert.equal(readUsageHistory({}, file).get('a').length, 2);
+    assert.deepEqual(readUsageHistory({ since: NOW - MINUTE }, file).get('a').map(s => s.session), [12]);
+  });
+});
+
+describe('forecastAccount', () => {
+  it('predicts exhaustion from the burn rate of the current window', () => {
+    const forecast = forecastAccount([sample(30, 40, 10), sample(15, 50, 11), sample(0, 60, 12)], NOW);
+    assert.equal(forecast.sessionRatePerHour, 40);
+    assert.equal(forecast.weeklyRatePerHour, 4);
+    assert.equal(forecast.window, 'session');
+    assert.equal(forecast.exhaustsAt, at(HOUR));
+  });
+
+  it('ignores samples from before a reset', () => {
+    const samples = [
+      sample(50, 90, 10, { sessionResetsAt: at(-40 * MINUTE) }),
+      sample(20, 0, 10),
+      sample(0, 20, 10),
+    ];
+    const forecast = forecastAccount(samples, NOW);
+    assert.equal(forecast.sessionRatePerHour, 60);
+    assert.equal(forecast.exhaustsAt, at(80 * MINUTE));
+  });
+
+  it('has no exhaustion time when the window resets first or usage is flat', () => {
+    const resetsFirst = forecastAccount([sample(60, 10, 5), sample(0, 20, 5)], NOW);
+    assert.equal(resetsFirst.sessionRatePerHour, 10);
+    assert.equal(resetsFirst.exhaustsAt, null);
+    assert.deepEqual(forecastAccount([sample(30, 10, 5), sample(0, 10, 5)], NOW), {
+      sessionRatePerHour: 0, weeklyRatePerHour: 0, exhaustsAt: null, window: null,
+    });
+  });
+
+  it('needs recent samples spanning a few minutes', () => {
+    assert.equal(forecastAccount([sample(0, 10, 5)], NOW), null);
+    assert.equal(forecastAccount([sample(2, 10, 5), sample(0, 20, 5)], NOW), null);
+    assert.equal(forecastAccount([sample(180, 10, 5), sample(120, 20, 5)], NOW), null);
+  });
+});
+
+describe('applyForecasts', () => {
+  it('annotates accounts that have a forecast', () => {
+    const history = new Map([['a', [sample(30, 40, 10), sample(0, 60, 12)]]]);
+    const [a, b] = applyForecasts([{ name: 'a' }, { name: 'b' }], history, NOW);
+    assert.equal(a.forecast.exhaustsAt, at(HOUR));
+    assert.equal(runwayMs(a, NOW), HOUR);
+    assert.equal(b.forecast, undefined);
+    assert.equal(runwayMs(b, NOW), Infinity);
+  });
+});
+
+describe('describeForecast', () => {
+  it('formats the time left', () => {
+    assert.equal(formatRunway(100 * MINUTE), '~1h40m');
+    assert.equal(formatRunway(65 * MINUTE), '~1h05m');
+    assert.equal(formatRunway(10 * 1000), '~1m');
+    const account = { forecast: { exhaustsAt: at(100 * MINUTE), window: 'session' } };
+    assert.equal(describeForecast(account, NOW), 'exhausts in ~1h40m at current rate (5-hour window)');
+    assert.equal(describeForecast({}, NOW), null);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isHeadlessInvocation, getOutputFormat, detectFromEvent } from '../../../lib/headless.js';
+import { DEFAULT_RULES } from '../../../lib/detectors.js';
+
+describe('isHeadlessInvocation', () => {
+  it('is true for -p and --print', () => {
+    assert.equal(isHeadlessInvocation(['-p', 'fix the bug']), true);
+    assert.equal(isHeadlessInvocation(['--print', 'fix the bug']), true);
+  });
+
+  it('is false for interactive runs', () => {
+    assert.equal(isHeadlessInvocation([]), false);
+    assert.equal(isHeadlessInvocation(['--model', 'opus']), false);
+  });
+
+  it('is false for streaming JSON input', () => {
+    assert.equal(isHeadlessInvocation(['-p', '--input-format', 'stream-json']), false);
+    assert.equal(isHeadlessInvocation(['-p', '--input-format=stream-json']), false);
+  });
+});
+
+describe('getOutputFormat', () => {
+  it('defaults to text', () => {
+    assert.equal(getOutputFormat(['-p', 'hi']), 'text');
+  });
+
+  it('reads --output-format value and = forms', () => {
+    assert.equal(getOutputFormat(['-p', '--output-format', 'json']), 'json');
+    assert.equal(getOutputFormat(['-p', '--output-format=stream-json']), 'stream-json');
+  });
+
+  it('treats unknown formats as text', () => {
+    assert.equal(getOutputFormat(['-p', '--output-format', 'yaml']), 'text');
+  });
+});
+
+describe('detectFromEvent', () => {
+  it('detects a rate limit in an errored result', () => {
+    const event = {
+      type: 'result',
+      is_error: true,
+      result: "You've hit your limit · resets 8am (America/Los_Angeles)",
+    };
+    const detection = detectFromEvent(event, DEFAULT_RULES);
+    assert.equal(detection.category, 'rate-limit');
+    assert.equal(detection.action, 'swap');
+    assert.equal(detection.resetTime, '8am (America/Los_Angeles)');
+  });
+
+  it('ignores limit text in a successful result', () => {
+    const event = { type: 'result', is_error: false, result: 'Docs say: Limit reached · resets in 2h' };
+    assert.equal(detectFromEvent(event, DEFAULT_RULES), null);
+  });
+
+  it('ignores limit text in ordinary assistant messages', () => {
+    const event = {
+      type: 'assistant',
+      message: { content: [{ type: 'text', text: 'Limit reached · resets in 2h' }] },
+    };
+    assert.equal(detectFromEvent(event, DEFAULT_RULES), null);
+  });
+
+  it('matches rules against errored assistant message text', () => {
+    const event = {
+      type: 'assistant',
+      error: 'unknown',
+      message: { content: [{ type: 'text', text: 'Limit reached · resets in 2h' }] },
+    };
+    assert.equal(detectFromEvent(event, DEFAULT_RULES).resetTime, 'in 2h');
+  });
+
+  it('maps assistant error codes when no rule matches', () => {
+    const rateLimited = detectFromEvent({ type: 'assistant', error: 'rate_limit', message: { content: [] } }, DEFAULT_RULES);
+    assert.equal(rateLimited.category, 'rate-limit');
+    assert.equal(rateLimited.action, 'swap');
+
+    const authFailed = detectFromEvent({ type: 'assistant', error: 'authentication_failed', message: { content: [] } }, DEFAULT_RULES);
+    assert.equal(authFailed.category, 'auth-expired');
+    assert.equal(authFailed.action, 'reauth');
+  });
+
+  it('returns null for other events and non-objects', () => {
+    assert.equal(detectFromEvent({ type: 'system', subtype: 'init' }, DEFAULT_RULES), null);
+    assert.equal(detectFromEvent(null, DEFAULT_RULES), null);
+    assert.equal(detectFromEvent('text', DEFAULT_RULES), null);
+  });
+});
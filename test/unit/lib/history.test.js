@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, statSync, writeFileSync, appendFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  appendEvent,
+  createEventLog,
+  matchesFilters,
+  readEvents,
+  summarizeDetections,
+  EVENTS_FILE,
+  MAX_EVENTS_FILE_BYTES,
+} from '../../../lib/history.js';
+import { CONFIG_DIR } from '../../../lib/config.js';
+
+describe('event log', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'data', 'events.jsonl');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('defaults to data/events.jsonl in CONFIG_DIR', () => {
+    assert.equal(EVENTS_FILE, join(CONFIG_DIR, 'data', 'events.jsonl'));
+  });
+
+  it('appends one JSON line per event with a timestamp', () => {
+    appendEvent({ type: 'start', account: 'work' }, filePath);
+    appendEvent({ type: 'exit', account: 'work', exitCode: 0 }, filePath);
+
+    const lines = readFileSync(filePath, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.map(e => e.type), ['start', 'exit']);
+    assert.ok(!isNaN(Date.parse(lines[0].ts)));
+  });
+
+  it('writes the file with 0600 permissions', () => {
+    appendEvent({ type: 'start' }, filePath);
+    assert.equal(statSync(filePath).mode & 0o777, 0o600);
+  });
+
+  it('never throws when the log cannot be written', () => {
+    writeFileSync(join(tempDir, 'blocker'), '');
+    assert.doesNotThrow(() => appendEvent({ type: 'start' }, join(tempDir, 'blocker', 'events.jsonl')));
+  });
+
+  it('rotates the log once it reaches the size limit', () => {
+    appendEvent({ type: 'start', account: 'old' }, filePath);
+    appendFileSync(filePath, ' '.repeat(MAX_EVENTS_FILE_BYTES));
+    appendEvent({ type: 'start', account: 'new' }, filePath);
+
+    assert.ok(existsSync(`${filePath}.1`));
+    assert.deepEqual(readEvents({}, filePath).map(e => e.account), ['old', 'new']);
+  });
+
+  it('binds runner fields with createEventLog', () => {
+    const events = createEventLog({ runnerId: 'run-1', cwd: '/work/project', filePath });
+    events.log('detection', { account: 'work', category: 'rate-limit' });
+
+    const [event] = readEvents({}, filePath);
+    assert.equal(event.type, 'detection');
+    assert.equal(event.runnerId, 'run-1');
+    assert.equal(event.cwd, '/work/project');
+    assert.equal(event.account, 'work');
+  });
+
+  it('passes each event as written to onEvent', () => {
+    const seen = [];
+    const events = createEventLog({ runnerId: 'run-1', cwd: '/work/project', filePath, onEvent: (e) => seen.push(e) });
+    events.log('exit', { exitCode: 0 });
+
+    assert.deepEqual(seen, readEvents({}, filePath));
+  });
+
+  it('skips malformed lines', () => {
+    appendEvent({ type: 'start' }, filePath);
+    appendFileSync(filePath, '{ not json\n\n');
+    appendEvent({ type: 'exit' }, filePath);
+    assert.deepEqual(readEvents({}, filePath).map(e => e.type), ['start', 'exit']);
+  });
+
+  it('returns no events when the log is missing', () => {
+    assert.deepEqual(readEvents({}, filePath), []);
+  });
+});
+
+describe('matchesFilters', () => {
+  const event = {
+    ts: '2025-06-15T12:00:00.000Z',
+    type: 'detection',
+    account: 'work',
+    sessionId: 'abc',
+    cwd: '/work/project/sub',
+  };
+
+  it('matches everything without filters', () => {
+    assert.equal(matchesFilters(event), true);
+  });
+
+  it('filters by account, session and type', () => {
+    assert.equal(matchesFilters(event, { account: 'work' }), true);
+    assert.equal(matchesFilters(event, { account: 'home' }), false);
+    assert.equal(matchesFilters(event, { sessionId: 'abc' }), true);
+    assert.equal(matchesFilters(event, { sessionId: 'xyz' }), false);
+    assert.equal(matchesFilters(event, { type: 'exit' }), false);
+  });
+
+  it('matches a project directory and its subdirectories', () => {
+    assert.equal(matchesFilters(event, { cwd: '/work/project' }), true);
+    assert.equal(matchesFilters(event, { cwd: '/work/project/sub' }), true);
+    assert.equal(matchesFilters(event, { cwd: '/work/proj' }), false);
+  });
+
+  it('filters by an inclusive date range', () => {
+    const at = new Date(event.ts);
+    assert.equal(matchesFilters(event, { since: at, until: at }), true);
+    assert.equal(matchesFilters(event, { since: new Date(at.getTime() + 1) }), false);
+    assert.equal(matchesFilters(event, { until: new Date(at.getTime() - 1) }), false);
+  });
+});
+
+describe('summarizeDetections', () => {
+  it('counts detections per account and category', () => {
+    const summary = summarizeDetections([
+      { type: 'detection', account: 'work', category: 'rate-limit' },
+      { type: 'detection', account: 'work', category: 'rate-limit' },
+      { type: 'detection', account: 'work', category: 'overloaded' },
+      { type: 'detection', account: 'home', category: 'rate-limit' },
+      { type: 'exit', account: 'home', exitCode: 0 },
+    ]);
+
+    assert.equal(summary.get('work').get('rate-limit'), 2);
+    assert.equal(summary.get('work').get('overloaded'), 1);
+    assert.equal(summary.get('home').get('rate-limit'), 1);
+    assert.equal(summary.size, 2);
+  });
+});
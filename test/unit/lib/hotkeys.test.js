@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHotkey, formatHotkey, formatHotkeyMenu, createHotkeyFilter } from '../../../lib/hotkeys.js';
+
+describe('parseHotkey', () => {
+  it('maps ctrl keys to control characters', () => {
+    assert.equal(parseHotkey('ctrl-]'), '\x1d');
+    assert.equal(parseHotkey('ctrl-a'), '\x01');
+    assert.equal(parseHotkey('Ctrl+G'), '\x07');
+    assert.equal(parseHotkey('c-\\'), '\x1c');
+  });
+
+  it('rejects keys the terminal or Claude needs', () => {
+    for (const spec of ['ctrl-c', 'ctrl-d', 'ctrl-z', 'ctrl-i', 'ctrl-m', 'ctrl-j']) {
+      assert.equal(parseHotkey(spec), null, spec);
+    }
+  });
+
+  it('rejects other specs', () => {
+    assert.equal(parseHotkey('x'), null);
+    assert.equal(parseHotkey('ctrl-1'), null);
+    assert.equal(parseHotkey('alt-s'), null);
+    assert.equal(parseHotkey(undefined), null);
+  });
+});
+
+describe('formatHotkey', () => {
+  it('names the key', () => {
+    assert.equal(formatHotkey('ctrl-]'), 'Ctrl+]');
+    assert.equal(formatHotkey('ctrl-g'), 'Ctrl+G');
+  });
+});
+
+describe('formatHotkeyMenu', () => {
+  it('numbers the accounts and marks the current one', () => {
+    const menu = formatHotkeyMenu(['work', 'home'], 'home', true);
+    assert.match(menu, /1 work {2}2 home\*/);
+    assert.match(menu, /a auto-swap off/);
+    assert.match(formatHotkeyMenu(['work'], 'work', false), /a auto-swap on/);
+  });
+});
+
+describe('createHotkeyFilter', () => {
+  const PREFIX = '\x1d';
+
+  function makeFilter() {
+    const calls = [];
+    const filter = createHotkeyFilter(PREFIX, {
+      onMenu: () => calls.push('menu'),
+      onCommand: (key) => calls.push(`command:${key}`),
+    });
+    return { filter, calls };
+  }
+
+  it('forwards input without the prefix unchanged', () => {
+    const { filter, calls } = makeFilter();
+    assert.equal(filter.feed('hello\r'), 'hello\r');
+    assert.deepEqual(calls, []);
+  });
+
+  it('opens the menu and passes the next key as a command', () => {
+    const { filter, calls } = makeFilter();
+    assert.equal(filter.feed(`ab${PREFIX}scd`), 'abcd');
+    assert.deepEqual(calls, ['menu', 'command:s']);
+  });
+
+  it('handles the prefix and command arriving separately', () => {
+    const { filter, calls } = makeFilter();
+    assert.equal(filter.feed(PREFIX), '');
+    assert.equal(filter.feed('2'), '');
+    assert.equal(filter.feed('x'), 'x');
+    assert.deepEqual(calls, ['menu', 'command:2']);
+  });
+
+  it('sends the prefix itself when pressed twice', () => {
+    const { filter, calls } = makeFilter();
+    assert.equal(filter.feed(PREFIX + PREFIX), PREFIX);
+    assert.deepEqual(calls, ['menu']);
+  });
+
+  it('cancels on Esc and drops the rest of an escape sequence', () => {
+    const { filter, calls } = makeFilter();
+    assert.equal(filter.feed(PREFIX), '');
+    assert.equal(filter.feed('\x1b[A'), '');
+    assert.equal(filter.feed('\x1b[A'), '\x1b[A');
+    assert.deepEqual(calls, ['menu', 'command:']);
+  });
+});
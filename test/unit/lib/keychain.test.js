@@ -2,6 +2,7 @@ import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 import { homedir } from 'os';
 import { normalize, join } from 'path';
+import { readFileSync, statSync, writeFileSync } from 'fs';
 import {
   calculateConfigDirHash,
   expandPath,
@@ -9,7 +10,12 @@ import {
   isTokenExpired,
   parseCredentialJson,
   readCredentials,
+  readApiKey,
+  saveApiKey,
+  readAccountCredentials,
 } from '../../../lib/keychain.js';
+import { isLinux } from '../../../lib/platform.js';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
 
 describe('calculateConfigDirHash', () => {
   it('returns an 8-char hex string', () => {
@@ -191,3 +197,42 @@ describe('readCredentials', () => {
     assert.ok('error' in result);
   });
 });
+
+describe('API keys', { skip: !isLinux() && 'stored in the Keychain on macOS' }, () => {
+  const apiKey = 'sk-ant-REDACTED';
+  let configDir;
+
+  beforeEach(() => {
+    configDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(configDir);
+  });
+
+  it('stores the key with 0600 permissions and reads it back', () => {
+    assert.deepEqual(saveApiKey(configDir, apiKey), { written: true, error: null });
+    assert.equal(readApiKey(configDir), apiKey);
+    assert.equal(statSync(join(configDir, '.api-key')).mode & 0o777, 0o600);
+  });
+
+  it('approves the key in the profile state, keeping other fields', () => {
+    writeFileSync(join(configDir, '.claude.json'), JSON.stringify({ numStartups: 3 }));
+    saveApiKey(configDir, apiKey);
+    saveApiKey(configDir, apiKey);
+
+    const state = JSON.parse(readFileSync(join(configDir, '.claude.json'), 'utf-8'));
+    assert.equal(state.numStartups, 3);
+    assert.deepEqual(state.customApiKeyResponses.approved, [apiKey.slice(-20)]);
+  });
+
+  it('returns null without a stored key', () => {
+    assert.equal(readApiKey(configDir), null);
+  });
+
+  it('reads the key as the token of an API-key account', () => {
+    saveApiKey(configDir, apiKey);
+    assert.equal(readAccountCredentials({ configDir, type: 'api-key' }).token, apiKey);
+    assert.equal(readAccountCredentials({ configDir }).token, null);
+  });
+});
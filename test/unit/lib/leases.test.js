@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync, utimesSync } from 'fs';
+import { dirname, join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  isProcessAlive,
+  loadLeases,
+  setLease,
+  releaseLease,
+  leaseAccount,
+  applyLeases,
+  LEASES_FILE,
+  LEASE_TTL_MS,
+} from '../../../lib/leases.js';
+import { CONFIG_DIR } from '../../../lib/config.js';
+
+/** PID of a process that has already exited. */
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+function writeLeases(filePath, leases) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, JSON.stringify(leases));
+}
+
+describe('isProcessAlive', () => {
+  it('is true for this process', () => {
+    assert.equal(isProcessAlive(process.pid), true);
+  });
+
+  it('is false for an exited process and invalid PIDs', () => {
+    assert.equal(isProcessAlive(deadPid()), false);
+    assert.equal(isProcessAlive(0), false);
+    assert.equal(isProcessAlive(undefined), false);
+  });
+});
+
+describe('lease file', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'data', 'leases.json');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('defaults to data/leases.json in CONFIG_DIR', () => {
+    assert.equal(LEASES_FILE, join(CONFIG_DIR, 'data', 'leases.json'));
+  });
+
+  it('returns no leases when the file is missing', () => {
+    assert.deepEqual(loadLeases(filePath), {});
+  });
+
+  it('records a lease for this process', () => {
+    setLease('run-1', 'work', filePath);
+
+    const lease = loadLeases(filePath)['run-1'];
+    assert.equal(lease.account, 'work');
+    assert.equal(lease.pid, process.pid);
+    assert.equal(lease.cwd, process.cwd());
+    assert.equal(lease.startedAt, lease.heartbeatAt);
+  });
+
+  it('moves a lease to another account, keeping its start time', () => {
+    setLease('run-1', 'work', filePath);
+    const { startedAt } = loadLeases(filePath)['run-1'];
+    setLease('run-1', 'home', filePath);
+
+    const lease = loadLeases(filePath)['run-1'];
+    assert.equal(lease.account, 'home');
+    assert.equal(lease.startedAt, startedAt);
+  });
+
+  it('writes the file with 0600 permissions and removes the lock', () => {
+    setLease('run-1', 'work', filePath);
+    assert.equal(statSync(filePath).mode & 0o777, 0o600);
+    assert.ok(!existsSync(`${filePath}.lock`));
+  });
+
+  it('releases a lease', () => {
+    setLease('run-1', 'work', filePath);
+    setLease('run-2', 'home', filePath);
+    releaseLease('run-1', filePath);
+    assert.deepEqual(Object.keys(loadLeases(filePath)), ['run-2']);
+  });
+
+  it('ignores leases of dead processes and reaps them on write', () => {
+    const now = new Date().toISOString();
+    writeLeases(filePath, {
+      dead: { account: 'work', pid: deadPid(), cwd: '/', startedAt: now, heartbeatAt: now },
+    });
+    assert.deepEqual(loadLeases(filePath), {});
+
+    setLease('run-1', 'home', filePath);
+    assert.deepEqual(Object.keys(JSON.parse(readFileSync(filePath, 'utf8'))), ['run-1']);
+  });
+
+  it('ignores leases without a recent heartbeat', () => {
+    const old = new Date(Date.now() - LEASE_TTL_MS - 1000).toISOString();
+    writeLeases(filePath, {
+      stale: { account: 'work', pid: process.pid, cwd: '/', startedAt: old, heartbeatAt: old },
+    });
+    assert.deepEqual(loadLeases(filePath), {});
+  });
+
+  it('tolerates a corrupt file', () => {
+    writeLeases(filePath, {});
+    writeFileSync(filePath, '{ not json');
+    assert.deepEqual(loadLeases(filePath), {});
+    setLease('run-1', 'work', filePath);
+    assert.equal(loadLeases(filePath)['run-1'].account, 'work');
+  });
+
+  it('breaks a lock left behind by a crashed process', () => {
+    setLease('run-1', 'work', filePath);
+    const lockPath = `${filePath}.lock`;
+    writeFileSync(lockPath, '');
+    const past = new Date(Date.now() - 60_000);
+    utimesSync(lockPath, past, past);
+
+    setLease('run-2', 'home', filePath);
+    assert.deepEqual(Object.keys(loadLeases(filePath)).sort(), ['run-1', 'run-2']);
+    assert.ok(!existsSync(lockPath));
+  });
+});
+
+describe('leaseAccount', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'data', 'leases.json');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('passes other runners\' leases to pick and leases the result', () => {
+    setLease('other', 'work', filePath);
+    setLease('me', 'stale-choice', filePath);
+
+    let seen;
+    const result = leaseAccount('me', (leases) => {
+      seen = leases;
+      return { account: { name: 'home' }, reason: 'test' };
+    }, filePath);
+
+    assert.deepEqual(Object.keys(seen), ['other']);
+    assert.equal(result.reason, 'test');
+    assert.equal(loadLeases(filePath).me.account, 'home');
+  });
+
+  it('writes nothing when pick returns null', () => {
+    assert.equal(leaseAccount('me', () => null, filePath), null);
+    assert.deepEqual(loadLeases(filePath), {});
+  });
+
+  it('lets sequential runners see each other', () => {
+    const accounts = ['a', 'b', 'c'];
+    const pickLeastUsed = (leases) => {
+      const used = new Set(Object.values(leases).map(l => l.account));
+      const name = accounts.find(a => !used.has(a));
+      return name ? { account: { name } } : null;
+    };
+
+    const picks = ['r1', 'r2', 'r3'].map(id => leaseAccount(id, pickLeastUsed, filePath).account.name);
+    assert.deepEqual(picks, ['a', 'b', 'c']);
+  });
+});
+
+describe('applyLeases', () => {
+  it('counts other runners per account', () => {
+    const accounts = [{ name: 'a' }, { name: 'b' }, { name: 'c' }];
+    const leases = {
+      r1: { account: 'a' },
+      r2: { account: 'a' },
+      me: { account: 'b' },
+    };
+    const result = applyLeases(accounts, leases, 'me');
+
+    assert.equal(result[0].leaseCount, 2);
+    assert.equal(result[1], accounts[1], 'own lease is not counted');
+    assert.equal(result[2], accounts[2]);
+    assert.equal(accounts[0].leaseCount, undefined, 'input is not mutated');
+  });
+});
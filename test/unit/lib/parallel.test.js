@@ -0,0 +1,158 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  planTasks,
+  assignAccounts,
+  buildTaskCommand,
+  launchTasks,
+  exitFilePath,
+  saveRun,
+  loadRun,
+  readTaskStatus,
+} from '../../../lib/parallel.js';
+
+const RUN_ID = '12345678-aaaa-bbbb-cccc-dddddddddddd';
+
+function account(name, sessionPercent) {
+  return { name, configDir: `/tmp/${name}`, token: 'tok', usage: { sessionPercent, weeklyPercent: 0 } };
+}
+
+describe('planTasks', () => {
+  it('runs one prompt in every directory', () => {
+    const tasks = planTasks({ prompts: ['update deps'], dirs: ['/a', '/b'], runId: RUN_ID });
+    assert.deepEqual(tasks.map(t => [t.index, t.prompt, t.cwd]), [[1, 'update deps', '/a'], [2, 'update deps', '/b']]);
+    assert.equal(tasks[0].worktree, null);
+  });
+
+  it('pairs prompts with directories', () => {
+    const tasks = planTasks({ prompts: ['x', 'y'], dirs: ['/a', '/b'], runId: RUN_ID });
+    assert.deepEqual(tasks.map(t => [t.prompt, t.cwd]), [['x', '/a'], ['y', '/b']]);
+  });
+
+  it('rejects mismatched counts and missing prompts', () => {
+    assert.throws(() => planTasks({ prompts: ['x', 'y'], dirs: ['/a', '/b', '/c'], runId: RUN_ID }), /2 prompts for 3 directories/);
+    assert.throws(() => planTasks({ prompts: [], dirs: ['/a'], runId: RUN_ID }), /No prompt/);
+  });
+
+  it('gives each prompt its own worktree when no directories are given', () => {
+    const tasks = planTasks({ prompts: ['x', 'y'], repo: '/src/app', runId: RUN_ID, worktreesDir: '/wt' });
+    assert.deepEqual(tasks.map(t => t.cwd), ['/wt/app-12345678-1', '/wt/app-12345678-2']);
+    assert.deepEqual(tasks[1].worktree, { repo: '/src/app', branch: 'claude-nonstop/12345678-2' });
+    assert.throws(() => planTasks({ prompts: ['x'], repo: null, runId: RUN_ID }), /Not in a git repository/);
+  });
+});
+
+describe('assignAccounts', () => {
+  it('spreads tasks over accounts instead of piling onto the emptiest', () => {
+    const picks = assignAccounts([account('a', 10), account('b', 20), account('c', 90)], 4);
+    assert.deepEqual(picks.map(p => p.account.name), ['a', 'b', 'a', 'b']);
+  });
+
+  it('counts leases held by other runners', () => {
+    const picks = assignAccounts([{ ...account('a', 10), leaseCount: 2 }, account('b', 25)], 2);
+    assert.deepEqual(picks.map(p => p.account.name), ['b', 'b']);
+  });
+
+  it('never assigns a task to an exhausted account while another has room', () => {
+    const picks = assignAccounts([account('a', 99), account('b', 70)], 3);
+    assert.deepEqual(picks.map(p => p.account.name), ['b', 'b', 'b']);
+  });
+
+  it('keeps each task to the accounts its project allows', () => {
+    const picks = assignAccounts([account('a', 10), account('b', 50), account('c', 60)], 3, { allowed: [['b', 'c'], null, ['c']] });
+    assert.deepEqual(picks.map(p => p.account.name), ['b', 'a', 'c']);
+    assert.deepEqual(assignAccounts([account('a', 10)], 1, { allowed: [['gone']] }), [null]);
+  });
+
+  it('returns null when no account is usable', () => {
+    assert.deepEqual(assignAccounts([{ ...account('a', 10), token: null }], 2), [null, null]);
+  });
+
+  it('does not change the accounts it was given', () => {
+    const accounts = [account('a', 10)];
+    assignAccounts(accounts, 3);
+    assert.equal(accounts[0].leaseCount, undefined);
+  });
+});
+
+describe('buildTaskCommand', () => {
+  it('runs claude-nonstop in print mode on the assigned account and records the exit code', () => {
+    const command = buildTaskCommand({ index: 1, prompt: '-fix it', account: 'work' }, ['--model', 'sonnet'], '/x/1.exit');
+    assert.deepEqual(command.slice(0, 2), ['sh', '-c']);
+    assert.deepEqual(command.slice(3, 6), ['sh', '/x/1.exit', process.execPath]);
+    assert.deepEqual(command.slice(7), ['--account', 'work', '-p', '--model', 'sonnet', '--', '-fix it']);
+  });
+
+  it('records the exit code of the wrapped command', () => {
+    const dir = createTempDir();
+    try {
+      const exitFile = exitFilePath('r', 1, dir);
+      const [sh, flag, script] = buildTaskCommand({ index: 1, prompt: 'p', account: null }, [], exitFile);
+      mkdirSync(join(dir, 'r'));
+      assert.equal(readTaskStatus({ runId: 'r', tasks: [{ index: 1 }] }, dir)[0].exitCode, null);
+      spawnSync(sh, [flag, script, 'sh', exitFile, 'sh', '-c', 'exit 3'], { input: '\n' });
+      assert.equal(readTaskStatus({ runId: 'r', tasks: [{ index: 1 }] }, dir)[0].exitCode, 3);
+    } finally {
+      removeTempDir(dir);
+    }
+  });
+});
+
+describe('launchTasks', () => {
+  let dir;
+
+  beforeEach(() => { dir = createTempDir(); });
+  afterEach(() => removeTempDir(dir));
+
+  const tasks = [
+    { index: 1, prompt: 'x', cwd: '/a', account: 'a' },
+    { index: 2, prompt: 'y', cwd: '/b', account: 'b' },
+  ];
+
+  it('creates a session for the first task and windows for the rest', () => {
+    const calls = [];
+    const session = launchTasks({ runId: RUN_ID, tasks, claudeArgs: [], tmuxSession: null }, {
+      exec: (cmd, args) => calls.push(args), sessionExists: () => false, dir,
+    });
+    assert.equal(session, 'claude-nonstop-parallel-12345678');
+    assert.deepEqual(calls[0].slice(0, 8), ['new-session', '-d', '-s', session, '-n', 'task-1', '-c', '/a']);
+    assert.deepEqual(calls[1].slice(0, 8), ['new-window', '-d', '-t', `${session}:`, '-n', 'task-2', '-c', '/b']);
+  });
+
+  it('opens windows in an existing session', () => {
+    const calls = [];
+    launchTasks({ runId: RUN_ID, tasks, claudeArgs: [], tmuxSession: 'mine' }, {
+      exec: (cmd, args) => calls.push(args), sessionExists: () => true, dir,
+    });
+    assert.deepEqual(calls.map(c => c[0]), ['new-window', 'new-window']);
+    assert.equal(calls[0][3], 'mine:');
+  });
+});
+
+describe('run state', () => {
+  let dir;
+
+  beforeEach(() => { dir = createTempDir(); });
+  afterEach(() => removeTempDir(dir));
+
+  it('saves runs and loads them by prefix or the latest', () => {
+    saveRun({ runId: 'aaaa1111', createdAt: '2026-01-01T00:00:00Z', tasks: [] }, dir);
+    saveRun({ runId: 'bbbb2222', createdAt: '2026-01-02T00:00:00Z', tasks: [] }, dir);
+    assert.equal(loadRun('aaaa', dir).runId, 'aaaa1111');
+    assert.equal(loadRun(null, dir).runId, 'bbbb2222');
+    assert.equal(loadRun('cccc', dir), null);
+    assert.equal(loadRun(null, join(dir, 'missing')), null);
+  });
+
+  it('reads exit codes of finished tasks', () => {
+    const run = { runId: 'r1', tasks: [{ index: 1 }, { index: 2 }, { index: 3 }] };
+    mkdirSync(join(dir, 'r1'));
+    writeFileSync(exitFilePath('r1', 1, dir), '0\n');
+    writeFileSync(exitFilePath('r1', 2, dir), 'garbage');
+    assert.deepEqual(readTaskStatus(run, dir).map(t => t.exitCode), [0, 1, null]);
+  });
+});
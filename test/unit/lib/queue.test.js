@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  loadQueue,
+  addJob,
+  cancelJob,
+  clearFinishedJobs,
+  claimNextJob,
+  finishJob,
+  jobOutputPath,
+  waitForAccount,
+  drainQueue,
+  INTERRUPTED_EXIT_CODE,
+} from '../../../lib/queue.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function account(name, sessionPercent, extra = {}) {
+  return {
+    name,
+    configDir: `/tmp/${name}`,
+    token: 'tok',
+    usage: { sessionPercent, weeklyPercent: 0, sessionResetsAt: new Date(Date.now() + HOUR).toISOString() },
+    ...extra,
+  };
+}
+
+describe('queue file', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'data', 'queue.json');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('is empty when the file is missing or corrupt', () => {
+    assert.deepEqual(loadQueue(file), []);
+    addJob({ prompt: 'hi', cwd: dir }, file);
+    writeFileSync(file, '[]');
+    assert.deepEqual(loadQueue(file), []);
+  });
+
+  it('adds queued jobs with defaults', () => {
+    const job = addJob({ prompt: 'update deps', cwd: dir }, file);
+    assert.equal(job.status, 'queued');
+    assert.equal(job.account, null);
+    assert.deepEqual(job.args, []);
+    assert.deepEqual(loadQueue(file).map(j => j.id), [job.id]);
+    assert.equal(JSON.parse(readFileSync(file, 'utf8'))[job.id].prompt, 'update deps');
+  });
+
+  it('claims the oldest queued job and marks it running', () => {
+    const first = addJob({ prompt: 'one', cwd: dir }, file);
+    addJob({ prompt: 'two', cwd: dir }, file);
+    const claimed = claimNextJob(file);
+    assert.equal(claimed.id, first.id);
+    assert.equal(claimed.status, 'running');
+    assert.equal(claimed.pid, process.pid);
+    assert.equal(claimNextJob(file).prompt, 'two');
+    assert.equal(claimNextJob(file), null);
+  });
+
+  it('queues a job again when its runner died', () => {
+    const job = addJob({ prompt: 'one', cwd: dir }, file);
+    claimNextJob(file, spawnSync(process.execPath, ['-e', '']).pid);
+    assert.equal(claimNextJob(file).id, job.id);
+  });
+
+  it('records the exit code, or queues an interrupted job again', () => {
+    const a = addJob({ prompt: 'a', cwd: dir }, file);
+    const b = addJob({ prompt: 'b', cwd: dir }, file);
+    const c = addJob({ prompt: 'c', cwd: dir }, file);
+    for (let i = 0; i < 3; i++) claimNextJob(file);
+    finishJob(a.id, 0, file);
+    finishJob(b.id, 2, file);
+    finishJob(c.id, INTERRUPTED_EXIT_CODE, file);
+    const byId = Object.fromEntries(loadQueue(file).map(j => [j.id, j]));
+    assert.equal(byId[a.id].status, 'done');
+    assert.equal(byId[b.id].status, 'failed');
+    assert.equal(byId[b.id].exitCode, 2);
+    assert.equal(byId[c.id].status, 'queued');
+    assert.equal(byId[c.id].pid, undefined);
+  });
+
+  it('cancels only queued jobs', () => {
+    const a = addJob({ prompt: 'a', cwd: dir }, file);
+    const b = addJob({ prompt: 'b', cwd: dir }, file);
+    claimNextJob(file);
+    assert.match(cancelJob(a.id.slice(0, 8), file).error, /is running/);
+    assert.equal(cancelJob(b.id, file).job.id, b.id);
+    assert.match(cancelJob('zzz', file).error, /No single job/);
+    assert.deepEqual(loadQueue(file).map(j => j.id), [a.id]);
+  });
+
+  it('clears finished jobs', () => {
+    const a = addJob({ prompt: 'a', cwd: dir }, file);
+    addJob({ prompt: 'b', cwd: dir }, file);
+    claimNextJob(file);
+    finishJob(a.id, 0, file);
+    assert.deepEqual(clearFinishedJobs(file).map(j => j.id), [a.id]);
+    assert.deepEqual(loadQueue(file).map(j => j.prompt), ['b']);
+  });
+
+  it('keeps job output under the queue directory', () => {
+    assert.ok(jobOutputPath('abc').endsWith(join('queue', 'abc.out')));
+  });
+});
+
+describe('waitForAccount', () => {
+  const job = { id: 'job-1234', account: null };
+
+  it('returns the best account with room', async () => {
+    const accounts = [account('a', 80), account('b', 20)];
+    const best = await waitForAccount(job, accounts, { check: async () => accounts, wait: () => assert.fail('should not wait') });
+    assert.equal(best.account.name, 'b');
+  });
+
+  it('waits for the earliest reset while every account is exhausted', async () => {
+    const exhausted = [account('a', 100), account('b', 99)];
+    const recovered = [account('a', 0), account('b', 99)];
+    const waits = [];
+    let checks = 0;
+    const best = await waitForAccount(job, exhausted, {
+      check: async () => (checks++ === 0 ? exhausted : recovered),
+      wait: async (ms) => { waits.push(ms); return { interrupted: false }; },
+    });
+    assert.equal(best.account.name, 'a');
+    assert.equal(waits.length, 1);
+    assert.ok(waits[0] > HOUR - 60_000 && waits[0] <= HOUR);
+  });
+
+  it('returns null when the wait is interrupted', async () => {
+    const accounts = [account('a', 100)];
+    const result = await waitForAccount(job, accounts, { check: async () => accounts, wait: async () => ({ interrupted: true }) });
+    assert.equal(result, null);
+  });
+
+  it('uses only the requested account', async () => {
+    const accounts = [account('a', 10), account('b', 50)];
+    const result = await waitForAccount({ ...job, account: 'b' }, accounts, { check: async () => accounts });
+    assert.deepEqual([result.account.name, result.reason], ['b', 'requested']);
+    assert.match((await waitForAccount({ ...job, account: 'gone' }, accounts, { check: async () => accounts })).error, /not registered/);
+  });
+});
+
+describe('drainQueue', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'queue.json');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('runs every job in order and records the results', async () => {
+    addJob({ prompt: 'one', cwd: dir }, file);
+    addJob({ prompt: 'two', cwd: dir }, file);
+    addJob({ prompt: 'three', cwd: dir }, file);
+    const ran = [];
+    const summary = await drainQueue(async (job) => {
+      ran.push(job.prompt);
+      if (job.prompt === 'two') throw new Error('boom');
+      return 0;
+    }, { file });
+    assert.deepEqual(ran, ['one', 'two', 'three']);
+    assert.deepEqual(summary, { done: 2, failed: 1, interrupted: false });
+    assert.deepEqual(loadQueue(file).map(j => j.status), ['done', 'failed', 'done']);
+  });
+
+  it('stops and requeues the job when interrupted', async () => {
+    addJob({ prompt: 'one', cwd: dir }, file);
+    addJob({ prompt: 'two', cwd: dir }, file);
+    const summary = await drainQueue(async () => INTERRUPTED_EXIT_CODE, { file });
+    assert.equal(summary.interrupted, true);
+    assert.deepEqual(loadQueue(file).map(j => j.status), ['queued', 'queued']);
+  });
+});
@@ -291,6 +291,32 @@ describe('findEarliestReset', () => {
     assert.ok(result > 0);
     assert.ok(result <= 3_600_000);
   });
+
+  it('uses cooldownUntil instead of stale usage reset times', () => {
+    const now = Date.now();
+    const accounts = [
+      {
+        ...makeAccount('cooling', new Date(now + 600_000).toISOString(), null),
+        cooldownUntil: new Date(now + 3_600_000).toISOString(),
+      },
+      makeAccount('other', new Date(now + 7_200_000).toISOString(), null),
+    ];
+
+    const result = findEarliestReset(accounts);
+    assert.ok(result > 3_590_000);
+    assert.ok(result <= 3_600_000);
+  });
+
+  it('counts a cooldown even when usage is erroring', () => {
+    const now = Date.now();
+    const accounts = [
+      { name: 'erroring', usage: { error: 'HTTP 500' }, cooldownUntil: new Date(now + 1_800_000).toISOString() },
+    ];
+
+    const result = findEarliestReset(accounts);
+    assert.ok(result > 1_790_000);
+    assert.ok(result <= 1_800_000);
+  });
 });
 
 describe('formatDuration', () => {
@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import { createRecorder, listRecordings, pruneRecordings, RECORDINGS_DIR } from '../../../lib/recorder.js';
+import { CONFIG_DIR } from '../../../lib/config.js';
+
+const RUNNER_ID = '0123abcd-1111-4222-8333-444455556666';
+
+function readCast(path) {
+  const lines = readFileSync(path, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  return { header: lines[0], events: lines.slice(1) };
+}
+
+describe('createRecorder', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('defaults to CONFIG_DIR/recordings', () => {
+    assert.equal(RECORDINGS_DIR, join(CONFIG_DIR, 'recordings'));
+  });
+
+  it('names the file by start time, runner and account', () => {
+    const now = Date.UTC(2025, 5, 15, 12, 0, 0, 123);
+    const rec = createRecorder({ account: 'work', runnerId: RUNNER_ID, cols: 80, rows: 24, dir: tempDir, now });
+    rec.close();
+    assert.equal(rec.path, join(tempDir, '2025-06-15T12-00-00-123Z_0123abcd_work.cast'));
+  });
+
+  it('writes an asciicast v2 header', () => {
+    const now = Date.now();
+    const rec = createRecorder({ account: 'work', runnerId: RUNNER_ID, cols: 120, rows: 40, dir: tempDir, now });
+    rec.close();
+
+    const { header, events } = readCast(rec.path);
+    assert.equal(header.version, 2);
+    assert.equal(header.width, 120);
+    assert.equal(header.height, 40);
+    assert.equal(header.timestamp, Math.floor(now / 1000));
+    assert.deepEqual(events, []);
+  });
+
+  it('records output, resize and marker events in order', () => {
+    const rec = createRecorder({ account: 'work', runnerId: RUNNER_ID, cols: 80, rows: 24, dir: tempDir });
+    rec.marker('swap 1/5: "default" -> "work"');
+    rec.output('\x1b[1mhello\x1b[0m\r\n');
+    rec.resize(100, 30);
+    rec.close();
+
+    const { events } = readCast(rec.path);
+    assert.deepEqual(events.map(e => e[1]), ['m', 'o', 'r']);
+    assert.equal(events[0][2], 'swap 1/5: "default" -> "work"');
+    assert.equal(events[1][2], '\x1b[1mhello\x1b[0m\r\n');
+    assert.equal(events[2][2], '100x30');
+    for (const [time] of events) {
+      assert.equal(typeof time, 'number');
+      assert.ok(time >= 0);
+    }
+  });
+
+  it('ignores writes after close', () => {
+    const rec = createRecorder({ account: 'work', runnerId: RUNNER_ID, cols: 80, rows: 24, dir: tempDir });
+    rec.close();
+    rec.output('late');
+    rec.close();
+    assert.deepEqual(readCast(rec.path).events, []);
+  });
+
+  it('writes the file with 0600 permissions', () => {
+    const rec = createRecorder({ account: 'work', runnerId: RUNNER_ID, cols: 80, rows: 24, dir: tempDir });
+    rec.close();
+    assert.equal(statSync(rec.path).mode & 0o777, 0o600);
+  });
+
+  it('creates the recordings directory', () => {
+    const dir = join(tempDir, 'nested', 'recordings');
+    const rec = createRecorder({ account: 'work', runnerId: RUNNER_ID, cols: 80, rows: 24, dir });
+    rec.close();
+    assert.ok(existsSync(rec.path));
+  });
+});
+
+describe('listRecordings / pruneRecordings', () => {
+  let tempDir;
+  const DAY = 86_400_000;
+  const NOW = Date.UTC(2025, 5, 15, 12, 0);
+
+  function record(account, startedAt) {
+    const rec = createRecorder({ account, runnerId: RUNNER_ID, cols: 80, rows: 24, dir: tempDir, now: startedAt });
+    rec.output('x');
+    rec.close();
+    return rec.path;
+  }
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('returns an empty list when the directory is missing', () => {
+    assert.deepEqual(listRecordings(join(tempDir, 'missing')), []);
+  });
+
+  it('lists recordings newest first with parsed metadata', () => {
+    record('old', NOW - 2 * DAY);
+    record('new', NOW);
+    writeFileSync(join(tempDir, 'notes.txt'), 'not a recording');
+
+    const list = listRecordings(tempDir);
+    assert.deepEqual(list.map(r => r.account), ['new', 'old']);
+    assert.equal(list[0].runnerId, '0123abcd');
+    assert.equal(list[0].startedAt.getTime(), NOW);
+    assert.ok(list[0].size > 0);
+  });
+
+  it('prunes recordings older than a duration', () => {
+    const oldPath = record('old', NOW - 10 * DAY);
+    const newPath = record('new', NOW - DAY);
+
+    const removed = pruneRecordings({ olderThanMs: 7 * DAY }, tempDir, NOW);
+    assert.deepEqual(removed.map(r => r.account), ['old']);
+    assert.ok(!existsSync(oldPath));
+    assert.ok(existsSync(newPath));
+  });
+
+  it('keeps only the newest N recordings', () => {
+    record('a', NOW - 3 * DAY);
+    record('b', NOW - 2 * DAY);
+    record('c', NOW - DAY);
+
+    pruneRecordings({ keep: 1 }, tempDir, NOW);
+    assert.deepEqual(listRecordings(tempDir).map(r => r.account), ['c']);
+  });
+
+  it('removes nothing without criteria', () => {
+    record('a', NOW - 30 * DAY);
+    assert.deepEqual(pruneRecordings({}, tempDir, NOW), []);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  createRunnerId,
+  getRunnerChannelPath,
+  readRunnerChannel,
+  removeRunnerChannel,
+  RUNNERS_DIR,
+  RUNNER_ID_ENV,
+} from '../../../lib/runner-channel.js';
+
+describe('createRunnerId', () => {
+  it('returns a UUID', () => {
+    assert.match(createRunnerId(), /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  });
+
+  it('returns a different ID each call', () => {
+    assert.notEqual(createRunnerId(), createRunnerId());
+  });
+});
+
+describe('getRunnerChannelPath', () => {
+  it('places the channel file in RUNNERS_DIR by default', () => {
+    const id = createRunnerId();
+    assert.equal(getRunnerChannelPath(id), join(RUNNERS_DIR, `${id}.json`));
+  });
+
+  it('rejects path traversal', () => {
+    assert.throws(() => getRunnerChannelPath('../../etc/passwd'), /Invalid runner ID/);
+  });
+
+  it('rejects non-string IDs', () => {
+    assert.throws(() => getRunnerChannelPath(undefined), /Invalid runner ID/);
+  });
+});
+
+describe('readRunnerChannel / removeRunnerChannel', () => {
+  let tempDir;
+  let runnerId;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    runnerId = createRunnerId();
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('returns an empty object when nothing was reported', () => {
+    assert.deepEqual(readRunnerChannel(runnerId, tempDir), {});
+  });
+
+  it('reads reported fields', () => {
+    writeFileSync(join(tempDir, `${runnerId}.json`), JSON.stringify({ lastStopAt: 123, stopSessionId: 'abc' }));
+    assert.deepEqual(readRunnerChannel(runnerId, tempDir), { lastStopAt: 123, stopSessionId: 'abc' });
+  });
+
+  it('returns an empty object for corrupted JSON', () => {
+    writeFileSync(join(tempDir, `${runnerId}.json`), '{not json');
+    assert.deepEqual(readRunnerChannel(runnerId, tempDir), {});
+  });
+
+  it('returns an empty object for an invalid runner ID', () => {
+    assert.deepEqual(readRunnerChannel('nope', tempDir), {});
+  });
+
+  it('removes the channel file', () => {
+    const channelPath = join(tempDir, `${runnerId}.json`);
+    writeFileSync(channelPath, '{}');
+    removeRunnerChannel(runnerId, tempDir);
+    assert.equal(existsSync(channelPath), false);
+  });
+
+  it('remove is a no-op when the file does not exist', () => {
+    assert.doesNotThrow(() => removeRunnerChannel(runnerId, tempDir));
+  });
+});
+
+describe('RUNNER_ID_ENV', () => {
+  it('matches the variable read by hook-notify.cjs', () => {
+    assert.equal(RUNNER_ID_ENV, 'CLAUDE_NONSTOP_RUNNER_ID');
+  });
+});
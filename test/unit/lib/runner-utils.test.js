@@ -2,7 +2,7 @@ import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 import fs from 'node:fs';
 import path from 'node:path';
-import { stripAnsi, extractResumeSessionId, buildResumeArgs, deactivateStaleChannels } from '../../../lib/runner.js';
+import { stripAnsi, hasStopHook, extractResumeSessionId, reportedSessionId, buildResumeArgs, getModelArg, setModelArg, pickFallbackModel, deactivateStaleChannels, sleep } from '../../../lib/runner.js';
 import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
 
 describe('stripAnsi', () => {
@@ -36,6 +36,36 @@ describe('stripAnsi', () => {
   });
 });
 
+describe('sleep', () => {
+  it('resolves after the given time', async () => {
+    assert.deepEqual(await sleep(5), { interrupted: false });
+  });
+
+  it('wakes early when the signal is aborted', async () => {
+    const waker = new AbortController();
+    const sleeping = sleep(60_000, { signal: waker.signal });
+    waker.abort();
+    assert.deepEqual(await sleeping, { interrupted: false, woken: true });
+    assert.deepEqual(await sleep(60_000, { signal: waker.signal }), { interrupted: false, woken: true });
+  });
+});
+
+describe('hasStopHook', () => {
+  let dir;
+
+  beforeEach(() => { dir = createTempDir(); });
+  afterEach(() => removeTempDir(dir));
+
+  it('looks for our hook among the Stop hooks', () => {
+    const write = hooks => fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify({ hooks }));
+    assert.equal(hasStopHook(dir), false);
+    write({ SessionStart: [{ hooks: [{ command: 'node hook-notify.cjs session-start' }] }] });
+    assert.equal(hasStopHook(dir), false);
+    write({ Stop: [{ hooks: [{ command: 'say done' }] }, { hooks: [{ command: 'node "/x/remote/hook-notify.cjs" completed' }] }] });
+    assert.equal(hasStopHook(dir), true);
+  });
+});
+
 describe('extractResumeSessionId', () => {
   it('extracts --resume value', () => {
     assert.equal(extractResumeSessionId(['--resume', 'abc-123']), 'abc-123');
@@ -62,6 +92,14 @@ describe('extractResumeSessionId', () => {
   });
 });
 
+describe('reportedSessionId', () => {
+  it('prefers the SessionStart session over the last Stop', () => {
+    assert.equal(reportedSessionId({ sessionId: 'after-clear', stopSessionId: 'before-clear' }), 'after-clear');
+    assert.equal(reportedSessionId({ lastStopAt: 1, stopSessionId: 'sess-1' }), 'sess-1');
+    assert.equal(reportedSessionId({}), null);
+  });
+});
+
 describe('buildResumeArgs', () => {
   it('prepends --resume when absent', () => {
     const result = buildResumeArgs(['--verbose'], 'abc-123');
@@ -93,6 +131,101 @@ describe('buildResumeArgs', () => {
     const result = buildResumeArgs(['--resume', 'id1', '-r', 'id2', '--verbose'], 'new-id');
     assert.deepEqual(result, ['--resume', 'new-id', '--verbose']);
   });
+
+  it('strips the prompt and appends the continue message', () => {
+    const result = buildResumeArgs(['--model', 'opus', 'fix the bug'], 'abc', 'Continue.');
+    assert.deepEqual(result, ['--resume', 'abc', '--model', 'opus', 'Continue.']);
+  });
+
+  it('strips the prompt without a continue message when stripPrompt is set', () => {
+    const result = buildResumeArgs(['--model', 'opus', 'fix the bug'], 'abc', null, { stripPrompt: true });
+    assert.deepEqual(result, ['--resume', 'abc', '--model', 'opus']);
+  });
+
+  it('keeps print-mode flag values when stripping the prompt', () => {
+    const result = buildResumeArgs(['-p', '--output-format', 'json', '--max-turns', '3', 'fix the bug'], 'abc', 'Continue.');
+    assert.deepEqual(result, ['--resume', 'abc', '-p', '--output-format', 'json', '--max-turns', '3', 'Continue.']);
+  });
+
+  it('keeps the values of every Claude flag when stripping the prompt', () => {
+    const original = [
+      '--mcp-config', 'a.json', 'b.json', '--settings', 's.json', '--permission-mode', 'plan',
+      'fix the bug', '--fallback-model', 'sonnet', '--add-dir', '../lib',
+    ];
+    const result = buildResumeArgs(original, 'abc', 'Continue.');
+    assert.deepEqual(result, [
+      '--resume', 'abc', '--mcp-config', 'a.json', 'b.json', '--settings', 's.json', '--permission-mode', 'plan',
+      '--fallback-model', 'sonnet', '--add-dir', '../lib', '--', 'Continue.',
+    ]);
+  });
+
+  it('drops flags that conflict with resuming a session', () => {
+    const result = buildResumeArgs(['--session-id', 'x', '--fork-session', '-c', '--verbose'], 'abc');
+    assert.deepEqual(result, ['--resume', 'abc', '--verbose']);
+  });
+
+  it('strips a prompt given after --', () => {
+    const result = buildResumeArgs(['-p', '--', '--not-a-flag'], 'abc', 'Continue.');
+    assert.deepEqual(result, ['--resume', 'abc', '-p', 'Continue.']);
+  });
+});
+
+describe('getModelArg', () => {
+  it('reads --model, -m and --model=', () => {
+    assert.equal(getModelArg(['--model', 'opus', 'hi']), 'opus');
+    assert.equal(getModelArg(['-m', 'sonnet']), 'sonnet');
+    assert.equal(getModelArg(['--model=haiku']), 'haiku');
+  });
+
+  it('returns null without a model flag', () => {
+    assert.equal(getModelArg(['--verbose']), null);
+    assert.equal(getModelArg(['--model']), null);
+  });
+});
+
+describe('setModelArg', () => {
+  it('replaces an existing model flag', () => {
+    assert.deepEqual(setModelArg(['--resume', 'abc', '--model', 'opus', 'Continue.'], 'sonnet'),
+      ['--model', 'sonnet', '--resume', 'abc', 'Continue.']);
+    assert.deepEqual(setModelArg(['--model=opus', '-p'], 'sonnet'), ['--model', 'sonnet', '-p']);
+  });
+
+  it('adds the flag when absent without modifying the input', () => {
+    const original = ['-p', 'fix it'];
+    assert.deepEqual(setModelArg(original, 'haiku'), ['--model', 'haiku', '-p', 'fix it']);
+    assert.deepEqual(original, ['-p', 'fix it']);
+  });
+});
+
+describe('pickFallbackModel', () => {
+  const account = (name, opus, sessionPercent = 10) => ({
+    name,
+    token: 'sk-ant-oat01-valid',
+    usage: { sessionPercent, weeklyPercent: 50, modelWeeklyPercent: { opus } },
+  });
+
+  it('returns the next model in the chain some account has room for', () => {
+    const result = pickFallbackModel([account('a', 99), account('b', 98)], 'opus', ['opus', 'sonnet', 'haiku']);
+    assert.equal(result.model, 'sonnet');
+    assert.equal(result.best.account.name, 'a');
+  });
+
+  it('skips models of the current family', () => {
+    const result = pickFallbackModel([account('a', 99)], 'claude-opus-4-1', ['opus', 'sonnet']);
+    assert.equal(result.model, 'sonnet');
+  });
+
+  it('starts from the top of the chain when no model is set', () => {
+    assert.equal(pickFallbackModel([account('a', 99)], null, ['sonnet']).model, 'sonnet');
+  });
+
+  it('returns null when the shared limits are exhausted too', () => {
+    assert.equal(pickFallbackModel([account('a', 99, 99)], 'opus', ['sonnet']), null);
+  });
+
+  it('returns null at the end of the chain', () => {
+    assert.equal(pickFallbackModel([account('a', 99)], 'haiku', ['opus', 'sonnet', 'haiku']), null);
+  });
 });
 
 describe('deactivateStaleChannels', () => {
@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  loadSchedule,
+  scheduleResume,
+  cancelScheduled,
+  takeDueResumes,
+  buildResumeCommand,
+  launchResume,
+  fireDueResumes,
+  isSchedulerRunning,
+  runScheduler,
+  MAX_LAUNCH_ATTEMPTS,
+  LAUNCH_RETRY_MS,
+} from '../../../lib/scheduler.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+function entryFields(overrides = {}) {
+  return {
+    sessionId: 'aaaaaaaa-1111-2222-3333-444444444444',
+    cwd: process.cwd(),
+    tmuxSession: 'claude-nonstop-work',
+    account: 'main',
+    args: ['--resume', 'aaaaaaaa-1111-2222-3333-444444444444', 'Continue.'],
+    remoteAccess: true,
+    resumeAt: new Date(NOW + 60_000).toISOString(),
+    ...overrides,
+  };
+}
+
+describe('schedule file', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'data', 'scheduled.json');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('is empty when the file is missing or corrupt', () => {
+    assert.deepEqual(loadSchedule(file), []);
+    scheduleResume(entryFields(), file);
+    writeFileSync(file, 'not json');
+    assert.deepEqual(loadSchedule(file), []);
+  });
+
+  it('saves entries with an id, soonest first', () => {
+    const later = scheduleResume(entryFields({ sessionId: 's-later', resumeAt: new Date(NOW + 120_000).toISOString() }), file);
+    const sooner = scheduleResume(entryFields({ sessionId: 's-sooner' }), file);
+    assert.ok(later.id && sooner.id);
+    assert.deepEqual(loadSchedule(file).map(e => e.id), [sooner.id, later.id]);
+  });
+
+  it('keeps one entry per session', () => {
+    scheduleResume(entryFields(), file);
+    const replaced = scheduleResume(entryFields({ resumeAt: new Date(NOW + 300_000).toISOString() }), file);
+    const entries = loadSchedule(file);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].id, replaced.id);
+  });
+
+  it('cancels by id prefix or session ID', () => {
+    const a = scheduleResume(entryFields({ sessionId: 's-a' }), file);
+    scheduleResume(entryFields({ sessionId: 's-b' }), file);
+    assert.equal(cancelScheduled(a.id.slice(0, 8), file).sessionId, 's-a');
+    assert.equal(cancelScheduled('s-b', file).sessionId, 's-b');
+    assert.equal(cancelScheduled('s-b', file), null);
+    assert.deepEqual(loadSchedule(file), []);
+  });
+
+  it('takes only due entries, once', () => {
+    scheduleResume(entryFields({ sessionId: 's-due', resumeAt: new Date(NOW - 1).toISOString() }), file);
+    scheduleResume(entryFields({ sessionId: 's-later' }), file);
+    assert.deepEqual(takeDueResumes(NOW, file).map(e => e.sessionId), ['s-due']);
+    assert.deepEqual(takeDueResumes(NOW, file), []);
+    assert.deepEqual(loadSchedule(file).map(e => e.sessionId), ['s-later']);
+  });
+});
+
+describe('buildResumeCommand', () => {
+  it('resumes the session with its saved args after --', () => {
+    const command = buildResumeCommand(entryFields());
+    assert.equal(command[0], process.execPath);
+    assert.ok(command[1].endsWith(join('bin', 'claude-nonstop.js')));
+    assert.deepEqual(command.slice(2), [
+      'resume', 'aaaaaaaa-1111-2222-3333-444444444444', '--remote-access',
+      '--', '--resume', 'aaaaaaaa-1111-2222-3333-444444444444', 'Continue.',
+    ]);
+  });
+
+  it('keeps the session on its account group', () => {
+    const command = buildResumeCommand(entryFields({ group: 'work' }));
+    assert.deepEqual(command.slice(4, 8), ['--remote-access', '--group', 'work', '--']);
+  });
+
+  it('leaves out --remote-access for local sessions', () => {
+    assert.ok(!buildResumeCommand(entryFields({ remoteAccess: false })).includes('--remote-access'));
+  });
+});
+
+describe('launchResume', () => {
+  it('opens a window in the original tmux session', () => {
+    const calls = [];
+    const name = launchResume(entryFields(), { exec: (...args) => calls.push(args), sessionExists: () => true });
+    assert.equal(name, 'claude-nonstop-work');
+    assert.equal(calls[0][0], 'tmux');
+    assert.deepEqual(calls[0][1].slice(0, 5), ['new-window', '-t', 'claude-nonstop-work:', '-c', process.cwd()]);
+  });
+
+  it('recreates a tmux session that is gone', () => {
+    const calls = [];
+    launchResume(entryFields({ tmuxSession: null }), { exec: (...args) => calls.push(args), sessionExists: () => false });
+    assert.deepEqual(calls[0][1].slice(0, 6), ['new-session', '-d', '-s', 'claude-nonstop-aaaaaaaa', '-c', process.cwd()]);
+  });
+
+  it('refuses a directory that no longer exists', () => {
+    assert.throws(
+      () => launchResume(entryFields({ cwd: '/nonexistent/claude-nonstop' }), { exec: () => {}, sessionExists: () => true }),
+      /no longer exists/,
+    );
+  });
+});
+
+describe('fireDueResumes', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'scheduled.json');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('launches due entries and removes them', () => {
+    scheduleResume(entryFields({ resumeAt: new Date(NOW).toISOString() }), file);
+    const launched = [];
+    const results = fireDueResumes({ file, now: NOW, launch: (entry) => { launched.push(entry.sessionId); return 'tmux-name'; } });
+    assert.deepEqual(launched, ['aaaaaaaa-1111-2222-3333-444444444444']);
+    assert.equal(results[0].tmuxSession, 'tmux-name');
+    assert.deepEqual(loadSchedule(file), []);
+  });
+
+  it('retries a failed launch later, then gives up', () => {
+    scheduleResume(entryFields({ resumeAt: new Date(NOW).toISOString() }), file);
+    const fail = () => { throw new Error('tmux: no server'); };
+
+    let now = NOW;
+    for (let attempt = 1; attempt < MAX_LAUNCH_ATTEMPTS; attempt++) {
+      const [result] = fireDueResumes({ file, now, launch: fail });
+      assert.equal(result.error, 'tmux: no server');
+      const [retry] = loadSchedule(file);
+      assert.equal(retry.attempts, attempt);
+      assert.equal(Date.parse(retry.resumeAt), now + LAUNCH_RETRY_MS);
+      now += LAUNCH_RETRY_MS;
+    }
+
+    fireDueResumes({ file, now, launch: fail });
+    assert.deepEqual(loadSchedule(file), []);
+  });
+});
+
+describe('runScheduler', () => {
+  let dir;
+  let file;
+  let pidFile;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'scheduled.json');
+    pidFile = join(dir, 'scheduler.pid');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('fires resumes until none are pending, then releases the PID file', async () => {
+    scheduleResume(entryFields({ resumeAt: new Date(Date.now() + 20).toISOString() }), file);
+    const launched = [];
+    const started = await runScheduler({ file, pidFile, pollMs: 10, launch: (entry) => { launched.push(entry.sessionId); return 'x'; } });
+    assert.equal(started, true);
+    assert.equal(launched.length, 1);
+    assert.equal(existsSync(pidFile), false);
+  });
+
+  it('does not start while another scheduler is running', async () => {
+    writeFileSync(pidFile, String(process.pid));
+    assert.equal(isSchedulerRunning(pidFile), true);
+    assert.equal(await runScheduler({ file, pidFile, pollMs: 10 }), false);
+    assert.equal(readFileSync(pidFile, 'utf8'), String(process.pid));
+  });
+
+  it('takes over a stale PID file', async () => {
+    writeFileSync(pidFile, String(spawnSync(process.execPath, ['-e', '']).pid));
+    assert.equal(isSchedulerRunning(pidFile), false);
+    assert.equal(await runScheduler({ file, pidFile, pollMs: 10 }), true);
+  });
+});
@@ -1,15 +1,18 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { pickBestAccount, pickByPriority, PRIORITY_THRESHOLD } from '../../../lib/scorer.js';
+import { pickBestAccount, pickByPriority, isCoolingDown, leaseAdjustedUtilization, modelFamily, effectiveUtilization, expiringCapacityScore, PRIORITY_THRESHOLD, LEASE_PENALTY } from '../../../lib/scorer.js';
 
 const makeAccount = (name, sessionPercent, weeklyPercent, opts = {}) => ({
   name,
+  type: opts.type,
   configDir: `/tmp/profiles/${name}`,
   token: 'token' in opts ? opts.token : 'sk-ant-oat01-valid',
   priority: opts.priority ?? undefined,
+  cooldownUntil: opts.cooldownUntil,
+  leaseCount: opts.leaseCount,
   usage: opts.error
     ? { error: opts.error }
-    : { sessionPercent, weeklyPercent },
+    : { sessionPercent, weeklyPercent, modelWeeklyPercent: opts.modelWeekly },
 });
 
 describe('pickBestAccount', () => {
@@ -252,3 +255,234 @@ describe('PRIORITY_THRESHOLD', () => {
     assert.equal(PRIORITY_THRESHOLD, 98);
   });
 });
+
+describe('cooldowns', () => {
+  const inOneHour = () => new Date(Date.now() + 3_600_000).toISOString();
+  const oneHourAgo = () => new Date(Date.now() - 3_600_000).toISOString();
+
+  it('skips accounts in cooldown even when usage looks fine', () => {
+    const accounts = [
+      makeAccount('lagging', 5, 5, { cooldownUntil: inOneHour() }),
+      makeAccount('busy', 60, 40),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'busy');
+  });
+
+  it('skips accounts in cooldown with usePriority', () => {
+    const accounts = [
+      makeAccount('first', 5, 5, { priority: 1, cooldownUntil: inOneHour() }),
+      makeAccount('second', 60, 40, { priority: 2 }),
+    ];
+    assert.equal(pickBestAccount(accounts, undefined, { usePriority: true }).account.name, 'second');
+  });
+
+  it('ignores expired cooldowns', () => {
+    const accounts = [
+      makeAccount('recovered', 5, 5, { cooldownUntil: oneHourAgo() }),
+      makeAccount('busy', 60, 40),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'recovered');
+  });
+
+  it('returns null when every account is cooling down', () => {
+    const accounts = [makeAccount('a', 5, 5, { cooldownUntil: inOneHour() })];
+    assert.equal(pickBestAccount(accounts), null);
+  });
+
+  it('isCoolingDown compares against now', () => {
+    assert.equal(isCoolingDown({}), false);
+    assert.equal(isCoolingDown({ cooldownUntil: inOneHour() }), true);
+    assert.equal(isCoolingDown({ cooldownUntil: oneHourAgo() }), false);
+  });
+});
+
+describe('leases', () => {
+  it('prefers an idle account over a slightly emptier shared one', () => {
+    const accounts = [
+      makeAccount('shared', 10, 10, { leaseCount: 1 }),
+      makeAccount('idle', 20, 20),
+    ];
+    const result = pickBestAccount(accounts);
+    assert.equal(result.account.name, 'idle');
+  });
+
+  it('still picks a shared account when it has far more headroom', () => {
+    const accounts = [
+      makeAccount('shared', 10, 10, { leaseCount: 1 }),
+      makeAccount('idle', 90, 90),
+    ];
+    const result = pickBestAccount(accounts);
+    assert.equal(result.account.name, 'shared');
+    assert.match(result.reason, /shared with 1 other runner\b/);
+  });
+
+  it('spreads runners across equally used accounts', () => {
+    const accounts = [
+      makeAccount('a', 30, 30, { leaseCount: 2 }),
+      makeAccount('b', 30, 30, { leaseCount: 1 }),
+      makeAccount('c', 30, 30, { leaseCount: 1 }),
+    ];
+    assert.notEqual(pickBestAccount(accounts).account.name, 'a');
+  });
+
+  it('keeps priority ahead of leases', () => {
+    const accounts = [
+      makeAccount('first', 10, 10, { priority: 1, leaseCount: 3 }),
+      makeAccount('second', 10, 10, { priority: 2 }),
+    ];
+    assert.equal(pickBestAccount(accounts, undefined, { usePriority: true }).account.name, 'first');
+  });
+
+  it('breaks priority ties by lease-adjusted utilization', () => {
+    const accounts = [
+      makeAccount('busy', 10, 10, { priority: 1, leaseCount: 1 }),
+      makeAccount('free', 20, 20, { priority: 1 }),
+    ];
+    assert.equal(pickBestAccount(accounts, undefined, { usePriority: true }).account.name, 'free');
+  });
+
+  it('never ranks a shared account behind an exhausted one', () => {
+    const accounts = [makeAccount('a', 99, 10), makeAccount('b', 80, 10, { leaseCount: 1 })];
+    assert.equal(pickBestAccount(accounts).account.name, 'b');
+    assert.equal(pickBestAccount(accounts, undefined, { strategy: { name: 'sticky' } }).account.name, 'b');
+  });
+
+  it('leaseAdjustedUtilization adds LEASE_PENALTY per runner', () => {
+    assert.equal(leaseAdjustedUtilization(makeAccount('a', 30, 10)), 30);
+    assert.equal(leaseAdjustedUtilization(makeAccount('a', 30, 10, { leaseCount: 2 })), 30 + 2 * LEASE_PENALTY);
+  });
+});
+
+describe('per-model weekly limits', () => {
+  it('maps model names and aliases to a family', () => {
+    assert.equal(modelFamily('opus'), 'opus');
+    assert.equal(modelFamily('claude-sonnet-4-5-20250929'), 'sonnet');
+    assert.equal(modelFamily('claude-3-5-haiku-latest'), 'haiku');
+    assert.equal(modelFamily('default'), null);
+    assert.equal(modelFamily(null), null);
+  });
+
+  it('counts the model bucket only for that model', () => {
+    const usage = { sessionPercent: 10, weeklyPercent: 40, modelWeeklyPercent: { opus: 99 } };
+    assert.equal(effectiveUtilization(usage), 40);
+    assert.equal(effectiveUtilization(usage, 'opus'), 99);
+    assert.equal(effectiveUtilization(usage, 'sonnet'), 40);
+  });
+
+  it('avoids accounts whose model bucket is used up', () => {
+    const accounts = [
+      makeAccount('opus-heavy', 10, 30, { modelWeekly: { opus: 98 } }),
+      makeAccount('balanced', 30, 50, { modelWeekly: { opus: 40 } }),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'opus-heavy');
+
+    const result = pickBestAccount(accounts, undefined, { model: 'opus' });
+    assert.equal(result.account.name, 'balanced');
+    assert.match(result.reason, /opus weekly: 40%/);
+  });
+});
+
+describe('usage ceilings', () => {
+  it('measures each window against its ceiling', () => {
+    assert.equal(effectiveUtilization({ sessionPercent: 10, weeklyPercent: 35, ceilings: { weekly: 70 } }), 50);
+    assert.equal(effectiveUtilization({ sessionPercent: 72, weeklyPercent: 10, ceilings: { weekly: 70 } }), 72);
+    assert.equal(effectiveUtilization({ sessionPercent: 85, weeklyPercent: 10, ceilings: { session: 80 } }), 100);
+    assert.equal(effectiveUtilization({ sessionPercent: 0, weeklyPercent: 0, modelWeeklyPercent: { opus: 35 }, ceilings: { weekly: 35 } }, 'opus'), 100);
+  });
+
+  it('treats an account at its ceiling as exhausted', () => {
+    const personal = { ...makeAccount('personal', 5, 70, { priority: 1 }) };
+    personal.usage.ceilings = { weekly: 70 };
+    const work = makeAccount('work', 60, 50, { priority: 2 });
+    assert.equal(pickBestAccount([personal, work], undefined, { usePriority: true }).account.name, 'work');
+
+    personal.usage.weeklyPercent = 14;
+    const best = pickBestAccount([personal, work], undefined, { usePriority: true });
+    assert.equal(best.account.name, 'personal');
+    assert.match(best.reason, /weekly ceiling: 70%/);
+  });
+});
+
+describe('expiringCapacityScore', () => {
+  const NOW = Date.parse('2026-03-02T12:00:00Z');
+  const HOUR = 60 * 60 * 1000;
+  const at = ms => new Date(NOW + ms).toISOString();
+  const usage = (sessionPercent, weeklyPercent, resets = {}) => ({ usage: { sessionPercent, weeklyPercent, ...resets } });
+
+  it('is the headroom share without reset times', () => {
+    assert.equal(expiringCapacityScore(usage(0, 0), null, NOW), 1);
+    assert.equal(expiringCapacityScore(usage(10, 40), null, NOW), 0.6);
+    assert.equal(expiringCapacityScore(usage(10, 40, { weeklyResetsAt: at(-HOUR) }), null, NOW), 0.6);
+  });
+
+  it('grows as the tighter window nears its reset', () => {
+    const weekly = expiringCapacityScore(usage(0, 60, { weeklyResetsAt: at(HOUR / 3) }), null, NOW);
+    const distant = expiringCapacityScore(usage(0, 40, { weeklyResetsAt: at(96 * HOUR) }), null, NOW);
+    assert.ok(Math.abs(weekly - 0.4 * 7 * 24 * 3) < 1e-9);
+    assert.ok(weekly > 100 * distant);
+    assert.equal(expiringCapacityScore(usage(50, 0, { sessionResetsAt: at(HOUR), weeklyResetsAt: at(96 * HOUR) }), null, NOW), 2.5);
+  });
+
+  it('caps the urgency of a reset that is due now', () => {
+    const score = expiringCapacityScore(usage(0, 0, { sessionResetsAt: at(1000) }), null, NOW);
+    assert.equal(score, 60);
+  });
+
+  it('counts the model bucket and leases against the headroom', () => {
+    assert.equal(expiringCapacityScore({ ...usage(0, 0, { modelWeeklyPercent: { opus: 50 } }) }, 'opus', NOW), 0.5);
+    assert.equal(expiringCapacityScore({ ...usage(0, 0), leaseCount: 1 }, null, NOW), 1 - LEASE_PENALTY / 100);
+    assert.equal(expiringCapacityScore({ ...usage(0, 0), leaseCount: 6 }, null, NOW), 0);
+  });
+});
+
+describe('API-key overflow accounts', () => {
+  const overflow = (name, percent, spend) => ({
+    ...makeAccount(name, percent, percent, { type: 'api-key' }),
+    usage: { sessionPercent: percent, weeklyPercent: 0, spend },
+  });
+
+  it('is not picked while a subscription account has room', () => {
+    const accounts = [
+      overflow('paid', 0),
+      makeAccount('sub', 90, 90),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'sub');
+    assert.equal(pickBestAccount(accounts, undefined, { usePriority: true }).account.name, 'sub');
+  });
+
+  it('is picked once every subscription account is exhausted', () => {
+    const accounts = [
+      makeAccount('sub', 99, 40),
+      overflow('paid', 10, { today: 2, month: 30, dailyCap: 20, monthlyCap: null }),
+    ];
+    const result = pickBestAccount(accounts);
+    assert.equal(result.account.name, 'paid');
+    assert.equal(result.reason, 'overflow API key (today: $2.00 of $20.00, month: $30.00)');
+  });
+
+  it('is picked when the subscription accounts are cooling down', () => {
+    const future = new Date(Date.now() + 60_000).toISOString();
+    const accounts = [
+      makeAccount('sub', 10, 10, { cooldownUntil: future }),
+      overflow('paid', 0),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'paid');
+  });
+
+  it('is skipped at its cap in favor of another overflow account', () => {
+    const accounts = [
+      makeAccount('sub', 99, 99),
+      overflow('capped', 100),
+      overflow('spare', 50),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'spare');
+  });
+
+  it('leaves the least exhausted account when every cap is reached', () => {
+    const accounts = [
+      makeAccount('sub', 99, 99),
+      overflow('capped', 100),
+    ];
+    assert.equal(pickBestAccount(accounts).account.name, 'sub');
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScreen } from '../../../lib/screen.js';
+import { matchDetectors, DEFAULT_RULES } from '../../../lib/detectors.js';
+
+const LIMIT = "You've hit your limit · resets 3pm (America/New_York)";
+
+describe('createScreen', () => {
+  it('renders plain text and line breaks', () => {
+    const screen = createScreen(20, 4);
+    screen.write('hello\r\nworld');
+    assert.deepEqual(screen.lines(), ['hello', 'world', '', '']);
+  });
+
+  it('ignores colors and titles', () => {
+    const screen = createScreen(20, 2);
+    screen.write('\x1b]0;title\x07\x1b[1;31mred\x1b[0m text');
+    assert.equal(screen.lines()[0], 'red text');
+  });
+
+  it('keeps sequences split across writes', () => {
+    const screen = createScreen(20, 2);
+    screen.write('ab\x1b[');
+    screen.write('1;31mcd');
+    assert.equal(screen.lines()[0], 'abcd');
+  });
+
+  it('applies cursor movement and erasing', () => {
+    const screen = createScreen(20, 3);
+    screen.write('old line\r\nsecond');
+    screen.write('\x1b[1A\r\x1b[2Knew\x1b[3;5Hx');
+    assert.deepEqual(screen.lines(), ['new', 'second', '    x']);
+  });
+
+  it('overwrites text in place', () => {
+    const screen = createScreen(20, 1);
+    screen.write('Thinking...\rDone\x1b[K');
+    assert.equal(screen.lines()[0], 'Done');
+  });
+
+  it('scrolls when writing past the last row', () => {
+    const screen = createScreen(10, 2);
+    screen.write('one\r\ntwo\r\nthree');
+    assert.deepEqual(screen.lines(), ['two', 'three']);
+  });
+
+  it('inserts and deletes characters and lines', () => {
+    const screen = createScreen(10, 3);
+    screen.write('abcdef\x1b[1;3H\x1b[2P');
+    assert.equal(screen.lines()[0], 'abef');
+    screen.write('\x1b[2@');
+    assert.equal(screen.lines()[0], 'ab  ef');
+    screen.write('\r\nrow2\x1b[1;1H\x1b[L');
+    assert.deepEqual(screen.lines(), ['', 'ab  ef', 'row2']);
+    screen.write('\x1b[M');
+    assert.deepEqual(screen.lines(), ['ab  ef', 'row2', '']);
+  });
+
+  it('restores the main screen after the alternate screen', () => {
+    const screen = createScreen(10, 2);
+    screen.write('main');
+    screen.write('\x1b[?1049h\x1b[Halt');
+    assert.equal(screen.lines()[0], 'alt');
+    screen.write('\x1b[?1049l');
+    assert.equal(screen.lines()[0], 'main');
+  });
+
+  it('keeps the cursor row when resized smaller', () => {
+    const screen = createScreen(10, 4);
+    screen.write('1\r\n2\r\n3\r\n4');
+    screen.resize(5, 2);
+    assert.deepEqual(screen.lines(), ['3', '4']);
+  });
+
+  it('counts wide characters as two columns', () => {
+    const screen = createScreen(10, 1);
+    screen.write('日本x');
+    assert.equal(screen.lines()[0], '日本x');
+    screen.write('\x1b[1;5Hy');
+    assert.equal(screen.lines()[0], '日本y');
+  });
+});
+
+describe('statusArea', () => {
+  it('joins rows that wrapped', () => {
+    const screen = createScreen(20, 5);
+    screen.write(LIMIT);
+    assert.equal(screen.statusArea(), `${LIMIT}\n`);
+  });
+
+  it('covers only the last rows with content', () => {
+    const screen = createScreen(20, 10);
+    screen.write('a\r\nb\r\nc\r\nd');
+    assert.equal(screen.statusArea(2), 'c\nd\n');
+  });
+
+  it('reassembles text drawn with cursor moves', () => {
+    const screen = createScreen(80, 5);
+    screen.write("\x1b[3;25Hresets 3pm\x1b[3;1HYou've hit\x1b[3;11H your limit ·");
+    const detection = matchDetectors(screen.statusArea(), DEFAULT_RULES);
+    assert.equal(detection?.category, 'rate-limit');
+    assert.equal(detection.resetTime, '3pm');
+  });
+
+  it('does not match a quoted limit message that has scrolled up', () => {
+    const screen = createScreen(80, 24);
+    screen.write(`Reading docs/limits.md\r\n  > ${LIMIT}\r\n`);
+    for (let i = 0; i < 12; i++) screen.write(`line ${i}\r\n`);
+    screen.write('> ');
+    assert.equal(matchDetectors(screen.statusArea(), DEFAULT_RULES), null);
+  });
+
+  it('matches a limit message at the bottom of the screen', () => {
+    const screen = createScreen(80, 24);
+    for (let i = 0; i < 30; i++) screen.write(`line ${i}\r\n`);
+    screen.write(`  ⎿  ${LIMIT}\r\n\r\n> `);
+    assert.equal(matchDetectors(screen.statusArea(), DEFAULT_RULES)?.category, 'rate-limit');
+  });
+  it('does not match output a few rows above the prompt', () => {
+    for (const after of [['a', 'b'], ['a', 'b', '', 'c'], ['a', 'b', 'c', '']]) {
+      const screen = createScreen(80, 24);
+      screen.write(`  ⎿  ${LIMIT}\r\n${after.join('\r\n')}\r\n> `);
+      assert.equal(screen.lines().indexOf('>') - screen.lines().indexOf(`  ⎿  ${LIMIT}`), after.length + 1);
+      assert.equal(matchDetectors(screen.statusArea(), DEFAULT_RULES), null, `${after.length + 1} rows above`);
+    }
+  });
+
+  it('covers the lines above the input box and the footer below it', () => {
+    const screen = createScreen(40, 12);
+    screen.write(`old output\r\n  ⎿  ${LIMIT}\r\n     /upgrade\r\n\r\n`);
+    screen.write('╭──────╮\r\n│ > usage limit │\r\n╰──────╯\r\n  ? for shortcuts');
+    assert.equal(screen.statusArea(), `  ⎿  ${LIMIT}\n     /upgrade\n\n  ? for shortcuts\n`);
+    screen.write('\x1b[2J\x1b[Ha\r\nb\r\n────\r\n> hi\r\n────');
+    assert.equal(screen.statusArea(), 'a\nb\n');
+  });
+});
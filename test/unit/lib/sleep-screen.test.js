@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { formatCountdown, renderSleepScreen, showSleepScreen } from '../../../lib/sleep-screen.js';
+
+const HOUR = 60 * 60_000;
+
+function makeAccount(name, usage = {}, extra = {}) {
+  return { name, configDir: `/tmp/${name}`, usage: { sessionPercent: 100, weeklyPercent: 40, error: null, ...usage }, ...extra };
+}
+
+function startScreen(options = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', (chunk) => { written += chunk; });
+
+  const result = showSleepScreen({
+    sleepMs: HOUR,
+    accounts: [makeAccount('work'), makeAccount('home'), makeAccount('broken', { error: 'HTTP 401' })],
+    currentAccount: 'work',
+    sessionId: 'abc-123',
+    refresh: async () => ({ accounts: [], ready: false }),
+    input,
+    output,
+    ...options,
+  });
+  return { input, result, output: () => written };
+}
+
+describe('formatCountdown', () => {
+  it('formats hours, minutes and seconds', () => {
+    assert.equal(formatCountdown(2 * HOUR + 13 * 60_000 + 5_000), '2h 13m 05s');
+    assert.equal(formatCountdown(250_000), '4m 10s');
+    assert.equal(formatCountdown(-5), '0m 00s');
+  });
+});
+
+describe('renderSleepScreen', () => {
+  const now = Date.now();
+  const state = {
+    wakeAt: now + HOUR,
+    accounts: [
+      makeAccount('work', { sessionResetsAt: new Date(now + 30 * 60_000).toISOString() }),
+      makeAccount('home', {}, { cooldownUntil: new Date(now + 10 * 60_000).toISOString() }),
+      makeAccount('broken', { error: 'HTTP 401' }),
+    ],
+    currentAccount: 'work',
+    sessionId: 'abc-123',
+    refreshedAt: now,
+  };
+
+  it('shows the countdown, session and numbered accounts', () => {
+    const text = renderSleepScreen(state, now).join('\n');
+    assert.match(text, /in 1h 00m 00s/);
+    assert.match(text, /Session: abc-123 on "work"/);
+    assert.match(text, /1\* work +5-hour 100%, 7-day 40%, resets in 30m 00s/);
+    assert.match(text, /2  home +5-hour 100%, 7-day 40%, cooling down 10m 00s/);
+    assert.match(text, /3  broken +usage unavailable \(HTTP 401\)/);
+  });
+
+  it('shows a message when set', () => {
+    assert.match(renderSleepScreen({ ...state, message: 'hello' }, now).join('\n'), /hello/);
+  });
+});
+
+describe('showSleepScreen', () => {
+  it('wakes on w', async () => {
+    const screen = startScreen();
+    screen.input.write('w');
+    const { action } = await screen.result;
+    assert.equal(action, 'wake');
+  });
+
+  it('wakes when the signal is aborted', async () => {
+    const waker = new AbortController();
+    const screen = startScreen({ signal: waker.signal });
+    waker.abort();
+    assert.equal((await screen.result).action, 'wake');
+  });
+
+  it('quits on q and Ctrl+C', async () => {
+    for (const key of ['q', '\x03']) {
+      const screen = startScreen();
+      screen.input.write(key);
+      assert.equal((await screen.result).action, 'quit');
+    }
+  });
+
+  it('picks an account by number', async () => {
+    const screen = startScreen();
+    screen.input.write('2');
+    const { action, account } = await screen.result;
+    assert.equal(action, 'pick');
+    assert.equal(account.name, 'home');
+  });
+
+  it('refuses an account whose usage could not be checked', async () => {
+    const screen = startScreen();
+    screen.input.write('3');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.match(screen.output(), /"broken" can't be used right now \(HTTP 401\)/);
+    screen.input.write('9');
+    screen.input.write('q');
+    assert.equal((await screen.result).action, 'quit');
+  });
+
+  it('wakes when the countdown runs out', async () => {
+    const screen = startScreen({ sleepMs: 10 });
+    assert.equal((await screen.result).action, 'timeout');
+  });
+
+  it('brings the wake-up time forward with -', async () => {
+    const screen = startScreen({ sleepMs: 10 * 60_000 });
+    screen.input.write('-');
+    assert.equal((await screen.result).action, 'timeout');
+  });
+
+  it('wakes when a refresh finds an account with room', async () => {
+    const recovered = [makeAccount('work', { sessionPercent: 5 })];
+    const screen = startScreen({ refreshMs: 10, refresh: async () => ({ accounts: recovered, ready: true }) });
+    const { action, accounts } = await screen.result;
+    assert.equal(action, 'recovered');
+    assert.equal(accounts, recovered);
+  });
+
+  it('restores the terminal and removes its signal handlers', async () => {
+    const sigintListeners = process.listenerCount('SIGINT');
+    const screen = startScreen();
+    assert.equal(process.listenerCount('SIGINT'), sigintListeners + 1);
+    screen.input.write('q');
+    await screen.result;
+
+    assert.equal(process.listenerCount('SIGINT'), sigintListeners);
+    assert.ok(screen.output().startsWith('\x1b[?1049h'));
+    assert.ok(screen.output().endsWith('\x1b[?1049l'));
+    assert.ok(screen.input.isPaused());
+  });
+});
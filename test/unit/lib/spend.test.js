@@ -0,0 +1,175 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import {
+  estimateCost,
+  sumTranscriptUsage,
+  recordSpend,
+  getSpend,
+  spendUsage,
+  formatSpend,
+  createSpendTracker,
+  SPEND_FILE,
+} from '../../../lib/spend.js';
+import { getProjectDir } from '../../../lib/session.js';
+import { CONFIG_DIR } from '../../../lib/config.js';
+
+const assistantLine = (id, usage, model = 'claude-sonnet-4-5-20250929') =>
+  JSON.stringify({ type: 'assistant', message: { id, model, usage } });
+
+describe('estimateCost', () => {
+  it('prices input, output and cache tokens per model family', () => {
+    const usage = {
+      input_tokens: 1_000_000,
+      output_tokens: 1_000_000,
+      cache_creation_input_tokens: 1_000_000,
+      cache_read_input_tokens: 1_000_000,
+    };
+    // 3 + 15 + 3.75 + 0.3
+    assert.equal(estimateCost(usage, 'claude-sonnet-4-5').toFixed(2), '22.05');
+    assert.equal(estimateCost({ output_tokens: 1_000_000 }, 'claude-3-5-haiku-latest'), 5);
+  });
+
+  it('prices unknown models as Opus', () => {
+    assert.equal(estimateCost({ output_tokens: 1_000_000 }, 'mystery'), 75);
+  });
+});
+
+describe('sumTranscriptUsage', () => {
+  it('counts each message once and groups by model', () => {
+    const usage = { input_tokens: 100, output_tokens: 50 };
+    const totals = sumTranscriptUsage([
+      assistantLine('msg_1', usage),
+      assistantLine('msg_1', usage),
+      assistantLine('msg_2', usage, 'claude-opus-4-1'),
+      JSON.stringify({ type: 'user', message: { content: 'hi' } }),
+      '{ not json',
+      '',
+    ]);
+
+    assert.equal(totals.get('claude-sonnet-4-5-20250929').inputTokens, 100);
+    assert.equal(totals.get('claude-opus-4-1').outputTokens, 50);
+    assert.equal(totals.size, 2);
+  });
+
+  it('skips messages already seen', () => {
+    const seen = new Set(['msg_1']);
+    assert.equal(sumTranscriptUsage([assistantLine('msg_1', { output_tokens: 5 })], seen).size, 0);
+  });
+});
+
+describe('spend ledger', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'data', 'spend.jsonl');
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('defaults to data/spend.jsonl in CONFIG_DIR', () => {
+    assert.equal(SPEND_FILE, join(CONFIG_DIR, 'data', 'spend.jsonl'));
+  });
+
+  it('sums spend per account for today and this month', () => {
+    const now = new Date(2026, 9, 19, 15, 0);
+    const at = (day, hour) => new Date(2026, 9, day, hour).toISOString();
+    recordSpend({ ts: at(19, 9), account: 'overflow', costUsd: 2 }, filePath);
+    recordSpend({ ts: at(3, 9), account: 'overflow', costUsd: 5 }, filePath);
+    recordSpend({ ts: new Date(2026, 8, 30, 9).toISOString(), account: 'overflow', costUsd: 100 }, filePath);
+    recordSpend({ ts: at(19, 10), account: 'other', costUsd: 7 }, filePath);
+    appendFileSync(filePath, '{ not json\n');
+
+    assert.deepEqual(getSpend('overflow', filePath, now), { today: 2, month: 7 });
+  });
+
+  it('reports spend as a percentage of the caps', () => {
+    const now = new Date(2026, 9, 19, 15, 0);
+    recordSpend({ ts: now.toISOString(), account: 'overflow', costUsd: 15 }, filePath);
+
+    const usage = spendUsage({ name: 'overflow', caps: { daily: 20, monthly: 300 } }, filePath, now);
+    assert.equal(usage.sessionPercent, 75);
+    assert.equal(usage.weeklyPercent, 5);
+    assert.equal(usage.sessionResetsAt, new Date(2026, 9, 20).toISOString());
+    assert.equal(usage.weeklyResetsAt, new Date(2026, 10, 1).toISOString());
+    assert.equal(usage.error, null);
+  });
+
+  it('treats an account without caps as unlimited', () => {
+    const now = new Date();
+    recordSpend({ ts: now.toISOString(), account: 'overflow', costUsd: 500 }, filePath);
+
+    const usage = spendUsage({ name: 'overflow' }, filePath, now);
+    assert.equal(usage.sessionPercent, 0);
+    assert.equal(usage.weeklyPercent, 0);
+    assert.equal(usage.sessionResetsAt, null);
+    assert.equal(usage.spend.today, 500);
+  });
+
+  it('caps the percentage at 100', () => {
+    const now = new Date();
+    recordSpend({ ts: now.toISOString(), account: 'overflow', costUsd: 50 }, filePath);
+    assert.equal(spendUsage({ name: 'overflow', caps: { daily: 20 } }, filePath, now).sessionPercent, 100);
+  });
+
+  it('formats spend with and without caps', () => {
+    assert.equal(formatSpend({ today: 3.2, month: 41.5, dailyCap: 20, monthlyCap: null }),
+      '$3.20 of $20.00 today, $41.50 this month');
+  });
+});
+
+describe('createSpendTracker', () => {
+  let tempDir;
+  let filePath;
+  let account;
+  let projectDir;
+  const cwd = '/work/project';
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    filePath = join(tempDir, 'data', 'spend.jsonl');
+    account = { name: 'overflow', configDir: join(tempDir, 'profile') };
+    projectDir = getProjectDir(account.configDir, cwd);
+    mkdirSync(projectDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+  });
+
+  it('records only what was appended after it started', () => {
+    const transcript = join(projectDir, 'session.jsonl');
+    // Migrated history from another account
+    writeFileSync(transcript, assistantLine('msg_old', { output_tokens: 1_000_000 }) + '\n');
+
+    const tracker = createSpendTracker(account, cwd, filePath);
+    appendFileSync(transcript, assistantLine('msg_new', { output_tokens: 1_000_000 }) + '\n');
+    writeFileSync(join(projectDir, 'new-session.jsonl'), assistantLine('msg_other', { output_tokens: 1_000_000 }) + '\n');
+
+    assert.equal(tracker.flush(), 30);
+    assert.equal(tracker.flush(), 0, 'nothing new to record');
+    assert.equal(getSpend('overflow', filePath).today, 30);
+  });
+
+  it('leaves a partially written line for the next flush', () => {
+    const transcript = join(projectDir, 'session.jsonl');
+    const tracker = createSpendTracker(account, cwd, filePath);
+    const line = assistantLine('msg_1', { output_tokens: 1_000_000 });
+
+    appendFileSync(transcript, line.slice(0, 20));
+    assert.equal(tracker.flush(), 0);
+    appendFileSync(transcript, line.slice(20) + '\n');
+    assert.equal(tracker.flush(), 15);
+  });
+
+  it('works when the project directory does not exist yet', () => {
+    const tracker = createSpendTracker({ ...account, configDir: join(tempDir, 'empty') }, cwd, filePath);
+    assert.equal(tracker.flush(), 0);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { createTempDir, removeTempDir } from '../../helpers/temp-dir.js';
+import { pickBestAccount } from '../../../lib/scorer.js';
+import {
+  getStrategy,
+  listStrategies,
+  loadLastUsed,
+  recordSelection,
+  applyLastUsed,
+} from '../../../lib/strategies.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function account(name, sessionPercent, extra = {}) {
+  return { name, configDir: `/tmp/${name}`, token: 'tok', usage: { sessionPercent, weeklyPercent: 0 }, ...extra };
+}
+
+function ago(ms) {
+  return new Date(Date.now() - ms).toISOString();
+}
+
+function pick(accounts, name, options = {}) {
+  return pickBestAccount(accounts, options.exclude, { strategy: { name, stickyThreshold: options.stickyThreshold }, currentAccount: options.currentAccount });
+}
+
+describe('strategy registry', () => {
+  it('lists every strategy', () => {
+    assert.deepEqual(listStrategies(), [
+      'lowest-utilization', 'priority', 'round-robin', 'least-recently-used', 'drain-first', 'weighted', 'sticky', 'reset-aware', 'longest-runway',
+    ]);
+    assert.ok(listStrategies().every(name => getStrategy(name).description));
+  });
+
+  it('returns null for unknown names', () => {
+    assert.equal(getStrategy('fastest'), null);
+    assert.equal(getStrategy('toString'), null);
+    assert.equal(getStrategy(null), null);
+  });
+
+  it('falls back to the usual ordering without a known strategy', () => {
+    const accounts = [account('a', 50, { priority: 1 }), account('b', 10)];
+    assert.equal(pick(accounts, null).account.name, 'b');
+    assert.equal(pick(accounts, 'nope').account.name, 'b');
+    assert.equal(pickBestAccount(accounts, undefined, { usePriority: true, strategy: { name: null } }).account.name, 'a');
+  });
+});
+
+describe('selection strategies', () => {
+  it('round-robin takes the next account after the last selected one', () => {
+    const accounts = [account('a', 10), account('b', 60, { lastUsedAt: ago(HOUR) }), account('c', 30)];
+    const best = pick(accounts, 'round-robin');
+    assert.equal(best.account.name, 'c');
+    assert.match(best.reason, /^round robin \(/);
+    assert.equal(pick([...accounts.slice(0, 2), account('c', 30, { lastUsedAt: ago(1000) })], 'round-robin').account.name, 'a');
+  });
+
+  it('round-robin moves on from an excluded account and starts at the first', () => {
+    const accounts = [account('a', 10), account('b', 60, { lastUsedAt: ago(1000) }), account('c', 30)];
+    assert.equal(pick(accounts, 'round-robin', { exclude: 'b' }).account.name, 'c');
+    assert.equal(pick([account('a', 90), account('b', 10)], 'round-robin').account.name, 'a');
+  });
+
+  it('round-robin skips accounts near their limit', () => {
+    const accounts = [account('a', 10), account('b', 60, { lastUsedAt: ago(1000) }), account('c', 99)];
+    assert.equal(pick(accounts, 'round-robin').account.name, 'a');
+  });
+
+  it('least-recently-used prefers accounts never selected, then the oldest', () => {
+    const accounts = [account('a', 10, { lastUsedAt: ago(1000) }), account('b', 80, { lastUsedAt: ago(HOUR) }), account('c', 50)];
+    assert.equal(pick(accounts, 'least-recently-used').account.name, 'c');
+    assert.equal(pick(accounts.slice(0, 2), 'least-recently-used').account.name, 'b');
+  });
+
+  it('drain-first takes the account whose session resets soonest', () => {
+    const resetsIn = ms => new Date(Date.now() + ms).toISOString();
+    const accounts = [
+      account('a', 10, { usage: { sessionPercent: 10, weeklyPercent: 0, sessionResetsAt: resetsIn(4 * HOUR) } }),
+      account('b', 70, { usage: { sessionPercent: 70, weeklyPercent: 0, sessionResetsAt: resetsIn(HOUR) } }),
+      account('c', 5),
+      account('d', 98, { usage: { sessionPercent: 98, weeklyPercent: 0, sessionResetsAt: resetsIn(60_000) } }),
+    ];
+    const best = pick(accounts, 'drain-first');
+    assert.equal(best.account.name, 'b');
+    assert.match(best.reason, /^drain first \(.*, resets /);
+  });
+
+  it('weighted scales headroom by plan capacity', () => {
+    const accounts = [account('pro', 0), account('max', 80, { capacity: 20 }), account('mid', 50, { capacity: 5 })];
+    const best = pick(accounts, 'weighted');
+    assert.equal(best.account.name, 'max');
+    assert.match(best.reason, /capacity: 20/);
+    assert.equal(pick([account('pro', 0), account('max', 97, { capacity: 20 })], 'weighted').account.name, 'pro');
+  });
+
+  it('sticky stays on the last selected account until the threshold', () => {
+    const accounts = [account('a', 10), account('b', 70, { lastUsedAt: ago(1000) })];
+    assert.equal(pick(accounts, 'sticky').account.name, 'b');
+    assert.equal(pick(accounts, 'sticky', { stickyThreshold: 70 }).account.name, 'a');
+    assert.equal(pick(accounts, 'sticky', { exclude: 'b' }).account.name, 'a');
+  });
+
+  it('sticky stays on the runner\'s own account, not the one another runner picked last', () => {
+    const accounts = [account('a', 40), account('b', 70, { lastUsedAt: ago(1000) }), account('c', 10)];
+    assert.equal(pick(accounts, 'sticky', { currentAccount: 'a' }).account.name, 'a');
+    assert.equal(pick(accounts, 'sticky', { currentAccount: null }).account.name, 'c');
+    assert.equal(pick(accounts, 'sticky').account.name, 'b');
+  });
+
+  it('reset-aware prefers capacity that resets before it could be used', () => {
+    const resetsIn = ms => new Date(Date.now() + ms).toISOString();
+    const accounts = [
+      account('later', 0, { usage: { sessionPercent: 0, weeklyPercent: 40, weeklyResetsAt: resetsIn(96 * HOUR) } }),
+      account('soon', 0, { usage: { sessionPercent: 0, weeklyPercent: 60, weeklyResetsAt: resetsIn(HOUR / 3) } }),
+      account('gone', 0, { usage: { sessionPercent: 99, weeklyPercent: 10, sessionResetsAt: resetsIn(60_000) } }),
+    ];
+    const best = pick(accounts, 'reset-aware');
+    assert.equal(best.account.name, 'soon');
+    assert.match(best.reason, /^use it or lose it \(session: 0%, weekly: 60%, score: 202\)$/);
+    assert.equal(pick(accounts, 'lowest-utilization').account.name, 'later');
+  });
+
+  it('longest-runway prefers the account forecast to last longest', () => {
+    const exhaustsIn = ms => ({ forecast: { exhaustsAt: new Date(Date.now() + ms).toISOString(), window: 'session' } });
+    const accounts = [account('busy', 10, exhaustsIn(HOUR)), account('steady', 40, exhaustsIn(5 * HOUR)), account('full', 99)];
+    const best = pick(accounts, 'longest-runway');
+    assert.equal(best.account.name, 'steady');
+    assert.match(best.reason, /^longest runway \(.*, exhausts in ~(4h59m|5h00m)\)$/);
+    assert.equal(pick([...accounts, account('idle', 50)], 'longest-runway').account.name, 'idle');
+  });
+
+  it('priority matches usePriority', () => {
+    const accounts = [account('a', 10), account('b', 50, { priority: 1 })];
+    assert.deepEqual(pick(accounts, 'priority'), pickBestAccount(accounts, undefined, { usePriority: true }));
+  });
+});
+
+describe('last used', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    file = join(dir, 'data', 'last-used.json');
+  });
+
+  afterEach(() => removeTempDir(dir));
+
+  it('is empty when the file is missing or corrupt', () => {
+    assert.deepEqual(loadLastUsed(file), {});
+    recordSelection('a', file);
+    writeFileSync(file, '[]');
+    assert.deepEqual(loadLastUsed(file), {});
+  });
+
+  it('records selections and annotates accounts', () => {
+    recordSelection('a', file);
+    const lastUsed = loadLastUsed(file);
+    assert.ok(Date.now() - new Date(lastUsed.a).getTime() < 5000);
+    const [a, b] = applyLastUsed([{ name: 'a' }, { name: 'b' }], lastUsed);
+    assert.equal(a.lastUsedAt, lastUsed.a);
+    assert.equal(b.lastUsedAt, undefined);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { normalizePercent, checkUsage, fetchProfile, checkAllUsage } from '../../../lib/usage.js';
+import { normalizePercent, parseModelWeekly, checkUsage, fetchProfile, checkAllUsage, withCeilings } from '../../../lib/usage.js';
 
 describe('normalizePercent', () => {
   it('converts 0.5 fraction to 50%', () => {
@@ -46,6 +46,20 @@ describe('normalizePercent', () => {
   });
 });
 
+describe('parseModelWeekly', () => {
+  it('reads the per-model weekly buckets that are present', () => {
+    const result = parseModelWeekly({
+      seven_day_opus: { utilization: 0.9 },
+      seven_day_sonnet: null,
+    });
+    assert.deepEqual(result, { opus: 90 });
+  });
+
+  it('returns an empty object without model buckets', () => {
+    assert.deepEqual(parseModelWeekly({ five_hour: { utilization: 0.1 } }), {});
+  });
+});
+
 describe('checkUsage', () => {
   let originalFetch;
 
@@ -74,6 +88,21 @@ describe('checkUsage', () => {
     assert.equal(result.error, null);
   });
 
+  it('includes per-model weekly utilization', async () => {
+    globalThis.fetch = async () => ({
+      ok: true,
+      json: async () => ({
+        five_hour: { utilization: 0.1 },
+        seven_day: { utilization: 0.5 },
+        seven_day_opus: { utilization: 0.97 },
+        seven_day_sonnet: { utilization: 0.2 },
+      }),
+    });
+
+    const result = await checkUsage('sk-ant-oat01-test');
+    assert.deepEqual(result.modelWeeklyPercent, { opus: 97, sonnet: 20 });
+  });
+
   it('parses legacy flat format', async () => {
     globalThis.fetch = async () => ({
       ok: true,
@@ -223,4 +252,12 @@ describe('checkAllUsage', () => {
     assert.equal(results[0].usage.error, null);
     assert.equal(results[1].usage.error, null);
   });
+
+  it('attaches account ceilings to the usage', async () => {
+    globalThis.fetch = async () => ({ ok: true, json: async () => ({ five_hour: { utilization: 0.2 } }) });
+    const [result] = await checkAllUsage([{ name: 'a', configDir: '/tmp/a', token: 't', ceilings: { weekly: 70 } }]);
+    assert.deepEqual(result.usage.ceilings, { weekly: 70 });
+    assert.equal(withCeilings({ error: 'timeout' }, { weekly: 70 }).ceilings, undefined);
+    assert.equal(withCeilings({ sessionPercent: 1 }, undefined).ceilings, undefined);
+  });
 });
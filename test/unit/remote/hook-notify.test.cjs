@@ -8,6 +8,7 @@ const {
   getLastAssistantMessage, parseCurrentTurn, isPerSessionMode, markdownToMrkdwn,
   extractToolDetail, formatProgressMessage, formatWaitingMessage, findTranscriptPath,
   readProgressBuffer, writeProgressBuffer, appendToProgressBuffer, progressBufferPath,
+  reportToRunner, runnerReportFor,
   FLUSH_INTERVAL_MS, WAITING_FOR_INPUT_TOOLS,
 } = require('../../../remote/hook-notify.cjs');
 
@@ -683,6 +684,81 @@ describe('findTranscriptPath', () => {
   });
 });
 
+describe('reportToRunner', () => {
+  const RUNNER_ID = '0b6f3a52-8d1e-4c1a-9f7e-2a3b4c5d6e7f';
+  let tempDir;
+  let origRunnerId;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    origRunnerId = process.env.CLAUDE_NONSTOP_RUNNER_ID;
+  });
+
+  afterEach(() => {
+    removeTempDir(tempDir);
+    if (origRunnerId !== undefined) process.env.CLAUDE_NONSTOP_RUNNER_ID = origRunnerId;
+    else delete process.env.CLAUDE_NONSTOP_RUNNER_ID;
+  });
+
+  it('is a no-op when not spawned by a runner', () => {
+    delete process.env.CLAUDE_NONSTOP_RUNNER_ID;
+    assert.equal(reportToRunner({ lastStopAt: 1 }, tempDir), false);
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+
+  it('rejects runner IDs that are not UUIDs', () => {
+    process.env.CLAUDE_NONSTOP_RUNNER_ID = '../escape';
+    assert.equal(reportToRunner({ lastStopAt: 1 }, tempDir), false);
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+
+  it('writes fields to the runner channel file', () => {
+    process.env.CLAUDE_NONSTOP_RUNNER_ID = RUNNER_ID;
+    assert.equal(reportToRunner({ lastStopAt: 42, stopSessionId: 'sess-1' }, tempDir), true);
+    const state = JSON.parse(fs.readFileSync(path.join(tempDir, `${RUNNER_ID}.json`), 'utf8'));
+    assert.deepEqual(state, { lastStopAt: 42, stopSessionId: 'sess-1' });
+  });
+
+  it('merges with previously reported fields', () => {
+    process.env.CLAUDE_NONSTOP_RUNNER_ID = RUNNER_ID;
+    reportToRunner({ lastStopAt: 1, stopSessionId: 'sess-1' }, tempDir);
+    reportToRunner({ lastStopAt: 2 }, tempDir);
+    const state = JSON.parse(fs.readFileSync(path.join(tempDir, `${RUNNER_ID}.json`), 'utf8'));
+    assert.deepEqual(state, { lastStopAt: 2, stopSessionId: 'sess-1' });
+  });
+
+  it('creates the runners directory if missing', () => {
+    process.env.CLAUDE_NONSTOP_RUNNER_ID = RUNNER_ID;
+    const nested = path.join(tempDir, 'data', 'runners');
+    assert.equal(reportToRunner({ lastStopAt: 1 }, nested), true);
+    assert.ok(fs.existsSync(path.join(nested, `${RUNNER_ID}.json`)));
+  });
+
+  it('leaves no .tmp files behind', () => {
+    process.env.CLAUDE_NONSTOP_RUNNER_ID = RUNNER_ID;
+    reportToRunner({ lastStopAt: 1 }, tempDir);
+    assert.deepEqual(fs.readdirSync(tempDir).filter(f => f.endsWith('.tmp')), []);
+  });
+});
+
+describe('runnerReportFor', () => {
+  it('reports a turn boundary on Stop', () => {
+    assert.deepEqual(runnerReportFor('completed', { session_id: 'sess-1' }, 5), { lastStopAt: 5, stopSessionId: 'sess-1' });
+    assert.deepEqual(runnerReportFor('completed', null, 5), { lastStopAt: 5, stopSessionId: null });
+  });
+
+  it('reports the session and its source on SessionStart', () => {
+    assert.deepEqual(runnerReportFor('session-start', { session_id: 'sess-2', source: 'clear' }, 7), {
+      sessionId: 'sess-2', sessionSource: 'clear', sessionStartedAt: 7,
+    });
+  });
+
+  it('reports nothing without a session or for other hooks', () => {
+    assert.equal(runnerReportFor('session-start', {}), null);
+    assert.equal(runnerReportFor('tool-use', { session_id: 'sess-1' }), null);
+  });
+});
+
 describe('plan mode transcript integration', () => {
   it('getLastAssistantMessage extracts plan text from plan-mode transcript', () => {
     const transcriptPath = path.join(FIXTURES_DIR, 'plan-mode.jsonl');
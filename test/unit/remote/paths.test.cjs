@@ -1,7 +1,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const os = require('os');
-const { CONFIG_DIR, ENV_PATH, DATA_DIR, CHANNEL_MAP_PATH } = require('../../../remote/paths.cjs');
+const { CONFIG_DIR, ENV_PATH, DATA_DIR, CHANNEL_MAP_PATH, SCHEDULE_PATH } = require('../../../remote/paths.cjs');
 
 describe('paths.cjs exports', () => {
   it('CONFIG_DIR starts with homedir', () => {
@@ -34,4 +34,9 @@ describe('paths.cjs exports', () => {
   it('CHANNEL_MAP_PATH ends with channel-map.json', () => {
     assert.ok(CHANNEL_MAP_PATH.endsWith('channel-map.json'));
   });
+
+  it('SCHEDULE_PATH is data/scheduled.json', () => {
+    assert.ok(SCHEDULE_PATH.startsWith(DATA_DIR));
+    assert.ok(SCHEDULE_PATH.endsWith('scheduled.json'));
+  });
 });